@@ -7,11 +7,47 @@
  *
  * Endpoints:
  * - POST /exec?action=start - Start a new collection run
+ * - POST /exec?action=plan - Plan an instruction for review, without starting a run
+ * - POST /exec?action=start_with_plan - Start a run with a reviewed plan
+ * - POST /exec?action=start_batch - Queue many runs (one per instruction) as a batch
+ * - GET /exec?action=batch_status&batch_id=xxx - Get a batch's status, aggregated over its runs
  * - GET /exec?action=status&run_id=xxx - Get run status
+ * - GET /exec?action=list - List runs (filter by status, source, creation date; paginated)
+ * - GET /exec?action=events&run_id=xxx - Get a run's event timeline
+ * - GET /exec?action=changes&run_id=xxx&since_seq=N - Get what changed since sequence N (incremental polling)
+ * - GET /exec?action=usage - Get the calling API key's usage and limits
+ * - POST /exec?action=pause - Pause a run at its current checkpoint
+ * - POST /exec?action=resume - Resume a paused run
+ * - POST /exec?action=cancel - Cancel a queued, running or paused run
+ * - POST /exec?action=retry - Retry a failed run from where it left off
+ * - POST /exec?action=delete - Delete a finished run, its state and its Drive output
+ * - GET /exec?action=schedule_list - List scheduled run templates
+ * - GET /exec?action=schedule_history&template_id=xxx - Runs spawned by a template
+ * - POST /exec?action=schedule_create - Create a scheduled run template
+ * - POST /exec?action=schedule_update - Update (or enable/disable) a template
+ * - POST /exec?action=schedule_delete - Delete a template
+ * - GET /exec?action=openapi - OpenAPI description of the API (no authentication)
+ *
+ * Every other action is authenticated in routeApiRequest (see ApiKeys.js) and
+ * checked against the key's usage limits (see Usage.js).
+ *
+ * Versions: /exec/v2?action=... (or /exec/v2/<action>, or api_version=v2)
+ * selects the response shape; requests without a version get v1.
  */
 
 const API_VERSION = 'v1';
 
+/**
+ * API versions served
+ * v1: response fields next to ok and error; v2: { ok, api_version, data, error }
+ */
+const API_VERSIONS = ['v1', 'v2'];
+
+/**
+ * Version of the API request being handled (null outside requests)
+ */
+let activeApiVersion = null;
+
 /**
  * Validate API secret from request
  * @param {Object} e - Event object from doGet/doPost
@@ -26,10 +62,7 @@ function validateApiSecret(e) {
     return true;
   }
 
-  // Check header first (preferred method)
-  // Note: Apps Script doGet/doPost doesn't expose headers directly,
-  // so we use query parameter as fallback
-  const providedSecret = e.parameter?.secret || null;
+  const providedSecret = getProvidedApiSecret(e);
 
   if (!providedSecret) {
     console.log('[API] No secret provided in request');
@@ -44,17 +77,63 @@ function validateApiSecret(e) {
   return true;
 }
 
+/**
+ * Read the legacy secret a request carries
+ * Apps Script doGet/doPost does not expose headers, so the secret is read from
+ * the POST body (JSON field or form field "secret"). A query-string secret ends
+ * up in URLs and logs, and is only read when CLIPPULSE_ALLOW_QUERY_SECRET is 'true'.
+ * @param {Object} e - Event object from doGet/doPost
+ * @returns {string|null} The secret, or null if the request has none
+ */
+function getProvidedApiSecret(e) {
+  const postData = e.postData;
+  if (postData && postData.contents) {
+    if (/form-urlencoded/i.test(postData.type || '')) {
+      if (/(?:^|&)secret=/.test(postData.contents)) {
+        return e.parameter?.secret || null;
+      }
+    } else {
+      try {
+        const body = JSON.parse(postData.contents);
+        if (body && typeof body.secret === 'string') {
+          return body.secret;
+        }
+      } catch (parseError) {
+        // Invalid JSON is reported by the action itself
+      }
+    }
+  }
+
+  if (e.parameter?.secret) {
+    if (getConfig(CONFIG_KEYS.CLIPPULSE_ALLOW_QUERY_SECRET) === 'true') {
+      return e.parameter.secret;
+    }
+    console.log('[API] Ignored secret query parameter (set CLIPPULSE_ALLOW_QUERY_SECRET to accept it)');
+  }
+  return null;
+}
+
 /**
  * Build a standardized API response
  * @param {boolean} ok - Success status
  * @param {Object} data - Response data
  * @param {Object} [error] - Error object (if any)
+ * @param {string} [version] - Response shape; defaults to the request's version
  * @returns {Object} Standardized API response
  */
-function buildApiResponse(ok, data = {}, error = null) {
+function buildApiResponse(ok, data = {}, error = null, version = activeApiVersion || API_VERSION) {
+  if (version !== 'v1') {
+    return {
+      ok: ok,
+      api_version: version,
+      data: ok || Object.keys(data).length > 0 ? data : null,
+      error: error
+    };
+  }
+
   const response = {
     ok: ok,
-    api_version: API_VERSION,
+    api_version: version,
     ...data
   };
 
@@ -76,65 +155,84 @@ function createJsonResponse(data) {
     .setMimeType(ContentService.MimeType.JSON);
 }
 
+/**
+ * Read request parameters from the JSON body (POST) or query string (GET)
+ * @param {Object} e - Event object from doGet/doPost
+ * @returns {Object|null} Parameters, or null if the body is not valid JSON
+ */
+function parseApiParams(e) {
+  if (e.postData && e.postData.contents) {
+    try {
+      return JSON.parse(e.postData.contents);
+    } catch (parseError) {
+      return null;
+    }
+  }
+  return e.parameter || {};
+}
+
 /**
  * Handle API start request
+ * An explicit `plan` skips the LLM planner; `platforms` / `counts` are merged
+ * over the explicit plan or, without one, over the LLM plan.
  * @param {Object} e - Event object from doGet/doPost
+ * @param {boolean} [withPlan] - Require a reviewed `plan` parameter (start_with_plan)
+ * @param {string|null} [apiKeyId] - API key that authenticated the request, recorded on the run
  * @returns {GoogleAppsScript.Content.TextOutput} JSON response
  */
-function handleApiStart(e) {
-  console.log('[API] handleApiStart called');
+function handleApiStart(e, withPlan = false, apiKeyId = null) {
+  console.log(`[API] handleApiStart called${withPlan ? ' with plan' : ''}`);
 
-  // Validate secret
-  if (!validateApiSecret(e)) {
+  // Parse request body for POST, or use parameters for GET
+  const params = parseApiParams(e);
+  if (!params) {
     return createJsonResponse(buildApiResponse(false, {}, {
-      code: 'UNAUTHORIZED',
-      message: 'Invalid or missing API secret'
+      code: 'INVALID_JSON',
+      message: 'Failed to parse request body as JSON'
     }));
   }
 
-  // Parse request body for POST, or use parameters for GET
-  let params = {};
-
-  if (e.postData && e.postData.contents) {
-    try {
-      params = JSON.parse(e.postData.contents);
-    } catch (parseError) {
-      return createJsonResponse(buildApiResponse(false, {}, {
-        code: 'INVALID_JSON',
-        message: 'Failed to parse request body as JSON'
-      }));
-    }
-  } else {
-    // Fallback to query parameters
-    params = e.parameter || {};
+  // Required parameters, types and callback_url are checked against the published definitions
+  const invalid = validateApiParams(params, getApiActionDefinitions()[withPlan ? 'start_with_plan' : 'start'].params);
+  if (invalid) {
+    return createJsonResponse(buildApiResponse(false, {}, invalid));
   }
 
-  // Validate required parameters
-  const instruction = params.instruction;
+  let instruction = params.instruction;
   const externalRunId = params.external_run_id;
   const targetFolderId = params.target_folder_id;
+  const callbackUrl = params.callback_url || null;
+  const llmProvider = params.llm_provider || null;
   const dryRun = params.dry_run === true || params.dry_run === 'true';
   const debug = params.debug === true || params.debug === 'true';
 
-  if (!instruction) {
-    return createJsonResponse(buildApiResponse(false, {}, {
-      code: 'MISSING_PARAMETER',
-      message: 'Required parameter "instruction" is missing'
-    }));
+  const overridesResult = parseApiPlanOverrides(params);
+  if (overridesResult.error) {
+    return createJsonResponse(buildApiResponse(false, {
+      run_id: externalRunId || null
+    }, overridesResult.error));
   }
+  const planOverrides = overridesResult.overrides;
 
-  if (!externalRunId) {
-    return createJsonResponse(buildApiResponse(false, {}, {
-      code: 'MISSING_PARAMETER',
-      message: 'Required parameter "external_run_id" is missing'
-    }));
+  let plan = null;
+  if (withPlan || params.plan) {
+    const planResult = parseApiPlanParam(params.plan, planOverrides);
+    if (planResult.error) {
+      return createJsonResponse(buildApiResponse(false, {
+        run_id: externalRunId || null
+      }, planResult.error));
+    }
+    plan = planResult.plan;
   }
 
-  if (!targetFolderId) {
-    return createJsonResponse(buildApiResponse(false, {}, {
-      code: 'MISSING_PARAMETER',
-      message: 'Required parameter "target_folder_id" is missing'
-    }));
+  if (!instruction) {
+    // An explicit plan needs no instruction; label the run by its plan
+    instruction = describePlanForInstruction(plan);
+  }
+
+  // A dry run only plans; nothing is created, so no run ID or folder is needed
+  if (dryRun) {
+    return handleApiDryRun(instruction, externalRunId, debug, plan, plan ? null : planOverrides, llmProvider);
   }
 
   if (debug) {
@@ -147,10 +245,15 @@ function handleApiStart(e) {
     const result = startRun(instruction, {
       externalRunId: externalRunId,
       targetFolderId: targetFolderId,
-      source: 'api'
+      source: 'api',
+      plan: plan,
+      planOverrides: plan ? null : planOverrides,
+      callbackUrl: callbackUrl,
+      apiKeyId: apiKeyId,
+      llmProvider: llmProvider
     });
 
-    // Return success response
+    // Return success response (a repeated request gets the run it already started)
     return createJsonResponse(buildApiResponse(true, {
       run_id: externalRunId,
       internal_run_id: result.runId,
@@ -158,13 +261,48 @@ function handleApiStart(e) {
       spreadsheet_id: result.spreadsheetId,
       spreadsheet_url: result.spreadsheetUrl,
       created_folder_id: result.runFolderId,
-      message: 'Run started successfully'
+      plan_source: result.planSource,
+      existing: result.existing === true,
+      message: result.existing ? 'Run already exists; returning it' : 'Run started successfully'
     }));
 
   } catch (error) {
     console.error('[API] Error starting run:', error);
     return createJsonResponse(buildApiResponse(false, {
       run_id: externalRunId
+    }, {
+      code: error.code === 'CONFLICT' ? 'CONFLICT' : 'START_FAILED',
+      message: error.message,
+      details: debug ? error.stack : undefined
+    }));
+  }
+}
+
+/**
+ * Handle a start request with dry_run: plan and estimate without collecting
+ * @param {string} instruction - The instruction to plan
+ * @param {string} [externalRunId] - External run ID, echoed back if given
+ * @param {boolean} debug - Include stack traces in errors
+ * @param {Object} [plan] - Reviewed plan to estimate instead of parsing the instruction
+ * @param {Object} [planOverrides] - { platforms, counts } merged over the parsed plan
+ * @param {string} [llmProvider] - LLM provider to plan with
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function handleApiDryRun(instruction, externalRunId, debug, plan = null, planOverrides = null, llmProvider = null) {
+  try {
+    const preview = previewRun(instruction, plan, planOverrides, llmProvider);
+
+    return createJsonResponse(buildApiResponse(true, {
+      run_id: externalRunId || null,
+      dry_run: true,
+      ...formatPlanPreviewForApi(preview),
+      message: 'Dry run: plan resolved, nothing was created'
+    }));
+
+  } catch (error) {
+    console.error('[API] Error in dry run:', error);
+    return createJsonResponse(buildApiResponse(false, {
+      run_id: externalRunId || null
     }, {
       code: 'START_FAILED',
       message: error.message,
@@ -174,21 +312,378 @@ function handleApiStart(e) {
 }
 
 /**
- * Handle API status request
+ * Read and validate the `plan` parameter of start and start_with_plan
+ * Accepts an object (JSON body) or a JSON string (query parameter).
+ * @param {Object|string} value - The raw parameter
+ * @param {Object} [overrides] - { platforms, counts } to merge over the plan before validating
+ * @returns {Object} { plan } or { error } with an API error object
+ */
+function parseApiPlanParam(value, overrides = null) {
+  if (!value) {
+    return {
+      error: { code: 'MISSING_PARAMETER', message: 'Required parameter "plan" is missing' }
+    };
+  }
+
+  let plan = value;
+  if (typeof value === 'string') {
+    try {
+      plan = JSON.parse(value);
+    } catch (parseError) {
+      return {
+        error: { code: 'INVALID_JSON', message: 'Parameter "plan" is not valid JSON' }
+      };
+    }
+  }
+
+  const validation = validatePlan(plan);
+  if (!validation.isValid) {
+    return {
+      error: { code: 'INVALID_PLAN', message: 'Plan does not match the plan schema', details: validation.errors }
+    };
+  }
+
+  if (overrides) {
+    plan = applyPlanOverrides(plan, overrides);
+    const merged = validatePlan(plan);
+    if (!merged.isValid) {
+      return {
+        error: { code: 'INVALID_PLAN', message: 'Plan is invalid after applying platforms/counts', details: merged.errors }
+      };
+    }
+  }
+
+  return { plan: plan };
+}
+
+/**
+ * Read and validate the `platforms` and `counts` overrides of start
+ * platforms: array or comma-separated list; counts: object (or JSON string) of
+ * platform to non-negative integer.
+ * @param {Object} params - Request parameters
+ * @returns {Object} { overrides } (null when neither is given) or { error }
+ */
+function parseApiPlanOverrides(params) {
+  if (!params.platforms && !params.counts) {
+    return { overrides: null };
+  }
+
+  const invalid = message => ({ error: { code: 'INVALID_PARAMETER', message: message } });
+  const validPlatforms = PLAN_SCHEMA.properties.targetPlatforms.items.enum;
+  const overrides = {};
+
+  if (params.platforms) {
+    const platforms = Array.isArray(params.platforms)
+      ? params.platforms
+      : String(params.platforms).split(',').map(platform => platform.trim()).filter(Boolean);
+    const unknown = platforms.filter(platform => !validPlatforms.includes(platform));
+    if (platforms.length === 0 || unknown.length > 0) {
+      return invalid(`Parameter "platforms" must list platforms from: ${validPlatforms.join(', ')}`);
+    }
+    overrides.platforms = platforms;
+  }
+
+  if (params.counts) {
+    let counts = params.counts;
+    if (typeof counts === 'string') {
+      try {
+        counts = JSON.parse(counts);
+      } catch (parseError) {
+        return { error: { code: 'INVALID_JSON', message: 'Parameter "counts" is not valid JSON' } };
+      }
+    }
+    if (counts === null || typeof counts !== 'object' || Array.isArray(counts)) {
+      return invalid('Parameter "counts" must be an object such as {"instagram": 50}');
+    }
+    const badCount = Object.keys(counts).find(platform =>
+      !validPlatforms.includes(platform) || !Number.isInteger(counts[platform]) || counts[platform] < 0);
+    if (badCount) {
+      return invalid(`Parameter "counts" has an invalid entry "${badCount}"; use ${validPlatforms.join(' or ')} with a non-negative integer`);
+    }
+    overrides.counts = counts;
+  }
+
+  return { overrides: overrides };
+}
+
+/**
+ * Build an instruction label for a run started from an explicit plan
+ * @param {Object} plan - The plan
+ * @returns {string} e.g. "Explicit plan: instagram 50 #skincare"
+ */
+function describePlanForInstruction(plan) {
+  const counts = plan.targetPlatforms.map(platform => `${platform} ${plan.targetCounts[platform] || 0}`);
+  const terms = (plan.hashtags || []).map(tag => `#${tag}`).concat(plan.keywords || []);
+  return `Explicit plan: ${counts.join(', ')}${terms.length > 0 ? ` ${terms.join(' ')}` : ''}`;
+}
+
+/**
+ * Handle API start_batch request: queue one run per entry of `runs`
+ * Each entry takes the start parameters (instruction, external_run_id, plan,
+ * platforms, counts, target_folder_id, callback_url) over the shared `defaults`.
+ * Every entry is validated before anything is queued; the runs are started
+ * by the startPendingBatchRuns trigger (see Batch.js).
  * @param {Object} e - Event object from doGet/doPost
+ * @param {string|null} [apiKeyId] - API key that authenticated the request, recorded on the runs
  * @returns {GoogleAppsScript.Content.TextOutput} JSON response
  */
-function handleApiStatus(e) {
-  console.log('[API] handleApiStatus called');
+function handleApiStartBatch(e, apiKeyId = null) {
+  console.log('[API] handleApiStartBatch called');
+
+  const params = parseApiParams(e);
+  if (!params) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'INVALID_JSON',
+      message: 'Failed to parse request body as JSON'
+    }));
+  }
+
+  const invalid = validateApiParams(params, getApiActionDefinitions().start_batch.params);
+  if (invalid) {
+    return createJsonResponse(buildApiResponse(false, {}, invalid));
+  }
 
-  // Validate secret
-  if (!validateApiSecret(e)) {
+  const runs = params.runs;
+  if (!Array.isArray(runs) || runs.length === 0 || runs.length > MAX_BATCH_RUNS) {
     return createJsonResponse(buildApiResponse(false, {}, {
-      code: 'UNAUTHORIZED',
-      message: 'Invalid or missing API secret'
+      code: 'INVALID_PARAMETER',
+      message: `Parameter "runs" must be an array of 1 to ${MAX_BATCH_RUNS} runs`
+    }));
+  }
+  const defaults = params.defaults || {};
+  if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'INVALID_PARAMETER',
+      message: 'Parameter "defaults" must be an object'
     }));
   }
 
+  const members = [];
+  for (let i = 0; i < runs.length; i++) {
+    const member = parseApiBatchMember(runs[i], defaults);
+    if (member.error) {
+      return createJsonResponse(buildApiResponse(false, {}, {
+        ...member.error,
+        message: `runs[${i}]: ${member.error.message}`
+      }));
+    }
+    if (members.some(existing => existing.externalRunId === member.externalRunId)) {
+      return createJsonResponse(buildApiResponse(false, {}, {
+        code: 'INVALID_PARAMETER',
+        message: `runs[${i}]: external_run_id "${member.externalRunId}" is used twice in this batch`
+      }));
+    }
+    members.push(member);
+  }
+
+  // The usage check above counts this request once; every member will start a run
+  const allowance = checkApiRunAllowance(apiKeyId, members.length);
+  if (!allowance.ok) {
+    return createJsonResponse(buildApiResponse(false, {}, allowance.error));
+  }
+
+  try {
+    const batch = createRunBatch(members, {
+      combinedSpreadsheet: params.combined_spreadsheet === true || params.combined_spreadsheet === 'true',
+      targetFolderId: defaults.target_folder_id || null,
+      apiKeyId: apiKeyId
+    });
+
+    return createJsonResponse(buildApiResponse(true, {
+      batch_id: batch.batchId,
+      status: 'queued',
+      total: batch.members.length,
+      combined_spreadsheet_id: batch.combinedSpreadsheetId,
+      combined_spreadsheet_url: batch.combinedSpreadsheetUrl,
+      runs: batch.members.map(member => ({ index: member.index, run_id: member.runId, status: member.status })),
+      message: `Batch queued: ${batch.members.length} run(s) will start shortly`
+    }));
+
+  } catch (error) {
+    console.error('[API] Error creating batch:', error);
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'START_FAILED',
+      message: error.message
+    }));
+  }
+}
+
+/**
+ * Read and validate one entry of a start_batch request
+ * @param {Object} entry - The entry from `runs`
+ * @param {Object} defaults - The batch's shared defaults
+ * @returns {Object} { externalRunId, instruction, options } or { error } with an API error object
+ */
+function parseApiBatchMember(entry, defaults) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { error: { code: 'INVALID_PARAMETER', message: 'Each run must be an object' } };
+  }
+
+  // Batch runs are never dry runs, so external_run_id and target_folder_id are always required
+  const params = { ...defaults, ...entry };
+  delete params.dry_run;
+  delete params.debug;
+
+  const invalid = validateApiParams(params, getApiActionDefinitions().start.params);
+  if (invalid) {
+    return { error: invalid };
+  }
+
+  const overridesResult = parseApiPlanOverrides(params);
+  if (overridesResult.error) {
+    return { error: overridesResult.error };
+  }
+
+  let plan = null;
+  if (params.plan) {
+    const planResult = parseApiPlanParam(params.plan, overridesResult.overrides);
+    if (planResult.error) {
+      return { error: planResult.error };
+    }
+    plan = planResult.plan;
+  }
+
+  return {
+    externalRunId: String(params.external_run_id),
+    instruction: params.instruction || describePlanForInstruction(plan),
+    options: {
+      targetFolderId: params.target_folder_id,
+      plan: plan,
+      planOverrides: plan ? null : overridesResult.overrides,
+      callbackUrl: params.callback_url || null,
+      llmProvider: params.llm_provider || null
+    }
+  };
+}
+
+/**
+ * Handle API batch_status request
+ * @param {Object} e - Event object from doGet/doPost
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function handleApiBatchStatus(e) {
+  console.log('[API] handleApiBatchStatus called');
+
+  const batchId = e.parameter?.batch_id;
+
+  if (!batchId) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'MISSING_PARAMETER',
+      message: 'Required parameter "batch_id" is missing'
+    }));
+  }
+
+  const status = getApiBatchStatus(batchId);
+  if (!status) {
+    return createJsonResponse(buildApiResponse(false, {
+      batch_id: batchId
+    }, {
+      code: 'NOT_FOUND',
+      message: `Batch not found: ${batchId}`
+    }));
+  }
+
+  return createJsonResponse(buildApiResponse(true, status));
+}
+
+/**
+ * Handle API plan request: plan an instruction for review without starting a run
+ * Edit the returned plan and send it back with action=start_with_plan.
+ * @param {Object} e - Event object from doGet/doPost
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function handleApiPlan(e) {
+  console.log('[API] handleApiPlan called');
+
+  const params = parseApiParams(e);
+  if (!params) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'INVALID_JSON',
+      message: 'Failed to parse request body as JSON'
+    }));
+  }
+
+  const invalid = validateApiParams(params, getApiActionDefinitions().plan.params);
+  if (invalid) {
+    return createJsonResponse(buildApiResponse(false, {}, invalid));
+  }
+
+  try {
+    const planned = planRun(params.instruction, params.llm_provider || null);
+    return createJsonResponse(buildApiResponse(true, {
+      instruction: params.instruction,
+      plan: planned.plan,
+      warnings: planned.warnings,
+      message: 'Plan created; review it and start with action=start_with_plan'
+    }));
+
+  } catch (error) {
+    console.error('[API] Error planning:', error);
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'PLAN_FAILED',
+      message: error.message
+    }));
+  }
+}
+
+/**
+ * Format a plan preview for API responses
+ * @param {Object} preview - Result of previewRun()
+ * @returns {Object} snake_case preview
+ */
+function formatPlanPreviewForApi(preview) {
+  const formatEstimate = estimate => {
+    const quota = {};
+    Object.entries(estimate.quota).forEach(([key, value]) => {
+      quota[key.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`)] = value;
+    });
+    return { api_calls: estimate.apiCalls, quota: quota };
+  };
+
+  const instagram = preview.platforms.instagram;
+  const x = preview.platforms.x;
+  const tiktok = preview.platforms.tiktok;
+
+  return {
+    plan: preview.plan,
+    plan_warnings: preview.planWarnings,
+    platforms: {
+      instagram: {
+        target: instagram.target,
+        available: instagram.available,
+        strategy: instagram.strategy,
+        hashtags: instagram.hashtags,
+        estimate: formatEstimate(instagram.estimate),
+        notes: instagram.notes
+      },
+      x: {
+        target: x.target,
+        available: x.available,
+        query: x.query,
+        query_type: x.queryType,
+        estimate: formatEstimate(x.estimate),
+        notes: x.notes
+      },
+      tiktok: {
+        target: tiktok.target,
+        available: tiktok.available,
+        estimate: formatEstimate(tiktok.estimate),
+        notes: tiktok.notes
+      }
+    },
+    total_api_calls: preview.totalApiCalls,
+    mock_mode: preview.mockMode
+  };
+}
+
+/**
+ * Handle API status request
+ * @param {Object} e - Event object from doGet/doPost
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function handleApiStatus(e) {
+  console.log('[API] handleApiStatus called');
+
   const runId = e.parameter?.run_id;
 
   if (!runId) {
@@ -211,7 +706,508 @@ function handleApiStatus(e) {
   }
 
   // Return status response
-  return createJsonResponse(buildApiResponse(true, statusSummary));
+  return createJsonResponse(buildApiResponse(true, {
+    ...statusSummary,
+    webhook_deliveries: formatWebhookDeliveries(loadRunState(statusSummary.internal_run_id).webhookDeliveries)
+  }));
+}
+
+/**
+ * Maximum events returned by one events request
+ */
+const MAX_API_EVENTS = 200;
+
+/**
+ * Handle API events request (a run's timeline)
+ * Optional parameters: since_seq (only newer events), type, limit.
+ * @param {Object} e - Event object from doGet/doPost
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function handleApiEvents(e) {
+  console.log('[API] handleApiEvents called');
+
+  const runId = e.parameter?.run_id;
+
+  if (!runId) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'MISSING_PARAMETER',
+      message: 'Required parameter "run_id" is missing'
+    }));
+  }
+
+  if (!loadRunState(runId)) {
+    return createJsonResponse(buildApiResponse(false, {
+      run_id: runId
+    }, {
+      code: 'NOT_FOUND',
+      message: `Run not found: ${runId}`
+    }));
+  }
+
+  const limit = Math.min(parseInt(e.parameter.limit, 10) || MAX_API_EVENTS, MAX_API_EVENTS);
+  const result = getRunEvents(runId, {
+    sinceSeq: parseInt(e.parameter.since_seq, 10) || 0,
+    type: e.parameter.type || null,
+    limit: limit
+  });
+
+  return createJsonResponse(buildApiResponse(true, {
+    run_id: runId,
+    events: result.events,
+    next_seq: result.nextSeq,
+    dropped: result.dropped
+  }));
+}
+
+/**
+ * Handle API changes request (incremental polling)
+ * Returns the progress events and written posts after since_seq, plus the
+ * run status when anything changed. Pass next_since_seq back on the next poll.
+ * @param {Object} e - Event object from doGet/doPost
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function handleApiChanges(e) {
+  console.log('[API] handleApiChanges called');
+
+  const params = e.parameter || {};
+  const invalid = validateApiParams(params, getApiActionDefinitions().changes.params);
+  if (invalid) {
+    return createJsonResponse(buildApiResponse(false, {}, invalid));
+  }
+
+  const runId = params.run_id;
+  if (!loadRunState(runId)) {
+    return createJsonResponse(buildApiResponse(false, {
+      run_id: runId
+    }, {
+      code: 'NOT_FOUND',
+      message: `Run not found: ${runId}`
+    }));
+  }
+
+  const sinceSeq = parseInt(params.since_seq, 10) || 0;
+  const changes = getRunChanges(runId, sinceSeq, parseInt(params.limit, 10) || MAX_API_EVENTS);
+
+  return createJsonResponse(buildApiResponse(true, {
+    run_id: runId,
+    since_seq: changes.sinceSeq,
+    next_since_seq: changes.nextSinceSeq,
+    gap: changes.gap,
+    events: changes.events,
+    posts: changes.posts,
+    status: changes.changed || sinceSeq === 0 ? getApiStatusSummary(runId) : null
+  }));
+}
+
+/**
+ * Handle API pause and resume requests
+ * @param {Object} e - Event object from doGet/doPost
+ * @param {string} action - 'pause' or 'resume'
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function handleApiPauseResume(e, action) {
+  console.log(`[API] handleApiPauseResume called: ${action}`);
+
+  const params = parseApiParams(e);
+  if (!params) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'INVALID_JSON',
+      message: 'Failed to parse request body as JSON'
+    }));
+  }
+
+  const runId = params.run_id;
+  if (!runId) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'MISSING_PARAMETER',
+      message: 'Required parameter "run_id" is missing'
+    }));
+  }
+
+  if (!loadRunState(runId)) {
+    return createJsonResponse(buildApiResponse(false, {
+      run_id: runId
+    }, {
+      code: 'NOT_FOUND',
+      message: `Run not found: ${runId}`
+    }));
+  }
+
+  try {
+    const result = action === 'pause' ? pauseRun(runId) : resumeRun(runId);
+
+    return createJsonResponse(buildApiResponse(true, {
+      ...getApiStatusSummary(runId),
+      checkpoint: formatCheckpoint(result.checkpoint),
+      message: result.message
+    }));
+
+  } catch (error) {
+    console.error(`[API] Error in ${action}:`, error);
+    return createJsonResponse(buildApiResponse(false, {
+      run_id: runId
+    }, {
+      code: 'INVALID_STATE',
+      message: error.message
+    }));
+  }
+}
+
+/**
+ * Handle API cancel, retry and delete requests
+ * delete accepts delete_files (default true) to keep the run's Drive output.
+ * @param {Object} e - Event object from doGet/doPost
+ * @param {string} action - 'cancel', 'retry' or 'delete'
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function handleApiRunCommand(e, action) {
+  console.log(`[API] handleApiRunCommand called: ${action}`);
+
+  const params = parseApiParams(e);
+  if (!params) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'INVALID_JSON',
+      message: 'Failed to parse request body as JSON'
+    }));
+  }
+
+  const runId = params.run_id;
+  if (!runId) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'MISSING_PARAMETER',
+      message: 'Required parameter "run_id" is missing'
+    }));
+  }
+
+  if (!loadRunState(runId)) {
+    return createJsonResponse(buildApiResponse(false, {
+      run_id: runId
+    }, {
+      code: 'NOT_FOUND',
+      message: `Run not found: ${runId}`
+    }));
+  }
+
+  try {
+    if (action === 'delete') {
+      const deleteFiles = params.delete_files !== false && params.delete_files !== 'false';
+      const result = deleteRun(runId, deleteFiles);
+
+      return createJsonResponse(buildApiResponse(true, {
+        run_id: runId,
+        deleted: true,
+        files_trashed: result.filesTrashed,
+        message: result.message
+      }));
+    }
+
+    const result = action === 'cancel' ? cancelRun(runId) : retryRun(runId);
+
+    return createJsonResponse(buildApiResponse(true, {
+      ...getApiStatusSummary(runId),
+      message: result.message
+    }));
+
+  } catch (error) {
+    console.error(`[API] Error in ${action}:`, error);
+    return createJsonResponse(buildApiResponse(false, {
+      run_id: runId
+    }, {
+      code: 'INVALID_STATE',
+      message: error.message
+    }));
+  }
+}
+
+/**
+ * Maximum runs returned by one list request
+ */
+const MAX_API_LIST_RUNS = 100;
+
+/**
+ * Parse an optional date filter (ISO date or date-time)
+ * @param {string} value - Parameter value
+ * @returns {Date|null|undefined} Date, null when absent, undefined when invalid
+ */
+function parseApiDateParam(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Format a run for list responses (a compact status summary)
+ * @param {Object} state - The run state
+ * @returns {Object} Snake-case run
+ */
+function formatRunListItemForApi(state) {
+  return {
+    run_id: state.externalRunId || state.runId,
+    internal_run_id: state.runId,
+    status: mapToApiStatus(state.status),
+    internal_status: state.status,
+    source: state.source || 'ui',
+    instruction: state.instruction,
+    template_id: state.templateId || null,
+    spreadsheet_url: state.spreadsheetUrl || null,
+    created_at: state.createdAt,
+    updated_at: state.updatedAt,
+    metrics: {
+      instagram_rows: state.instagramProgress?.collected || 0,
+      instagram_target: state.instagramProgress?.target || 0,
+      x_rows: state.xProgress?.collected || 0,
+      x_target: state.xProgress?.target || 0,
+      tiktok_rows: state.tiktokProgress?.collected || 0,
+      tiktok_target: state.tiktokProgress?.target || 0
+    },
+    error: state.lastError ? {
+      code: 'RUN_ERROR',
+      message: state.lastError
+    } : null
+  };
+}
+
+/**
+ * Handle API list request (runs, newest first)
+ * Optional parameters: status, source, created_after, created_before, limit, offset.
+ * @param {Object} e - Event object from doGet/doPost
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function handleApiList(e) {
+  console.log('[API] handleApiList called');
+
+  const params = e.parameter || {};
+
+  const statuses = Object.values(API_STATUS).concat(Object.values(RUN_STATUS).map(status => status.toLowerCase()));
+  if (params.status && !statuses.includes(String(params.status).toLowerCase())) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'INVALID_PARAMETER',
+      message: `Unknown status: ${params.status}. Valid statuses: ${Object.values(API_STATUS).join(', ')}`
+    }));
+  }
+
+  const createdAfter = parseApiDateParam(params.created_after);
+  const createdBefore = parseApiDateParam(params.created_before);
+  if (createdAfter === undefined || createdBefore === undefined) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'INVALID_PARAMETER',
+      message: '"created_after" and "created_before" must be ISO dates (YYYY-MM-DD or date-time)'
+    }));
+  }
+
+  const limit = Math.min(parseInt(params.limit, 10) || 20, MAX_API_LIST_RUNS);
+  const offset = parseInt(params.offset, 10) || 0;
+
+  const result = queryRuns({
+    status: params.status || null,
+    source: params.source || null,
+    createdAfter: createdAfter,
+    createdBefore: createdBefore,
+    offset: offset,
+    limit: limit
+  });
+
+  return createJsonResponse(buildApiResponse(true, {
+    runs: result.runs.map(formatRunListItemForApi),
+    total: result.total,
+    offset: offset,
+    limit: limit,
+    next_offset: result.nextOffset
+  }));
+}
+
+/**
+ * Format a run template for API responses
+ * @param {Object} template - The template
+ * @returns {Object} Snake-case template
+ */
+function formatRunTemplateForApi(template) {
+  return {
+    template_id: template.templateId,
+    name: template.name,
+    instruction: template.instruction,
+    target_folder_id: template.targetFolderId,
+    cadence: template.cadence,
+    end_date: template.endDate,
+    enabled: template.enabled,
+    last_run_at: template.lastRunAt,
+    next_run_at: template.nextRunAt,
+    created_at: template.createdAt,
+    updated_at: template.updatedAt
+  };
+}
+
+/**
+ * Format a template history entry for API responses
+ * @param {Object} entry - History entry from getRunTemplateHistory
+ * @returns {Object} Snake-case entry
+ */
+function formatRunTemplateHistoryForApi(entry) {
+  return {
+    run_id: entry.runId,
+    started_at: entry.startedAt,
+    status: entry.status ? mapToApiStatus(entry.status) : null,
+    spreadsheet_url: entry.spreadsheetUrl,
+    error: entry.error
+  };
+}
+
+/**
+ * Handle the scheduled run template actions
+ * @param {Object} e - Event object from doGet/doPost
+ * @param {string} action - schedule_list, schedule_history, schedule_create, schedule_update or schedule_delete
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function handleApiSchedule(e, action) {
+  console.log(`[API] handleApiSchedule called: ${action}`);
+
+  const params = parseApiParams(e);
+  if (!params) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'INVALID_JSON',
+      message: 'Failed to parse request body as JSON'
+    }));
+  }
+
+  if (action !== 'schedule_list' && action !== 'schedule_create' && !params.template_id) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'MISSING_PARAMETER',
+      message: 'Required parameter "template_id" is missing'
+    }));
+  }
+
+  if (action !== 'schedule_list' && action !== 'schedule_create' && !loadRunTemplate(params.template_id)) {
+    return createJsonResponse(buildApiResponse(false, {
+      template_id: params.template_id
+    }, {
+      code: 'NOT_FOUND',
+      message: `Run template not found: ${params.template_id}`
+    }));
+  }
+
+  try {
+    switch (action) {
+      case 'schedule_list':
+        return createJsonResponse(buildApiResponse(true, {
+          templates: listRunTemplates().map(formatRunTemplateForApi)
+        }));
+
+      case 'schedule_history':
+        return createJsonResponse(buildApiResponse(true, {
+          template_id: params.template_id,
+          runs: getRunTemplateHistory(params.template_id).map(formatRunTemplateHistoryForApi)
+        }));
+
+      case 'schedule_create': {
+        if (!params.instruction) {
+          return createJsonResponse(buildApiResponse(false, {}, {
+            code: 'MISSING_PARAMETER',
+            message: 'Required parameter "instruction" is missing'
+          }));
+        }
+        if (!params.cadence) {
+          return createJsonResponse(buildApiResponse(false, {}, {
+            code: 'MISSING_PARAMETER',
+            message: 'Required parameter "cadence" is missing'
+          }));
+        }
+
+        const template = createRunTemplate({
+          name: params.name,
+          instruction: params.instruction,
+          targetFolderId: params.target_folder_id,
+          cadence: params.cadence,
+          endDate: params.end_date
+        });
+        return createJsonResponse(buildApiResponse(true, formatRunTemplateForApi(template)));
+      }
+
+      case 'schedule_update': {
+        const template = updateRunTemplate(params.template_id, {
+          name: params.name,
+          instruction: params.instruction,
+          targetFolderId: params.target_folder_id,
+          cadence: params.cadence,
+          endDate: params.end_date,
+          enabled: params.enabled
+        });
+        return createJsonResponse(buildApiResponse(true, formatRunTemplateForApi(template)));
+      }
+
+      case 'schedule_delete':
+        deleteRunTemplate(params.template_id);
+        return createJsonResponse(buildApiResponse(true, {
+          template_id: params.template_id,
+          message: 'Run template deleted'
+        }));
+    }
+  } catch (error) {
+    console.error(`[API] Error in ${action}:`, error);
+    return createJsonResponse(buildApiResponse(false, {
+      template_id: params.template_id || null
+    }, {
+      code: 'INVALID_SCHEDULE',
+      message: error.message
+    }));
+  }
+}
+
+/**
+ * Handle API usage request: the calling key's consumption and limits
+ * Optional parameter: days (default 7).
+ * @param {Object} e - Event object from doGet/doPost
+ * @param {string|null} keyId - API key that authenticated the request
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function handleApiUsage(e, keyId) {
+  console.log('[API] handleApiUsage called');
+
+  if (!keyId) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'INVALID_STATE',
+      message: 'Usage is tracked per API key; no API key or secret is configured'
+    }));
+  }
+
+  const usage = getApiUsage(keyId, parseInt(e.parameter?.days, 10) || 7);
+  const today = usage.days[0];
+  const remaining = (max, used) => max > 0 ? Math.max(max - used, 0) : null;
+
+  return createJsonResponse(buildApiResponse(true, {
+    key_id: keyId,
+    limits: {
+      requests_per_minute: usage.limits.requestsPerMinute || null,
+      runs_per_day: usage.limits.runsPerDay || null,
+      posts_per_day: usage.limits.postsPerDay || null,
+      calls_per_day: usage.limits.callsPerDay || null
+    },
+    remaining_today: {
+      runs: remaining(usage.limits.runsPerDay, today.runs),
+      posts: remaining(usage.limits.postsPerDay, today.posts),
+      calls: remaining(usage.limits.callsPerDay, getTotalUsageCalls(today))
+    },
+    days: usage.days.map(day => ({
+      date: `${day.day.substring(0, 4)}-${day.day.substring(4, 6)}-${day.day.substring(6, 8)}`,
+      requests: day.requests,
+      runs: day.runs,
+      posts: day.posts,
+      calls: day.calls,
+      total_calls: getTotalUsageCalls(day)
+    }))
+  }));
+}
+
+/**
+ * Handle API openapi request: the OpenAPI description of a version
+ * Served without authentication so tools can import it.
+ * @param {string} version - An API_VERSIONS value
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response (the bare document)
+ */
+function handleApiOpenApi(version) {
+  console.log(`[API] handleApiOpenApi called: ${version}`);
+  return createJsonResponse(buildOpenApiDocument(version));
 }
 
 /**
@@ -222,29 +1218,142 @@ function handleApiStatus(e) {
 function handleApiUnknown(action) {
   return createJsonResponse(buildApiResponse(false, {}, {
     code: 'UNKNOWN_ACTION',
-    message: `Unknown action: ${action}. Valid actions: start, status`
+    message: `Unknown action: ${action}. Valid actions: ${Object.keys(API_ACTION_SCOPES).concat('openapi').join(', ')}`
   }));
 }
 
+/**
+ * Read the API version and action from the request path and parameters
+ * Path forms: /exec/v2, /exec/v2/start, /exec/start (the action parameter wins).
+ * @param {Object} e - Event object from doGet/doPost
+ * @returns {Object} { version, action } (action is null for UI requests)
+ */
+function parseApiRoute(e) {
+  const segments = String(e.pathInfo || '').split('/').filter(Boolean);
+  let version = e.parameter?.api_version || null;
+  if (segments.length > 0 && /^v\d+$/i.test(segments[0])) {
+    version = segments.shift();
+  }
+
+  return {
+    version: version ? String(version).toLowerCase() : API_VERSION,
+    action: e.parameter?.action || segments[0] || null
+  };
+}
+
 /**
  * Route API request to appropriate handler
  * @param {Object} e - Event object from doGet/doPost
  * @returns {GoogleAppsScript.Content.TextOutput} Response (HTML or JSON)
  */
 function routeApiRequest(e) {
-  const action = e.parameter?.action;
+  const route = parseApiRoute(e);
 
-  if (!action) {
+  if (!route.action) {
     // No action = UI mode, return HTML
     return null;
   }
 
-  switch (action.toLowerCase()) {
+  if (!API_VERSIONS.includes(route.version)) {
+    return createJsonResponse(buildApiResponse(false, {}, {
+      code: 'UNSUPPORTED_VERSION',
+      message: `Unknown API version: ${route.version}. Supported versions: ${API_VERSIONS.join(', ')}`
+    }));
+  }
+
+  activeApiVersion = route.version;
+  try {
+    return routeVersionedApiRequest(e, route.action);
+  } finally {
+    activeApiVersion = null;
+  }
+}
+
+/**
+ * Authenticate, rate-limit and dispatch an API action
+ * @param {Object} e - Event object from doGet/doPost
+ * @param {string} action - The requested action
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function routeVersionedApiRequest(e, action) {
+  const normalizedAction = action.toLowerCase();
+  if (normalizedAction === 'openapi') {
+    return handleApiOpenApi(activeApiVersion);
+  }
+
+  if (!API_ACTION_SCOPES[normalizedAction]) {
+    return handleApiUnknown(action);
+  }
+
+  // Every action is authenticated here: signed API key (with scope) or the legacy secret
+  const auth = authenticateApiRequest(e, normalizedAction);
+  if (!auth.ok) {
+    console.log(`[API] Rejected ${normalizedAction}: ${auth.error.message}`);
+    return createJsonResponse(buildApiResponse(false, {}, auth.error));
+  }
+
+  // Requests without a key (no secret configured) are neither limited nor metered
+  if (!auth.keyId) {
+    return dispatchApiRequest(e, normalizedAction, auth.keyId);
+  }
+
+  setActiveUsageKey(auth.keyId);
+  try {
+    const usage = checkApiUsageLimits(auth.keyId, normalizedAction);
+    if (!usage.ok) {
+      console.log(`[API] Rate limited ${normalizedAction}: ${usage.error.message}`);
+      return createJsonResponse(buildApiResponse(false, {}, usage.error));
+    }
+    return dispatchApiRequest(e, normalizedAction, auth.keyId);
+  } finally {
+    flushApiUsage();
+    setActiveUsageKey(null);
+  }
+}
+
+/**
+ * Call the handler for an authenticated API action
+ * @param {Object} e - Event object from doGet/doPost
+ * @param {string} normalizedAction - The action (lowercase)
+ * @param {string|null} keyId - API key that authenticated the request
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function dispatchApiRequest(e, normalizedAction, keyId) {
+  switch (normalizedAction) {
     case 'start':
-      return handleApiStart(e);
+      return handleApiStart(e, false, keyId);
+    case 'start_with_plan':
+      return handleApiStart(e, true, keyId);
+    case 'start_batch':
+      return handleApiStartBatch(e, keyId);
+    case 'batch_status':
+      return handleApiBatchStatus(e);
+    case 'plan':
+      return handleApiPlan(e);
     case 'status':
       return handleApiStatus(e);
+    case 'list':
+      return handleApiList(e);
+    case 'events':
+      return handleApiEvents(e);
+    case 'changes':
+      return handleApiChanges(e);
+    case 'usage':
+      return handleApiUsage(e, keyId);
+    case 'pause':
+    case 'resume':
+      return handleApiPauseResume(e, normalizedAction);
+    case 'cancel':
+    case 'retry':
+    case 'delete':
+      return handleApiRunCommand(e, normalizedAction);
+    case 'schedule_list':
+    case 'schedule_history':
+    case 'schedule_create':
+    case 'schedule_update':
+    case 'schedule_delete':
+      return handleApiSchedule(e, normalizedAction);
     default:
-      return handleApiUnknown(action);
+      return handleApiUnknown(normalizedAction);
   }
 }
@@ -0,0 +1,383 @@
+/**
+ * ApiKeys.js
+ * Named, scoped API keys and HMAC request signing for the Web App API
+ *
+ * Each key has an ID, a secret and a set of scopes, and is stored as an
+ * API_KEY_<keyId> Script Property. Requests made with a key are signed:
+ *
+ *   key_id, timestamp (Unix seconds), nonce and signature query parameters
+ *   signature = hex HMAC-SHA256(secret, "<timestamp>.<nonce>.<action>.<payload>")
+ *
+ * payload is the raw POST body, or for GET the remaining query parameters
+ * (all except key_id, timestamp, nonce, signature and action) sorted by name
+ * and joined as "name=value&...". The secret itself never travels with the request.
+ *
+ * Replay protection: timestamps older or newer than API_SIGNATURE_MAX_AGE_S
+ * are rejected first, and each nonce is accepted once per key within that
+ * window. Nonces live in CacheService, which may evict them early, so nonce
+ * checks are best-effort; the signed timestamp window is the hard bound on
+ * how long a captured request can be replayed.
+ *
+ * The single CLIPPULSE_API_SECRET (`secret` field of the POST body, or query
+ * parameter with CLIPPULSE_ALLOW_QUERY_SECRET = true) still works as a legacy
+ * key with every scope; delete the property to turn it off.
+ *
+ * Manage keys from the Apps Script editor: createApiKey(), revokeApiKey(), listApiKeys(),
+ * setApiKeyLimits() (usage limits, see Usage.js).
+ */
+
+/**
+ * Script Property prefix for API keys
+ */
+const API_KEY_PREFIX = 'API_KEY_';
+
+/**
+ * Script Property prefix for a key's last-used time, kept apart from the key
+ * so recording it never writes back a stale copy of a revoked or changed key
+ */
+const API_KEY_LAST_USED_PREFIX = 'API_LAST_USED_';
+
+/**
+ * Scopes an API key can hold ('*' grants every scope)
+ */
+const API_SCOPES = ['start', 'status', 'cancel', 'export'];
+
+/**
+ * Scope required by each API action
+ */
+const API_ACTION_SCOPES = {
+  start: 'start',
+  start_with_plan: 'start',
+  start_batch: 'start',
+  plan: 'start',
+  schedule_create: 'start',
+  schedule_update: 'start',
+  schedule_delete: 'start',
+  status: 'status',
+  batch_status: 'status',
+  list: 'status',
+  schedule_list: 'status',
+  schedule_history: 'status',
+  pause: 'cancel',
+  resume: 'cancel',
+  cancel: 'cancel',
+  retry: 'cancel',
+  delete: 'cancel',
+  events: 'export',
+  changes: 'status',
+  usage: 'status'
+};
+
+/**
+ * Maximum age (and clock skew) of a signed request's timestamp
+ */
+const API_SIGNATURE_MAX_AGE_S = 300;
+
+/**
+ * How long a signed request waits for the nonce lock (ms)
+ */
+const API_NONCE_LOCK_TIMEOUT_MS = 3000;
+
+/**
+ * Key ID recorded for requests authenticated with CLIPPULSE_API_SECRET
+ */
+const LEGACY_API_KEY_ID = 'legacy';
+
+/**
+ * Create an API key
+ * Run from the Apps Script editor; the secret is only shown once.
+ * @param {string} name - Who or what uses the key, e.g. 'n8n reporting'
+ * @param {string[]} [scopes] - Subset of API_SCOPES, or ['*'] for all
+ * @returns {Object} { keyId, secret, scopes }
+ */
+function createApiKey(name, scopes = ['status']) {
+  if (!name) {
+    throw new Error('API key name is required');
+  }
+
+  const unknown = scopes.filter(scope => scope !== '*' && !API_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown API scopes: ${unknown.join(', ')}. Valid scopes: ${API_SCOPES.join(', ')}, *`);
+  }
+
+  const keyId = `ck_${Utilities.getUuid().replace(/-/g, '').substring(0, 12)}`;
+  const secret = Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+
+  saveApiKey({
+    keyId: keyId,
+    name: name,
+    secret: secret,
+    scopes: scopes,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  });
+
+  console.log(`Created API key ${keyId} (${name}) with scopes: ${scopes.join(', ')}`);
+  console.log(`Secret (store it now, it is not shown again): ${secret}`);
+
+  return { keyId: keyId, secret: secret, scopes: scopes };
+}
+
+/**
+ * Revoke an API key; requests signed with it are rejected from now on
+ * @param {string} keyId - The key ID
+ */
+function revokeApiKey(keyId) {
+  const key = loadApiKey(keyId);
+  if (!key) {
+    throw new Error(`API key not found: ${keyId}`);
+  }
+
+  key.revokedAt = new Date().toISOString();
+  saveApiKey(key);
+  console.log(`Revoked API key ${keyId} (${key.name})`);
+}
+
+/**
+ * Set an API key's own usage limits, overriding the API_LIMIT_* Script Properties
+ * @param {string} keyId - The key ID
+ * @param {Object|null} limits - Any of requestsPerMinute, runsPerDay, postsPerDay,
+ *   callsPerDay (0 = unlimited); null reverts to the global limits
+ */
+function setApiKeyLimits(keyId, limits) {
+  const key = loadApiKey(keyId);
+  if (!key) {
+    throw new Error(`API key not found: ${keyId}`);
+  }
+
+  const allowed = ['requestsPerMinute', 'runsPerDay', 'postsPerDay', 'callsPerDay'];
+  const unknown = Object.keys(limits || {}).filter(name => !allowed.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown limits: ${unknown.join(', ')}. Valid limits: ${allowed.join(', ')}`);
+  }
+
+  key.limits = limits || null;
+  saveApiKey(key);
+  console.log(`Limits for API key ${keyId}: ${limits ? JSON.stringify(limits) : 'global defaults'}`);
+}
+
+/**
+ * List API keys without their secrets
+ * @returns {Object[]} Keys with keyId, name, scopes, limits, createdAt, revokedAt, lastUsedAt
+ */
+function listApiKeys() {
+  const props = PropertiesService.getScriptProperties().getProperties();
+  const keys = Object.keys(props)
+    .filter(property => property.startsWith(API_KEY_PREFIX))
+    .map(property => {
+      const { secret, ...key } = JSON.parse(props[property]);
+      key.lastUsedAt = props[`${API_KEY_LAST_USED_PREFIX}${key.keyId}`] || key.lastUsedAt || null;
+      return key;
+    });
+
+  keys.forEach(key => console.log(
+    `${key.keyId} (${key.name}) scopes=${key.scopes.join(',')} ${key.revokedAt ? `REVOKED ${key.revokedAt}` : 'active'}` +
+    ` last used ${key.lastUsedAt || 'never'}`));
+
+  return keys;
+}
+
+/**
+ * Load an API key
+ * @param {string} keyId - The key ID
+ * @returns {Object|null} The key, or null if unknown
+ */
+function loadApiKey(keyId) {
+  const data = PropertiesService.getScriptProperties().getProperty(`${API_KEY_PREFIX}${keyId}`);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Save an API key
+ * @param {Object} key - The key
+ */
+function saveApiKey(key) {
+  PropertiesService.getScriptProperties().setProperty(`${API_KEY_PREFIX}${key.keyId}`, JSON.stringify(key));
+}
+
+/**
+ * Check whether any API key has been created
+ * @returns {boolean}
+ */
+function hasApiKeys() {
+  return Object.keys(PropertiesService.getScriptProperties().getProperties())
+    .some(property => property.startsWith(API_KEY_PREFIX));
+}
+
+/**
+ * Authenticate and authorize an API request
+ * @param {Object} e - Event object from doGet/doPost
+ * @param {string} action - The requested action (lowercase)
+ * @returns {Object} { ok, keyId } or { ok: false, error } with an API error object
+ */
+function authenticateApiRequest(e, action) {
+  const params = e.parameter || {};
+
+  if (params.key_id) {
+    return authenticateSignedRequest(e, action);
+  }
+
+  if (validateApiSecret(e)) {
+    const legacySecret = getConfig(CONFIG_KEYS.CLIPPULSE_API_SECRET);
+    if (legacySecret || !hasApiKeys()) {
+      return { ok: true, keyId: legacySecret ? LEGACY_API_KEY_ID : null };
+    }
+  }
+
+  return {
+    ok: false,
+    error: { code: 'UNAUTHORIZED', message: 'Invalid or missing API credentials' }
+  };
+}
+
+/**
+ * Verify a request signed with an API key
+ * @param {Object} e - Event object from doGet/doPost
+ * @param {string} action - The requested action (lowercase)
+ * @returns {Object} { ok, keyId } or { ok: false, error }
+ */
+function authenticateSignedRequest(e, action) {
+  const params = e.parameter;
+  const unauthorized = message => ({ ok: false, error: { code: 'UNAUTHORIZED', message: message } });
+
+  const key = loadApiKey(params.key_id);
+  if (!key) {
+    return unauthorized(`Unknown API key: ${params.key_id}`);
+  }
+  if (key.revokedAt) {
+    return unauthorized(`API key ${key.keyId} was revoked`);
+  }
+
+  if (!params.timestamp || !params.nonce || !params.signature) {
+    return unauthorized('Signed requests need timestamp, nonce and signature parameters');
+  }
+
+  const skew = Math.abs(Date.now() / 1000 - Number(params.timestamp));
+  if (isNaN(skew) || skew > API_SIGNATURE_MAX_AGE_S) {
+    return unauthorized(`Request timestamp is outside the ${API_SIGNATURE_MAX_AGE_S}s window`);
+  }
+
+  const expected = signApiRequest(key.secret, params.timestamp, params.nonce, action, getSignedPayload(e));
+  if (!constantTimeEquals(expected, String(params.signature).toLowerCase())) {
+    return unauthorized('Invalid request signature');
+  }
+
+  // Checked after the signature so unsigned requests cannot burn nonces
+  const claimed = claimApiNonce(key.keyId, params.nonce);
+  if (claimed === null) {
+    return unauthorized('Could not check the request nonce; retry with a new nonce');
+  }
+  if (!claimed) {
+    return unauthorized('Nonce was already used (replayed request)');
+  }
+
+  const scope = API_ACTION_SCOPES[action];
+  if (scope && !key.scopes.includes('*') && !key.scopes.includes(scope)) {
+    return {
+      ok: false,
+      error: { code: 'FORBIDDEN', message: `API key ${key.keyId} lacks the "${scope}" scope needed for ${action}` }
+    };
+  }
+
+  touchApiKey(key);
+  return { ok: true, keyId: key.keyId };
+}
+
+/**
+ * Build the payload part of a request signature
+ * @param {Object} e - Event object from doGet/doPost
+ * @returns {string} Raw POST body, or canonical query string for GET
+ */
+function getSignedPayload(e) {
+  if (e.postData && e.postData.contents) {
+    return e.postData.contents;
+  }
+
+  const excluded = ['key_id', 'timestamp', 'nonce', 'signature', 'action'];
+  return Object.keys(e.parameter || {})
+    .filter(name => !excluded.includes(name))
+    .sort()
+    .map(name => `${name}=${e.parameter[name]}`)
+    .join('&');
+}
+
+/**
+ * Compute a request signature
+ * @param {string} secret - The API key secret
+ * @param {string} timestamp - Unix time in seconds
+ * @param {string} nonce - Unique request ID
+ * @param {string} action - The action
+ * @param {string} payload - Result of getSignedPayload
+ * @returns {string} Lowercase hex HMAC-SHA256
+ */
+function signApiRequest(secret, timestamp, nonce, action, payload) {
+  const bytes = Utilities.computeHmacSha256Signature(`${timestamp}.${nonce}.${action}.${payload}`, secret);
+  return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare two strings without leaking where they differ
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Record a nonce; fails if the key already used it within the replay window
+ *
+ * The get and put run under a lock so two concurrent requests cannot both
+ * claim the same nonce. The entry outlives the whole +/- timestamp window.
+ * @param {string} keyId - The key ID
+ * @param {string} nonce - The request nonce
+ * @returns {boolean|null} True if the nonce is new, false if it was used, null if the lock was busy
+ */
+function claimApiNonce(keyId, nonce) {
+  if (String(nonce).length > 64) {
+    return false;
+  }
+
+  const lock = LockService.getUserLock();
+  if (!lock.tryLock(API_NONCE_LOCK_TIMEOUT_MS)) {
+    return null;
+  }
+
+  try {
+    const cache = CacheService.getScriptCache();
+    const cacheKey = `API_NONCE_${keyId}_${nonce}`;
+    if (cache.get(cacheKey)) {
+      return false;
+    }
+
+    cache.put(cacheKey, '1', API_SIGNATURE_MAX_AGE_S * 2);
+    return true;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Update a key's last-used time (at most once a minute)
+ * @param {Object} key - The key
+ */
+function touchApiKey(key) {
+  const props = PropertiesService.getScriptProperties();
+  const property = `${API_KEY_LAST_USED_PREFIX}${key.keyId}`;
+  const now = Date.now();
+  const lastUsedAt = props.getProperty(property);
+  if (lastUsedAt && now - new Date(lastUsedAt).getTime() < 60 * 1000) {
+    return;
+  }
+
+  props.setProperty(property, new Date(now).toISOString());
+}
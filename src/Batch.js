@@ -0,0 +1,646 @@
+/**
+ * Batch.js
+ * Batches: many runs started from one API request
+ *
+ * start_batch stores a batch (RUN_BATCH_<batchId>, chunked Script Properties)
+ * listing its members: one instruction each, with its own external run ID,
+ * merged over the batch's shared defaults. The request only queues the
+ * members; the startPendingBatchRuns trigger starts them one after another
+ * through startRun(), and from there they go through the run queue like any
+ * other run (MAX_CONCURRENT_RUNS at a time).
+ *
+ * Member start states: pending → starting → started, or failed when startRun
+ * throws (e.g. CONFLICT on a reused external run ID). A member left 'starting'
+ * by an execution that died is claimed again after BATCH_START_LEASE_MS;
+ * startRun returns the run it already created for the same request.
+ *
+ * With combined_spreadsheet, the batch owns one extra spreadsheet. Each
+ * member copies its Instagram and X tabs into it when it finalizes, so the
+ * combined spreadsheet ends up with one tab pair per instruction.
+ *
+ * Once every member has finished (completed, failed, or could not start), the
+ * batch moves from Script Properties to ClipPulse/state/batches/<batchId>.json
+ * in Drive, where batch_status still finds it. When the last of its runs is
+ * deleted (delete action or cleanup), the batch is deleted too.
+ */
+
+/**
+ * Storage key prefix for batches
+ */
+const RUN_BATCH_PREFIX = 'RUN_BATCH_';
+
+/**
+ * Storage key prefix for batch chunks
+ */
+const RUN_BATCH_CHUNK_PREFIX = 'RUN_BATCHCHUNK_';
+
+/**
+ * Script Property listing batches that still have members to start
+ */
+const RUN_BATCH_PENDING_KEY = 'RUN_BATCHES_PENDING';
+
+/**
+ * Maximum runs in one batch
+ */
+const MAX_BATCH_RUNS = 50;
+
+/**
+ * Trigger handler that starts queued batch members
+ */
+const BATCH_HANDLER = 'startPendingBatchRuns';
+
+/**
+ * Time one trigger execution spends starting members before it hands over to the next
+ */
+const BATCH_START_BUDGET_MS = 4 * 60 * 1000;
+
+/**
+ * A member claimed longer ago than this without being started is claimed again
+ */
+const BATCH_START_LEASE_MS = 6 * 60 * 1000;
+
+/**
+ * Member start states
+ */
+const BATCH_MEMBER_STATUS = {
+  PENDING: 'pending',
+  STARTING: 'starting',
+  STARTED: 'started',
+  FAILED: 'failed'
+};
+
+/**
+ * Tabs copied from each member's spreadsheet into the combined spreadsheet
+ */
+const BATCH_COMBINED_TABS = ['Instagram', 'X'];
+
+/**
+ * Drive folder (under the state folder) holding finished batches
+ */
+const BATCH_ARCHIVE_FOLDER_NAME = 'batches';
+
+// ============================================================
+// Batch storage
+// ============================================================
+
+/**
+ * Get the storage key for a batch
+ * @param {string} batchId - The batch ID
+ * @returns {string} The storage key
+ */
+function getRunBatchKey(batchId) {
+  return `${RUN_BATCH_PREFIX}${batchId}`;
+}
+
+/**
+ * Save a batch
+ * @param {Object} batch - The batch
+ */
+function saveRunBatch(batch) {
+  batch.updatedAt = new Date().toISOString();
+  writeChunkedProperty(getRunBatchKey(batch.batchId), `${RUN_BATCH_CHUNK_PREFIX}${batch.batchId}`,
+    JSON.stringify(batch));
+}
+
+/**
+ * Load a batch
+ * Finished batches are read from the Drive archive.
+ * @param {string} batchId - The batch ID
+ * @returns {Object|null} The batch, or null if unknown
+ */
+function loadRunBatch(batchId) {
+  const json = readChunkedProperty(getRunBatchKey(batchId), `${RUN_BATCH_CHUNK_PREFIX}${batchId}`);
+  if (json) {
+    return JSON.parse(json);
+  }
+
+  const files = getBatchArchiveFolder().getFilesByName(`${batchId}.json`);
+  return files.hasNext() ? JSON.parse(files.next().getBlob().getDataAsString()) : null;
+}
+
+/**
+ * Get the Drive folder holding finished batches
+ * @returns {Folder} ClipPulse/state/batches
+ */
+function getBatchArchiveFolder() {
+  return getOrCreateSubfolder(getStateFolder(), BATCH_ARCHIVE_FOLDER_NAME);
+}
+
+/**
+ * Load, mutate and save a batch under the run state lock
+ * @param {string} batchId - The batch ID
+ * @param {function} mutator - Receives the loaded batch and changes it in place
+ * @returns {*} The mutator result (undefined if the batch is gone)
+ */
+function updateRunBatch(batchId, mutator) {
+  return withRunStateLock(batchId, () => {
+    const batch = loadRunBatch(batchId);
+    if (!batch) {
+      return undefined;
+    }
+    const result = mutator(batch);
+    saveRunBatch(batch);
+    return result;
+  });
+}
+
+/**
+ * Read the IDs of batches with members left to start
+ * @returns {string[]} Batch IDs
+ */
+function loadPendingBatchIds() {
+  const data = PropertiesService.getScriptProperties().getProperty(RUN_BATCH_PENDING_KEY);
+  return data ? JSON.parse(data) : [];
+}
+
+/**
+ * Write the IDs of batches with members left to start
+ * @param {string[]} batchIds - Batch IDs
+ */
+function savePendingBatchIds(batchIds) {
+  const props = PropertiesService.getScriptProperties();
+  if (batchIds.length === 0) {
+    props.deleteProperty(RUN_BATCH_PENDING_KEY);
+  } else {
+    props.setProperty(RUN_BATCH_PENDING_KEY, JSON.stringify(batchIds));
+  }
+}
+
+/**
+ * Count members of a key's batches that have not started yet
+ * @param {string} apiKeyId - The API key ID
+ * @returns {number} Members pending or being started
+ */
+function countPendingBatchRuns(apiKeyId) {
+  return loadPendingBatchIds()
+    .map(batchId => loadRunBatch(batchId))
+    .filter(batch => batch && batch.apiKeyId === apiKeyId)
+    .reduce((count, batch) => count + batch.members.filter(member =>
+      member.status === BATCH_MEMBER_STATUS.PENDING || member.status === BATCH_MEMBER_STATUS.STARTING).length, 0);
+}
+
+// ============================================================
+// Creating batches
+// ============================================================
+
+/**
+ * Create a batch and queue its members
+ * @param {Object[]} members - One entry per run: { externalRunId, instruction, options }
+ *   where options are startRun() options (targetFolderId, plan, planOverrides, callbackUrl, llmProvider)
+ * @param {Object} [options] - Batch options
+ * @param {boolean} [options.combinedSpreadsheet] - Also collect every member's tabs into one spreadsheet
+ * @param {string} [options.targetFolderId] - Folder for the combined spreadsheet
+ * @param {string} [options.apiKeyId] - API key that created the batch (members are started with it)
+ * @returns {Object} The stored batch
+ */
+function createRunBatch(members, options = {}) {
+  if (members.length === 0 || members.length > MAX_BATCH_RUNS) {
+    throw new Error(`A batch needs 1 to ${MAX_BATCH_RUNS} runs`);
+  }
+
+  const batchId = `batch_${generateRunId()}`;
+  const batch = {
+    batchId: batchId,
+    apiKeyId: options.apiKeyId || null,
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    combinedSpreadsheetId: null,
+    combinedSpreadsheetUrl: null,
+    members: members.map((member, index) => ({
+      index: index,
+      runId: member.externalRunId,
+      instruction: member.instruction,
+      options: member.options,
+      tabPrefix: buildBatchTabPrefix(index, member.externalRunId),
+      status: BATCH_MEMBER_STATUS.PENDING,
+      claimedAt: null,
+      startedAt: null,
+      copiedAt: null,
+      error: null
+    }))
+  };
+
+  if (options.combinedSpreadsheet) {
+    const spreadsheet = createBatchSpreadsheet(batch, options.targetFolderId);
+    batch.combinedSpreadsheetId = spreadsheet.spreadsheetId;
+    batch.combinedSpreadsheetUrl = spreadsheet.spreadsheetUrl;
+  }
+
+  saveRunBatch(batch);
+  withRunStateLock(RUN_BATCH_PENDING_KEY, () => {
+    savePendingBatchIds(loadPendingBatchIds().concat(batchId));
+  });
+  ensureBatchStartTrigger();
+
+  console.log(`Created batch ${batchId} with ${members.length} run(s)`);
+  return batch;
+}
+
+/**
+ * Build the tab name prefix of a member in the combined spreadsheet
+ * @param {number} index - Member index (0-based)
+ * @param {string} externalRunId - The member's external run ID
+ * @returns {string} e.g. "3 brand_c" (sheet names are limited to 100 characters)
+ */
+function buildBatchTabPrefix(index, externalRunId) {
+  return `${index + 1} ${externalRunId}`.substring(0, 80);
+}
+
+/**
+ * Create a batch's combined spreadsheet
+ * It starts with a Runs tab listing the members and the tabs each will fill.
+ * @param {Object} batch - The batch (members already set)
+ * @param {string} [targetFolderId] - Folder to put it in (defaults to <root>/batches)
+ * @returns {Object} { spreadsheetId, spreadsheetUrl }
+ */
+function createBatchSpreadsheet(batch, targetFolderId = null) {
+  const spreadsheet = SpreadsheetApp.create(`ClipPulse_${batch.batchId}`);
+  const columns = ['index', 'external_run_id', 'instruction', 'instagram_tab', 'x_tab'];
+
+  const sheet = spreadsheet.getSheets()[0];
+  sheet.setName('Runs');
+  writeHeaders(sheet, columns);
+  formatHeaderRow(sheet, columns.length);
+  sheet.getRange(2, 1, batch.members.length, columns.length).setValues(batch.members.map(member => [
+    member.index + 1,
+    member.runId,
+    member.instruction,
+    `${member.tabPrefix} Instagram`,
+    `${member.tabPrefix} X`
+  ]));
+
+  const folderId = targetFolderId || getOrCreateSubfolder(getRootFolder(), 'batches').getId();
+  moveSpreadsheetToRunFolder(spreadsheet.getId(), folderId);
+
+  return {
+    spreadsheetId: spreadsheet.getId(),
+    spreadsheetUrl: spreadsheet.getUrl()
+  };
+}
+
+// ============================================================
+// Starting members
+// ============================================================
+
+/**
+ * Make sure a startPendingBatchRuns trigger is pending
+ */
+function ensureBatchStartTrigger() {
+  const pending = ScriptApp.getProjectTriggers()
+    .some(trigger => trigger.getHandlerFunction() === BATCH_HANDLER);
+  if (!pending) {
+    ScriptApp.newTrigger(BATCH_HANDLER)
+      .timeBased()
+      .after(1000)
+      .create();
+  }
+}
+
+/**
+ * Start queued batch members (called by trigger)
+ * Starts members until BATCH_START_BUDGET_MS is used up, then hands the rest
+ * to a new trigger.
+ */
+function startPendingBatchRuns() {
+  const startTime = Date.now();
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === BATCH_HANDLER)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+  try {
+    let next = null;
+    while (Date.now() - startTime < BATCH_START_BUDGET_MS && (next = claimNextBatchMember())) {
+      startBatchMember(next.batchId, next.member);
+    }
+  } finally {
+    flushApiUsage();
+  }
+
+  if (loadPendingBatchIds().length > 0) {
+    ensureBatchStartTrigger();
+  }
+}
+
+/**
+ * Claim the next member waiting to be started
+ * Batches with nothing left to start are dropped from the pending list.
+ * @returns {Object|null} { batchId, member }, or null when nothing is waiting
+ */
+function claimNextBatchMember() {
+  return withRunStateLock(RUN_BATCH_PENDING_KEY, () => {
+    const batchIds = loadPendingBatchIds();
+    const now = Date.now();
+    const remaining = [];
+    let claimed = null;
+
+    batchIds.forEach(batchId => {
+      if (claimed) {
+        remaining.push(batchId);
+        return;
+      }
+      const batch = loadRunBatch(batchId);
+      if (!batch) {
+        return;
+      }
+
+      const member = batch.members.find(candidate => candidate.status === BATCH_MEMBER_STATUS.PENDING ||
+        (candidate.status === BATCH_MEMBER_STATUS.STARTING &&
+          now - new Date(candidate.claimedAt).getTime() > BATCH_START_LEASE_MS));
+      if (member) {
+        member.status = BATCH_MEMBER_STATUS.STARTING;
+        member.claimedAt = new Date(now).toISOString();
+        saveRunBatch(batch);
+        claimed = { batchId: batchId, member: member };
+      }
+
+      // Keep the batch listed while members are still being started elsewhere
+      if (member || batch.members.some(candidate => candidate.status === BATCH_MEMBER_STATUS.STARTING)) {
+        remaining.push(batchId);
+      }
+    });
+
+    if (remaining.length !== batchIds.length) {
+      savePendingBatchIds(remaining);
+    }
+    return claimed;
+  });
+}
+
+/**
+ * Start one batch member and record the outcome on the batch
+ * @param {string} batchId - The batch ID
+ * @param {Object} member - The claimed member
+ */
+function startBatchMember(batchId, member) {
+  const batch = loadRunBatch(batchId);
+  let outcome;
+
+  try {
+    if (!batch) {
+      throw new Error(`Batch not found: ${batchId}`);
+    }
+    const result = startRun(member.instruction, {
+      ...member.options,
+      externalRunId: member.runId,
+      source: 'api',
+      batchId: batchId,
+      apiKeyId: batch.apiKeyId
+    });
+    outcome = { status: BATCH_MEMBER_STATUS.STARTED, error: null };
+    console.log(`Batch ${batchId}: started ${result.runId}`);
+  } catch (e) {
+    console.error(`Batch ${batchId}: could not start ${member.runId}:`, e);
+    outcome = {
+      status: BATCH_MEMBER_STATUS.FAILED,
+      error: { code: e.code === 'CONFLICT' ? 'CONFLICT' : 'START_FAILED', message: e.message }
+    };
+  }
+
+  updateRunBatch(batchId, current => {
+    const stored = current.members[member.index];
+    stored.status = outcome.status;
+    stored.error = outcome.error;
+    stored.startedAt = new Date().toISOString();
+  });
+
+  if (outcome.status === BATCH_MEMBER_STATUS.FAILED) {
+    archiveRunBatchIfFinished(batchId);
+  }
+}
+
+// ============================================================
+// Finished and deleted batches
+// ============================================================
+
+/**
+ * Move a batch to the Drive archive once every member has finished
+ * Called when a member run completes or fails, and when a member could not
+ * start. Never throws: the batch stays in Script Properties on failure.
+ * @param {string} batchId - The batch ID
+ * @returns {boolean} True if the batch was archived
+ */
+function archiveRunBatchIfFinished(batchId) {
+  try {
+    return withRunStateLock(batchId, () => {
+      const json = readChunkedProperty(getRunBatchKey(batchId), `${RUN_BATCH_CHUNK_PREFIX}${batchId}`);
+      if (!json) {
+        return false;
+      }
+
+      const batch = JSON.parse(json);
+      const finished = batch.members.every(member => {
+        if (member.status === BATCH_MEMBER_STATUS.FAILED) {
+          return true;
+        }
+        if (member.status !== BATCH_MEMBER_STATUS.STARTED) {
+          return false;
+        }
+        const state = loadRunState(member.runId);
+        return !state || state.status === RUN_STATUS.COMPLETED || state.status === RUN_STATUS.FAILED;
+      });
+      if (!finished) {
+        return false;
+      }
+
+      const folder = getBatchArchiveFolder();
+      const existing = folder.getFilesByName(`${batchId}.json`);
+      if (existing.hasNext()) {
+        existing.next().setContent(json);
+      } else {
+        folder.createFile(`${batchId}.json`, json, MimeType.PLAIN_TEXT);
+      }
+      removeChunkedProperty(getRunBatchKey(batchId), `${RUN_BATCH_CHUNK_PREFIX}${batchId}`);
+      console.log(`Batch ${batchId} finished; moved to Drive`);
+      return true;
+    });
+  } catch (e) {
+    console.error(`Failed to archive batch ${batchId}:`, e);
+    return false;
+  }
+}
+
+/**
+ * Delete a batch once none of its runs is left
+ * Called after one of its runs was deleted (delete action or cleanup). The
+ * batch is kept while members are still waiting to start or any member run
+ * still has a state.
+ * @param {string} batchId - The batch ID
+ * @param {boolean} [deleteFiles] - Also trash the combined spreadsheet
+ * @returns {boolean} True if the batch was deleted
+ */
+function deleteRunBatchIfEmpty(batchId, deleteFiles = false) {
+  const batch = loadRunBatch(batchId);
+  if (!batch) {
+    return false;
+  }
+
+  const remaining = batch.members.some(member =>
+    member.status === BATCH_MEMBER_STATUS.PENDING ||
+    member.status === BATCH_MEMBER_STATUS.STARTING ||
+    (member.status === BATCH_MEMBER_STATUS.STARTED && loadRunState(member.runId)));
+  if (remaining) {
+    return false;
+  }
+
+  removeChunkedProperty(getRunBatchKey(batchId), `${RUN_BATCH_CHUNK_PREFIX}${batchId}`);
+  const files = getBatchArchiveFolder().getFilesByName(`${batchId}.json`);
+  while (files.hasNext()) {
+    files.next().setTrashed(true);
+  }
+  withRunStateLock(RUN_BATCH_PENDING_KEY, () => {
+    savePendingBatchIds(loadPendingBatchIds().filter(id => id !== batchId));
+  });
+
+  if (deleteFiles && batch.combinedSpreadsheetId) {
+    try {
+      DriveApp.getFileById(batch.combinedSpreadsheetId).setTrashed(true);
+    } catch (e) {
+      console.error(`Could not trash the combined spreadsheet of ${batchId}:`, e);
+    }
+  }
+
+  console.log(`Deleted batch ${batchId} (no runs left)`);
+  return true;
+}
+
+// ============================================================
+// Combined spreadsheet
+// ============================================================
+
+/**
+ * Copy a finished member's tabs into its batch's combined spreadsheet
+ * Tabs from an earlier attempt (e.g. before a retry) are replaced. A failure
+ * here is logged but does not fail the run.
+ * @param {string} runId - The run ID
+ * @param {Object} state - The run state
+ */
+function copyRunToBatchSpreadsheet(runId, state) {
+  const batch = loadRunBatch(state.batchId);
+  const member = batch && batch.members.find(candidate => candidate.runId === runId);
+  if (!member || !batch.combinedSpreadsheetId) {
+    return;
+  }
+
+  try {
+    const source = SpreadsheetApp.openById(state.spreadsheetId);
+    const combined = SpreadsheetApp.openById(batch.combinedSpreadsheetId);
+
+    BATCH_COMBINED_TABS.forEach(tab => {
+      const sheet = source.getSheetByName(tab);
+      if (!sheet) {
+        return;
+      }
+      const name = `${member.tabPrefix} ${tab}`;
+      const previous = combined.getSheetByName(name);
+      if (previous) {
+        combined.deleteSheet(previous);
+      }
+      sheet.copyTo(combined).setName(name);
+    });
+
+    updateRunBatch(batch.batchId, current => {
+      current.members[member.index].copiedAt = new Date().toISOString();
+    });
+    logRunEvent(runId, RUN_EVENT_TYPE.INFO, `Copied tabs to the combined spreadsheet of ${batch.batchId}`,
+      { batchId: batch.batchId, tabPrefix: member.tabPrefix });
+  } catch (e) {
+    console.error(`Failed to copy ${runId} into ${batch.batchId}:`, e);
+    logRunEvent(runId, RUN_EVENT_TYPE.ERROR, `Could not copy tabs to the combined spreadsheet: ${e.message}`);
+  }
+}
+
+// ============================================================
+// Batch status
+// ============================================================
+
+/**
+ * Get the status of a batch for the API, aggregated over its member runs
+ * Batch status: queued (nothing started yet), running, completed, partial
+ * (finished, some members failed) or failed (every member failed).
+ * @param {string} batchId - The batch ID
+ * @returns {Object|null} Batch status, or null if the batch is unknown
+ */
+function getApiBatchStatus(batchId) {
+  const batch = loadRunBatch(batchId);
+  if (!batch) {
+    return null;
+  }
+
+  const counts = { pending: 0 };
+  Object.values(API_STATUS).forEach(status => {
+    counts[status] = 0;
+  });
+  const metrics = {};
+  PLATFORMS.forEach(platform => {
+    metrics[`${platform}_rows`] = 0;
+    metrics[`${platform}_target`] = 0;
+  });
+
+  const runs = batch.members.map(member => {
+    const started = member.status === BATCH_MEMBER_STATUS.STARTED;
+    const state = started ? loadRunState(member.runId) : null;
+    let status = BATCH_MEMBER_STATUS.PENDING;
+    let error = member.error;
+
+    if (state) {
+      status = mapToApiStatus(state.status);
+      error = state.lastError ? { code: 'RUN_ERROR', message: state.lastError } : null;
+      PLATFORMS.forEach(platform => {
+        const progress = state[getPlatformProgressKey(platform)] || {};
+        metrics[`${platform}_rows`] += progress.collected || 0;
+        metrics[`${platform}_target`] += progress.target || 0;
+      });
+    } else if (started) {
+      status = API_STATUS.FAILED;
+      error = { code: 'NOT_FOUND', message: `Run was deleted: ${member.runId}` };
+    } else if (member.status === BATCH_MEMBER_STATUS.FAILED) {
+      status = API_STATUS.FAILED;
+    }
+    counts[status]++;
+
+    return {
+      index: member.index,
+      run_id: member.runId,
+      instruction: member.instruction,
+      status: status,
+      spreadsheet_url: state ? state.spreadsheetUrl || null : null,
+      combined_tabs: member.copiedAt
+        ? BATCH_COMBINED_TABS.map(tab => `${member.tabPrefix} ${tab}`)
+        : null,
+      error: error
+    };
+  });
+
+  return {
+    batch_id: batch.batchId,
+    status: summarizeBatchStatus(counts, runs.length),
+    created_at: batch.createdAt,
+    updated_at: batch.updatedAt,
+    api_key_id: batch.apiKeyId,
+    total: runs.length,
+    counts: counts,
+    metrics: metrics,
+    combined_spreadsheet_id: batch.combinedSpreadsheetId,
+    combined_spreadsheet_url: batch.combinedSpreadsheetUrl,
+    runs: runs
+  };
+}
+
+/**
+ * Derive a batch's status from its member counts
+ * @param {Object} counts - Members per status (pending plus API_STATUS values)
+ * @param {number} total - Number of members
+ * @returns {string} 'queued', 'running', 'completed', 'partial' or 'failed'
+ */
+function summarizeBatchStatus(counts, total) {
+  if (counts.pending === total) {
+    return 'queued';
+  }
+  if (counts[API_STATUS.COMPLETED] + counts[API_STATUS.FAILED] < total) {
+    return 'running';
+  }
+  if (counts[API_STATUS.FAILED] === total) {
+    return 'failed';
+  }
+  return counts[API_STATUS.FAILED] > 0 ? 'partial' : 'completed';
+}
@@ -207,6 +207,52 @@ function testMockRun() {
   }
 }
 
+/**
+ * Get the LLM providers a run can be planned with (for the UI)
+ * @returns {Object[]} Configured providers ({ provider, label, model, isDefault })
+ */
+function getLlmProvidersForUi() {
+  return listLlmProviders()
+    .filter(provider => provider.configured)
+    .map(({ configured, ...provider }) => provider);
+}
+
+/**
+ * Get scheduled run templates with their recent runs (for the UI)
+ * @returns {Object[]} Templates with up to 5 history entries each
+ */
+function getRunTemplatesForUi() {
+  return listRunTemplates().map(template => ({
+    ...template,
+    history: getRunTemplateHistory(template.templateId).slice(0, 5)
+  }));
+}
+
+/**
+ * Get a run's timeline events (for the UI)
+ * @param {string} runId - The run ID
+ * @param {number} sinceSeq - Only events after this sequence number
+ * @returns {Object} { events, nextSeq, dropped }
+ */
+function getRunEventsForUi(runId, sinceSeq = 0) {
+  return getRunEvents(runId, { sinceSeq: sinceSeq });
+}
+
+/**
+ * Get what changed in a run since a sequence number (for UI polling)
+ * The run status is only included when something changed.
+ * @param {string} runId - The run ID
+ * @param {number} sinceSeq - nextSinceSeq from the previous poll
+ * @returns {Object} getRunChanges result with status (or null)
+ */
+function getRunChangesForUi(runId, sinceSeq = 0) {
+  const changes = getRunChanges(runId, sinceSeq);
+  return {
+    ...changes,
+    status: changes.changed || sinceSeq === 0 ? getRunStatus(runId) : null
+  };
+}
+
 /**
  * Clean up old runs and triggers
  * @param {number} keepCount - Number of recent runs to keep
@@ -216,8 +262,13 @@ function cleanup(keepCount = 50) {
   // Clean up old run states
   const deletedRuns = cleanupOldRunStates(keepCount);
 
-  // Clean up any orphaned triggers
-  cleanupTriggers();
+  // Drop queue entries for runs that no longer exist or have finished
+  pruneRunQueue();
+
+  // Clean up orphaned triggers, but keep them while queued runs still need them
+  if (getRunQueueLength() === 0) {
+    cleanupTriggers();
+  }
 
   return {
     success: true,
@@ -393,8 +444,11 @@ function checkStatus() {
 // ============================================================
 
 // startRun(instruction) - defined in Orchestrator.js
+// startRunWithPlan(instruction, plan) - defined in Orchestrator.js
 // getRunStatus(runId) - defined in Orchestrator.js
 // cancelRun(runId) - defined in Orchestrator.js
+// cloneRun(runId, overrides) - defined in Orchestrator.js
+// previewRun(instruction, plan) - defined in PlanPreview.js
 
 // ============================================================
 // Debug Test Functions for Instagram API
@@ -1210,3 +1264,460 @@ function checkRapidAPIKey() {
 
   return { exists, masked };
 }
+
+// ============================================================
+// Run State Locking Tests
+// ============================================================
+
+/**
+ * Script Property holding the concurrent writer test configuration
+ */
+const STATE_WRITER_TEST_KEY = 'STATE_WRITER_TEST';
+
+/**
+ * Sequential smoke test: interleaved writers against one run state in this execution
+ * Each writer records post IDs and bumps xProgress.collected. The unlocked
+ * writers load, pause for the other writers, then save - losing updates.
+ * The locked writers go through updateRunState, so a writer can only be
+ * interrupted between transactions and every update survives.
+ * The writers take turns in one execution, so they never compete for
+ * LockService; testConcurrentStateWriters() checks real contention.
+ * Run this in Apps Script editor
+ * @param {number} writerCount - Number of simulated writers
+ * @param {number} writesPerWriter - Updates made by each writer
+ * @returns {Object} Expected and actual counts for both modes
+ */
+function testSequentialStateWriters(writerCount = 3, writesPerWriter = 10) {
+  console.log('=== Sequential State Writers Smoke Test ===\n');
+
+  const expected = writerCount * writesPerWriter;
+
+  /**
+   * Writer that loads, yields to the others, then saves
+   */
+  function* unlockedWriter(runId, writer) {
+    for (let i = 0; i < writesPerWriter; i++) {
+      const state = loadRunState(runId);
+      yield;
+      state.xProgress.processedIds.push(`w${writer}_${i}`);
+      state.xProgress.collected++;
+      saveRunState(state);
+      yield;
+    }
+  }
+
+  /**
+   * Writer whose read-modify-write is one updateRunState transaction
+   */
+  function* lockedWriter(runId, writer) {
+    for (let i = 0; i < writesPerWriter; i++) {
+      updateRunState(runId, state => {
+        state.xProgress.processedIds.push(`w${writer}_${i}`);
+        state.xProgress.collected++;
+      });
+      yield;
+    }
+  }
+
+  /**
+   * Step every writer round-robin until all are done
+   */
+  function interleave(writerFactory) {
+    const runId = `locktest_${generateRunId()}`;
+    saveRunState(createRunState(runId, 'Run state locking test'));
+
+    const writers = [];
+    for (let w = 0; w < writerCount; w++) {
+      writers.push(writerFactory(runId, w));
+    }
+    let active = writers.length;
+    while (active > 0) {
+      active = 0;
+      writers.forEach(writer => {
+        if (!writer.next().done) {
+          active++;
+        }
+      });
+    }
+
+    const state = loadRunState(runId);
+    deleteRunState(runId);
+    return {
+      expected: expected,
+      processedIds: state.xProgress.processedIds.length,
+      collected: state.xProgress.collected
+    };
+  }
+
+  const unlocked = interleave(unlockedWriter);
+  console.log(`Unlocked: ${unlocked.processedIds}/${expected} IDs, collected ${unlocked.collected}/${expected}`);
+
+  const locked = interleave(lockedWriter);
+  console.log(`Locked:   ${locked.processedIds}/${expected} IDs, collected ${locked.collected}/${expected}`);
+
+  const success = locked.processedIds === expected && locked.collected === expected;
+  console.log(success ? '\n✓ No updates lost with updateRunState' : '\n✗ Updates lost with updateRunState');
+
+  return { success: success, unlocked: unlocked, locked: locked };
+}
+
+/**
+ * How long after testConcurrentStateWriters the writers start together
+ * (time-based triggers fire up to about a minute late)
+ */
+const STATE_WRITER_START_DELAY_MS = 90000;
+
+/**
+ * How long each writer holds a loaded state before saving it
+ */
+const STATE_WRITER_HOLD_MS = 100;
+
+/**
+ * Start real concurrent writers against two run states
+ * Creates one trigger per writer; each runs stateWriterWorker in its own
+ * execution. The writers wait for a common start time, then update one state
+ * through updateRunState (locked) and another with a plain load and save
+ * (unlocked), holding each loaded state for STATE_WRITER_HOLD_MS. Run
+ * checkConcurrentStateWriters() a few minutes later to verify that no locked
+ * update was lost and that the writers really overlapped.
+ * Run this in Apps Script editor
+ * @param {number} writerCount - Number of concurrent executions
+ * @param {number} writesPerWriter - Updates made by each execution
+ * @returns {Object} Test configuration
+ */
+function testConcurrentStateWriters(writerCount = 3, writesPerWriter = 20) {
+  const runId = `locktest_${generateRunId()}`;
+  const unlockedRunId = `${runId}_unlocked`;
+  saveRunState(createRunState(runId, 'Concurrent run state locking test'));
+  saveRunState(createRunState(unlockedRunId, 'Concurrent run state locking test (unlocked)'));
+
+  const config = {
+    runId: runId,
+    unlockedRunId: unlockedRunId,
+    writerCount: writerCount,
+    writesPerWriter: writesPerWriter,
+    startAt: Date.now() + STATE_WRITER_START_DELAY_MS
+  };
+  PropertiesService.getScriptProperties().setProperty(STATE_WRITER_TEST_KEY, JSON.stringify(config));
+
+  for (let i = 0; i < writerCount; i++) {
+    ScriptApp.newTrigger('stateWriterWorker')
+      .timeBased()
+      .after(1000)
+      .create();
+  }
+
+  console.log(`Started ${writerCount} writers against ${runId}; run checkConcurrentStateWriters() in a few minutes`);
+  return config;
+}
+
+/**
+ * One concurrent writer (called by trigger from testConcurrentStateWriters)
+ * Records when it wrote and how many of its locked writes had to wait for
+ * another writer, so the check can tell whether the writers overlapped.
+ * @param {Object} e - Trigger event
+ */
+function stateWriterWorker(e) {
+  const config = JSON.parse(PropertiesService.getScriptProperties().getProperty(STATE_WRITER_TEST_KEY) || 'null');
+  const writer = (e && e.triggerUid) || Utilities.getUuid();
+
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getUniqueId() === writer)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+  if (!config) {
+    return;
+  }
+
+  Utilities.sleep(Math.max(0, config.startAt - Date.now()));
+
+  const startedAt = Date.now();
+  let waited = 0;
+  for (let i = 0; i < config.writesPerWriter; i++) {
+    // Unlocked: overlapping writers save over each other's updates
+    const unlocked = loadRunState(config.unlockedRunId);
+    Utilities.sleep(STATE_WRITER_HOLD_MS);
+    unlocked.xProgress.processedIds.push(`${writer}_${i}`);
+    unlocked.xProgress.collected++;
+    saveRunState(unlocked);
+
+    const requestedAt = Date.now();
+    updateRunState(config.runId, state => {
+      if (Date.now() - requestedAt >= STATE_WRITER_HOLD_MS) {
+        waited++;
+      }
+      Utilities.sleep(STATE_WRITER_HOLD_MS);
+      state.xProgress.processedIds.push(`${writer}_${i}`);
+      state.xProgress.collected++;
+    });
+  }
+
+  const finishedAt = Date.now();
+  updateRunState(config.runId, state => {
+    state.writerWindows = (state.writerWindows || [])
+      .concat({ writer: writer, startedAt: startedAt, finishedAt: finishedAt, waited: waited });
+  });
+}
+
+/**
+ * Verify the concurrent writers started by testConcurrentStateWriters
+ * Succeeds only if every locked update survived and the writers ran at the
+ * same time; writers that never overlapped make the result inconclusive.
+ * Cleans up the test run states, configuration and any leftover triggers.
+ * Run this in Apps Script editor
+ * @returns {Object} Expected and actual counts, overlap and lock waits
+ */
+function checkConcurrentStateWriters() {
+  const props = PropertiesService.getScriptProperties();
+  const config = JSON.parse(props.getProperty(STATE_WRITER_TEST_KEY) || 'null');
+  if (!config) {
+    console.log('No concurrent writer test found; run testConcurrentStateWriters() first');
+    return { success: false, error: 'No test running' };
+  }
+
+  const pending = ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'stateWriterWorker');
+  const state = loadRunState(config.runId);
+  const windows = state.writerWindows || [];
+  if (pending.length > 0 || windows.length < config.writerCount) {
+    console.log(`${config.writerCount - windows.length} writers have not finished yet; check again shortly`);
+    return { success: false, pendingWriters: config.writerCount - windows.length };
+  }
+
+  const unlocked = loadRunState(config.unlockedRunId);
+  const expected = config.writerCount * config.writesPerWriter;
+  const overlapped = Math.max(...windows.map(w => w.startedAt)) < Math.min(...windows.map(w => w.finishedAt));
+  const noneLost = state.xProgress.processedIds.length === expected && state.xProgress.collected === expected;
+  const result = {
+    success: noneLost && overlapped,
+    expected: expected,
+    processedIds: state.xProgress.processedIds.length,
+    collected: state.xProgress.collected,
+    overlapped: overlapped,
+    waitedForLock: windows.reduce((sum, w) => sum + w.waited, 0),
+    unlockedCollected: unlocked.xProgress.collected
+  };
+
+  console.log(`Concurrent writers: ${result.processedIds}/${expected} IDs, collected ${result.collected}/${expected}`);
+  console.log(`Writes that waited for the lock: ${result.waitedForLock}; unlocked writers kept ${result.unlockedCollected}/${expected}`);
+  if (!overlapped) {
+    console.log('? Writers did not overlap, so the result is inconclusive; run the test again');
+  } else {
+    console.log(noneLost ? '✓ No updates lost' : '✗ Updates lost');
+  }
+
+  deleteRunState(config.runId);
+  deleteRunState(config.unlockedRunId);
+  props.deleteProperty(STATE_WRITER_TEST_KEY);
+  return result;
+}
+
+// ============================================================
+// Rule Planner Tests
+// ============================================================
+
+/**
+ * Test the rule-based planner against known instructions
+ * Uses a fixed clock (and a JST offset in the cases that give one), so the
+ * expected time windows never change. Checks counts, platforms, time windows,
+ * languages, regions and keywords, including Japanese instructions and words
+ * that only contain a region or platform name.
+ * Run this in Apps Script editor
+ * @returns {Object} { success, passed, failed: [{ instruction, field, expected, actual }] }
+ */
+function testRulePlanner() {
+  console.log('=== Rule Planner Test ===\n');
+
+  const now = new Date('2026-03-15T12:00:00Z');
+  const cases = [
+    {
+      instruction: 'Collect 50 tweets and 20 Instagram posts about skincare from the last 2 weeks',
+      expected: {
+        targetPlatforms: ['instagram', 'x'],
+        targetCounts: { instagram: 20, x: 50, tiktok: 0 },
+        keywords: ['skincare'],
+        timeWindow: { startDate: '2026-03-01T12:00:00.000Z', endDate: null, description: 'last 2 weeks' }
+      }
+    },
+    {
+      instruction: '30 reels about #sauna',
+      expected: { targetPlatforms: ['instagram'], targetCounts: { instagram: 30, x: 0, tiktok: 0 }, hashtags: ['sauna'] }
+    },
+    {
+      instruction: 'Get 20 X posts about AI',
+      expected: { targetPlatforms: ['x'], targetCounts: { instagram: 0, x: 20, tiktok: 0 }, keywords: ['ai'] }
+    },
+    {
+      instruction: 'yesterday @nasa tweets',
+      expected: {
+        targetPlatforms: ['x'],
+        creatorHandles: ['nasa'],
+        timeWindow: { startDate: '2026-03-14T00:00:00.000Z', endDate: '2026-03-14T23:59:59.999Z', description: 'yesterday' }
+      }
+    },
+    {
+      instruction: 'top 10 posts in Japanese about ramen since 2026-01-01',
+      expected: {
+        targetCounts: { instagram: 10, x: 10, tiktok: 0 },
+        language: 'ja',
+        queryType: 'Top',
+        timeWindow: { startDate: '2026-01-01T00:00:00.000Z', endDate: null, description: 'since 2026-01-01' }
+      }
+    },
+    {
+      instruction: 'インスタでサウナの投稿を30件',
+      expected: { targetPlatforms: ['instagram'], targetCounts: { instagram: 30, x: 0, tiktok: 0 }, keywords: ['サウナ'] }
+    },
+    {
+      instruction: '先月の猫の人気ツイート20件',
+      expected: {
+        targetPlatforms: ['x'],
+        targetCounts: { instagram: 0, x: 20, tiktok: 0 },
+        keywords: ['猫'],
+        queryType: 'Top',
+        timeWindow: { startDate: '2026-02-01T00:00:00.000Z', endDate: '2026-02-28T23:59:59.999Z', description: '先月' }
+      }
+    },
+    {
+      instruction: '過去3日の韓国のコスメ投稿',
+      expected: { regionCode: 'KR', timeWindow: { startDate: '2026-03-12T12:00:00.000Z', endDate: null, description: '過去3日' } }
+    },
+    { instruction: 'タイの投稿を20件', expected: { regionCode: 'TH', targetCounts: { instagram: 20, x: 20, tiktok: 0 } } },
+    { instruction: 'ネクタイのおすすめ投稿', expected: { regionCode: '', keywords: ['ネクタイ', 'おすすめ投稿'] } },
+    { instruction: '西日本の天気', expected: { regionCode: '', keywords: ['西日本', '天気'] } },
+    { instruction: 'おもちゃの人気投稿を10件', expected: { keywords: ['おもちゃ'] } },
+    { instruction: 'きのこ料理の投稿', expected: { keywords: ['きのこ料理'] } },
+    { instruction: 'ももの写真', expected: { keywords: ['もも', '写真'] } },
+    {
+      // 2026-04-01 05:00 in Asia/Tokyo, still March 31 in UTC
+      instruction: '先月の猫の投稿',
+      now: new Date('2026-03-31T20:00:00Z'),
+      timeZoneOffsetMs: 9 * 60 * 60 * 1000,
+      expected: { timeWindow: { startDate: '2026-02-28T15:00:00.000Z', endDate: '2026-03-31T14:59:59.999Z', description: '先月' } }
+    },
+    {
+      instruction: '今日の猫の投稿',
+      now: new Date('2026-03-31T20:00:00Z'),
+      timeZoneOffsetMs: 9 * 60 * 60 * 1000,
+      expected: { timeWindow: { startDate: '2026-03-31T15:00:00.000Z', endDate: null, description: '今日' } }
+    },
+    { instruction: 'Collect 5 iPhone X reviews', expected: { targetPlatforms: ['instagram', 'x'] } },
+    { instruction: 'iPhone Xのレビューを10件', expected: { targetPlatforms: ['instagram', 'x'], targetCounts: { instagram: 10, x: 10, tiktok: 0 } } }
+  ];
+
+  // Fields read from the plan for comparison
+  const fields = {
+    targetPlatforms: plan => plan.targetPlatforms,
+    targetCounts: plan => plan.targetCounts,
+    keywords: plan => plan.keywords,
+    hashtags: plan => plan.hashtags,
+    creatorHandles: plan => plan.creatorHandles,
+    timeWindow: plan => plan.timeWindow,
+    regionCode: plan => plan.regionCode,
+    language: plan => plan.queryStrategy.x.language || null,
+    queryType: plan => plan.queryStrategy.x.queryType
+  };
+
+  let passed = 0;
+  const failed = [];
+  cases.forEach(testCase => {
+    const plan = parseInstructionWithRules(testCase.instruction, {
+      now: testCase.now || now,
+      timeZoneOffsetMs: testCase.timeZoneOffsetMs,
+      defaultCount: 30
+    });
+    const mismatches = Object.keys(testCase.expected)
+      .map(field => ({
+        instruction: testCase.instruction,
+        field: field,
+        expected: testCase.expected[field],
+        actual: fields[field](plan)
+      }))
+      .filter(check => JSON.stringify(check.expected) !== JSON.stringify(check.actual));
+
+    if (mismatches.length === 0) {
+      passed++;
+      console.log(`✓ ${testCase.instruction}`);
+    } else {
+      mismatches.forEach(check => {
+        console.log(`✗ ${check.instruction}: ${check.field} expected ${JSON.stringify(check.expected)}, got ${JSON.stringify(check.actual)}`);
+      });
+      failed.push(...mismatches);
+    }
+  });
+
+  console.log(`\n${passed}/${cases.length} instructions parsed as expected`);
+  return { success: failed.length === 0, passed: passed, failed: failed };
+}
+
+/**
+ * Test instruction language detection, keyword splitting and hashtag romanization
+ * Also checks that applyInstructionLanguage() adds no more romanized hashtags
+ * than MAX_ROMANIZED_HASHTAG_VARIANTS.
+ * Run this in Apps Script editor
+ * @returns {Object} { success, passed, failed: [{ name, input, expected, actual }] }
+ */
+function testInstructionLanguage() {
+  console.log('=== Instruction Language Test ===\n');
+
+  const sauna = {
+    targetPlatforms: ['instagram'],
+    hashtags: ['サウナ', 'キャンプ', 'ととのう'],
+    keywords: [],
+    queryStrategy: { instagram: { hashtagsToSearch: ['サウナ', 'キャンプ', 'ととのう'] } }
+  };
+  const cases = [
+    { name: 'detectInstructionLanguage', input: 'インスタでサウナの投稿を30件', expected: 'ja' },
+    { name: 'detectInstructionLanguage', input: '東京 ラーメン 30件', expected: 'ja' },
+    { name: 'detectInstructionLanguage', input: '猫的视频', expected: 'zh' },
+    { name: 'detectInstructionLanguage', input: '東京 天気 30件', expected: 'ja' },
+    { name: 'detectInstructionLanguage', input: '猫動画20件', expected: 'ja' },
+    { name: 'detectInstructionLanguage', input: '新宿 居酒屋', expected: 'ja' },
+    { name: 'detectInstructionLanguage', input: '日本酒 人気投稿', expected: 'ja' },
+    { name: 'detectInstructionLanguage', input: '東京 咖啡', expected: null },
+    { name: 'detectInstructionLanguage', input: '커피 관련 게시물', expected: 'ko' },
+    { name: 'detectInstructionLanguage', input: 'โพสต์เกี่ยวกับกาแฟ', expected: 'th' },
+    { name: 'detectInstructionLanguage', input: 'Collect tweets about skincare', expected: 'en' },
+    { name: 'detectInstructionLanguage', input: 'skincare', expected: null },
+    { name: 'splitPlanKeyword', input: '東京 ラーメン', expected: ['東京', 'ラーメン'] },
+    { name: 'splitPlanKeyword', input: 'skin care、猫 犬', expected: ['skin', 'care', '猫', '犬'] },
+    { name: 'splitPlanKeyword', input: 'AI ML robots', expected: ['robots'] },
+    { name: 'splitPlanKeyword', input: '커피를 좋아해', expected: ['커피', '좋아해'] },
+    { name: 'romanizeHashtag', input: 'サウナ', expected: 'sauna' },
+    { name: 'romanizeHashtag', input: 'きっさてん', expected: 'kissaten' },
+    { name: 'romanizeHashtag', input: 'らーめん', expected: 'ramen' },
+    { name: 'romanizeHashtag', input: '커피', expected: 'keopi' },
+    { name: 'romanizeHashtag', input: '東京', expected: null },
+    { name: 'romanizeHashtag', input: 'coffee', expected: null },
+    {
+      name: 'applyInstructionLanguage',
+      input: sauna,
+      expected: ['サウナ', 'sauna', 'キャンプ', 'kyanpu', 'ととのう']
+    }
+  ];
+
+  // Functions under test; applyInstructionLanguage is checked by its Instagram hashtags
+  const run = {
+    detectInstructionLanguage: input => detectInstructionLanguage(input),
+    splitPlanKeyword: input => splitPlanKeyword(input),
+    romanizeHashtag: input => romanizeHashtag(input),
+    applyInstructionLanguage: input => applyInstructionLanguage(JSON.parse(JSON.stringify(input)), 'ja', [])
+      .queryStrategy.instagram.hashtagsToSearch
+  };
+
+  const failed = [];
+  cases.forEach(testCase => {
+    const actual = run[testCase.name](testCase.input);
+    const label = `${testCase.name}(${typeof testCase.input === 'string' ? JSON.stringify(testCase.input) : 'plan'})`;
+    if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+      console.log(`✓ ${label} = ${JSON.stringify(actual)}`);
+    } else {
+      console.log(`✗ ${label}: expected ${JSON.stringify(testCase.expected)}, got ${JSON.stringify(actual)}`);
+      failed.push({ ...testCase, actual: actual });
+    }
+  });
+
+  const passed = cases.length - failed.length;
+  console.log(`\n${passed}/${cases.length} checks passed`);
+  return { success: failed.length === 0, passed: passed, failed: failed };
+}
@@ -15,8 +15,34 @@ const CONFIG_KEYS = {
   OPENAI_API_KEY: 'OPENAI_API_KEY',
   OPENAI_MODEL: 'OPENAI_MODEL',
 
-  // API authentication
+  // LLM provider for planning (openai, azure, anthropic, gemini or local; see LLMProviders.js)
+  // Only the keys of the providers in use are needed
+  LLM_PROVIDER: 'LLM_PROVIDER',
+  AZURE_OPENAI_ENDPOINT: 'AZURE_OPENAI_ENDPOINT',
+  AZURE_OPENAI_API_KEY: 'AZURE_OPENAI_API_KEY',
+  AZURE_OPENAI_DEPLOYMENT: 'AZURE_OPENAI_DEPLOYMENT',
+  AZURE_OPENAI_API_VERSION: 'AZURE_OPENAI_API_VERSION',
+  ANTHROPIC_API_KEY: 'ANTHROPIC_API_KEY',
+  ANTHROPIC_MODEL: 'ANTHROPIC_MODEL',
+  GEMINI_API_KEY: 'GEMINI_API_KEY',
+  GEMINI_MODEL: 'GEMINI_MODEL',
+  LOCAL_LLM_BASE_URL: 'LOCAL_LLM_BASE_URL',
+  LOCAL_LLM_MODEL: 'LOCAL_LLM_MODEL',
+  LOCAL_LLM_API_KEY: 'LOCAL_LLM_API_KEY',
+
+  // API authentication ('true' also accepts the legacy secret as a query parameter)
   CLIPPULSE_API_SECRET: 'CLIPPULSE_API_SECRET',
+  CLIPPULSE_ALLOW_QUERY_SECRET: 'CLIPPULSE_ALLOW_QUERY_SECRET',
+
+  // Outbound webhooks (global callback URLs, comma-separated, and signing secret)
+  CLIPPULSE_WEBHOOK_URL: 'CLIPPULSE_WEBHOOK_URL',
+  CLIPPULSE_WEBHOOK_SECRET: 'CLIPPULSE_WEBHOOK_SECRET',
+
+  // API usage limits per key (unset or 0 = unlimited; see Usage.js)
+  API_LIMIT_REQUESTS_PER_MINUTE: 'API_LIMIT_REQUESTS_PER_MINUTE',
+  API_LIMIT_RUNS_PER_DAY: 'API_LIMIT_RUNS_PER_DAY',
+  API_LIMIT_POSTS_PER_DAY: 'API_LIMIT_POSTS_PER_DAY',
+  API_LIMIT_CALLS_PER_DAY: 'API_LIMIT_CALLS_PER_DAY',
 
   // X (Twitter) API - TwitterAPI.io
   X_API_KEY: 'X_API_KEY',
@@ -45,9 +71,14 @@ const CONFIG_KEYS = {
 
   // Operational
   MAX_POSTS_PER_PLATFORM_DEFAULT: 'MAX_POSTS_PER_PLATFORM_DEFAULT',
+  POSTS_PER_PLATFORM_LIMIT: 'POSTS_PER_PLATFORM_LIMIT',
   BATCH_SIZE: 'BATCH_SIZE',
   MAX_RETRIES: 'MAX_RETRIES',
-  RETRY_BACKOFF_MS: 'RETRY_BACKOFF_MS'
+  RETRY_BACKOFF_MS: 'RETRY_BACKOFF_MS',
+  MAX_CONCURRENT_RUNS: 'MAX_CONCURRENT_RUNS',
+  PLANNER_MEMORY_SIZE: 'PLANNER_MEMORY_SIZE',
+  PLANNER_MEMORY_EXAMPLES: 'PLANNER_MEMORY_EXAMPLES',
+  STATE_BACKEND: 'STATE_BACKEND'
 };
 
 /**
@@ -55,11 +86,20 @@ const CONFIG_KEYS = {
  */
 const CONFIG_DEFAULTS = {
   OPENAI_MODEL: 'gpt-4o',
+  LLM_PROVIDER: 'openai',
+  AZURE_OPENAI_API_VERSION: '2024-10-21',
+  ANTHROPIC_MODEL: 'claude-sonnet-4-5',
+  GEMINI_MODEL: 'gemini-2.5-flash',
   META_GRAPH_API_VERSION: 'v18.0',
   MAX_POSTS_PER_PLATFORM_DEFAULT: 30,
+  POSTS_PER_PLATFORM_LIMIT: 1000,
   BATCH_SIZE: 15,
   MAX_RETRIES: 3,
-  RETRY_BACKOFF_MS: 1000
+  RETRY_BACKOFF_MS: 1000,
+  MAX_CONCURRENT_RUNS: 2,
+  PLANNER_MEMORY_SIZE: 50,
+  PLANNER_MEMORY_EXAMPLES: 3,
+  STATE_BACKEND: 'properties'
 };
 
 /**
@@ -122,16 +162,18 @@ function initializeDefaults() {
 
 /**
  * Validate that all required configuration keys are set
+ * Besides the root folder, only the keys of the LLM provider in use are required.
+ * @param {string} [llmProvider] - Provider chosen for a run (defaults to LLM_PROVIDER)
  * @returns {Object} Validation result with isValid and missingKeys
  */
-function validateConfig() {
+function validateConfig(llmProvider = null) {
   const requiredKeys = [
-    CONFIG_KEYS.CLIPPULSE_ROOT_FOLDER_ID,
-    CONFIG_KEYS.OPENAI_API_KEY
+    CONFIG_KEYS.CLIPPULSE_ROOT_FOLDER_ID
   ];
 
   const props = PropertiesService.getScriptProperties();
-  const missingKeys = requiredKeys.filter(key => !props.getProperty(key));
+  const missingKeys = requiredKeys.filter(key => !props.getProperty(key))
+    .concat(getMissingLlmProviderKeys(llmProvider || getConfig(CONFIG_KEYS.LLM_PROVIDER, CONFIG_DEFAULTS.LLM_PROVIDER)));
 
   return {
     isValid: missingKeys.length === 0,
@@ -177,8 +219,12 @@ function isInstagramConfigured() {
 function getOperationalConfig() {
   return {
     maxPostsPerPlatform: parseInt(getConfig(CONFIG_KEYS.MAX_POSTS_PER_PLATFORM_DEFAULT, CONFIG_DEFAULTS.MAX_POSTS_PER_PLATFORM_DEFAULT)),
+    postsPerPlatformLimit: parseInt(getConfig(CONFIG_KEYS.POSTS_PER_PLATFORM_LIMIT, CONFIG_DEFAULTS.POSTS_PER_PLATFORM_LIMIT)),
     batchSize: parseInt(getConfig(CONFIG_KEYS.BATCH_SIZE, CONFIG_DEFAULTS.BATCH_SIZE)),
     maxRetries: parseInt(getConfig(CONFIG_KEYS.MAX_RETRIES, CONFIG_DEFAULTS.MAX_RETRIES)),
-    retryBackoffMs: parseInt(getConfig(CONFIG_KEYS.RETRY_BACKOFF_MS, CONFIG_DEFAULTS.RETRY_BACKOFF_MS))
+    retryBackoffMs: parseInt(getConfig(CONFIG_KEYS.RETRY_BACKOFF_MS, CONFIG_DEFAULTS.RETRY_BACKOFF_MS)),
+    maxConcurrentRuns: parseInt(getConfig(CONFIG_KEYS.MAX_CONCURRENT_RUNS, CONFIG_DEFAULTS.MAX_CONCURRENT_RUNS)),
+    plannerMemorySize: parseInt(getConfig(CONFIG_KEYS.PLANNER_MEMORY_SIZE, CONFIG_DEFAULTS.PLANNER_MEMORY_SIZE)),
+    plannerMemoryExamples: parseInt(getConfig(CONFIG_KEYS.PLANNER_MEMORY_EXAMPLES, CONFIG_DEFAULTS.PLANNER_MEMORY_EXAMPLES))
   };
 }
@@ -301,6 +301,51 @@ function getFileUrl(file) {
   return file.getUrl();
 }
 
+/**
+ * Post artifacts created in this execution but not yet added to the run state, keyed by run ID
+ */
+const pendingPostArtifacts = {};
+
+/**
+ * Count a post's Drive artifact against the active run
+ * Buffered; flushPostArtifacts() adds the counts to the platform's progress.
+ * @param {string} platform - 'instagram', 'x', or 'tiktok'
+ * @param {boolean} videoSaved - True if the video file was saved, false if only watch.html was
+ */
+function countPostArtifact(platform, videoSaved) {
+  const runId = getActiveEventRun();
+  if (!runId) {
+    return;
+  }
+
+  const pending = pendingPostArtifacts[runId] || (pendingPostArtifacts[runId] = {});
+  const counts = pending[platform] || (pending[platform] = { videos: 0, watchPages: 0 });
+  counts[videoSaved ? 'videos' : 'watchPages']++;
+}
+
+/**
+ * Add a run's buffered artifact counts to its platforms' progress
+ * @param {string} runId - The run ID
+ */
+function flushPostArtifacts(runId) {
+  const pending = pendingPostArtifacts[runId];
+  if (!pending) {
+    return;
+  }
+  delete pendingPostArtifacts[runId];
+
+  updateRunState(runId, state => {
+    Object.keys(pending).forEach(platform => {
+      const progress = state[getPlatformProgressKey(platform)];
+      const artifacts = progress.artifacts || { videos: 0, watchPages: 0 };
+      progress.artifacts = {
+        videos: artifacts.videos + pending[platform].videos,
+        watchPages: artifacts.watchPages + pending[platform].watchPages
+      };
+    });
+  });
+}
+
 /**
  * Create post artifacts and return the ref_url
  * This handles the logic from specification section 8.3:
@@ -376,6 +421,8 @@ function createPostArtifacts(platformFolderId, postId, postData, rawApiResponse,
     }
   }
 
+  countPostArtifact(platform, videoFile !== null);
+
   return {
     refUrl: refUrl,
     postFolderId: postFolder.getId(),
@@ -386,6 +433,7 @@ function createPostArtifacts(platformFolderId, postId, postData, rawApiResponse,
 
 /**
  * Save run manifest to the manifests folder
+ * Also writes the run's event log as events.json in the run folder.
  * @param {Object} runState - The complete run state
  * @returns {GoogleAppsScript.Drive.File} The manifest file
  */
@@ -396,7 +444,51 @@ function saveRunManifest(runState) {
   const content = JSON.stringify(runState, null, 2);
   const filename = `${runState.runId}_manifest.json`;
 
-  return manifestsFolder.createFile(filename, content, MimeType.PLAIN_TEXT);
+  const manifest = manifestsFolder.createFile(filename, content, MimeType.PLAIN_TEXT);
+
+  // The run's event timeline goes next to its spreadsheet and artifacts
+  const events = getRunEvents(runState.runId);
+  const eventsFolder = runState.runFolderId ? DriveApp.getFolderById(runState.runFolderId) : manifestsFolder;
+  const eventsFilename = runState.runFolderId ? 'events.json' : `${runState.runId}_events.json`;
+  eventsFolder.createFile(eventsFilename, JSON.stringify(events, null, 2), MimeType.PLAIN_TEXT);
+
+  return manifest;
+}
+
+/**
+ * Trash a run's Drive output: spreadsheet, run folder and manifest files
+ * Items that are already gone or not accessible are skipped.
+ * @param {Object} runState - The run state
+ * @returns {number} Number of Drive items trashed
+ */
+function trashRunFiles(runState) {
+  let trashed = 0;
+  const trash = (item, label) => {
+    try {
+      item().setTrashed(true);
+      trashed++;
+    } catch (e) {
+      console.error(`Could not trash ${label} of run ${runState.runId}:`, e);
+    }
+  };
+
+  if (runState.spreadsheetId) {
+    trash(() => DriveApp.getFileById(runState.spreadsheetId), 'spreadsheet');
+  }
+  if (runState.runFolderId) {
+    trash(() => DriveApp.getFolderById(runState.runFolderId), 'run folder');
+  }
+
+  const manifestsFolder = getOrCreateSubfolder(getRootFolder(), 'manifests');
+  [`${runState.runId}_manifest.json`, `${runState.runId}_events.json`].forEach(filename => {
+    const files = manifestsFolder.getFilesByName(filename);
+    while (files.hasNext()) {
+      const file = files.next();
+      trash(() => file, filename);
+    }
+  });
+
+  return trashed;
 }
 
 /**
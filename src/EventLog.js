@@ -0,0 +1,444 @@
+/**
+ * EventLog.js
+ * Append-only event log (audit timeline) per run
+ *
+ * lastMessage/lastError only keep the latest word on a run. The event log
+ * records what happened along the way:
+ * - Phase and platform status transitions
+ * - External API calls with their HTTP status codes, and retries
+ * - Fallback search expansions
+ * - Items skipped as duplicates
+ * - Posts written to the spreadsheet (where the rows are, for live feeds)
+ *
+ * Events are buffered in memory and appended to a chunked Script Property
+ * (RUN_EVENTS_<runId>) in batches, under the run state lock. While a run is
+ * active only the most recent events are kept there (at most MAX_RUN_EVENTS
+ * and MAX_RUN_EVENT_LOG_BYTES, as Script Properties share a 500KB quota with
+ * run state); the log counts how many were dropped. Once the run has completed
+ * or failed, its log moves to the Drive state history (<runId>_events.json)
+ * and its Script Properties are freed.
+ *
+ * Every event gets a sequence number, so pollers can ask for the changes
+ * since the last seq they saw (getRunChanges) instead of re-reading the run.
+ */
+
+/**
+ * Storage key prefix for a run's event log
+ */
+const RUN_EVENTS_PREFIX = 'RUN_EVENTS_';
+
+/**
+ * Storage key prefix for event log chunks
+ */
+const RUN_EVENTS_CHUNK_PREFIX = 'RUN_EVENTCHUNK_';
+
+/**
+ * Maximum events kept per run (oldest are dropped first)
+ */
+const MAX_RUN_EVENTS = 400;
+
+/**
+ * Largest event log kept in Script Properties for an active run (oldest events are dropped first)
+ */
+const MAX_RUN_EVENT_LOG_BYTES = 16 * 1024;
+
+/**
+ * Buffered events are written once this many are pending
+ */
+const RUN_EVENT_FLUSH_SIZE = 20;
+
+/**
+ * Maximum duplicate IDs folded into one duplicate_skipped event
+ */
+const MAX_DUPLICATE_IDS_PER_EVENT = 50;
+
+/**
+ * Maximum posts per posts_written event shown in the live feed (the rest are only counted)
+ */
+const MAX_FEED_POSTS_PER_EVENT = 10;
+
+/**
+ * Caption characters kept per post summary
+ */
+const FEED_CAPTION_LENGTH = 100;
+
+/**
+ * Event types
+ */
+const RUN_EVENT_TYPE = {
+  PHASE: 'phase',
+  PLATFORM: 'platform',
+  API_CALL: 'api_call',
+  RETRY: 'retry',
+  FALLBACK: 'fallback',
+  DUPLICATE_SKIPPED: 'duplicate_skipped',
+  POSTS_WRITTEN: 'posts_written',
+  INFO: 'info',
+  ERROR: 'error'
+};
+
+/**
+ * Event types returned by getRunChanges (API calls and retries stay in the full log)
+ */
+const RUN_CHANGE_EVENT_TYPES = [
+  RUN_EVENT_TYPE.PHASE,
+  RUN_EVENT_TYPE.PLATFORM,
+  RUN_EVENT_TYPE.FALLBACK,
+  RUN_EVENT_TYPE.INFO,
+  RUN_EVENT_TYPE.ERROR
+];
+
+/**
+ * Events logged in this execution but not yet written, keyed by run ID
+ */
+const pendingRunEvents = {};
+
+/**
+ * Run that API calls and retries in this execution are attributed to
+ */
+let activeEventRunId = null;
+
+/**
+ * Attribute API calls and retries made from now on to a run
+ * @param {string|null} runId - The run ID, or null to stop attributing
+ */
+function setActiveEventRun(runId) {
+  activeEventRunId = runId;
+}
+
+/**
+ * Get the run that API calls are currently attributed to
+ * @returns {string|null} The run ID
+ */
+function getActiveEventRun() {
+  return activeEventRunId;
+}
+
+/**
+ * Get the storage key for a run's event log
+ * @param {string} runId - The run ID
+ * @returns {string} The storage key
+ */
+function getRunEventsKey(runId) {
+  return `${RUN_EVENTS_PREFIX}${runId}`;
+}
+
+/**
+ * Append an event to a run's log
+ * Events are buffered; they are written every RUN_EVENT_FLUSH_SIZE events,
+ * on phase transitions and when the execution flushes.
+ * @param {string|null} runId - The run ID (no-op if null)
+ * @param {string} type - A RUN_EVENT_TYPE value
+ * @param {string} message - Human-readable description
+ * @param {Object} [data] - Structured details
+ */
+function logRunEvent(runId, type, message, data = null) {
+  if (!runId) {
+    return;
+  }
+
+  const pending = pendingRunEvents[runId] || (pendingRunEvents[runId] = []);
+  pending.push({
+    at: new Date().toISOString(),
+    type: type,
+    message: message,
+    data: data
+  });
+
+  if (pending.length >= RUN_EVENT_FLUSH_SIZE || type === RUN_EVENT_TYPE.PHASE) {
+    flushRunEvents(runId);
+  }
+}
+
+/**
+ * Record an item skipped as a duplicate
+ * Consecutive duplicates on the same platform are folded into one event.
+ * @param {string} runId - The run ID
+ * @param {string} platform - 'instagram', 'x', or 'tiktok'
+ * @param {string} postId - The skipped post ID
+ */
+function logDuplicateSkipped(runId, platform, postId) {
+  const pending = pendingRunEvents[runId] || [];
+  const last = pending[pending.length - 1];
+
+  if (last && last.type === RUN_EVENT_TYPE.DUPLICATE_SKIPPED && last.data.platform === platform &&
+      last.data.ids.length < MAX_DUPLICATE_IDS_PER_EVENT) {
+    last.data.ids.push(String(postId));
+    last.message = `Skipped ${last.data.ids.length} duplicate ${PLATFORM_LABELS[platform]} item(s)`;
+    return;
+  }
+
+  logRunEvent(runId, RUN_EVENT_TYPE.DUPLICATE_SKIPPED,
+    `Skipped 1 duplicate ${PLATFORM_LABELS[platform]} item(s)`,
+    { platform: platform, ids: [String(postId)] });
+}
+
+/**
+ * Record rows written to the active run's spreadsheet
+ * Only where the rows are is logged; getRunChanges reads the posts back from
+ * the sheet. Written straight away so live feeds see the posts while the
+ * slice is still running.
+ * @param {string} platform - 'instagram', 'x', or 'tiktok'
+ * @param {string} spreadsheetId - The spreadsheet written to
+ * @param {number} startRow - First row written
+ * @param {number} count - Number of rows written
+ */
+function logPostsWritten(platform, spreadsheetId, startRow, count) {
+  const runId = getActiveEventRun();
+  if (!runId || count === 0) {
+    return;
+  }
+
+  logRunEvent(runId, RUN_EVENT_TYPE.POSTS_WRITTEN, `Wrote ${count} ${PLATFORM_LABELS[platform]} post(s)`, {
+    platform: platform,
+    count: count,
+    spreadsheetId: spreadsheetId,
+    startRow: startRow
+  });
+  flushRunEvents(runId);
+}
+
+/**
+ * Read the posts of posts_written events back from their sheets, for the live feed
+ * Events whose rows cannot be read (sheet deleted, older events) add no posts.
+ * @param {Object[]} events - posts_written events
+ * @returns {Object[]} Post summaries with seq and platform
+ */
+function readFeedPosts(events) {
+  const posts = [];
+
+  events.forEach(event => {
+    const { platform, spreadsheetId, startRow, count } = event.data;
+    if (!spreadsheetId || !startRow) {
+      return;
+    }
+
+    try {
+      const sheet = getSheetForPlatform(spreadsheetId, platform);
+      const columns = getColumnsForPlatform(platform);
+      const rows = sheet.getRange(startRow, 1, Math.min(count, MAX_FEED_POSTS_PER_EVENT), columns.length).getValues();
+
+      rows.forEach(row => {
+        const post = {};
+        columns.forEach((column, i) => {
+          post[column] = row[i];
+        });
+        posts.push({ seq: event.seq, platform: platform, ...summarizeFeedPost(platform, post) });
+      });
+    } catch (e) {
+      console.error(`Could not read feed posts for event ${event.seq}:`, e.message);
+    }
+  });
+
+  return posts;
+}
+
+/**
+ * Summarise a written post for the live feed
+ * @param {string} platform - 'instagram', 'x', or 'tiktok'
+ * @param {Object} post - Normalized post data
+ * @returns {Object} { id, username, caption, thumbnail, url, posted_at }
+ */
+function summarizeFeedPost(platform, post) {
+  const caption = String(post.caption_or_description || post.text || '').replace(/\s+/g, ' ').trim();
+  let thumbnail = '';
+  if (platform === 'instagram') {
+    thumbnail = post.thumbnail_url || (post.media_type === 'IMAGE' ? post.media_url : '') || '';
+  } else if (platform === 'x') {
+    let media = post.media || [];
+    if (typeof media === 'string') {
+      try {
+        media = JSON.parse(media);
+      } catch (e) {
+        media = [];
+      }
+    }
+    media = media[0] || {};
+    thumbnail = media.media_url_https || media.media_url || '';
+  }
+
+  return {
+    id: post.platform_post_id,
+    username: post.create_username || '',
+    caption: caption.length > FEED_CAPTION_LENGTH ? `${caption.substring(0, FEED_CAPTION_LENGTH - 1)}…` : caption,
+    thumbnail: thumbnail,
+    url: post.post_url || post.ref_url || '',
+    posted_at: post.posted_at || ''
+  };
+}
+
+/**
+ * Record an external API call against the active run
+ * The query string is dropped so tokens and keys never reach the log.
+ * @param {string} service - Service name, e.g. 'instagram', 'x', 'openai'
+ * @param {string} url - Request URL
+ * @param {number} statusCode - HTTP status code
+ * @param {number} startedAt - Request start timestamp (ms)
+ */
+function logApiCall(service, url, statusCode, startedAt) {
+  countApiUsage('calls', 1, service);
+
+  const runId = getActiveEventRun();
+  if (!runId) {
+    return;
+  }
+
+  const endpoint = String(url).split('?')[0];
+  logRunEvent(runId, RUN_EVENT_TYPE.API_CALL, `${service} ${endpoint} → ${statusCode}`, {
+    service: service,
+    endpoint: endpoint,
+    status: statusCode,
+    durationMs: Date.now() - startedAt
+  });
+}
+
+/**
+ * Write buffered events to storage
+ * @param {string} [runId] - Run to flush; all runs if omitted
+ */
+function flushRunEvents(runId = null) {
+  const runIds = runId ? [runId] : Object.keys(pendingRunEvents);
+
+  runIds.forEach(id => {
+    const pending = pendingRunEvents[id];
+    if (!pending || pending.length === 0) {
+      return;
+    }
+    delete pendingRunEvents[id];
+
+    try {
+      withRunStateLock(id, () => {
+        const log = readRunEventLog(id);
+        pending.forEach(event => {
+          log.events.push({ seq: log.nextSeq++, ...event });
+        });
+        dropOldestRunEvents(log, log.events.length - MAX_RUN_EVENTS);
+
+        // A finished run's log goes to Drive; only active runs use Script Properties
+        const state = loadRunState(id);
+        if (state && [RUN_STATUS.COMPLETED, RUN_STATUS.FAILED].includes(state.status)) {
+          saveArchivedRunEvents(id, log);
+          removeRunEventProperties(id);
+          return;
+        }
+
+        let json = JSON.stringify(log);
+        while (log.events.length > 1 && Utilities.newBlob(json).getBytes().length > MAX_RUN_EVENT_LOG_BYTES) {
+          dropOldestRunEvents(log, Math.ceil(log.events.length / 10));
+          json = JSON.stringify(log);
+        }
+        writeChunkedProperty(getRunEventsKey(id), `${RUN_EVENTS_CHUNK_PREFIX}${id}`, json);
+      });
+    } catch (e) {
+      // The log must never break a run
+      console.error(`Failed to write events for ${id}:`, e);
+    }
+  });
+}
+
+/**
+ * Drop a log's oldest events, counting them as dropped
+ * @param {Object} log - Log with events, nextSeq and dropped (changed in place)
+ * @param {number} count - Events to drop (nothing if 0 or less)
+ */
+function dropOldestRunEvents(log, count) {
+  if (count > 0) {
+    log.events.splice(0, count);
+    log.dropped += count;
+  }
+}
+
+/**
+ * Read a run's stored event log
+ * Falls back to the Drive history for finished and archived runs.
+ * @param {string} runId - The run ID
+ * @returns {Object} Log with events, nextSeq and dropped
+ */
+function readRunEventLog(runId) {
+  const json = readChunkedProperty(getRunEventsKey(runId), `${RUN_EVENTS_CHUNK_PREFIX}${runId}`);
+  if (json) {
+    return JSON.parse(json);
+  }
+
+  const archived = readArchivedRunEvents(runId);
+  if (archived) {
+    return archived;
+  }
+
+  return { events: [], nextSeq: 1, dropped: 0 };
+}
+
+/**
+ * Get a run's events (buffered events are written first)
+ * @param {string} runId - The run ID
+ * @param {Object} [options] - Filters
+ * @param {number} [options.sinceSeq] - Only events with seq greater than this
+ * @param {string} [options.type] - Only events of this type
+ * @param {number} [options.limit] - Maximum number of events (oldest first)
+ * @returns {Object} { events, nextSeq, dropped }
+ */
+function getRunEvents(runId, options = {}) {
+  flushRunEvents(runId);
+
+  const log = readRunEventLog(runId);
+  let events = log.events;
+
+  if (options.sinceSeq) {
+    events = events.filter(event => event.seq > options.sinceSeq);
+  }
+  if (options.type) {
+    events = events.filter(event => event.type === options.type);
+  }
+  if (options.limit > 0) {
+    events = events.slice(0, options.limit);
+  }
+
+  return { events: events, nextSeq: log.nextSeq, dropped: log.dropped };
+}
+
+/**
+ * Get what changed in a run since a sequence number
+ * Progress events (phases, platforms, fallbacks, info, errors) are returned as
+ * they are; the rows of posts_written events are read back from the sheets as
+ * a list of post summaries.
+ * @param {string} runId - The run ID
+ * @param {number} [sinceSeq] - Last sequence number the caller has seen (0 for everything kept)
+ * @param {number} [limit] - Maximum number of log events to read past sinceSeq
+ * @returns {Object} { sinceSeq, nextSinceSeq, gap, changed, events, posts }
+ *   nextSinceSeq is the sinceSeq to pass next time; gap is true when events
+ *   after sinceSeq were already dropped from the log
+ */
+function getRunChanges(runId, sinceSeq = 0, limit = 0) {
+  const log = getRunEvents(runId, { sinceSeq: sinceSeq, limit: limit });
+  const lastEvent = log.events[log.events.length - 1];
+  const truncated = limit > 0 && log.events.length === limit && lastEvent.seq < log.nextSeq - 1;
+
+  const posts = readFeedPosts(log.events.filter(event => event.type === RUN_EVENT_TYPE.POSTS_WRITTEN));
+
+  return {
+    sinceSeq: sinceSeq,
+    nextSinceSeq: truncated ? lastEvent.seq : Math.max(log.nextSeq - 1, sinceSeq),
+    gap: sinceSeq < log.dropped,
+    changed: log.events.length > 0,
+    events: log.events.filter(event => RUN_CHANGE_EVENT_TYPES.includes(event.type)),
+    posts: posts
+  };
+}
+
+/**
+ * Remove a run's event log from Script Properties (its Drive copy is kept)
+ * @param {string} runId - The run ID
+ */
+function removeRunEventProperties(runId) {
+  removeChunkedProperty(getRunEventsKey(runId), `${RUN_EVENTS_CHUNK_PREFIX}${runId}`);
+}
+
+/**
+ * Delete a run's event log, from Script Properties and the Drive history
+ * @param {string} runId - The run ID
+ */
+function deleteRunEvents(runId) {
+  delete pendingRunEvents[runId];
+  removeRunEventProperties(runId);
+  removeArchivedRunEvents(runId);
+}
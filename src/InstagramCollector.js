@@ -83,11 +83,13 @@ function callInstagramAPI(endpoint, params = {}) {
   params.access_token = accessToken;
   const url = buildInstagramApiUrl(endpoint, params);
 
+  const startedAt = Date.now();
   const response = UrlFetchApp.fetch(url, {
     muteHttpExceptions: true
   });
 
   const responseCode = response.getResponseCode();
+  logApiCall('instagram', url, responseCode, startedAt);
   const responseBody = JSON.parse(response.getContentText());
 
   if (responseCode !== 200) {
@@ -282,15 +284,35 @@ function collectInstagramMedia(runId, plan, onProgress) {
     throw new Error('Instagram not authorized');
   }
 
-  const strategy = plan.queryStrategy?.instagram?.primaryStrategy || 'hashtag';
-
-  if (strategy === 'hashtag' && (plan.hashtags?.length > 0 || plan.keywords?.length > 0)) {
+  if (usesInstagramHashtagStrategy(plan)) {
     return collectInstagramViaHashtags(runId, plan, targetCount, onProgress);
   } else {
     return collectInstagramViaOwnAccount(runId, plan, targetCount, onProgress);
   }
 }
 
+/**
+ * Check whether a plan collects Instagram media by hashtag (otherwise own-account media)
+ * @param {Object} plan - The collection plan
+ * @returns {boolean}
+ */
+function usesInstagramHashtagStrategy(plan) {
+  const strategy = plan.queryStrategy?.instagram?.primaryStrategy || 'hashtag';
+  return strategy === 'hashtag' && (plan.hashtags?.length > 0 || plan.keywords?.length > 0);
+}
+
+/**
+ * Get the hashtags a plan searches on Instagram, in order
+ * @param {Object} plan - The collection plan
+ * @returns {string[]} Hashtags (without #)
+ */
+function getInstagramHashtagsToSearch(plan) {
+  return plan.queryStrategy?.instagram?.hashtagsToSearch ||
+    plan.hashtags ||
+    plan.keywords?.slice(0, 3) ||
+    [];
+}
+
 /**
  * Collect Instagram media via hashtag search
  * Creates Drive artifacts and collects all available fields
@@ -310,69 +332,102 @@ function collectInstagramViaHashtags(runId, plan, targetCount, onProgress) {
   let skipped = 0;
   const postsToWrite = [];
   const processedIds = new Set();
+  // Posts per hashtag, remembered by the planner when the run completes
+  const searchYield = { ...(state.instagramProgress.searchYield || {}) };
 
   // Get hashtags to search
-  const hashtagsToSearch = plan.queryStrategy?.instagram?.hashtagsToSearch ||
-    plan.hashtags ||
-    plan.keywords?.slice(0, 3) ||
-    [];
+  const hashtagsToSearch = getInstagramHashtagsToSearch(plan);
 
   if (hashtagsToSearch.length === 0) {
     console.log('No hashtags to search, falling back to own account');
+    logRunEvent(runId, RUN_EVENT_TYPE.FALLBACK, 'No hashtags to search; falling back to own account media',
+      { platform: 'instagram' });
     return collectInstagramViaOwnAccount(runId, plan, targetCount, onProgress);
   }
 
-  console.log(`Starting hashtag collection. Target: ${targetCount}, Hashtags: ${hashtagsToSearch.join(', ')}`);
+  // Resume from the checkpoint left by a previous slice or a pause
+  const startIndex = state.instagramProgress.hashtagIndex || 0;
+  const startCursor = state.instagramProgress.cursor || null;
+
+  console.log(`Starting hashtag collection. Target: ${targetCount}, Hashtags: ${hashtagsToSearch.join(', ')}, from index ${startIndex}`);
+
+  // Write pending posts and persist the checkpoint (hashtag index + recent-media cursor).
+  // onProgress may throw (TIMEOUT / PAUSED) once the checkpoint is saved.
+  const saveCheckpoint = (hashtagIndex, cursor) => {
+    if (postsToWrite.length > 0) {
+      console.log(`Writing ${postsToWrite.length} posts to spreadsheet`);
+      appendRowsBatch(state.spreadsheetId, 'instagram', postsToWrite.splice(0));
+    }
+    updateInstagramProgress(runId, { collected, hashtagIndex, cursor, searchYield });
+
+    if (onProgress) {
+      onProgress({ platform: 'instagram', collected, target: targetCount });
+    }
+  };
 
   // Search each hashtag
-  for (const hashtag of hashtagsToSearch) {
+  for (let index = startIndex; index < hashtagsToSearch.length; index++) {
+    const hashtag = hashtagsToSearch[index];
     if (collected >= targetCount) {
       break;
     }
 
+    // A saved cursor means this hashtag's top media were already processed
+    const resumeCursor = index === startIndex ? startCursor : null;
+    const collectedBefore = collected;
+    searchYield[hashtag] = searchYield[hashtag] || 0;
+
     console.log(`Searching Instagram hashtag: ${hashtag}`);
 
     const hashtagId = searchHashtagId(hashtag);
     if (!hashtagId) {
       console.log(`Hashtag not found: ${hashtag}`);
+      logRunEvent(runId, RUN_EVENT_TYPE.INFO, `Hashtag #${hashtag} not found`, { platform: 'instagram', hashtag: hashtag });
+      saveCheckpoint(index + 1, null);
       continue;
     }
 
     console.log(`Found hashtag ID: ${hashtagId}`);
 
     // Get top media first (usually more relevant)
-    try {
-      const topMedia = getHashtagTopMedia(hashtagId, Math.min(25, targetCount - collected));
-      console.log(`Got ${topMedia.media.length} top media items`);
+    if (!resumeCursor) {
+      try {
+        const topMedia = getHashtagTopMedia(hashtagId, Math.min(25, targetCount - collected));
+        console.log(`Got ${topMedia.media.length} top media items`);
 
-      for (const media of topMedia.media) {
-        if (collected >= targetCount) break;
+        for (const media of topMedia.media) {
+          if (collected >= targetCount) break;
 
-        const mediaId = String(media.id);
+          const mediaId = String(media.id);
 
-        // Skip duplicates
-        if (processedIds.has(mediaId) || isPostProcessed(runId, 'instagram', mediaId)) {
-          skipped++;
-          continue;
-        }
+          // Skip duplicates
+          if (processedIds.has(mediaId) || isPostProcessed(runId, 'instagram', mediaId)) {
+            logDuplicateSkipped(runId, 'instagram', mediaId);
+            skipped++;
+            continue;
+          }
 
-        // Process media with Drive artifact creation
-        const result = processHashtagMedia(runId, state, media, hashtag);
-        if (result.processed) {
-          postsToWrite.push(result.normalizedPost);
-          processedIds.add(mediaId);
-          addProcessedPostId(runId, 'instagram', mediaId);
-          collected++;
+          // Process media with Drive artifact creation
+          const result = processHashtagMedia(runId, state, media, hashtag);
+          if (result.processed) {
+            postsToWrite.push(result.normalizedPost);
+            processedIds.add(mediaId);
+            addProcessedPostId(runId, 'instagram', mediaId);
+            collected++;
+            searchYield[hashtag]++;
+          }
         }
+      } catch (e) {
+        console.error(`Error getting top media for hashtag ${hashtag}:`, e.message);
       }
-    } catch (e) {
-      console.error(`Error getting top media for hashtag ${hashtag}:`, e.message);
+
+      saveCheckpoint(index, null);
     }
 
     // Get recent media if we need more
     if (collected < targetCount) {
       try {
-        let cursor = null;
+        let cursor = resumeCursor;
         let attempts = 0;
 
         while (collected < targetCount && attempts < 3) {
@@ -397,6 +452,7 @@ function collectInstagramViaHashtags(runId, plan, targetCount, onProgress) {
 
             // Skip duplicates
             if (processedIds.has(mediaId) || isPostProcessed(runId, 'instagram', mediaId)) {
+              logDuplicateSkipped(runId, 'instagram', mediaId);
               skipped++;
               continue;
             }
@@ -408,6 +464,7 @@ function collectInstagramViaHashtags(runId, plan, targetCount, onProgress) {
               processedIds.add(mediaId);
               addProcessedPostId(runId, 'instagram', mediaId);
               collected++;
+              searchYield[hashtag]++;
             }
           }
 
@@ -416,23 +473,25 @@ function collectInstagramViaHashtags(runId, plan, targetCount, onProgress) {
           if (!recentMedia.hasMore) {
             break;
           }
+
+          saveCheckpoint(index, cursor);
         }
       } catch (e) {
+        if (e.message === 'TIMEOUT' || e.message === 'PAUSED') {
+          throw e;
+        }
         console.error(`Error getting recent media for hashtag ${hashtag}:`, e.message);
       }
     }
-  }
 
-  // Write all collected posts to spreadsheet
-  if (postsToWrite.length > 0) {
-    console.log(`Writing ${postsToWrite.length} posts to spreadsheet`);
-    appendRowsBatch(state.spreadsheetId, 'instagram', postsToWrite);
-    updateInstagramProgress(runId, { collected });
+    logRunEvent(runId, RUN_EVENT_TYPE.INFO, `Hashtag #${hashtag}: ${collected - collectedBefore} new post(s)`,
+      { platform: 'instagram', hashtag: hashtag, collected: collected - collectedBefore });
 
-    if (onProgress) {
-      onProgress({ platform: 'instagram', collected, target: targetCount });
-    }
-  } else {
+    // Hashtag finished; the next slice starts with the following one
+    saveCheckpoint(index + 1, null);
+  }
+
+  if (collected === (state.instagramProgress.collected || 0)) {
     console.log('No posts collected from hashtag search');
   }
 
@@ -690,6 +749,8 @@ function processHashtagMedia(runId, state, media, hashtag) {
       }
     }
 
+    countPostArtifact('instagram', videoDownloaded);
+
   } catch (e) {
     console.error(`Error creating Drive artifact for ${mediaId}:`, e.message);
     memoNotes.push('Drive artifact creation failed: ' + e.message);
@@ -796,6 +857,7 @@ function processInstagramMedia(runId, state, media, memoPrefix = '') {
 
   // Check for duplicates
   if (isPostProcessed(runId, 'instagram', mediaId)) {
+    logDuplicateSkipped(runId, 'instagram', mediaId);
     return { skipped: true, processed: false };
   }
 
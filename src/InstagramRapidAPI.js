@@ -63,6 +63,7 @@ function callInstagramRapidAPI(endpoint, params = {}) {
 
   console.log(`[DEBUG] Calling Instagram RapidAPI: ${url}`);
 
+  const startedAt = Date.now();
   const response = UrlFetchApp.fetch(url, {
     method: 'GET',
     headers: {
@@ -73,6 +74,7 @@ function callInstagramRapidAPI(endpoint, params = {}) {
   });
 
   const responseCode = response.getResponseCode();
+  logApiCall('rapidapi', url, responseCode, startedAt);
   const responseText = response.getContentText();
 
   // Try to parse JSON first (API returns JSON even for errors)
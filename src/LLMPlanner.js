@@ -1,14 +1,19 @@
 /**
  * LLMPlanner.js
- * Calls OpenAI Chat Completions API to parse user instructions and generate plans
+ * Calls the configured LLM provider to parse user instructions and generate plans
  *
- * Uses GPT-4o with structured outputs (JSON mode) as specified in section 5.4
+ * Uses structured outputs against PLAN_SCHEMA as specified in section 5.4;
+ * provider adapters (OpenAI, Azure OpenAI, Anthropic, Gemini, local) are in LLMProviders.js,
+ * the offline rule-based parser (provider 'rules') is in RulePlanner.js
  *
  * Functions:
  * - Parse natural language instruction into structured plan
  * - Decide query strategy and parameters
  * - Generate fallback strategies
  * - Produce concise memo notes
+ * - Normalize and repair LLM plans (types, count limits, dates, '#'/'@'), with one LLM repair round
+ * - Validate user-edited plans against the schema
+ * - Show the LLM similar past runs and what their hashtags/queries yielded (PlannerMemory.js)
  */
 
 /**
@@ -29,9 +34,9 @@ const PLAN_SCHEMA = {
     targetCounts: {
       type: 'object',
       properties: {
-        instagram: { type: 'integer', description: 'Number of posts to collect from Instagram' },
-        x: { type: 'integer', description: 'Number of posts to collect from X (Twitter)' },
-        tiktok: { type: 'integer', description: 'Number of posts to collect from TikTok' }
+        instagram: { type: 'integer', minimum: 0, description: 'Number of posts to collect from Instagram' },
+        x: { type: 'integer', minimum: 0, description: 'Number of posts to collect from X (Twitter)' },
+        tiktok: { type: 'integer', minimum: 0, description: 'Number of posts to collect from TikTok' }
       }
     },
     keywords: {
@@ -109,68 +114,60 @@ const PLAN_SCHEMA = {
 };
 
 /**
- * Call OpenAI Chat Completions API
- * @param {Object} params - API parameters
- * @param {string} params.systemPrompt - System prompt
- * @param {string} params.userPrompt - User prompt
- * @param {Object} [params.responseFormat] - Optional structured output schema
- * @returns {Object} The API response
+ * Platform names the LLM may use instead of the PLAN_SCHEMA values
  */
-function callOpenAI(params) {
-  const apiKey = getConfig(CONFIG_KEYS.OPENAI_API_KEY);
-  if (!apiKey) {
-    throw new Error('OpenAI API key not configured');
-  }
-
-  const model = getConfig(CONFIG_KEYS.OPENAI_MODEL, CONFIG_DEFAULTS.OPENAI_MODEL);
-
-  const requestBody = {
-    model: model,
-    messages: [
-      { role: 'system', content: params.systemPrompt },
-      { role: 'user', content: params.userPrompt }
-    ]
-  };
-
-  // Add response format for structured outputs (JSON mode)
-  if (params.responseFormat) {
-    requestBody.response_format = { type: 'json_object' };
-  }
-
-  const response = UrlFetchApp.fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'post',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    payload: JSON.stringify(requestBody),
-    muteHttpExceptions: true
-  });
-
-  const responseCode = response.getResponseCode();
-  const responseBody = JSON.parse(response.getContentText());
-
-  if (responseCode !== 200) {
-    console.error('OpenAI API error:', responseBody);
-    throw new Error(`OpenAI API error: ${responseBody.error?.message || 'Unknown error'}`);
-  }
+const PLAN_PLATFORM_ALIASES = {
+  twitter: 'x',
+  tweets: 'x',
+  ig: 'instagram',
+  insta: 'instagram'
+};
 
-  return responseBody;
-}
+/**
+ * Longest invalid answer sent back in a repair prompt
+ */
+const MAX_PLAN_REPAIR_ANSWER_LENGTH = 8000;
 
 /**
  * Parse user instruction into a structured plan
  * @param {string} instruction - The user's natural language instruction
+ * @param {string} [llmProvider] - LLM provider to plan with (see resolveLlmProvider)
  * @returns {Object} The structured plan
  */
-function parseInstructionToPlan(instruction) {
+function parseInstructionToPlan(instruction, llmProvider = null) {
+  return planInstruction(instruction, llmProvider).plan;
+}
+
+/**
+ * Plan an instruction with the LLM, repairing or replacing an invalid answer
+ * The answer is normalized (normalizePlan) and validated. An answer that is
+ * still invalid is sent back to the LLM once with the validation errors; if
+ * the repaired answer is invalid too, or the call fails, the rule-based
+ * createFallbackPlan() is used. With the 'rules' provider, and in mock mode,
+ * the rule-based plan is used directly. Every plan is then adapted to the
+ * instruction's language (applyInstructionLanguage: X language filter,
+ * native and romanized Instagram hashtags).
+ * @param {string} instruction - The user's natural language instruction
+ * @param {string} [llmProvider] - LLM provider to plan with (see resolveLlmProvider)
+ * @returns {Object} { plan, warnings, source } where warnings describe what was changed or repaired,
+ *   and source is 'llm', or 'rules' when the rule-based planner made the plan
+ */
+function planInstruction(instruction, llmProvider = null) {
   const operationalConfig = getOperationalConfig();
   const defaultCount = operationalConfig.maxPostsPerPlatform;
+  const language = detectInstructionLanguage(instruction);
+  const finish = (plan, warnings, source) => ({
+    plan: applyInstructionLanguage(plan, language, warnings),
+    warnings: warnings,
+    source: source
+  });
 
-  // In mock mode, use fallback plan without calling OpenAI
-  if (isMockMode()) {
-    console.log('Mock mode: Using fallback plan');
-    return createFallbackPlan(instruction, defaultCount);
+  // The rule-based planner and mock mode plan without calling the LLM
+  const provider = resolveLlmProvider(llmProvider);
+  if (isMockMode() || provider === 'rules') {
+    console.log(`${isMockMode() ? 'Mock mode' : 'Rule planner'}: Using rule-based plan`);
+    const normalized = normalizePlan(createFallbackPlan(instruction, defaultCount));
+    return finish(applyPlanDefaults(normalized.plan), normalized.warnings, 'rules');
   }
 
   const systemPrompt = `You are a data collection planning assistant for ClipPulse, a tool that collects social media data from Instagram and X (Twitter).
@@ -200,14 +197,15 @@ CRITICAL RULES - Follow these strictly:
 5. **Query Strategy**:
    - For X: Use keywords and hashtags. For specific users, use "from:username" syntax.
    - queryType can be "Latest" (recent tweets) or "Top" (popular tweets).
-
+${language && language !== 'en' ? getPlanLanguagePrompt(language) : ''}
 Examples:
 - "Fetch 5 tweets about skincare trends" → targetPlatforms: ["x"], targetCounts: { x: 5, instagram: 0 }
 - "Collect 10 Instagram posts about food" → targetPlatforms: ["instagram"], targetCounts: { instagram: 10, x: 0 }
 - "Get 20 posts about AI" → targetPlatforms: ["instagram", "x"], targetCounts: { instagram: 20, x: 20 }
 - "Find tweets from @elonmusk" → targetPlatforms: ["x"], targetCounts: { x: ${defaultCount}, instagram: 0 }
-
-Current date: ${new Date().toISOString().split('T')[0]}`;
+- "インスタでサウナの投稿を30件" → targetPlatforms: ["instagram"], targetCounts: { instagram: 30, x: 0 }, keywords: ["サウナ"], hashtags: ["サウナ", "sauna"]
+${getPlannerMemoryPrompt(instruction)}
+Current date: ${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd')} (${Session.getScriptTimeZone()})`;
 
   const userPrompt = `Please create a collection plan for this instruction:
 
@@ -216,161 +214,532 @@ Current date: ${new Date().toISOString().split('T')[0]}`;
 Return a structured JSON plan.`;
 
   try {
-    const response = callOpenAI({
+    const response = callLLM({
       systemPrompt: systemPrompt,
       userPrompt: userPrompt,
-      responseFormat: PLAN_SCHEMA
+      responseFormat: PLAN_SCHEMA,
+      provider: provider
     });
-
-    // Parse the response
-    let plan;
-    if (response.output && response.output[0] && response.output[0].content) {
-      const content = response.output[0].content[0];
-      if (content.type === 'text') {
-        plan = JSON.parse(content.text);
+    console.log(`Plan generated by ${response.provider} (${response.model})`);
+
+    let result = readLlmPlan(response.text, defaultCount);
+    if (result.errors.length > 0) {
+      console.log(`LLM plan is invalid, asking for a repair: ${result.errors.join('; ')}`);
+      const repaired = readLlmPlan(requestPlanRepair(instruction, response.text, result.errors, response.provider).text, defaultCount);
+      if (repaired.errors.length > 0) {
+        throw new Error(`LLM plan is still invalid after repair: ${repaired.errors.join('; ')}`);
       }
-    } else if (response.choices && response.choices[0]) {
-      plan = JSON.parse(response.choices[0].message.content);
-    } else {
-      throw new Error('Unexpected API response format');
+      result = {
+        plan: repaired.plan,
+        warnings: [`Repaired invalid LLM plan (${result.errors.join('; ')})`].concat(repaired.warnings)
+      };
     }
 
-    // Ensure required fields have defaults
-    plan.targetPlatforms = plan.targetPlatforms || ['instagram', 'x'];
-    // Filter to only supported platforms
-    plan.targetPlatforms = plan.targetPlatforms.filter(p => ['instagram', 'x'].includes(p));
-    if (plan.targetPlatforms.length === 0) {
-      plan.targetPlatforms = ['instagram', 'x'];
+    const plan = result.plan;
+    console.log(`[DEBUG] LLM plan parsed: platforms=${JSON.stringify(plan.targetPlatforms)}, counts=ig:${plan.targetCounts.instagram}, x:${plan.targetCounts.x}`);
+    if (result.warnings.length > 0) {
+      console.log(`LLM plan warnings: ${result.warnings.join('; ')}`);
     }
 
-    plan.targetCounts = plan.targetCounts || {};
-    // Respect the count returned by GPT. Only fall back to defaultCount if the platform
-    // is requested but GPT returned no count (0 or missing).
-    if (plan.targetPlatforms.includes('instagram')) {
-      plan.targetCounts.instagram = (plan.targetCounts.instagram && plan.targetCounts.instagram > 0)
-        ? plan.targetCounts.instagram
-        : defaultCount;
-    } else {
-      plan.targetCounts.instagram = 0;
-    }
-    if (plan.targetPlatforms.includes('x')) {
-      plan.targetCounts.x = (plan.targetCounts.x && plan.targetCounts.x > 0)
-        ? plan.targetCounts.x
-        : defaultCount;
-    } else {
-      plan.targetCounts.x = 0;
-    }
+    return finish(applyPlanDefaults(plan), result.warnings, 'llm');
+
+  } catch (e) {
+    console.error('Error parsing instruction:', e);
+    // Return a basic fallback plan, clamped and filled in like any other plan
+    const normalized = normalizePlan(createFallbackPlan(instruction, defaultCount));
+    return finish(applyPlanDefaults(normalized.plan),
+      [`Used the rule-based fallback plan: ${e.message}`].concat(normalized.warnings), 'rules');
+  }
+}
+
+/**
+ * Build the system prompt section for an instruction that is not in English
+ * @param {string} language - Result of detectInstructionLanguage()
+ * @returns {string} Prompt text
+ */
+function getPlanLanguagePrompt(language) {
+  const name = INSTRUCTION_LANGUAGE_NAMES[language] || language;
+  return `
+6. **Language**: The instruction is written in ${name}.
+   - Keep keywords in ${name} as the user wrote them. Do NOT translate them to English, and do not split words that have no spaces between them.
+   - For hashtags, give the ${name} hashtag and, where one is commonly used, its romanized or English form (e.g. "サウナ" and "sauna").
+   - Set queryStrategy.x.language to "${language}" unless the user asks for posts in another language.
+`;
+}
+
+/**
+ * Turn an LLM answer into a plan: parse, normalize, fill in counts and validate
+ * @param {string} text - The answer (JSON text)
+ * @param {number} defaultCount - Count for requested platforms the LLM gave no count
+ * @returns {Object} { plan, warnings, errors } (errors is empty when the plan is valid)
+ */
+function readLlmPlan(text, defaultCount) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    return { plan: null, warnings: [], errors: ['Answer is not valid JSON'] };
+  }
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { plan: null, warnings: [], errors: ['plan must be an object'] };
+  }
+
+  const normalized = normalizePlan(parsed);
+  const plan = normalized.plan;
+
+  // Ensure required fields have defaults
+  plan.targetPlatforms = plan.targetPlatforms || ['instagram', 'x'];
+  if (Array.isArray(plan.targetPlatforms) && plan.targetPlatforms.length === 0) {
+    plan.targetPlatforms = ['instagram', 'x'];
+  }
+
+  plan.targetCounts = plan.targetCounts || {};
+  plan.keywords = plan.keywords || [];
+  // Respect the count returned by the LLM. Only fall back to defaultCount if the platform
+  // is requested but the LLM returned no count (0 or missing); other values are validated.
+  if (Array.isArray(plan.targetPlatforms) && typeof plan.targetCounts === 'object') {
+    ['instagram', 'x'].forEach(platform => {
+      const count = plan.targetCounts[platform];
+      if (!plan.targetPlatforms.includes(platform)) {
+        plan.targetCounts[platform] = 0;
+      } else if (count === undefined || count === null || count === 0) {
+        plan.targetCounts[platform] = defaultCount;
+      }
+    });
     plan.targetCounts.tiktok = 0; // TikTok disabled
+  }
 
-    console.log(`[DEBUG] LLM plan parsed: platforms=${JSON.stringify(plan.targetPlatforms)}, counts=ig:${plan.targetCounts.instagram}, x:${plan.targetCounts.x}`);
+  // Process keywords - split multi-word strings into individual words (CJK-aware)
+  if (Array.isArray(plan.keywords)) {
+    plan.keywords = plan.keywords.flatMap(k => typeof k === 'string' ? splitPlanKeyword(k) : [k]);
+  }
+
+  // Search X posts from the creator handles, if any
+  if (Array.isArray(plan.creatorHandles) && plan.creatorHandles.length > 0) {
+    plan.queryStrategy = plan.queryStrategy || {};
+    plan.queryStrategy.x = plan.queryStrategy.x || {};
+    plan.queryStrategy.x.fromUsers = plan.creatorHandles.slice();
+  }
+
+  return { plan: plan, warnings: normalized.warnings, errors: validatePlan(plan).errors };
+}
+
+/**
+ * Ask the LLM to fix a plan that failed validation
+ * @param {string} instruction - The instruction the plan was made from
+ * @param {string} answer - The invalid answer
+ * @param {string[]} errors - Validation errors of the answer
+ * @param {string} provider - Provider that produced the answer
+ * @returns {Object} Result of callLLM()
+ */
+function requestPlanRepair(instruction, answer, errors, provider) {
+  const systemPrompt = `You repair data collection plans for ClipPulse.
+The plan you are given does not match the required JSON schema. Fix the listed problems, keep everything else as it is, and return the complete corrected plan as JSON.
+
+Schema:
+${JSON.stringify(PLAN_SCHEMA)}`;
+
+  const userPrompt = `Instruction: "${instruction}"
+
+Plan:
+${String(answer).substring(0, MAX_PLAN_REPAIR_ANSWER_LENGTH)}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}`;
+
+  return callLLM({
+    systemPrompt: systemPrompt,
+    userPrompt: userPrompt,
+    responseFormat: PLAN_SCHEMA,
+    provider: provider
+  });
+}
+
+/**
+ * Normalize an LLM plan before it is validated
+ * - coerces values to their PLAN_SCHEMA types ("50" to 50, "true" to true, "a, b" to ["a", "b"])
+ *   and drops values outside an enum (after mapping platform aliases such as "twitter")
+ * - clamps counts to 0..POSTS_PER_PLATFORM_LIMIT
+ * - normalizes time window dates to ISO 8601 (unparseable dates become null)
+ * - strips '#' from hashtags and '@' from handles, dropping empty and repeated values
+ * Every change is reported as a warning.
+ * @param {Object} plan - The parsed plan (not modified)
+ * @returns {Object} { plan, warnings }
+ */
+function normalizePlan(plan) {
+  const warnings = [];
+  const normalized = JSON.parse(JSON.stringify(plan));
+
+  if (typeof normalized.targetPlatforms === 'string') {
+    normalized.targetPlatforms = normalized.targetPlatforms.split(/[,\s]+/).filter(Boolean);
+    warnings.push('plan.targetPlatforms: split text into a list');
+  }
+  if (Array.isArray(normalized.targetPlatforms)) {
+    normalized.targetPlatforms = normalized.targetPlatforms.map(platform => {
+      const name = String(platform).trim().toLowerCase();
+      return PLAN_PLATFORM_ALIASES[name] || name;
+    });
+  }
+
+  coerceSchemaValue(normalized, PLAN_SCHEMA, 'plan', warnings);
 
-    // Process keywords - split multi-word strings into individual words
-    let keywords = plan.keywords || [];
-    if (keywords.length > 0) {
-      keywords = keywords.flatMap(k =>
-        k.includes(' ') ? k.split(/\s+/).filter(w => w.length > 2) : [k]
-      );
+  const limit = getOperationalConfig().postsPerPlatformLimit;
+  const counts = normalized.targetCounts;
+  if (counts && typeof counts === 'object' && limit > 0) {
+    Object.keys(counts).forEach(platform => {
+      if (Number.isInteger(counts[platform]) && counts[platform] > limit) {
+        warnings.push(`plan.targetCounts.${platform}: ${counts[platform]} clamped to ${limit}`);
+        counts[platform] = limit;
+      }
+    });
+  }
+
+  if (Array.isArray(normalized.targetPlatforms)) {
+    normalized.targetPlatforms = normalized.targetPlatforms
+      .filter((platform, i, all) => all.indexOf(platform) === i);
+  }
+
+  const strategy = normalized.queryStrategy || {};
+  cleanPlanNames(normalized, 'hashtags', '#', 'plan.hashtags', warnings);
+  cleanPlanNames(normalized, 'creatorHandles', '@', 'plan.creatorHandles', warnings);
+  cleanPlanNames(strategy.instagram, 'hashtagsToSearch', '#', 'plan.queryStrategy.instagram.hashtagsToSearch', warnings);
+  cleanPlanNames(strategy.x, 'fromUsers', '@', 'plan.queryStrategy.x.fromUsers', warnings);
+
+  normalizePlanTimeWindow(normalized.timeWindow, warnings);
+
+  return { plan: normalized, warnings: warnings };
+}
+
+/**
+ * Coerce a value in place towards a (subset of) JSON Schema
+ * Values that cannot be coerced are left for validateSchemaValue to report.
+ * @param {*} value - The value
+ * @param {Object} schema - The schema node
+ * @param {string} path - Path of the value, for warnings
+ * @param {string[]} warnings - Collected warnings
+ * @returns {*} The coerced value, or undefined to drop it
+ */
+function coerceSchemaValue(value, schema, path, warnings) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  switch (schema.type) {
+    case 'integer': {
+      let number = value;
+      if (typeof value === 'string' && /^\s*-?\d+(\.\d+)?/.test(value)) {
+        number = parseFloat(value);
+      }
+      if (typeof number !== 'number' || !isFinite(number)) {
+        return value;
+      }
+      number = Math.round(number);
+      if (schema.minimum !== undefined && number < schema.minimum) {
+        number = schema.minimum;
+      }
+      if (number !== value) {
+        warnings.push(`${path}: ${JSON.stringify(value)} changed to ${number}`);
+      }
+      return number;
     }
-    plan.keywords = keywords;
-    plan.hashtags = plan.hashtags || [];
 
-    // Ensure queryStrategy.instagram.hashtagsToSearch is set
-    plan.queryStrategy = plan.queryStrategy || {};
-    plan.queryStrategy.instagram = plan.queryStrategy.instagram || {};
-    if (!plan.queryStrategy.instagram.hashtagsToSearch || plan.queryStrategy.instagram.hashtagsToSearch.length === 0) {
-      plan.queryStrategy.instagram.hashtagsToSearch = plan.hashtags.length > 0 ? plan.hashtags : keywords.slice(0, 5);
+    case 'boolean':
+      if (value === 'true' || value === 'false') {
+        warnings.push(`${path}: "${value}" changed to ${value === 'true'}`);
+        return value === 'true';
+      }
+      return value;
+
+    case 'string': {
+      let text = value;
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        text = String(value);
+        warnings.push(`${path}: ${value} changed to "${text}"`);
+      }
+      if (schema.enum && typeof text === 'string' && !schema.enum.includes(text)) {
+        const match = schema.enum.find(option => option.toLowerCase() === text.trim().toLowerCase());
+        if (!match) {
+          warnings.push(`${path}: dropped "${text}" (not one of ${schema.enum.join(', ')})`);
+          return undefined;
+        }
+        text = match;
+      }
+      return text;
     }
-    plan.queryStrategy.instagram.primaryStrategy = plan.queryStrategy.instagram.primaryStrategy || 'hashtag';
 
-    // Ensure queryStrategy.x is set
-    plan.queryStrategy.x = plan.queryStrategy.x || {};
-    plan.queryStrategy.x.queryType = plan.queryStrategy.x.queryType || 'Latest';
-    // Extract usernames from creatorHandles if present
-    if (plan.creatorHandles && plan.creatorHandles.length > 0) {
-      plan.queryStrategy.x.fromUsers = plan.creatorHandles.map(h => h.replace('@', ''));
+    case 'array': {
+      let items = value;
+      if (typeof value === 'string') {
+        items = value.split(',').map(item => item.trim()).filter(Boolean);
+        warnings.push(`${path}: split text into a list`);
+      }
+      if (!Array.isArray(items) || !schema.items) {
+        return items;
+      }
+      return items
+        .map((item, i) => coerceSchemaValue(item, schema.items, `${path}[${i}]`, warnings))
+        .filter(item => item !== undefined);
     }
 
-    return plan;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return value;
+      }
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined) {
+          const coerced = coerceSchemaValue(value[key], propertySchema, `${path}.${key}`, warnings);
+          if (coerced === undefined) {
+            delete value[key];
+          } else {
+            value[key] = coerced;
+          }
+        }
+      });
+      return value;
 
-  } catch (e) {
-    console.error('Error parsing instruction:', e);
-    // Return a basic fallback plan
-    return createFallbackPlan(instruction, defaultCount);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Strip a prefix ('#' or '@') from a list of names, dropping empty and repeated names
+ * @param {Object} parent - Object holding the list (may be undefined)
+ * @param {string} key - Name of the list
+ * @param {string} prefix - Prefix to strip
+ * @param {string} path - Path of the list, for warnings
+ * @param {string[]} warnings - Collected warnings
+ */
+function cleanPlanNames(parent, key, prefix, path, warnings) {
+  if (!parent || !Array.isArray(parent[key])) {
+    return;
+  }
+
+  const names = parent[key];
+  const cleaned = names
+    .map(name => typeof name === 'string' ? name.trim().replace(prefix === '#' ? /^#+/ : /^@+/, '').trim() : name)
+    .filter((name, i, all) => name !== '' && all.indexOf(name) === i);
+
+  const stripped = names.filter(name => typeof name === 'string' && name.trim().startsWith(prefix)).length;
+  if (stripped > 0) {
+    warnings.push(`${path}: removed '${prefix}' from ${stripped} value(s)`);
   }
+  if (cleaned.length < names.length) {
+    warnings.push(`${path}: dropped ${names.length - cleaned.length} empty or repeated value(s)`);
+  }
+  parent[key] = cleaned;
 }
 
 /**
- * Create a fallback plan when LLM parsing fails
+ * Normalize a plan's time window dates to ISO 8601 in place
+ * Empty dates become null; unparseable dates become null with a warning, and
+ * a start after the end is swapped.
+ * @param {Object} timeWindow - The plan's timeWindow (may be undefined)
+ * @param {string[]} warnings - Collected warnings
+ */
+function normalizePlanTimeWindow(timeWindow, warnings) {
+  if (!timeWindow || typeof timeWindow !== 'object') {
+    return;
+  }
+
+  ['startDate', 'endDate'].forEach(field => {
+    const value = timeWindow[field];
+    if (typeof value !== 'string') {
+      return;
+    }
+
+    const text = value.trim();
+    if (text === '' || text.toLowerCase() === 'null') {
+      timeWindow[field] = null;
+      return;
+    }
+
+    const date = new Date(text);
+    if (isNaN(date.getTime())) {
+      warnings.push(`plan.timeWindow.${field}: dropped unparseable date "${value}"`);
+      timeWindow[field] = null;
+    } else if (!/^\d{4}-\d{2}-\d{2}/.test(text)) {
+      timeWindow[field] = date.toISOString();
+      warnings.push(`plan.timeWindow.${field}: "${value}" changed to ${timeWindow[field]}`);
+    } else {
+      timeWindow[field] = text;
+    }
+  });
+
+  if (timeWindow.startDate && timeWindow.endDate && new Date(timeWindow.startDate) > new Date(timeWindow.endDate)) {
+    [timeWindow.startDate, timeWindow.endDate] = [timeWindow.endDate, timeWindow.startDate];
+    warnings.push('plan.timeWindow: swapped startDate and endDate');
+  }
+}
+
+/**
+ * Create a plan without the LLM, using the rule-based parser (RulePlanner.js)
  * @param {string} instruction - The original instruction
  * @param {number} defaultCount - Default count per platform
- * @returns {Object} A basic plan
+ * @returns {Object} The plan
  */
 function createFallbackPlan(instruction, defaultCount) {
-  // Extract hashtags (words starting with #)
-  const hashtagMatches = instruction.match(/#\w+/g) || [];
-  const hashtags = hashtagMatches.map(h => h.substring(1));
-
-  // Extract usernames (words starting with @)
-  const usernameMatches = instruction.match(/@\w+/g) || [];
-  const usernames = usernameMatches.map(u => u.substring(1));
-
-  // Extract keywords (simple word extraction)
-  const words = instruction.toLowerCase()
-    .replace(/[^\w\s]/g, ' ')
-    .split(/\s+/)
-    .filter(w => w.length > 3)
-    .filter(w => !['find', 'collect', 'get', 'posts', 'videos', 'tweets', 'about', 'from', 'with', 'only', 'twitter', 'instagram'].includes(w));
-
-  // Extract count if mentioned (supports "5 tweets", "fetch 10 posts", "get 20 Instagram posts")
-  const countMatch = instruction.match(/(\d+)\s*(?:\w+\s+)*(posts?|tweets?|reels?)/i);
-  const count = countMatch ? parseInt(countMatch[1]) : defaultCount;
-
-  // Determine platforms from instruction
-  const lowerInstruction = instruction.toLowerCase();
-  const mentionsInstagram = lowerInstruction.includes('instagram') || lowerInstruction.includes(' ig ') || lowerInstruction.includes('reels');
-  const mentionsX = lowerInstruction.includes('twitter') || lowerInstruction.includes('tweet') || usernames.length > 0;
-  // Note: "posts" alone is ambiguous - don't use it to determine platform
-
-  // Default to both platforms if none specified
-  const platforms = [];
-  if (mentionsInstagram || (!mentionsInstagram && !mentionsX)) platforms.push('instagram');
-  if (mentionsX || (!mentionsInstagram && !mentionsX)) platforms.push('x');
+  const now = new Date();
+  return parseInstructionWithRules(instruction, {
+    defaultCount: defaultCount,
+    now: now,
+    timeZoneOffsetMs: getTimeZoneOffsetMs(now)
+  });
+}
 
-  return {
-    targetPlatforms: platforms,
-    targetCounts: {
-      instagram: platforms.includes('instagram') ? count : 0,
-      x: platforms.includes('x') ? count : 0,
-      tiktok: 0 // TikTok disabled
-    },
-    keywords: words.slice(0, 5),
-    hashtags: hashtags,
-    creatorHandles: usernames,
-    timeWindow: {
-      startDate: null,
-      endDate: null,
-      description: 'recent'
-    },
-    regionCode: '',
-    contentCategory: words[0] || 'general',
-    queryStrategy: {
-      tiktok: {
-        primaryQuery: '',
-        useHashtags: false,
-        useKeywords: false,
-        isRandom: false
-      },
-      instagram: {
-        primaryStrategy: hashtags.length > 0 ? 'hashtag' : 'mixed',
-        hashtagsToSearch: hashtags.length > 0 ? hashtags : words.slice(0, 3)
-      },
-      x: {
-        queryType: 'Latest',
-        fromUsers: usernames,
-        includeRetweets: false
+/**
+ * Fill in the optional plan fields the collectors rely on
+ * Fields that are already set are kept, so explicit API plans stay as given.
+ * @param {Object} plan - A plan that passed validatePlan (or came from the LLM)
+ * @returns {Object} The same plan
+ */
+function applyPlanDefaults(plan) {
+  plan.keywords = plan.keywords || [];
+  plan.hashtags = plan.hashtags || [];
+
+  // Ensure queryStrategy.instagram.hashtagsToSearch is set
+  plan.queryStrategy = plan.queryStrategy || {};
+  plan.queryStrategy.instagram = plan.queryStrategy.instagram || {};
+  if (!plan.queryStrategy.instagram.hashtagsToSearch || plan.queryStrategy.instagram.hashtagsToSearch.length === 0) {
+    plan.queryStrategy.instagram.hashtagsToSearch = plan.hashtags.length > 0 ? plan.hashtags : plan.keywords.slice(0, 5);
+  }
+  plan.queryStrategy.instagram.primaryStrategy = plan.queryStrategy.instagram.primaryStrategy || 'hashtag';
+
+  // Ensure queryStrategy.x is set
+  plan.queryStrategy.x = plan.queryStrategy.x || {};
+  plan.queryStrategy.x.queryType = plan.queryStrategy.x.queryType || 'Latest';
+
+  PLATFORMS.forEach(platform => {
+    plan.targetCounts[platform] = plan.targetCounts[platform] || 0;
+  });
+
+  return plan;
+}
+
+/**
+ * Merge platform and count overrides over a plan
+ * - platforms replaces targetPlatforms; other platforms get a count of 0, and
+ *   listed platforms without a count get the default per-platform count
+ * - counts replaces the given platforms' counts; without platforms, the target
+ *   platforms become those with a positive count
+ * The result still has to pass validatePlan().
+ * @param {Object} plan - The plan (not modified)
+ * @param {Object} [overrides] - { platforms: string[], counts: Object }
+ * @returns {Object} The merged plan
+ */
+function applyPlanOverrides(plan, overrides = null) {
+  if (!overrides || (!overrides.platforms && !overrides.counts)) {
+    return plan;
+  }
+
+  const merged = JSON.parse(JSON.stringify(plan));
+  merged.targetCounts = { ...merged.targetCounts, ...(overrides.counts || {}) };
+
+  if (overrides.platforms) {
+    const defaultCount = getOperationalConfig().maxPostsPerPlatform;
+    merged.targetPlatforms = overrides.platforms.slice();
+    PLATFORMS.forEach(platform => {
+      if (!merged.targetPlatforms.includes(platform)) {
+        merged.targetCounts[platform] = 0;
+      } else if (!(merged.targetCounts[platform] > 0)) {
+        merged.targetCounts[platform] = defaultCount;
       }
+    });
+  } else {
+    merged.targetPlatforms = PLAN_SCHEMA.properties.targetPlatforms.items.enum
+      .filter(platform => merged.targetCounts[platform] > 0);
+  }
+
+  return merged;
+}
+
+/**
+ * Validate a plan against PLAN_SCHEMA
+ * Used for plans edited by a user or supplied through the API, before they
+ * replace the LLM plan. Null optional fields are allowed (the LLM returns
+ * null dates); unknown fields are ignored. Counts over POSTS_PER_PLATFORM_LIMIT
+ * are errors here, where normalizePlan() would clamp them.
+ * @param {Object} plan - The plan to validate
+ * @returns {Object} { isValid, errors }
+ */
+function validatePlan(plan) {
+  const errors = [];
+  validateSchemaValue(plan, PLAN_SCHEMA, 'plan', errors);
+
+  if (errors.length === 0) {
+    const counts = plan.targetCounts;
+    if (!plan.targetPlatforms.some(platform => counts[platform] > 0)) {
+      errors.push('plan.targetCounts must request at least one post on a target platform');
+    }
+
+    const limit = getOperationalConfig().postsPerPlatformLimit;
+    Object.keys(counts).forEach(platform => {
+      if (limit > 0 && counts[platform] > limit) {
+        errors.push(`plan.targetCounts.${platform} must be at most ${limit} (POSTS_PER_PLATFORM_LIMIT)`);
+      }
+    });
+
+    const window = plan.timeWindow || {};
+    ['startDate', 'endDate'].forEach(field => {
+      if (window[field] && isNaN(new Date(window[field]).getTime())) {
+        errors.push(`plan.timeWindow.${field} is not a valid date: ${window[field]}`);
+      }
+    });
+    if (window.startDate && window.endDate && new Date(window.startDate) > new Date(window.endDate)) {
+      errors.push('plan.timeWindow.startDate must not be after endDate');
     }
+  }
+
+  return { isValid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Validate a value against a (subset of) JSON Schema
+ * Supports type, properties, required, items, enum and minimum.
+ * @param {*} value - The value to check
+ * @param {Object} schema - The schema node
+ * @param {string} path - Path of the value, for error messages
+ * @param {string[]} errors - Collected error messages
+ */
+function validateSchemaValue(value, schema, path, errors) {
+  const typeChecks = {
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array: v => Array.isArray(v),
+    string: v => typeof v === 'string',
+    integer: v => Number.isInteger(v),
+    boolean: v => typeof v === 'boolean'
   };
+
+  if (schema.type && !typeChecks[schema.type](value)) {
+    errors.push(`${path} must be ${schema.type === 'integer' || schema.type === 'array' ? 'an' : 'a'} ${schema.type}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => validateSchemaValue(item, schema.items, `${path}[${i}]`, errors));
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        validateSchemaValue(value[key], propertySchema, `${path}.${key}`, errors);
+      }
+    });
+  }
 }
 
 /**
@@ -382,9 +751,7 @@ function createFallbackPlan(instruction, defaultCount) {
  * @returns {Object} Updated strategy suggestions
  */
 function generateFallbackStrategy(currentPlan, platform, currentCount, targetCount) {
-  const apiKey = getConfig(CONFIG_KEYS.OPENAI_API_KEY);
-
-  if (!apiKey) {
+  if (!isLlmProviderConfigured()) {
     // Return basic fallback without LLM
     return {
       expandDateRange: true,
@@ -410,13 +777,10 @@ Suggest modifications to get more results. Return JSON with:
 - useRandom: boolean (for TikTok)`;
 
   try {
-    const response = callOpenAI({
+    const content = callLLM({
       systemPrompt: systemPrompt,
       userPrompt: userPrompt
-    });
-
-    const content = response.output?.[0]?.content?.[0]?.text ||
-                    response.choices?.[0]?.message?.content;
+    }).text;
 
     // Try to parse JSON from response
     const jsonMatch = content.match(/\{[\s\S]*\}/);
@@ -461,20 +825,15 @@ function generateMemoNote(issues) {
  * @returns {string[]} Related keywords
  */
 function generateRelatedKeywords(keyword) {
-  const apiKey = getConfig(CONFIG_KEYS.OPENAI_API_KEY);
-
-  if (!apiKey) {
+  if (!isLlmProviderConfigured()) {
     return [];
   }
 
   try {
-    const response = callOpenAI({
+    const content = callLLM({
       systemPrompt: 'Generate 3-5 related keywords or synonyms. Return only a JSON array of strings.',
       userPrompt: `Keyword: "${keyword}"`
-    });
-
-    const content = response.output?.[0]?.content?.[0]?.text ||
-                    response.choices?.[0]?.message?.content;
+    }).text;
 
     const jsonMatch = content.match(/\[[\s\S]*\]/);
     if (jsonMatch) {
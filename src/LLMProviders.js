@@ -0,0 +1,411 @@
+/**
+ * LLMProviders.js
+ * LLM provider adapters used by the planner (LLMPlanner.js)
+ *
+ * callLLM() sends a system and user prompt to one provider and returns the
+ * text of its answer. Supported providers:
+ * - openai: OpenAI Chat Completions (OPENAI_API_KEY, OPENAI_MODEL)
+ * - azure: an Azure OpenAI deployment (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY,
+ *   AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION)
+ * - anthropic: Anthropic Messages API (ANTHROPIC_API_KEY, ANTHROPIC_MODEL)
+ * - gemini: Google Gemini generateContent (GEMINI_API_KEY, GEMINI_MODEL)
+ * - local: any OpenAI-compatible server, e.g. self-hosted vLLM, Ollama or
+ *   LM Studio (LOCAL_LLM_BASE_URL, LOCAL_LLM_MODEL, optional LOCAL_LLM_API_KEY).
+ *   UrlFetchApp runs on Google's servers, so the URL must be reachable from the internet.
+ * - rules: no LLM; plans come from the offline parser in RulePlanner.js, and
+ *   fallback strategies and related keywords use their non-LLM defaults.
+ *
+ * When the caller passes a JSON schema (PLAN_SCHEMA for plans), each adapter
+ * asks its provider for output matching it: a json_schema response format for
+ * OpenAI-style endpoints, a forced tool call for Anthropic and a response
+ * schema for Gemini. The answer is always returned as JSON text, so callers
+ * parse every provider the same way.
+ *
+ * The provider is chosen per run (startRun option llmProvider, API parameter
+ * llm_provider), falling back to the LLM_PROVIDER Script Property, then openai.
+ */
+
+/**
+ * Supported LLM providers
+ */
+const LLM_PROVIDERS = ['openai', 'azure', 'anthropic', 'gemini', 'local', 'rules'];
+
+/**
+ * Anthropic Messages API version header
+ */
+const ANTHROPIC_API_VERSION = '2023-06-01';
+
+/**
+ * Maximum tokens requested from providers that require a limit (Anthropic)
+ */
+const LLM_MAX_OUTPUT_TOKENS = 4096;
+
+/**
+ * Name of the tool Anthropic is forced to call for structured output
+ */
+const LLM_STRUCTURED_OUTPUT_TOOL = 'submit_result';
+
+/**
+ * Get a provider's connection settings from Script Properties
+ * @param {string} provider - One of LLM_PROVIDERS
+ * @returns {Object} { provider, label, format ('openai', 'anthropic', 'gemini' or 'rules'),
+ *   url, apiKey, model, requiredKeys }
+ */
+function getLlmProviderSettings(provider) {
+  const trimUrl = url => (url || '').replace(/\/+$/, '');
+
+  switch (provider) {
+    case 'openai':
+      return {
+        provider: provider,
+        label: 'OpenAI',
+        format: 'openai',
+        url: 'https://api.openai.com/v1/chat/completions',
+        apiKey: getConfig(CONFIG_KEYS.OPENAI_API_KEY),
+        model: getConfig(CONFIG_KEYS.OPENAI_MODEL, CONFIG_DEFAULTS.OPENAI_MODEL),
+        requiredKeys: [CONFIG_KEYS.OPENAI_API_KEY]
+      };
+
+    case 'azure': {
+      const endpoint = trimUrl(getConfig(CONFIG_KEYS.AZURE_OPENAI_ENDPOINT));
+      const deployment = getConfig(CONFIG_KEYS.AZURE_OPENAI_DEPLOYMENT);
+      const apiVersion = getConfig(CONFIG_KEYS.AZURE_OPENAI_API_VERSION, CONFIG_DEFAULTS.AZURE_OPENAI_API_VERSION);
+      return {
+        provider: provider,
+        label: 'Azure OpenAI',
+        format: 'openai',
+        url: endpoint && deployment
+          ? `${endpoint}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${apiVersion}`
+          : null,
+        apiKey: getConfig(CONFIG_KEYS.AZURE_OPENAI_API_KEY),
+        model: deployment,
+        requiredKeys: [
+          CONFIG_KEYS.AZURE_OPENAI_ENDPOINT,
+          CONFIG_KEYS.AZURE_OPENAI_API_KEY,
+          CONFIG_KEYS.AZURE_OPENAI_DEPLOYMENT
+        ]
+      };
+    }
+
+    case 'anthropic':
+      return {
+        provider: provider,
+        label: 'Anthropic',
+        format: 'anthropic',
+        url: 'https://api.anthropic.com/v1/messages',
+        apiKey: getConfig(CONFIG_KEYS.ANTHROPIC_API_KEY),
+        model: getConfig(CONFIG_KEYS.ANTHROPIC_MODEL, CONFIG_DEFAULTS.ANTHROPIC_MODEL),
+        requiredKeys: [CONFIG_KEYS.ANTHROPIC_API_KEY]
+      };
+
+    case 'gemini': {
+      const model = getConfig(CONFIG_KEYS.GEMINI_MODEL, CONFIG_DEFAULTS.GEMINI_MODEL);
+      return {
+        provider: provider,
+        label: 'Gemini',
+        format: 'gemini',
+        url: `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent`,
+        apiKey: getConfig(CONFIG_KEYS.GEMINI_API_KEY),
+        model: model,
+        requiredKeys: [CONFIG_KEYS.GEMINI_API_KEY]
+      };
+    }
+
+    case 'local': {
+      const baseUrl = trimUrl(getConfig(CONFIG_KEYS.LOCAL_LLM_BASE_URL));
+      return {
+        provider: provider,
+        label: 'Local LLM (OpenAI-compatible)',
+        format: 'openai',
+        url: baseUrl ? `${baseUrl}/chat/completions` : null,
+        apiKey: getConfig(CONFIG_KEYS.LOCAL_LLM_API_KEY),
+        model: getConfig(CONFIG_KEYS.LOCAL_LLM_MODEL),
+        requiredKeys: [CONFIG_KEYS.LOCAL_LLM_BASE_URL, CONFIG_KEYS.LOCAL_LLM_MODEL]
+      };
+    }
+
+    case 'rules':
+      return {
+        provider: provider,
+        label: 'Rule-based (offline)',
+        format: 'rules',
+        url: null,
+        apiKey: null,
+        model: null,
+        requiredKeys: []
+      };
+
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}. Valid providers: ${LLM_PROVIDERS.join(', ')}`);
+  }
+}
+
+/**
+ * Resolve which provider to use
+ * @param {string} [requested] - Provider chosen for the call or run
+ * @returns {string} The requested provider, else the active run's, else LLM_PROVIDER, else 'openai'
+ */
+function resolveLlmProvider(requested = null) {
+  if (requested) {
+    return requested;
+  }
+
+  const runId = getActiveEventRun();
+  const state = runId ? loadRunState(runId) : null;
+  if (state && state.llmProvider) {
+    return state.llmProvider;
+  }
+
+  return getConfig(CONFIG_KEYS.LLM_PROVIDER, CONFIG_DEFAULTS.LLM_PROVIDER);
+}
+
+/**
+ * List the Script Properties a provider still needs
+ * @param {string} provider - One of LLM_PROVIDERS
+ * @returns {string[]} Missing keys (empty when the provider is configured)
+ */
+function getMissingLlmProviderKeys(provider) {
+  return getLlmProviderSettings(provider).requiredKeys.filter(key => !getConfig(key));
+}
+
+/**
+ * Check whether an LLM can be called
+ * @param {string} [provider] - Provider name (defaults to resolveLlmProvider())
+ * @returns {boolean} False when the provider is missing keys or is 'rules'
+ */
+function isLlmProviderConfigured(provider = null) {
+  const name = resolveLlmProvider(provider);
+  return name !== 'rules' && getMissingLlmProviderKeys(name).length === 0;
+}
+
+/**
+ * Describe every provider for the UI and health checks
+ * @returns {Object[]} [{ provider, label, model, configured, isDefault }]
+ */
+function listLlmProviders() {
+  const defaultProvider = getConfig(CONFIG_KEYS.LLM_PROVIDER, CONFIG_DEFAULTS.LLM_PROVIDER);
+  return LLM_PROVIDERS.map(provider => {
+    const settings = getLlmProviderSettings(provider);
+    return {
+      provider: provider,
+      label: settings.label,
+      model: settings.model,
+      configured: getMissingLlmProviderKeys(provider).length === 0,
+      isDefault: provider === defaultProvider
+    };
+  });
+}
+
+/**
+ * Send a prompt to an LLM provider
+ * @param {Object} params - Call parameters
+ * @param {string} params.systemPrompt - System prompt
+ * @param {string} params.userPrompt - User prompt
+ * @param {Object} [params.responseFormat] - JSON schema the answer must follow (e.g. PLAN_SCHEMA)
+ * @param {string} [params.provider] - Provider to use (see resolveLlmProvider)
+ * @returns {Object} { provider, model, text } where text is JSON when responseFormat is given
+ */
+function callLLM(params) {
+  const provider = resolveLlmProvider(params.provider);
+  const settings = getLlmProviderSettings(provider);
+  if (settings.format === 'rules') {
+    throw new Error('The rule-based planner does not call an LLM');
+  }
+  const missing = getMissingLlmProviderKeys(provider);
+  if (missing.length > 0) {
+    throw new Error(`${settings.label} is not configured: missing ${missing.join(', ')}`);
+  }
+
+  let text;
+  switch (settings.format) {
+    case 'anthropic':
+      text = callAnthropicMessages(settings, params);
+      break;
+    case 'gemini':
+      text = callGeminiGenerateContent(settings, params);
+      break;
+    default:
+      text = callOpenAIChatCompletions(settings, params);
+  }
+
+  return { provider: provider, model: settings.model, text: text };
+}
+
+/**
+ * POST a JSON request to a provider and return the parsed response
+ * @param {Object} settings - Result of getLlmProviderSettings
+ * @param {Object} headers - Request headers (Content-Type is added)
+ * @param {Object} body - Request body
+ * @returns {Object} The response body
+ */
+function fetchLlmJson(settings, headers, body) {
+  const startedAt = Date.now();
+  const response = UrlFetchApp.fetch(settings.url, {
+    method: 'post',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    payload: JSON.stringify(body),
+    muteHttpExceptions: true
+  });
+
+  const responseCode = response.getResponseCode();
+  logApiCall(settings.provider, settings.url, responseCode, startedAt);
+
+  let responseBody;
+  try {
+    responseBody = JSON.parse(response.getContentText());
+  } catch (e) {
+    throw new Error(`${settings.label} API error: HTTP ${responseCode}, response is not JSON`);
+  }
+
+  if (responseCode !== 200) {
+    console.error(`${settings.label} API error:`, responseBody);
+    throw new Error(`${settings.label} API error: ${responseBody.error?.message || `HTTP ${responseCode}`}`);
+  }
+
+  return responseBody;
+}
+
+/**
+ * Call an OpenAI-style Chat Completions endpoint (OpenAI, Azure OpenAI, local)
+ * @param {Object} settings - Result of getLlmProviderSettings
+ * @param {Object} params - callLLM parameters
+ * @returns {string} The answer text
+ */
+function callOpenAIChatCompletions(settings, params) {
+  const requestBody = {
+    messages: [
+      { role: 'system', content: params.systemPrompt },
+      { role: 'user', content: params.userPrompt }
+    ]
+  };
+
+  // Azure selects the model by deployment (part of the URL)
+  if (settings.provider !== 'azure') {
+    requestBody.model = settings.model;
+  }
+
+  // Not strict: PLAN_SCHEMA has optional fields, which strict mode does not allow
+  if (params.responseFormat) {
+    requestBody.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'result', schema: params.responseFormat, strict: false }
+    };
+  }
+
+  const headers = {};
+  if (settings.provider === 'azure') {
+    headers['api-key'] = settings.apiKey;
+  } else if (settings.apiKey) {
+    headers['Authorization'] = `Bearer ${settings.apiKey}`;
+  }
+
+  const response = fetchLlmJson(settings, headers, requestBody);
+  const content = response.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') {
+    throw new Error(`${settings.label} API error: response has no message content`);
+  }
+  return content;
+}
+
+/**
+ * Call the Anthropic Messages API
+ * Structured output is a forced call of a tool whose input schema is the
+ * response schema; the tool input is returned as JSON text.
+ * @param {Object} settings - Result of getLlmProviderSettings
+ * @param {Object} params - callLLM parameters
+ * @returns {string} The answer text
+ */
+function callAnthropicMessages(settings, params) {
+  const requestBody = {
+    model: settings.model,
+    max_tokens: LLM_MAX_OUTPUT_TOKENS,
+    system: params.systemPrompt,
+    messages: [{ role: 'user', content: params.userPrompt }]
+  };
+
+  if (params.responseFormat) {
+    requestBody.tools = [{
+      name: LLM_STRUCTURED_OUTPUT_TOOL,
+      description: 'Submit the result as structured JSON',
+      input_schema: params.responseFormat
+    }];
+    requestBody.tool_choice = { type: 'tool', name: LLM_STRUCTURED_OUTPUT_TOOL };
+  }
+
+  const response = fetchLlmJson(settings, {
+    'x-api-key': settings.apiKey,
+    'anthropic-version': ANTHROPIC_API_VERSION
+  }, requestBody);
+
+  const blocks = response.content || [];
+  if (params.responseFormat) {
+    const toolUse = blocks.find(block => block.type === 'tool_use');
+    if (!toolUse) {
+      throw new Error(`${settings.label} API error: response has no ${LLM_STRUCTURED_OUTPUT_TOOL} call`);
+    }
+    return JSON.stringify(toolUse.input);
+  }
+
+  return blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+}
+
+/**
+ * Call the Gemini generateContent API
+ * @param {Object} settings - Result of getLlmProviderSettings
+ * @param {Object} params - callLLM parameters
+ * @returns {string} The answer text
+ */
+function callGeminiGenerateContent(settings, params) {
+  const requestBody = {
+    systemInstruction: { parts: [{ text: params.systemPrompt }] },
+    contents: [{ role: 'user', parts: [{ text: params.userPrompt }] }]
+  };
+
+  if (params.responseFormat) {
+    requestBody.generationConfig = {
+      responseMimeType: 'application/json',
+      responseSchema: toGeminiSchema(params.responseFormat)
+    };
+  }
+
+  const response = fetchLlmJson(settings, { 'x-goog-api-key': settings.apiKey }, requestBody);
+  const parts = response.candidates?.[0]?.content?.parts;
+  if (!parts) {
+    const reason = response.promptFeedback?.blockReason || response.candidates?.[0]?.finishReason;
+    throw new Error(`${settings.label} API error: response has no content${reason ? ` (${reason})` : ''}`);
+  }
+  return parts.map(part => part.text || '').join('');
+}
+
+/**
+ * Convert a JSON schema to Gemini's response schema (an OpenAPI subset)
+ * Keeps type (upper-cased), properties, required, items, enum and description;
+ * other keywords such as minimum are dropped and checked by validatePlan instead.
+ * @param {Object} schema - The JSON schema node
+ * @returns {Object} The Gemini schema node
+ */
+function toGeminiSchema(schema) {
+  const converted = {};
+  if (schema.type) {
+    converted.type = schema.type.toUpperCase();
+  }
+  if (schema.description) {
+    converted.description = schema.description;
+  }
+  if (schema.enum) {
+    converted.enum = schema.enum.slice();
+  }
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+  if (schema.properties) {
+    converted.properties = {};
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      converted.properties[key] = toGeminiSchema(propertySchema);
+    });
+  }
+  if (schema.required) {
+    converted.required = schema.required.slice();
+  }
+  return converted;
+}
@@ -0,0 +1,345 @@
+/**
+ * Language.js
+ * Instruction language detection and CJK-aware text helpers for the planners
+ *
+ * - detectInstructionLanguage(): the language an instruction is written in,
+ *   from the scripts it uses (kana → ja, Hangul → ko, Thai → th, English words → en;
+ *   Han only → ja or zh by marker characters, unknown when it has none)
+ * - splitPlanKeyword(): splits keywords on spaces without dropping short CJK words
+ * - romanizeHashtag(): Hepburn romanization of kana and Revised Romanization of
+ *   Hangul, so Instagram searches both #サウナ and #sauna. Kanji and Chinese
+ *   characters cannot be romanized without a dictionary and stay native only.
+ * - applyInstructionLanguage(): sets queryStrategy.x.language and adds native
+ *   and romanized hashtag variants to a planned (not user-supplied) plan
+ *
+ * Like RulePlanner.js, nothing here calls Apps Script services.
+ */
+
+/**
+ * Languages detected from their script, with the name used in planner prompts
+ */
+const INSTRUCTION_LANGUAGE_NAMES = {
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh: 'Chinese',
+  th: 'Thai',
+  en: 'English'
+};
+
+/**
+ * Most hashtags a planned Instagram search gets once variants are added
+ * (the Graph API allows 30 unique hashtag searches per account per 7 days)
+ */
+const MAX_INSTAGRAM_HASHTAG_VARIANTS = 10;
+
+/**
+ * Most romanized hashtags added to a plan; never more than the plan has
+ * hashtags of its own, since each one uses up one of the 30 weekly searches
+ */
+const MAX_ROMANIZED_HASHTAG_VARIANTS = 2;
+
+/**
+ * Kanji and words used in Japanese but not in Chinese, to tell kanji-only
+ * Japanese (東京 天気 30件, 猫動画) from Chinese
+ */
+const JAPANESE_HAN_MARKERS = /[気県駅広売読楽歩辺沢図鉄円桜浜薬険戦単拡変恋験込畑峠働枠]|\d+\s*件|投稿|動画|居酒屋|人気|写真/gu;
+
+/**
+ * Simplified and traditional Chinese characters not used in Japanese
+ */
+const CHINESE_HAN_MARKERS = /[的们們么麼这這说說视視频頻关關门門个個热熱发發图圖贴貼帖东红紅网網条條吗嗎]/gu;
+
+/**
+ * Hiragana to Hepburn romaji; katakana is mapped to hiragana first
+ */
+const KANA_ROMAJI = {
+  あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+  か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko',
+  が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+  さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so',
+  ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+  た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to',
+  だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+  な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+  は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho',
+  ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+  ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+  ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+  や: 'ya', ゆ: 'yu', よ: 'yo',
+  ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+  わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n', ゔ: 'vu',
+  ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o', ゃ: 'ya', ゅ: 'yu', ょ: 'yo', ゎ: 'wa'
+};
+
+/**
+ * Hangul initials, vowels and finals in Revised Romanization
+ */
+const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const HANGUL_VOWELS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const HANGUL_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+
+/**
+ * Hangul finals before a syllable starting with a vowel (the consonant carries over)
+ */
+const HANGUL_FINALS_BEFORE_VOWEL = ['', 'g', 'kk', 'ks', 'n', 'nj', 'nh', 'd', 'r', 'lg', 'lm', 'lb', 'ls', 'lt', 'lp', 'lh', 'm', 'b', 'bs', 's', 'ss', 'ng', 'j', 'ch', 'k', 't', 'p', 'h'];
+
+/**
+ * Korean particles stripped from the end of words
+ */
+const KOREAN_PARTICLES = /(?:에서|으로|에게|까지|부터|은|는|이|가|을|를|의|에|로|와|과|도)$/;
+
+/**
+ * Detect the language an instruction is written in
+ * The script with the most characters wins; a CJK character counts double,
+ * since one carries about as much as a short Latin word fragment. Any kana
+ * makes Han text Japanese; kanji-only text is decided by JAPANESE_HAN_MARKERS
+ * and CHINESE_HAN_MARKERS and is unknown (null) when neither side has more,
+ * so an ambiguous instruction never narrows the X search to one language.
+ * @param {string} text - The instruction
+ * @returns {string|null} 'ja', 'ko', 'zh', 'th', 'en', or null when unknown
+ */
+function detectInstructionLanguage(text) {
+  const count = pattern => (String(text || '').match(pattern) || []).length;
+  const kana = count(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+  const han = count(/\p{Script=Han}/gu);
+  const hangul = count(/\p{Script=Hangul}/gu);
+  const thai = count(/\p{Script=Thai}/gu);
+  const latin = count(/\p{Script=Latin}/gu);
+
+  const scores = [
+    { language: kana > 0 ? 'ja' : detectHanLanguage(text), score: (kana + han) * 2 },
+    { language: 'ko', score: hangul * 2 },
+    { language: 'th', score: thai },
+    { language: 'en', score: latin }
+  ].sort((a, b) => b.score - a.score);
+
+  if (scores[0].score === 0) {
+    return null;
+  }
+  if (scores[0].language === 'en') {
+    return /\b(?:the|and|about|posts?|tweets?|find|collect|get|fetch|from|of|in|for|with|on)\b/i.test(text) ? 'en' : null;
+  }
+  return scores[0].language;
+}
+
+/**
+ * Tell Japanese from Chinese in text written only in kanji/hanzi
+ * @param {string} text - The instruction
+ * @returns {string|null} 'ja', 'zh', or null when the markers do not decide it
+ */
+function detectHanLanguage(text) {
+  const japanese = (String(text || '').match(JAPANESE_HAN_MARKERS) || []).length;
+  const chinese = (String(text || '').match(CHINESE_HAN_MARKERS) || []).length;
+  if (japanese === chinese) {
+    return null;
+  }
+  return japanese > chinese ? 'ja' : 'zh';
+}
+
+/**
+ * Check whether text contains Chinese, Japanese or Korean characters
+ * @param {string} text - The text
+ * @returns {boolean}
+ */
+function isCjkText(text) {
+  return /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(String(text || ''));
+}
+
+/**
+ * Split a keyword that contains spaces into words
+ * Latin words of two letters or fewer are dropped (as before); CJK words are
+ * kept whatever their length, since 猫 or 車 is a whole word.
+ * @param {string} keyword - The keyword
+ * @returns {string[]} Words
+ */
+function splitPlanKeyword(keyword) {
+  if (!/[\s　、,]/.test(keyword)) {
+    return [keyword];
+  }
+
+  return keyword.split(/[\s　、,]+/)
+    .map(word => /\p{Script=Hangul}/u.test(word) ? stripKoreanParticle(word) : word)
+    .filter(word => word && (isCjkText(word) || word.length > 2));
+}
+
+/**
+ * Strip a trailing particle from a Korean word (커피를 → 커피)
+ * @param {string} word - The word
+ * @returns {string} The word without its particle (unchanged if that would leave one syllable or less)
+ */
+function stripKoreanParticle(word) {
+  const stripped = word.replace(KOREAN_PARTICLES, '');
+  return stripped.length >= 2 ? stripped : word;
+}
+
+/**
+ * Romanize a hashtag written in kana or Hangul
+ * ASCII letters and digits pass through; long vowel marks are dropped.
+ * @param {string} tag - The hashtag (without '#')
+ * @returns {string|null} Lowercase romanization, or null if the tag has other
+ *   characters (kanji, Chinese) or nothing to romanize
+ */
+function romanizeHashtag(tag) {
+  const text = String(tag || '').normalize('NFKC');
+  if (!/[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(text)) {
+    return null;
+  }
+  if (!/^[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー・A-Za-z0-9_]+$/u.test(text)) {
+    return null;
+  }
+
+  const romanized = /\p{Script=Hangul}/u.test(text) ? romanizeHangul(text) : romanizeKana(text);
+  return romanized ? romanized.toLowerCase() : null;
+}
+
+/**
+ * Romanize kana (Hepburn)
+ * Handles digraphs (きゃ → kya, しょ → sho), small vowels in loanwords
+ * (ティ → ti, ファ → fa) and っ (doubled consonant, っち → tchi).
+ * @param {string} text - Kana, possibly mixed with ASCII letters and digits
+ * @returns {string} Romaji
+ */
+function romanizeKana(text) {
+  // Katakana → hiragana (ァ U+30A1 .. ヶ U+30F6 map to U+3041 ..)
+  const chars = Array.from(text).map(char => {
+    const code = char.charCodeAt(0);
+    return code >= 0x30A1 && code <= 0x30F6 ? String.fromCharCode(code - 0x60) : char;
+  });
+
+  const syllables = [];
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    const next = chars[i + 1];
+    let romaji = KANA_ROMAJI[char];
+
+    if (char === 'っ') {
+      syllables.push('っ'); // resolved once the next syllable is known
+      continue;
+    }
+
+    if (romaji === undefined) {
+      // ASCII passes through; ー and ・ are dropped
+      syllables.push(/[A-Za-z0-9_]/.test(char) ? char : '');
+      continue;
+    }
+
+    if (next && 'ゃゅょ'.includes(next) && romaji.endsWith('i') && romaji.length > 1) {
+      const stem = romaji.slice(0, -1);
+      romaji = /(?:sh|ch|j)$/.test(stem) ? stem + KANA_ROMAJI[next].slice(1) : stem + KANA_ROMAJI[next];
+      i++;
+    } else if (next && 'ぁぃぅぇぉ'.includes(next) && romaji.length > 1) {
+      romaji = romaji.replace(/[aiueo]$/, '') + KANA_ROMAJI[next];
+      i++;
+    } else if (next && 'ぁぃぅぇぉ'.includes(next) && char === 'う') {
+      romaji = 'w' + KANA_ROMAJI[next];
+      i++;
+    }
+    syllables.push(romaji);
+  }
+
+  return syllables
+    .map((syllable, i) => {
+      if (syllable !== 'っ') {
+        return syllable;
+      }
+      const following = syllables.slice(i + 1).find(s => s !== '') || '';
+      return following.startsWith('ch') ? 't' : (/^[a-z]/.test(following) && !/^[aiueon]/.test(following) ? following[0] : '');
+    })
+    .join('');
+}
+
+/**
+ * Romanize Hangul (Revised Romanization, simplified)
+ * A final consonant moves to the next syllable when that starts with a vowel (한국어 → hangugeo).
+ * @param {string} text - Hangul, possibly mixed with ASCII letters and digits
+ * @returns {string} Romanization
+ */
+function romanizeHangul(text) {
+  const chars = Array.from(text);
+  const isSyllable = char => char >= '가' && char <= '힣';
+
+  return chars.map((char, i) => {
+    if (!isSyllable(char)) {
+      return /[A-Za-z0-9_]/.test(char) ? char : '';
+    }
+
+    const index = char.charCodeAt(0) - 0xAC00;
+    const initial = Math.floor(index / 588);
+    const vowel = Math.floor((index % 588) / 28);
+    const final = index % 28;
+
+    const next = chars[i + 1];
+    const nextStartsWithVowel = next && isSyllable(next) && Math.floor((next.charCodeAt(0) - 0xAC00) / 588) === 11;
+    return HANGUL_INITIALS[initial] + HANGUL_VOWELS[vowel] +
+      (nextStartsWithVowel ? HANGUL_FINALS_BEFORE_VOWEL[final] : HANGUL_FINALS[final]);
+  }).join('');
+}
+
+/**
+ * Adapt a planned plan to the language of its instruction
+ * - sets queryStrategy.x.language to the instruction's language when the plan
+ *   has none and the language is not English (English instructions are often
+ *   about global topics, so they are not filtered)
+ * - adds Instagram hashtag variants: native-script hashtags and keywords (for
+ *   CJK instructions) and the romanized form of the first kana/Hangul
+ *   hashtags (at most MAX_ROMANIZED_HASHTAG_VARIANTS, and no more than the
+ *   plan's own hashtags)
+ * Every change is reported as a warning. Only for plans made by a planner;
+ * plans supplied by a user or the API are used as given.
+ * @param {Object} plan - The plan (modified)
+ * @param {string|null} language - Result of detectInstructionLanguage() for the plan's instruction
+ * @param {string[]} warnings - Collected warnings
+ * @returns {Object} The same plan
+ */
+function applyInstructionLanguage(plan, language, warnings) {
+  if (!language) {
+    return plan;
+  }
+
+  plan.queryStrategy = plan.queryStrategy || {};
+  plan.queryStrategy.x = plan.queryStrategy.x || {};
+  if (language !== 'en' && plan.targetPlatforms.includes('x') && !plan.queryStrategy.x.language) {
+    plan.queryStrategy.x.language = language;
+    warnings.push(`plan.queryStrategy.x.language: set to ${language} (language of the instruction)`);
+  }
+
+  if (plan.targetPlatforms.includes('instagram')) {
+    plan.queryStrategy.instagram = plan.queryStrategy.instagram || {};
+    const current = plan.queryStrategy.instagram.hashtagsToSearch || [];
+    const native = ['ja', 'ko', 'zh'].includes(language)
+      ? (plan.hashtags || []).concat(plan.keywords || []).filter(isCjkText).map(tag => String(tag).replace(/\s+/g, ''))
+      : [];
+
+    // Each variant follows the tag it came from, so searches alternate between scripts
+    const tags = [];
+    const add = tag => {
+      if (!tag || tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+        return false;
+      }
+      tags.push(tag);
+      return true;
+    };
+    const romanizedLimit = Math.min(MAX_ROMANIZED_HASHTAG_VARIANTS, current.length || native.length);
+    let romanized = 0;
+    current.concat(native).forEach(tag => {
+      add(tag);
+      if (romanized < romanizedLimit && add(romanizeHashtag(tag))) {
+        romanized++;
+      }
+    });
+    // Over the limit, drop added variants from the end; the plan's own hashtags stay
+    for (let i = tags.length - 1; i >= 0 && tags.length > MAX_INSTAGRAM_HASHTAG_VARIANTS; i--) {
+      if (!current.includes(tags[i])) {
+        tags.splice(i, 1);
+      }
+    }
+
+    const added = tags.filter(tag => !current.includes(tag));
+    if (added.length > 0) {
+      plan.queryStrategy.instagram.hashtagsToSearch = tags;
+      warnings.push(`plan.queryStrategy.instagram.hashtagsToSearch: added ${added.join(', ')}`);
+    }
+  }
+
+  return plan;
+}
@@ -164,6 +164,9 @@ function mockCreatePostArtifacts(platformFolderId, postId, postData, rawApiRespo
     return createPostArtifacts(platformFolderId, postId, postData, rawApiResponse, platform);
   }
 
+  // Count the artifacts a real run would create: the video for Instagram videos, otherwise watch.html
+  countPostArtifact(platform, platform === 'instagram' && postData.media_type === 'VIDEO' && !!postData.media_url);
+
   // Return mock result
   return {
     refUrl: `https://drive.google.com/mock/${platform}/${postId}`,
@@ -209,11 +212,16 @@ function collectInstagramWithMocks(runId, plan, onProgress) {
 
   const mockMedia = generateMockInstagramMedia(targetCount, plan);
   const postsToWrite = [];
+  // Spread the mock posts over the hashtags to search, as the per-hashtag yield
+  const hashtagsToSearch = getInstagramHashtagsToSearch(plan);
+  const searchYield = {};
+  hashtagsToSearch.forEach(hashtag => { searchYield[hashtag] = 0; });
 
   for (const media of mockMedia) {
     const mediaId = String(media.id);
 
     if (isPostProcessed(runId, 'instagram', mediaId)) {
+      logDuplicateSkipped(runId, 'instagram', mediaId);
       continue;
     }
 
@@ -232,13 +240,16 @@ function collectInstagramWithMocks(runId, plan, onProgress) {
     );
 
     const normalizedPost = normalizeInstagramPost(media, artifactResult.refUrl, 'MOCK DATA');
+    if (hashtagsToSearch.length > 0) {
+      searchYield[hashtagsToSearch[postsToWrite.length % hashtagsToSearch.length]]++;
+    }
     postsToWrite.push(normalizedPost);
     addProcessedPostId(runId, 'instagram', mediaId);
   }
 
   // Write to spreadsheet
   appendRowsBatch(state.spreadsheetId, 'instagram', postsToWrite);
-  updateInstagramProgress(runId, { collected: postsToWrite.length });
+  updateInstagramProgress(runId, { collected: postsToWrite.length, searchYield });
 
   if (onProgress) {
     onProgress({ platform: 'instagram', collected: postsToWrite.length, target: targetCount });
@@ -352,6 +363,7 @@ function collectXWithMocks(runId, plan, onProgress) {
     const tweetId = String(tweet.id);
 
     if (isPostProcessed(runId, 'x', tweetId)) {
+      logDuplicateSkipped(runId, 'x', tweetId);
       continue;
     }
 
@@ -373,7 +385,13 @@ function collectXWithMocks(runId, plan, onProgress) {
 
   // Write to spreadsheet
   appendRowsBatch(state.spreadsheetId, 'x', postsToWrite);
-  updateXProgress(runId, { collected: postsToWrite.length });
+  const searchYield = {};
+  try {
+    searchYield[getXSearchYieldKey(buildXSearchQuery(plan), plan.queryStrategy?.x?.queryType)] = postsToWrite.length;
+  } catch (e) {
+    // No search criteria: the mock tweets have no query to credit
+  }
+  updateXProgress(runId, { collected: postsToWrite.length, searchYield });
 
   if (onProgress) {
     onProgress({ platform: 'x', collected: postsToWrite.length, target: targetCount });
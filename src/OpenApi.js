@@ -0,0 +1,684 @@
+/**
+ * OpenApi.js
+ * API parameter definitions and the OpenAPI description generated from them
+ *
+ * getApiActionDefinitions() lists every API action with its HTTP method, its
+ * parameters and the response it returns. The same definitions drive request
+ * validation (validateApiParams, used by handleApiStart) and the OpenAPI 3.0
+ * document served by GET /exec?action=openapi, so the published description
+ * cannot drift from what the handlers accept.
+ *
+ * Parameter definition fields:
+ * - name, type ('string', 'integer', 'boolean', 'array', 'object'), description
+ * - required: request is rejected with MISSING_PARAMETER without it
+ * - requiredUnless: name of a parameter that lifts `required` when set
+ * - enum, format ('uri', 'date-time'), minimum, maximum, items, properties
+ * - schemaRef: name of a components.schemas entry describing the value
+ */
+
+/**
+ * OpenAPI specification version of the generated document
+ */
+const OPENAPI_SPEC_VERSION = '3.0.3';
+
+/**
+ * Deployment URL used when the script has no web app deployment
+ */
+const OPENAPI_FALLBACK_SERVER_URL = 'https://script.google.com/macros/s/DEPLOYMENT_ID/exec';
+
+/**
+ * Get the definitions of every API action
+ * Built on demand because parameter enums come from PLAN_SCHEMA, API_STATUS and LLM_PROVIDERS.
+ * @returns {Object} Map of action to { method, summary, response, params }
+ */
+function getApiActionDefinitions() {
+  const platforms = PLAN_SCHEMA.properties.targetPlatforms.items.enum;
+  const runId = { name: 'run_id', type: 'string', required: true, description: 'External or internal run ID' };
+  const templateId = { name: 'template_id', type: 'string', required: true, description: 'Run template ID' };
+  const llmProvider = { name: 'llm_provider', type: 'string', enum: LLM_PROVIDERS,
+    description: 'LLM provider that plans the run (defaults to the LLM_PROVIDER Script Property)' };
+
+  const startParams = [
+    { name: 'instruction', type: 'string', required: true, requiredUnless: 'plan',
+      description: 'Natural language collection instruction' },
+    { name: 'external_run_id', type: 'string', required: true, requiredUnless: 'dry_run',
+      description: 'Caller-chosen run ID; repeating a start with the same ID returns the existing run' },
+    { name: 'target_folder_id', type: 'string', required: true, requiredUnless: 'dry_run',
+      description: 'Google Drive folder that receives the run folder' },
+    { name: 'plan', type: 'object', schemaRef: 'Plan',
+      description: 'Explicit plan; skips the LLM planner' },
+    { name: 'platforms', type: 'array', items: { type: 'string', enum: platforms },
+      description: 'Platforms to collect from (array or comma-separated list); others are dropped' },
+    { name: 'counts', type: 'object', properties: platforms.reduce((props, platform) => {
+      props[platform] = { type: 'integer', minimum: 0 };
+      return props;
+    }, {}), description: 'Posts to collect per platform, e.g. {"instagram": 50}' },
+    { name: 'callback_url', type: 'string', format: 'uri',
+      description: 'URL that receives lifecycle webhooks for the run' },
+    llmProvider,
+    { name: 'dry_run', type: 'boolean', description: 'Plan and estimate without creating anything' },
+    { name: 'debug', type: 'boolean', description: 'Log parameters and include stack traces in errors' }
+  ];
+
+  // A batch entry takes the start parameters, except that it is never a dry run
+  const batchRunProperties = startParams
+    .filter(def => def.name !== 'dry_run' && def.name !== 'debug')
+    .reduce((props, def) => {
+      props[def.name] = toOpenApiSchema(def);
+      return props;
+    }, {});
+  const batchDefaultProperties = { ...batchRunProperties };
+  delete batchDefaultProperties.instruction;
+  delete batchDefaultProperties.external_run_id;
+
+  const templateParams = [
+    { name: 'name', type: 'string', description: 'Template name' },
+    { name: 'instruction', type: 'string', description: 'Instruction each spawned run is planned from' },
+    { name: 'target_folder_id', type: 'string', description: 'Google Drive folder for spawned runs' },
+    { name: 'cadence', type: 'object', description: 'When runs are spawned (daily, weekly or cron), e.g. {"type": "daily", "time": "09:00"}' },
+    { name: 'end_date', type: 'string', format: 'date-time', description: 'No runs are spawned after this date' }
+  ];
+  const required = def => ({ ...def, required: true });
+
+  return {
+    start: {
+      method: 'post', summary: 'Start a collection run', response: 'StartResult',
+      params: startParams
+    },
+    start_with_plan: {
+      method: 'post', summary: 'Start a run with a reviewed plan', response: 'StartResult',
+      params: startParams.map(def => def.name === 'plan' ? required(def) : def)
+    },
+    start_batch: {
+      method: 'post', summary: 'Queue many runs, one per instruction, as a batch', response: 'BatchStartResult',
+      params: [
+        { name: 'runs', type: 'array', required: true,
+          items: { type: 'object', required: ['external_run_id'], properties: batchRunProperties },
+          description: `1 to ${MAX_BATCH_RUNS} runs; each entry takes the start parameters and overrides defaults` },
+        { name: 'defaults', type: 'object', properties: batchDefaultProperties,
+          description: 'Start parameters shared by every run, e.g. target_folder_id and counts' },
+        { name: 'combined_spreadsheet', type: 'boolean',
+          description: 'Also copy every run\'s tabs into one spreadsheet (one tab pair per run)' }
+      ]
+    },
+    batch_status: {
+      method: 'get', summary: 'Get a batch\'s status, aggregated over its runs', response: 'BatchStatus',
+      params: [{ name: 'batch_id', type: 'string', required: true, description: 'Batch ID returned by start_batch' }]
+    },
+    plan: {
+      method: 'post', summary: 'Plan an instruction for review without starting a run', response: 'PlanResult',
+      params: [
+        { name: 'instruction', type: 'string', required: true, description: 'Natural language collection instruction' },
+        llmProvider
+      ]
+    },
+    status: {
+      method: 'get', summary: 'Get a run\'s status', response: 'RunStatus',
+      params: [runId]
+    },
+    list: {
+      method: 'get', summary: 'List runs, newest first', response: 'RunList',
+      params: [
+        { name: 'status', type: 'string', enum: Object.values(API_STATUS), description: 'Only runs in this status' },
+        { name: 'source', type: 'string', enum: ['ui', 'api', 'schedule'], description: 'Only runs started from here' },
+        { name: 'created_after', type: 'string', format: 'date-time', description: 'Only runs created at or after' },
+        { name: 'created_before', type: 'string', format: 'date-time', description: 'Only runs created before' },
+        { name: 'limit', type: 'integer', minimum: 1, maximum: MAX_API_LIST_RUNS, description: 'Page size (default 20)' },
+        { name: 'offset', type: 'integer', minimum: 0, description: 'Runs to skip' }
+      ]
+    },
+    events: {
+      method: 'get', summary: 'Get a run\'s event timeline', response: 'RunEvents',
+      params: [
+        runId,
+        { name: 'since_seq', type: 'integer', minimum: 0, description: 'Only events after this sequence number' },
+        { name: 'type', type: 'string', enum: Object.values(RUN_EVENT_TYPE), description: 'Only events of this type' },
+        { name: 'limit', type: 'integer', minimum: 1, maximum: MAX_API_EVENTS, description: 'Maximum events returned' }
+      ]
+    },
+    changes: {
+      method: 'get', summary: 'Get progress events and written posts since a sequence number', response: 'RunChanges',
+      params: [
+        runId,
+        { name: 'since_seq', type: 'integer', minimum: 0, description: 'next_since_seq from the previous poll (0 for everything kept)' },
+        { name: 'limit', type: 'integer', minimum: 1, maximum: MAX_API_EVENTS, description: 'Maximum log events read per poll' }
+      ]
+    },
+    usage: {
+      method: 'get', summary: 'Get the calling API key\'s usage and limits', response: 'Usage',
+      params: [
+        { name: 'days', type: 'integer', minimum: 1, maximum: API_USAGE_RETENTION_DAYS, description: 'Days of history (default 7)' }
+      ]
+    },
+    pause: { method: 'post', summary: 'Pause a run at its current checkpoint', response: 'RunStatus', params: [runId] },
+    resume: { method: 'post', summary: 'Resume a paused run', response: 'RunStatus', params: [runId] },
+    cancel: { method: 'post', summary: 'Cancel a queued, running or paused run', response: 'RunStatus', params: [runId] },
+    retry: { method: 'post', summary: 'Retry a failed run from where it left off', response: 'RunStatus', params: [runId] },
+    delete: {
+      method: 'post', summary: 'Delete a finished run, its state and its Drive output', response: 'DeleteResult',
+      params: [runId, { name: 'delete_files', type: 'boolean', description: 'Trash the run\'s Drive output (default true)' }]
+    },
+    schedule_list: { method: 'get', summary: 'List scheduled run templates', response: 'RunTemplateList', params: [] },
+    schedule_history: {
+      method: 'get', summary: 'List the runs spawned by a template', response: 'RunTemplateHistory',
+      params: [templateId]
+    },
+    schedule_create: {
+      method: 'post', summary: 'Create a scheduled run template', response: 'RunTemplate',
+      params: templateParams.map(def => def.name === 'instruction' || def.name === 'cadence' ? required(def) : def)
+    },
+    schedule_update: {
+      method: 'post', summary: 'Update, enable or disable a template', response: 'RunTemplate',
+      params: [templateId, ...templateParams, { name: 'enabled', type: 'boolean', description: 'Enable or disable the template' }]
+    },
+    schedule_delete: {
+      method: 'post', summary: 'Delete a template', response: 'RunTemplateDeleted',
+      params: [templateId]
+    }
+  };
+}
+
+/**
+ * Check whether a parameter counts as set (false / 'false' do not)
+ * @param {Object} params - Request parameters
+ * @param {string} name - Parameter name
+ * @returns {boolean}
+ */
+function isApiParamSet(params, name) {
+  const value = params[name];
+  return value !== undefined && value !== null && value !== '' && value !== false && value !== 'false';
+}
+
+/**
+ * Check request parameters against parameter definitions
+ * Arrays and objects are only checked for presence; their contents are
+ * validated by the parsers that read them (e.g. parseApiPlanParam).
+ * @param {Object} params - Request parameters
+ * @param {Object[]} definitions - Parameter definitions of the action
+ * @returns {Object|null} API error object for the first problem, or null if valid
+ */
+function validateApiParams(params, definitions) {
+  for (const def of definitions) {
+    const value = params[def.name];
+
+    if (value === undefined || value === null || value === '') {
+      if (def.required && !(def.requiredUnless && isApiParamSet(params, def.requiredUnless))) {
+        return { code: 'MISSING_PARAMETER', message: `Required parameter "${def.name}" is missing` };
+      }
+      continue;
+    }
+
+    const problem = checkApiParamValue(value, def);
+    if (problem) {
+      return { code: 'INVALID_PARAMETER', message: `Parameter "${def.name}" ${problem}` };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check one parameter value against its definition
+ * Query parameters arrive as strings, so numbers and booleans may be strings.
+ * @param {*} value - The value (not empty)
+ * @param {Object} def - The parameter definition
+ * @returns {string|null} What is wrong, or null if valid
+ */
+function checkApiParamValue(value, def) {
+  switch (def.type) {
+    case 'boolean':
+      return [true, false, 'true', 'false'].includes(value) ? null : 'must be true or false';
+
+    case 'integer': {
+      const number = Number(value);
+      if (!Number.isInteger(number)) {
+        return 'must be an integer';
+      }
+      if (def.minimum !== undefined && number < def.minimum) {
+        return `must be at least ${def.minimum}`;
+      }
+      if (def.maximum !== undefined && number > def.maximum) {
+        return `must be at most ${def.maximum}`;
+      }
+      return null;
+    }
+
+    case 'string':
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return 'must be a string';
+      }
+      if (def.enum && !def.enum.includes(String(value))) {
+        return `must be one of: ${def.enum.join(', ')}`;
+      }
+      if (def.format === 'uri' && !isValidCallbackUrl(value)) {
+        return 'must be an http(s) URL';
+      }
+      if (def.format === 'date-time' && isNaN(new Date(value).getTime())) {
+        return 'must be an ISO date (YYYY-MM-DD or date-time)';
+      }
+      return null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the OpenAPI document for an API version
+ * @param {string} version - An API_VERSIONS value
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildOpenApiDocument(version) {
+  const definitions = getApiActionDefinitions();
+  const paths = {};
+
+  Object.keys(definitions).forEach(action => {
+    paths[`/${action}`] = {
+      [definitions[action].method]: buildOpenApiOperation(action, definitions[action], version)
+    };
+  });
+
+  paths['/openapi'] = {
+    get: {
+      operationId: 'openapi',
+      summary: 'Get this OpenAPI document',
+      security: [],
+      responses: { 200: { description: 'OpenAPI document', content: { 'application/json': { schema: { type: 'object' } } } } }
+    }
+  };
+
+  return {
+    openapi: OPENAPI_SPEC_VERSION,
+    info: {
+      title: 'ClipPulse API',
+      version: version,
+      description: 'Collect Instagram, X and TikTok posts into Google Sheets. ' +
+        'Every response is HTTP 200; check `ok` and `error.code`. ' +
+        (version === 'v1'
+          ? 'v1 puts response fields next to `ok` and `error`.'
+          : `${version} puts response fields under \`data\`.`)
+    },
+    servers: [{ url: `${getOpenApiServerUrl()}/${version}` }],
+    security: [{ signedApiKey: [], signedTimestamp: [], signedNonce: [], signature: [] }, { legacySecret: [] }],
+    paths: paths,
+    components: {
+      securitySchemes: getOpenApiSecuritySchemes(),
+      schemas: getOpenApiSchemas()
+    }
+  };
+}
+
+/**
+ * Get the web app URL the document's server entry points at
+ * @returns {string} Deployment URL ending in /exec
+ */
+function getOpenApiServerUrl() {
+  try {
+    return ScriptApp.getService().getUrl() || OPENAPI_FALLBACK_SERVER_URL;
+  } catch (e) {
+    return OPENAPI_FALLBACK_SERVER_URL;
+  }
+}
+
+/**
+ * Build the OpenAPI operation of an action
+ * GET actions take query parameters; POST actions take a JSON body.
+ * @param {string} action - The action
+ * @param {Object} definition - The action's definition
+ * @param {string} version - An API_VERSIONS value
+ * @returns {Object} OpenAPI operation
+ */
+function buildOpenApiOperation(action, definition, version) {
+  const operation = {
+    operationId: action.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()),
+    summary: definition.summary,
+    'x-required-scope': API_ACTION_SCOPES[action]
+  };
+
+  if (definition.method === 'get') {
+    operation.parameters = definition.params.map(def => ({
+      name: def.name,
+      in: 'query',
+      required: def.required === true && !def.requiredUnless,
+      description: describeOpenApiParam(def),
+      schema: toOpenApiSchema(def)
+    }));
+  } else if (definition.params.length > 0) {
+    const properties = {};
+    definition.params.forEach(def => {
+      properties[def.name] = { ...toOpenApiSchema(def), description: describeOpenApiParam(def) };
+    });
+    const requiredNames = definition.params.filter(def => def.required && !def.requiredUnless).map(def => def.name);
+
+    operation.requestBody = {
+      required: true,
+      content: {
+        'application/json': {
+          schema: requiredNames.length > 0
+            ? { type: 'object', properties: properties, required: requiredNames }
+            : { type: 'object', properties: properties }
+        }
+      }
+    };
+  }
+
+  operation.responses = {
+    200: {
+      description: 'Result; `ok` is false and `error` is set when the request failed',
+      content: { 'application/json': { schema: buildOpenApiEnvelope(definition.response, version) } }
+    }
+  };
+
+  return operation;
+}
+
+/**
+ * Describe a parameter, including when it is conditionally required
+ * @param {Object} def - The parameter definition
+ * @returns {string} Description
+ */
+function describeOpenApiParam(def) {
+  return def.required && def.requiredUnless
+    ? `${def.description}. Required unless ${def.requiredUnless} is set.`
+    : def.description;
+}
+
+/**
+ * Convert a parameter definition to an OpenAPI schema
+ * @param {Object} def - The parameter definition
+ * @returns {Object} OpenAPI schema
+ */
+function toOpenApiSchema(def) {
+  if (def.schemaRef) {
+    return { $ref: `#/components/schemas/${def.schemaRef}` };
+  }
+
+  const schema = { type: def.type };
+  ['enum', 'format', 'minimum', 'maximum', 'items', 'properties'].forEach(field => {
+    if (def[field] !== undefined) {
+      schema[field] = def[field];
+    }
+  });
+  return schema;
+}
+
+/**
+ * Build the response envelope of a version around a payload schema
+ * @param {string} payload - components.schemas name of the payload
+ * @param {string} version - An API_VERSIONS value
+ * @returns {Object} OpenAPI schema
+ */
+function buildOpenApiEnvelope(payload, version) {
+  const base = {
+    ok: { type: 'boolean' },
+    api_version: { type: 'string', enum: [version] },
+    error: { allOf: [{ $ref: '#/components/schemas/Error' }], nullable: true }
+  };
+
+  if (version === 'v1') {
+    return {
+      allOf: [
+        { type: 'object', properties: base, required: ['ok', 'api_version'] },
+        { $ref: `#/components/schemas/${payload}` }
+      ]
+    };
+  }
+
+  return {
+    type: 'object',
+    properties: {
+      ...base,
+      data: { allOf: [{ $ref: `#/components/schemas/${payload}` }], nullable: true }
+    },
+    required: ['ok', 'api_version', 'data', 'error']
+  };
+}
+
+/**
+ * Get the OpenAPI security schemes (signed API keys and the legacy secret)
+ * @returns {Object} components.securitySchemes
+ */
+function getOpenApiSecuritySchemes() {
+  return {
+    signedApiKey: {
+      type: 'apiKey', in: 'query', name: 'key_id',
+      description: 'API key ID. Send with timestamp, nonce and signature = hex HMAC-SHA256(secret, ' +
+        '"<timestamp>.<nonce>.<action>.<payload>"), where payload is the raw POST body or the other ' +
+        'query parameters sorted by name and joined as "name=value&..."'
+    },
+    signedTimestamp: {
+      type: 'apiKey', in: 'query', name: 'timestamp',
+      description: `Unix time in seconds, within ${API_SIGNATURE_MAX_AGE_S}s of the server clock`
+    },
+    signedNonce: { type: 'apiKey', in: 'query', name: 'nonce', description: 'Unique per request and key (max 64 characters)' },
+    signature: { type: 'apiKey', in: 'query', name: 'signature', description: 'Lowercase hex request signature' },
+    legacySecret: {
+      type: 'apiKey', in: 'query', name: 'secret',
+      description: 'CLIPPULSE_API_SECRET; grants every scope. Send it as the "secret" field of the POST body; ' +
+        'as a query parameter it is only accepted when CLIPPULSE_ALLOW_QUERY_SECRET is true'
+    }
+  };
+}
+
+/**
+ * Get the OpenAPI schemas of plans, errors and response payloads
+ * @returns {Object} components.schemas
+ */
+function getOpenApiSchemas() {
+  const string = { type: 'string' };
+  const nullableString = { type: 'string', nullable: true };
+  const integer = { type: 'integer' };
+  const object = { type: 'object' };
+  const warnings = { type: 'array', items: string, description: 'What normalizing or repairing the LLM plan changed' };
+  const ref = name => ({ $ref: `#/components/schemas/${name}` });
+  const status = { type: 'string', enum: Object.values(API_STATUS) };
+
+  const runIds = {
+    run_id: string,
+    internal_run_id: string,
+    status: status,
+    spreadsheet_id: nullableString,
+    spreadsheet_url: nullableString,
+    created_folder_id: nullableString
+  };
+
+  return {
+    Plan: JSON.parse(JSON.stringify(PLAN_SCHEMA)),
+    Error: {
+      type: 'object',
+      properties: {
+        code: string,
+        message: string,
+        details: {},
+        retry_after: { type: 'integer', description: 'Seconds to wait (RATE_LIMITED)' }
+      },
+      required: ['code', 'message']
+    },
+    StartResult: {
+      type: 'object',
+      properties: {
+        ...runIds,
+        plan_source: { type: 'string', enum: ['llm', 'rules', 'user', 'clone'] },
+        existing: { type: 'boolean' },
+        dry_run: { type: 'boolean' },
+        plan: ref('Plan'),
+        plan_warnings: warnings,
+        platforms: object,
+        total_api_calls: integer,
+        message: string
+      }
+    },
+    BatchStartResult: {
+      type: 'object',
+      properties: {
+        batch_id: string,
+        status: string,
+        total: integer,
+        combined_spreadsheet_id: nullableString,
+        combined_spreadsheet_url: nullableString,
+        runs: { type: 'array', items: { type: 'object', properties: { index: integer, run_id: string, status: string } } },
+        message: string
+      }
+    },
+    BatchStatus: {
+      type: 'object',
+      properties: {
+        batch_id: string,
+        status: { type: 'string', enum: ['queued', 'running', 'completed', 'partial', 'failed'] },
+        created_at: string,
+        updated_at: string,
+        api_key_id: nullableString,
+        total: integer,
+        counts: { type: 'object', additionalProperties: integer },
+        metrics: { type: 'object', additionalProperties: integer },
+        combined_spreadsheet_id: nullableString,
+        combined_spreadsheet_url: nullableString,
+        runs: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              index: integer,
+              run_id: string,
+              instruction: string,
+              status: { type: 'string', enum: ['pending'].concat(Object.values(API_STATUS)) },
+              spreadsheet_url: nullableString,
+              combined_tabs: { type: 'array', items: string, nullable: true },
+              error: { allOf: [ref('Error')], nullable: true }
+            }
+          }
+        }
+      }
+    },
+    PlanResult: {
+      type: 'object',
+      properties: { instruction: string, plan: ref('Plan'), warnings: warnings, message: string }
+    },
+    RunStatus: {
+      type: 'object',
+      properties: {
+        ...runIds,
+        internal_status: string,
+        created_at: string,
+        updated_at: string,
+        api_key_id: nullableString,
+        batch_id: nullableString,
+        llm_provider: { type: 'string', enum: LLM_PROVIDERS, nullable: true },
+        queue_position: { ...object, nullable: true },
+        metrics: object,
+        phase: {
+          type: 'object',
+          properties: { current: string, since: nullableString, platforms: { type: 'object', additionalProperties: integer } }
+        },
+        platforms: { type: 'object', additionalProperties: ref('PlatformProgress') },
+        artifacts: { type: 'object', properties: { videos_saved: integer, watch_html_only: integer } },
+        fallback_expansions: { type: 'array', items: object },
+        eta_seconds: { type: 'integer', nullable: true, description: 'Seconds until collection finishes at the observed rate' },
+        eta_at: nullableString,
+        plan: { allOf: [ref('Plan')], nullable: true },
+        plan_warnings: warnings,
+        checkpoint: { ...object, nullable: true },
+        webhook_deliveries: { type: 'array', items: object },
+        message: nullableString,
+        error: { allOf: [ref('Error')], nullable: true }
+      }
+    },
+    PlatformProgress: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', nullable: true, enum: Object.values(PLATFORM_STATUS).map(status => status.toLowerCase()) },
+        error: nullableString,
+        message: nullableString,
+        collected: integer,
+        target: integer,
+        started_at: nullableString,
+        finished_at: nullableString,
+        current_search: {
+          type: 'object',
+          nullable: true,
+          properties: { type: { type: 'string', enum: ['hashtag', 'account', 'query'] }, value: nullableString, index: { type: 'integer', nullable: true }, total: { type: 'integer', nullable: true } }
+        },
+        artifacts: { type: 'object', properties: { videos_saved: integer, watch_html_only: integer } },
+        posts_per_minute: { type: 'number', nullable: true },
+        eta_seconds: { type: 'integer', nullable: true }
+      }
+    },
+    RunList: {
+      type: 'object',
+      properties: {
+        runs: { type: 'array', items: object },
+        total: integer,
+        offset: integer,
+        limit: integer,
+        next_offset: { type: 'integer', nullable: true }
+      }
+    },
+    RunEvents: {
+      type: 'object',
+      properties: { run_id: string, events: { type: 'array', items: object }, next_seq: integer, dropped: integer }
+    },
+    RunChanges: {
+      type: 'object',
+      properties: {
+        run_id: string,
+        since_seq: integer,
+        next_since_seq: integer,
+        gap: { type: 'boolean', description: 'Events after since_seq were already dropped from the log' },
+        events: { type: 'array', items: object },
+        posts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              seq: integer,
+              platform: string,
+              id: string,
+              username: string,
+              caption: string,
+              thumbnail: string,
+              url: string,
+              posted_at: string
+            }
+          }
+        },
+        status: { allOf: [ref('RunStatus')], nullable: true, description: 'Set when anything changed (always on the first poll)' }
+      }
+    },
+    Usage: {
+      type: 'object',
+      properties: { key_id: string, limits: object, remaining_today: object, days: { type: 'array', items: object } }
+    },
+    DeleteResult: {
+      type: 'object',
+      properties: { run_id: string, deleted: { type: 'boolean' }, files_trashed: integer, message: string }
+    },
+    RunTemplate: {
+      type: 'object',
+      properties: {
+        template_id: string,
+        name: string,
+        instruction: string,
+        target_folder_id: nullableString,
+        cadence: object,
+        end_date: nullableString,
+        enabled: { type: 'boolean' },
+        last_run_at: nullableString,
+        next_run_at: nullableString,
+        created_at: string,
+        updated_at: string
+      }
+    },
+    RunTemplateList: {
+      type: 'object',
+      properties: { templates: { type: 'array', items: ref('RunTemplate') } }
+    },
+    RunTemplateHistory: {
+      type: 'object',
+      properties: { template_id: string, runs: { type: 'array', items: object } }
+    },
+    RunTemplateDeleted: {
+      type: 'object',
+      properties: { template_id: string, message: string }
+    }
+  };
+}
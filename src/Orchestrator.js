@@ -19,13 +19,35 @@
  * @param {Object} [options] - Optional parameters (for API mode)
  * @param {string} [options.externalRunId] - External run ID from n8n
  * @param {string} [options.targetFolderId] - Target folder ID for output
- * @param {string} [options.source] - Source of the run ('ui' or 'api')
+ * @param {string} [options.source] - Source of the run ('ui', 'api' or 'schedule')
+ * @param {string} [options.templateId] - Run template that spawned the run
+ * @param {Object} [options.plan] - Reviewed plan to use instead of parsing the instruction
+ * @param {string} [options.planSource] - Where options.plan came from ('user' or 'clone')
+ * @param {Object} [options.planOverrides] - { platforms, counts } merged over the LLM plan (see applyPlanOverrides)
+ * @param {Object} [options.clonedFrom] - Source run ({ runId, spreadsheetId }) for a clone
+ * @param {string} [options.callbackUrl] - Webhook URL for this run's lifecycle events
+ * @param {string} [options.apiKeyId] - API key that started the run
+ * @param {string} [options.batchId] - Batch the run belongs to (see Batch.js)
+ * @param {string} [options.llmProvider] - LLM provider for planning and fallbacks (defaults to LLM_PROVIDER)
  * @returns {Object} Run info including runId and spreadsheetUrl
+ *   (with existing: true when options.externalRunId already names a run started with the same request)
+ * @throws {Error} With code 'CONFLICT' when options.externalRunId names a run started with a different request
  */
 function startRun(instruction, options = {}) {
+  if (options.llmProvider && !LLM_PROVIDERS.includes(options.llmProvider)) {
+    throw new Error(`Unknown LLM provider: ${options.llmProvider}. Valid providers: ${LLM_PROVIDERS.join(', ')}`);
+  }
+
+  if (options.plan) {
+    const planValidation = validatePlan(options.plan);
+    if (!planValidation.isValid) {
+      throw new Error(`Invalid plan: ${planValidation.errors.join('; ')}`);
+    }
+  }
+
   // Skip validation in mock mode
   if (!isMockMode()) {
-    const configValidation = validateConfig();
+    const configValidation = validateConfig(options.llmProvider);
     if (!configValidation.isValid) {
       throw new Error(`Missing configuration: ${configValidation.missingKeys.join(', ')}`);
     }
@@ -51,23 +73,73 @@ function startRun(instruction, options = {}) {
 
   // Generate run ID (use external_run_id if provided, otherwise generate)
   const runId = options.externalRunId || generateRunId();
+  const fingerprint = computeRunRequestFingerprint(instruction, options);
   console.log(`Starting run: ${runId} (source: ${options.source || 'ui'})`);
 
   // Create initial run state with options
   const state = createRunState(runId, instruction, {
     externalRunId: options.externalRunId,
     targetFolderId: options.targetFolderId,
-    source: options.source || 'ui'
+    source: options.source || 'ui',
+    templateId: options.templateId,
+    clonedFrom: options.clonedFrom,
+    callbackUrl: options.callbackUrl,
+    apiKeyId: options.apiKeyId,
+    batchId: options.batchId,
+    llmProvider: options.llmProvider
   });
-  saveRunState(state);
+  state.requestFingerprints = [createRequestFingerprintEntry(fingerprint, 'created', options.apiKeyId)];
+
+  // Claim the run ID atomically: a retried request must not overwrite a live run
+  const existing = withRunStateLock(runId, () => {
+    const current = loadRunState(runId);
+    if (!current) {
+      saveRunState(state);
+    }
+    return current;
+  });
+  if (existing) {
+    return resolveExistingRun(existing, instruction, fingerprint, options.apiKeyId);
+  }
+
+  setActiveEventRun(runId);
+  countApiUsage('runs');
+  logRunEvent(runId, RUN_EVENT_TYPE.INFO,
+    `Run created (source: ${state.source}${state.apiKeyId ? `, API key: ${state.apiKeyId}` : ''})`,
+    { instruction: instruction, apiKeyId: state.apiKeyId });
 
   try {
     // Update status to PLANNING
     updateRunStatus(runId, RUN_STATUS.PLANNING, 'Parsing instruction...');
 
-    // Parse instruction with LLM
-    const plan = parseInstructionToPlan(instruction);
-    setRunPlan(runId, plan);
+    // Parse instruction with LLM, unless the user already reviewed a plan
+    let plan;
+    let planSource;
+    if (options.plan) {
+      plan = applyPlanDefaults(options.plan);
+      planSource = options.planSource || 'user';
+      setRunPlan(runId, plan, planSource);
+      logRunEvent(runId, RUN_EVENT_TYPE.INFO,
+        options.clonedFrom ? `Using plan of ${options.clonedFrom.runId}` : 'Using reviewed plan', { plan: plan });
+    } else {
+      const planned = planInstruction(instruction, options.llmProvider);
+      plan = planned.plan;
+      if (options.planOverrides) {
+        plan = applyPlanOverrides(plan, options.planOverrides);
+        const overrideValidation = validatePlan(plan);
+        if (!overrideValidation.isValid) {
+          throw new Error(`Invalid plan after overrides: ${overrideValidation.errors.join('; ')}`);
+        }
+        logRunEvent(runId, RUN_EVENT_TYPE.INFO, 'Applied platform/count overrides to the LLM plan',
+          { overrides: options.planOverrides });
+      }
+      planSource = planned.source;
+      setRunPlan(runId, plan, planSource, planned.warnings);
+      if (planned.warnings.length > 0) {
+        logRunEvent(runId, RUN_EVENT_TYPE.INFO, `Plan normalized with ${planned.warnings.length} warning(s)`,
+          { warnings: planned.warnings });
+      }
+    }
 
     // Create Drive folder structure (with optional target folder)
     updateRunStatus(runId, RUN_STATUS.PLANNING, 'Creating folder structure...');
@@ -92,6 +164,7 @@ function startRun(instruction, options = {}) {
 
     // Schedule the collection process
     scheduleCollection(runId);
+    notifyRunWebhooks(runId, WEBHOOK_EVENT.STARTED);
 
     return {
       runId: runId,
@@ -99,78 +172,263 @@ function startRun(instruction, options = {}) {
       spreadsheetUrl: spreadsheet.spreadsheetUrl,
       runFolderId: folders.runFolderId,
       status: RUN_STATUS.PLANNING,
-      plan: plan
+      plan: plan,
+      planSource: planSource
     };
 
   } catch (e) {
     console.error('Error starting run:', e);
     updateRunError(runId, e.message);
     throw e;
+  } finally {
+    flushRunEvents(runId);
+    setActiveEventRun(null);
   }
 }
 
 /**
- * Schedule the collection process
- * Uses a time-based trigger for continuation
- * @param {string} runId - The run ID
+ * Maximum request fingerprints kept on a run (oldest are dropped first)
  */
-function scheduleCollection(runId) {
-  // Delete any existing triggers for this function
-  const triggers = ScriptApp.getProjectTriggers();
-  triggers.forEach(trigger => {
-    if (trigger.getHandlerFunction() === 'continueRun') {
-      ScriptApp.deleteTrigger(trigger);
-    }
+const MAX_REQUEST_FINGERPRINTS = 20;
+
+/**
+ * Fingerprint the parts of a start request that define the run
+ * Two requests with the same fingerprint would start the same run.
+ * @param {string} instruction - The instruction
+ * @param {Object} options - startRun options
+ * @returns {string} Hex SHA-256
+ */
+function computeRunRequestFingerprint(instruction, options) {
+  const fields = {
+    instruction: String(instruction).trim(),
+    targetFolderId: options.targetFolderId || null,
+    callbackUrl: options.callbackUrl || null,
+    plan: options.plan || null
+  };
+  if (options.planOverrides) {
+    fields.planOverrides = options.planOverrides;
+  }
+  if (options.llmProvider) {
+    fields.llmProvider = options.llmProvider;
+  }
+  const request = JSON.stringify(fields);
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, request, Utilities.Charset.UTF_8);
+  return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Create a request fingerprint log entry
+ * @param {string} fingerprint - Result of computeRunRequestFingerprint
+ * @param {string} outcome - 'created', 'replayed' or 'conflict'
+ * @param {string} [apiKeyId] - API key that sent the request
+ * @returns {Object} Entry for state.requestFingerprints
+ */
+function createRequestFingerprintEntry(fingerprint, outcome, apiKeyId = null) {
+  return {
+    fingerprint: fingerprint,
+    outcome: outcome,
+    apiKeyId: apiKeyId || null,
+    at: new Date().toISOString()
+  };
+}
+
+/**
+ * Answer a start request whose run ID already exists
+ * The same request returns the existing run; a different one is a conflict.
+ * Runs created before fingerprints were recorded are matched on the instruction.
+ * @param {Object} state - The existing run state
+ * @param {string} instruction - The instruction of the new request
+ * @param {string} fingerprint - Fingerprint of the new request
+ * @param {string} [apiKeyId] - API key that sent the request
+ * @returns {Object} Run info as returned by startRun(), with existing: true
+ */
+function resolveExistingRun(state, instruction, fingerprint, apiKeyId = null) {
+  const created = (state.requestFingerprints || []).find(entry => entry.outcome === 'created');
+  const isSameRequest = created
+    ? created.fingerprint === fingerprint
+    : String(state.instruction).trim() === String(instruction).trim();
+  const outcome = isSameRequest ? 'replayed' : 'conflict';
+
+  updateRunState(state.runId, current => {
+    current.requestFingerprints = (current.requestFingerprints || [])
+      .concat(createRequestFingerprintEntry(fingerprint, outcome, apiKeyId))
+      .slice(-MAX_REQUEST_FINGERPRINTS);
   });
+  logRunEvent(state.runId, isSameRequest ? RUN_EVENT_TYPE.INFO : RUN_EVENT_TYPE.ERROR,
+    isSameRequest
+      ? 'Start request repeated; returning the existing run'
+      : 'Start request with a different payload rejected (run ID already in use)',
+    { fingerprint: fingerprint, apiKeyId: apiKeyId });
+  flushRunEvents(state.runId);
+
+  if (!isSameRequest) {
+    const error = new Error(`Run ${state.runId} already exists with a different request; use a new external_run_id`);
+    error.code = 'CONFLICT';
+    throw error;
+  }
+
+  console.log(`Run ${state.runId} already exists; returning it`);
+  return {
+    runId: state.runId,
+    spreadsheetId: state.spreadsheetId,
+    spreadsheetUrl: state.spreadsheetUrl,
+    runFolderId: state.runFolderId,
+    status: state.status,
+    plan: state.plan,
+    planSource: state.planSource,
+    existing: true
+  };
+}
 
-  // Create a new trigger to run after 1 second
-  ScriptApp.newTrigger('continueRun')
-    .timeBased()
-    .after(1000)
-    .create();
+/**
+ * Plan a run for review without starting it
+ * The returned plan may be edited and passed to startRunWithPlan().
+ * @param {string} instruction - The user's natural language instruction
+ * @param {string} [llmProvider] - LLM provider to plan with (defaults to LLM_PROVIDER)
+ * @returns {Object} { plan, warnings, source } with the plan from the LLM or the rules (see planInstruction)
+ */
+function planRun(instruction, llmProvider = null) {
+  if (!instruction || !String(instruction).trim()) {
+    throw new Error('Instruction is required');
+  }
+  return planInstruction(instruction, llmProvider);
+}
 
-  // Store the run ID for the trigger to pick up
-  PropertiesService.getScriptProperties().setProperty('PENDING_RUN_ID', runId);
+/**
+ * Start a run with a reviewed (possibly edited) plan
+ * The plan is validated against PLAN_SCHEMA and stored on the run as its initial plan.
+ * @param {string} instruction - The instruction the plan was made from
+ * @param {Object} plan - The reviewed plan
+ * @param {Object} [options] - Same options as startRun()
+ * @returns {Object} Run info including runId and spreadsheetUrl
+ */
+function startRunWithPlan(instruction, plan, options = {}) {
+  return startRun(instruction, { ...options, plan: plan });
+}
+
+/**
+ * Schedule the collection process
+ * Adds the run to the run queue and makes sure a continuation trigger is pending
+ * @param {string} runId - The run ID
+ */
+function scheduleCollection(runId) {
+  enqueueRun(runId);
+  ensureContinuationTrigger(1000);
 }
 
 /**
  * Continue a run (called by trigger)
- * This is the main collection loop
+ * This is the main collection loop. Each execution claims the next runnable
+ * run from the queue (round-robin) and executes one slice of it.
  */
 function continueRun() {
-  const props = PropertiesService.getScriptProperties();
-  const runId = props.getProperty('PENDING_RUN_ID');
+  // The trigger that fired this execution is spent; drop it and any duplicates
+  cleanupTriggers();
 
+  const runId = claimNextRunnableRun();
   if (!runId) {
-    console.log('No pending run to continue');
+    console.log('No runnable run to continue');
+    scheduleNextQueueSlice();
     return;
   }
 
-  const state = loadRunState(runId);
-  if (!state) {
-    console.error(`Run state not found: ${runId}`);
-    props.deleteProperty('PENDING_RUN_ID');
-    return;
+  setActiveEventRun(runId);
+  try {
+    executeRunPhase(runId, loadRunState(runId));
+  } catch (e) {
+    console.error(`Error in run ${runId}:`, e);
+    updateRunError(runId, e.message);
+    dequeueRun(runId);
+  } finally {
+    flushRunEvents(runId);
+    flushApiUsage();
+    setActiveEventRun(null);
+    releaseRun(runId);
   }
 
-  // Check if already completed or failed
-  if (state.status === RUN_STATUS.COMPLETED || state.status === RUN_STATUS.FAILED) {
-    console.log(`Run ${runId} already ${state.status}`);
-    props.deleteProperty('PENDING_RUN_ID');
-    cleanupTriggers();
+  scheduleNextQueueSlice();
+}
+
+/**
+ * Claim the next queued run that still has work to do
+ * Queue entries whose state is missing or already finished are dropped.
+ * @returns {string|null} The claimed run ID or null
+ */
+function claimNextRunnableRun() {
+  const maxAttempts = getRunQueueLength();
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const runId = claimNextRun();
+    if (!runId) {
+      return null;
+    }
+
+    const state = loadRunState(runId);
+    if (!state) {
+      console.error(`Run state not found: ${runId}`);
+      dequeueRun(runId);
+      continue;
+    }
+
+    if (state.status === RUN_STATUS.COMPLETED || state.status === RUN_STATUS.FAILED ||
+        state.status === RUN_STATUS.PAUSED) {
+      console.log(`Run ${runId} is ${state.status}; removing from queue`);
+      dequeueRun(runId);
+      continue;
+    }
+
+    return runId;
+  }
+
+  return null;
+}
+
+/**
+ * Schedule the next continueRun execution if the queue still has runs
+ * When every admitted run is leased by another execution, wait for the
+ * earliest lease to expire so a crashed execution cannot stall the queue.
+ */
+function scheduleNextQueueSlice() {
+  const queue = loadRunQueue();
+  if (queue.entries.length === 0) {
     return;
   }
 
-  try {
-    executeRunPhase(runId, state);
-  } catch (e) {
-    console.error(`Error in run ${runId}:`, e);
-    updateRunError(runId, e.message);
-    props.deleteProperty('PENDING_RUN_ID');
-    cleanupTriggers();
+  const now = Date.now();
+  const admitted = queue.entries.slice(0, getMaxConcurrentRuns());
+  const hasFreeRun = admitted.some(entry => entry.leaseUntil <= now);
+
+  if (hasFreeRun) {
+    ensureContinuationTrigger(2000);
+  } else {
+    const earliestExpiry = Math.min(...admitted.map(entry => entry.leaseUntil));
+    ensureContinuationTrigger(Math.max(earliestExpiry - now, 2000));
   }
 }
 
+/**
+ * Display names for platforms in status messages
+ */
+const PLATFORM_LABELS = {
+  instagram: 'Instagram',
+  x: 'X',
+  tiktok: 'TikTok'
+};
+
+/**
+ * Platform served by each legacy sequential phase
+ */
+const LEGACY_PHASE_PLATFORMS = {
+  RUNNING_INSTAGRAM: 'instagram',
+  RUNNING_X: 'x',
+  RUNNING_TIKTOK: 'tiktok'
+};
+
+/**
+ * Minimum time left in a slice before another platform is started
+ */
+const MIN_PLATFORM_SLICE_MS = 30 * 1000;
+
 /**
  * Execute the current phase of a run
  * @param {string} runId - The run ID
@@ -183,47 +441,41 @@ function executeRunPhase(runId, state) {
   const plan = state.plan;
 
   // Debug logging for troubleshooting
-  const metaAuth = isMetaAuthorized();
-  const xConfigured = isXConfigured();
-  const mockMode = isMockMode();
   console.log(`[DEBUG] executeRunPhase: status=${state.status}`);
   console.log(`[DEBUG] targetCounts: instagram=${plan.targetCounts.instagram}, x=${plan.targetCounts.x}, tiktok=${plan.targetCounts.tiktok}`);
-  console.log(`[DEBUG] Auth status: isMetaAuthorized=${metaAuth}, isXConfigured=${xConfigured}, isMockMode=${mockMode}`);
+  console.log(`[DEBUG] Auth status: isMetaAuthorized=${isMetaAuthorized()}, isXConfigured=${isXConfigured()}, isMockMode=${isMockMode()}`);
 
   // Determine current phase based on status
   switch (state.status) {
     case RUN_STATUS.CREATED:
     case RUN_STATUS.PLANNING:
-      // Move to Instagram collection first
-      if (plan.targetCounts.instagram > 0 && (metaAuth || mockMode)) {
-        console.log('[DEBUG] Starting Instagram collection');
-        updateRunStatus(runId, RUN_STATUS.RUNNING_INSTAGRAM, 'Collecting Instagram data...');
-        executeRunPhase(runId, loadRunState(runId));
-      } else if (plan.targetCounts.x > 0 && (xConfigured || mockMode)) {
-        console.log('[DEBUG] Starting X collection (Instagram skipped or not configured)');
-        updateRunStatus(runId, RUN_STATUS.RUNNING_X, 'Collecting X data...');
-        executeRunPhase(runId, loadRunState(runId));
-      } else if (plan.targetCounts.tiktok > 0) {
-        console.log('[DEBUG] Starting TikTok collection');
-        updateRunStatus(runId, RUN_STATUS.RUNNING_TIKTOK, 'Collecting TikTok data...');
-        executeRunPhase(runId, loadRunState(runId));
-      } else {
-        console.log('[DEBUG] No collection to perform, finalizing immediately');
-        console.log('[DEBUG] This is likely a bug - check isMetaAuthorized() and isXConfigured() implementations');
-        finalizeRun(runId);
-      }
+      initPlatformStates(runId);
+      updateRunStatus(runId, RUN_STATUS.COLLECTING, 'Collecting data...');
+      collectPlatformsSlice(runId, startTime, maxExecutionTime);
       break;
 
     case RUN_STATUS.RUNNING_INSTAGRAM:
-      collectInstagramWithTimeout(runId, plan, startTime, maxExecutionTime);
+    case RUN_STATUS.RUNNING_X:
+    case RUN_STATUS.RUNNING_TIKTOK:
+      // Run started before platforms were collected in parallel
+      initPlatformStates(runId, state.status);
+      updateRunStatus(runId, RUN_STATUS.COLLECTING);
+      collectPlatformsSlice(runId, startTime, maxExecutionTime);
       break;
 
-    case RUN_STATUS.RUNNING_X:
-      collectXWithTimeout(runId, plan, startTime, maxExecutionTime);
+    case RUN_STATUS.COLLECTING:
+      collectPlatformsSlice(runId, startTime, maxExecutionTime);
       break;
 
-    case RUN_STATUS.RUNNING_TIKTOK:
-      collectTikTokWithTimeout(runId, plan, startTime, maxExecutionTime);
+    case RUN_STATUS.RESUMING:
+      // Paused runs from before parallel collection have no platform sub-states yet
+      initPlatformStates(runId);
+      updateRunStatus(runId, RUN_STATUS.COLLECTING, 'Resumed');
+      collectPlatformsSlice(runId, startTime, maxExecutionTime);
+      break;
+
+    case RUN_STATUS.PAUSED:
+      console.log(`Run ${runId} is paused; nothing to do`);
       break;
 
     case RUN_STATUS.FINALIZING:
@@ -232,12 +484,242 @@ function executeRunPhase(runId, state) {
   }
 }
 
+/**
+ * Check whether a platform can be collected right now
+ * @param {string} platform - 'instagram', 'x', or 'tiktok'
+ * @returns {boolean}
+ */
+function isPlatformAvailable(platform) {
+  if (isMockMode()) {
+    return true;
+  }
+
+  switch (platform) {
+    case 'instagram':
+      return isMetaAuthorized();
+    case 'x':
+      return isXConfigured();
+    case 'tiktok':
+      return isTikTokResearchConfigured() || (isTikTokDisplayConfigured() && isTikTokDisplayAuthorized());
+    default:
+      return false;
+  }
+}
+
+/**
+ * Give every platform without a sub-state its initial status
+ * Platforms with no target or no configured API are skipped up front.
+ * @param {string} runId - The run ID
+ * @param {string} [legacyStatus] - Sequential phase the run was in; earlier platforms count as done
+ */
+function initPlatformStates(runId, legacyStatus = null) {
+  const state = loadRunState(runId);
+  const legacyIndex = legacyStatus ? PLATFORMS.indexOf(LEGACY_PHASE_PLATFORMS[legacyStatus]) : -1;
+
+  PLATFORMS.forEach((platform, index) => {
+    const progress = state[getPlatformProgressKey(platform)];
+    if (progress.status) {
+      return;
+    }
+
+    const target = state.plan.targetCounts[platform] || 0;
+    if (index < legacyIndex || (target > 0 && progress.collected >= target)) {
+      updatePlatformState(runId, platform, { status: PLATFORM_STATUS.COMPLETED });
+    } else if (target <= 0) {
+      updatePlatformState(runId, platform, { status: PLATFORM_STATUS.SKIPPED, message: 'No posts requested' });
+    } else if (!isPlatformAvailable(platform)) {
+      updatePlatformState(runId, platform, {
+        status: PLATFORM_STATUS.SKIPPED,
+        message: `${PLATFORM_LABELS[platform]} not configured; skipping`
+      });
+    } else {
+      updatePlatformState(runId, platform, { status: PLATFORM_STATUS.PENDING });
+    }
+  });
+}
+
+/**
+ * Make progress on every platform that still has work
+ * The remaining execution time is shared between the unfinished platforms.
+ * A failing platform is marked FAILED without stopping the others.
+ * @param {string} runId - The run ID
+ * @param {number} startTime - Start timestamp of this execution
+ * @param {number} maxTime - Maximum execution time in ms
+ * @returns {string} PLATFORM_STATUS to record (RUNNING if the time budget ran out or the run was paused)
+ */
+function collectPlatformsSlice(runId, startTime, maxTime) {
+  const state = loadRunState(runId);
+  const active = PLATFORMS.filter(platform =>
+    !isPlatformTerminal(state[getPlatformProgressKey(platform)].status));
+
+  for (let i = 0; i < active.length; i++) {
+    if (loadRunState(runId).status === RUN_STATUS.PAUSED) {
+      break;
+    }
+
+    const remaining = maxTime - (Date.now() - startTime);
+    if (remaining < MIN_PLATFORM_SLICE_MS) {
+      console.log(`Slice budget exhausted; ${active.length - i} platform(s) wait for the next slice`);
+      break;
+    }
+
+    const budget = Math.floor(remaining / (active.length - i));
+    collectPlatformWithTimeout(runId, active[i], Date.now(), budget);
+  }
+
+  const updated = loadRunState(runId);
+
+  // Paused mid-slice: record where every platform actually stopped
+  if (updated.status === RUN_STATUS.PAUSED) {
+    saveRunCheckpoint(runId);
+    return;
+  }
+
+  // The run may have been cancelled while this slice was collecting
+  if (updated.status !== RUN_STATUS.COLLECTING) {
+    return;
+  }
+
+  // Only while still COLLECTING: a pause or cancel landing now must not be overwritten or requeued
+  const finished = PLATFORMS.every(platform => isPlatformTerminal(updated[getPlatformProgressKey(platform)].status));
+  const applied = finished
+    ? updateRunStatus(runId, RUN_STATUS.FINALIZING, 'Finalizing...', RUN_STATUS.COLLECTING)
+    : updateRunStatus(runId, RUN_STATUS.COLLECTING, buildCollectingMessage(updated), RUN_STATUS.COLLECTING);
+  if (applied) {
+    scheduleContinuation(runId);
+  }
+}
+
+/**
+ * Run one platform's collector for part of a slice and record its sub-state
+ * @param {string} runId - The run ID
+ * @param {string} platform - 'instagram', 'x', or 'tiktok'
+ * @param {number} startTime - Start timestamp for this platform
+ * @param {number} maxTime - Time budget for this platform in ms
+ */
+function collectPlatformWithTimeout(runId, platform, startTime, maxTime) {
+  const collectors = {
+    instagram: collectInstagramWithTimeout,
+    x: collectXWithTimeout,
+    tiktok: collectTikTokWithTimeout
+  };
+
+  updatePlatformState(runId, platform, { status: PLATFORM_STATUS.RUNNING });
+
+  try {
+    // Reload the plan: another platform may have expanded it earlier in this slice
+    const plan = loadRunState(runId).plan;
+    const status = collectors[platform](runId, plan, startTime, maxTime);
+    flushPostArtifacts(runId);
+    updatePlatformState(runId, platform, { status: status });
+  } catch (e) {
+    console.error(`${PLATFORM_LABELS[platform]} collection failed for run ${runId}:`, e);
+    flushPostArtifacts(runId);
+    updatePlatformState(runId, platform, { status: PLATFORM_STATUS.FAILED, error: e.message });
+  }
+}
+
+/**
+ * Maximum fallback expansions kept on a run (oldest are dropped first)
+ */
+const MAX_FALLBACK_EXPANSIONS = 20;
+
+/**
+ * Plan fields a fallback expansion may change, compared to record what it did
+ */
+const FALLBACK_PLAN_FIELDS = [
+  'keywords',
+  'hashtags',
+  'timeWindow.startDate',
+  'queryStrategy.instagram.hashtagsToSearch',
+  'queryStrategy.x.queryType',
+  'queryStrategy.tiktok.isRandom'
+];
+
+/**
+ * Expand a platform's search after it fell short, and record the expansion
+ * The new plan is saved on the run; what changed is kept in state.fallbackExpansions
+ * and the event log.
+ * @param {string} runId - The run ID
+ * @param {string} platform - 'instagram', 'x', or 'tiktok'
+ * @param {Object} plan - The current plan (the expander may modify it)
+ * @param {function} expand - expandInstagramSearch, expandXSearch or expandTikTokSearch
+ * @param {number} collected - Posts collected so far
+ * @param {number} target - Target post count
+ * @returns {Object} The expanded plan
+ */
+function applyFallbackExpansion(runId, platform, plan, expand, collected, target) {
+  const before = JSON.parse(JSON.stringify(plan));
+  const expandedPlan = expand(runId, plan);
+  setRunPlan(runId, expandedPlan);
+
+  const valueAt = (source, path) => path.split('.').reduce((value, key) => value == null ? undefined : value[key], source);
+  const changes = FALLBACK_PLAN_FIELDS
+    .filter(field => JSON.stringify(valueAt(before, field)) !== JSON.stringify(valueAt(expandedPlan, field)))
+    .map(field => ({ field: field, from: valueAt(before, field) ?? null, to: valueAt(expandedPlan, field) ?? null }));
+
+  updateRunState(runId, state => {
+    state.fallbackExpansions = (state.fallbackExpansions || []).concat({
+      platform: platform,
+      at: new Date().toISOString(),
+      collected: collected,
+      target: target,
+      changes: changes
+    }).slice(-MAX_FALLBACK_EXPANSIONS);
+  });
+
+  logRunEvent(runId, RUN_EVENT_TYPE.FALLBACK,
+    `Expanded ${PLATFORM_LABELS[platform]} search after collecting ${collected}/${target}` +
+    (changes.length > 0 ? ` (${changes.map(change => change.field).join(', ')})` : ''),
+    { platform: platform, collected: collected, target: target, changes: changes });
+
+  return expandedPlan;
+}
+
+/**
+ * Build the run message shown while platforms are collecting
+ * @param {Object} state - The run state
+ * @returns {string} Message such as "Collecting: Instagram 3/10, X 5/10"
+ */
+function buildCollectingMessage(state) {
+  const parts = PLATFORMS
+    .filter(platform => state[getPlatformProgressKey(platform)].status !== PLATFORM_STATUS.SKIPPED)
+    .map(platform => {
+      const progress = state[getPlatformProgressKey(platform)];
+      const suffix = progress.status === PLATFORM_STATUS.FAILED ? ' (failed)' : '';
+      return `${PLATFORM_LABELS[platform]} ${progress.collected}/${progress.target}${suffix}`;
+    });
+
+  return `Collecting: ${parts.join(', ')}`;
+}
+
+/**
+ * Create the progress callback handed to collectors
+ * Collectors call it after saving a checkpoint; it stops collection by throwing
+ * 'TIMEOUT' when the time budget is spent or 'PAUSED' when the run was paused.
+ * @param {string} runId - The run ID
+ * @param {number} startTime - Start timestamp
+ * @param {number} maxTime - Maximum execution time in ms
+ * @returns {function} Progress callback
+ */
+function createSliceProgressCheck(runId, startTime, maxTime) {
+  return (progress) => {
+    if (Date.now() - startTime > maxTime) {
+      throw new Error('TIMEOUT');
+    }
+    if (loadRunState(runId).status === RUN_STATUS.PAUSED) {
+      throw new Error('PAUSED');
+    }
+  };
+}
+
 /**
  * Collect Instagram data with timeout handling
  * @param {string} runId - The run ID
  * @param {Object} plan - The collection plan
  * @param {number} startTime - Start timestamp
  * @param {number} maxTime - Maximum execution time in ms
+ * @returns {string} PLATFORM_STATUS to record (RUNNING if the time budget ran out or the run was paused)
  */
 function collectInstagramWithTimeout(runId, plan, startTime, maxTime) {
   console.log('[DEBUG] collectInstagramWithTimeout called');
@@ -248,48 +730,37 @@ function collectInstagramWithTimeout(runId, plan, startTime, maxTime) {
 
   if (!isMetaAuthorized() && !isMockMode()) {
     console.log('[DEBUG] Instagram not authorized and not mock mode, skipping');
-    updateRunStatus(runId, RUN_STATUS.RUNNING_INSTAGRAM,
-      'Instagram not authorized; skipping');
-    moveToNextPhase(runId, 'instagram');
-    return;
+    updatePlatformState(runId, 'instagram', { message: 'Instagram not authorized; skipping' });
+    return PLATFORM_STATUS.SKIPPED;
   }
 
+  const checkSliceProgress = createSliceProgressCheck(runId, startTime, maxTime);
+
   try {
     // Use mock collector if mock mode is enabled
     const collectFn = isMockMode() ? collectInstagramWithMocks : collectInstagramMedia;
-    const result = collectFn(runId, plan, (progress) => {
-      // Check timeout
-      if (Date.now() - startTime > maxTime) {
-        throw new Error('TIMEOUT');
-      }
-    });
+    const result = collectFn(runId, plan, checkSliceProgress);
 
     collected = result.collected;
 
     // Check if we got enough
     if (collected < target) {
       // Try to expand search
-      const expandedPlan = expandInstagramSearch(runId, plan);
-      setRunPlan(runId, expandedPlan);
+      const expandedPlan = applyFallbackExpansion(runId, 'instagram', plan, expandInstagramSearch, collected, target);
 
       // If still time, continue collecting
       if (Date.now() - startTime < maxTime - 30000) {
-        const additionalResult = collectInstagramMedia(runId, expandedPlan, (progress) => {
-          if (Date.now() - startTime > maxTime) {
-            throw new Error('TIMEOUT');
-          }
-        });
+        const additionalResult = collectInstagramMedia(runId, expandedPlan, checkSliceProgress);
         collected = additionalResult.collected;
       }
     }
 
-    // Move to next phase
-    moveToNextPhase(runId, 'instagram');
+    return PLATFORM_STATUS.COMPLETED;
 
   } catch (e) {
-    if (e.message === 'TIMEOUT') {
-      console.log('Instagram collection timeout, scheduling continuation');
-      scheduleContinuation(runId);
+    if (e.message === 'TIMEOUT' || e.message === 'PAUSED') {
+      console.log(`Instagram collection stopped (${e.message}), checkpoint saved`);
+      return PLATFORM_STATUS.RUNNING;
     } else {
       throw e;
     }
@@ -302,6 +773,7 @@ function collectInstagramWithTimeout(runId, plan, startTime, maxTime) {
  * @param {Object} plan - The collection plan
  * @param {number} startTime - Start timestamp
  * @param {number} maxTime - Maximum execution time in ms
+ * @returns {string} PLATFORM_STATUS to record (RUNNING if the time budget ran out or the run was paused)
  */
 function collectXWithTimeout(runId, plan, startTime, maxTime) {
   console.log('[DEBUG] collectXWithTimeout called');
@@ -312,48 +784,37 @@ function collectXWithTimeout(runId, plan, startTime, maxTime) {
 
   if (!isXConfigured() && !isMockMode()) {
     console.log('[DEBUG] X API not configured and not mock mode, skipping');
-    updateRunStatus(runId, RUN_STATUS.RUNNING_X,
-      'X API not configured; skipping');
-    moveToNextPhase(runId, 'x');
-    return;
+    updatePlatformState(runId, 'x', { message: 'X API not configured; skipping' });
+    return PLATFORM_STATUS.SKIPPED;
   }
 
+  const checkSliceProgress = createSliceProgressCheck(runId, startTime, maxTime);
+
   try {
     // Use mock collector if mock mode is enabled
     const collectFn = isMockMode() ? collectXWithMocks : collectXTweets;
-    const result = collectFn(runId, plan, (progress) => {
-      // Check timeout
-      if (Date.now() - startTime > maxTime) {
-        throw new Error('TIMEOUT');
-      }
-    });
+    const result = collectFn(runId, plan, checkSliceProgress);
 
     collected = result.collected;
 
     // Check if we got enough
     if (collected < target) {
       // Try to expand search
-      const expandedPlan = expandXSearch(runId, plan);
-      setRunPlan(runId, expandedPlan);
+      const expandedPlan = applyFallbackExpansion(runId, 'x', plan, expandXSearch, collected, target);
 
       // If still time, continue collecting
       if (Date.now() - startTime < maxTime - 30000) {
-        const additionalResult = collectXTweets(runId, expandedPlan, (progress) => {
-          if (Date.now() - startTime > maxTime) {
-            throw new Error('TIMEOUT');
-          }
-        });
+        const additionalResult = collectXTweets(runId, expandedPlan, checkSliceProgress);
         collected = additionalResult.collected;
       }
     }
 
-    // Move to next phase
-    moveToNextPhase(runId, 'x');
+    return PLATFORM_STATUS.COMPLETED;
 
   } catch (e) {
-    if (e.message === 'TIMEOUT') {
-      console.log('X collection timeout, scheduling continuation');
-      scheduleContinuation(runId);
+    if (e.message === 'TIMEOUT' || e.message === 'PAUSED') {
+      console.log(`X collection stopped (${e.message}), checkpoint saved`);
+      return PLATFORM_STATUS.RUNNING;
     } else {
       throw e;
     }
@@ -366,6 +827,7 @@ function collectXWithTimeout(runId, plan, startTime, maxTime) {
  * @param {Object} plan - The collection plan
  * @param {number} startTime - Start timestamp
  * @param {number} maxTime - Maximum execution time in ms
+ * @returns {string} PLATFORM_STATUS to record (RUNNING if the time budget ran out or the run was paused)
  */
 function collectTikTokWithTimeout(runId, plan, startTime, maxTime) {
   const state = loadRunState(runId);
@@ -376,45 +838,35 @@ function collectTikTokWithTimeout(runId, plan, startTime, maxTime) {
   const hasDisplay = isTikTokDisplayConfigured() && isTikTokDisplayAuthorized();
 
   if (!hasResearch && !hasDisplay && !isMockMode()) {
-    updateRunStatus(runId, RUN_STATUS.RUNNING_TIKTOK,
-      'TikTok API not configured; skipping');
-    moveToNextPhase(runId, 'tiktok');
-    return;
+    updatePlatformState(runId, 'tiktok', { message: 'TikTok API not configured; skipping' });
+    return PLATFORM_STATUS.SKIPPED;
   }
 
+  const checkSliceProgress = createSliceProgressCheck(runId, startTime, maxTime);
+
   try {
     // Use mock collector if mock mode is enabled
     const collectFn = isMockMode() ? collectTikTokWithMocks : collectTikTokVideos;
-    const result = collectFn(runId, plan, (progress) => {
-      if (Date.now() - startTime > maxTime) {
-        throw new Error('TIMEOUT');
-      }
-    });
+    const result = collectFn(runId, plan, checkSliceProgress);
 
     collected = result.collected;
 
     // Check if we got enough
     if (collected < target) {
-      const expandedPlan = expandTikTokSearch(runId, plan);
-      setRunPlan(runId, expandedPlan);
+      const expandedPlan = applyFallbackExpansion(runId, 'tiktok', plan, expandTikTokSearch, collected, target);
 
       if (Date.now() - startTime < maxTime - 30000) {
-        const additionalResult = collectTikTokVideos(runId, expandedPlan, (progress) => {
-          if (Date.now() - startTime > maxTime) {
-            throw new Error('TIMEOUT');
-          }
-        });
+        const additionalResult = collectTikTokVideos(runId, expandedPlan, checkSliceProgress);
         collected = additionalResult.collected;
       }
     }
 
-    // Move to next phase
-    moveToNextPhase(runId, 'tiktok');
+    return PLATFORM_STATUS.COMPLETED;
 
   } catch (e) {
-    if (e.message === 'TIMEOUT') {
-      console.log('TikTok collection timeout, scheduling continuation');
-      scheduleContinuation(runId);
+    if (e.message === 'TIMEOUT' || e.message === 'PAUSED') {
+      console.log(`TikTok collection stopped (${e.message}), checkpoint saved`);
+      return PLATFORM_STATUS.RUNNING;
     } else {
       throw e;
     }
@@ -422,53 +874,39 @@ function collectTikTokWithTimeout(runId, plan, startTime, maxTime) {
 }
 
 /**
- * Move to the next phase after completing current one
+ * Schedule a continuation for a run
+ * Keeps the run in the queue; the next continueRun execution picks it up in turn.
  * @param {string} runId - The run ID
- * @param {string} completedPhase - The phase that was completed
  */
-function moveToNextPhase(runId, completedPhase) {
-  const state = loadRunState(runId);
-  const plan = state.plan;
-
-  if (completedPhase === 'instagram') {
-    // Check if we need to do X
-    if (plan.targetCounts.x > 0 && (isXConfigured() || isMockMode())) {
-      updateRunStatus(runId, RUN_STATUS.RUNNING_X, 'Collecting X data...');
-      scheduleContinuation(runId);
-    } else if (plan.targetCounts.tiktok > 0) {
-      updateRunStatus(runId, RUN_STATUS.RUNNING_TIKTOK, 'Collecting TikTok data...');
-      scheduleContinuation(runId);
-    } else {
-      updateRunStatus(runId, RUN_STATUS.FINALIZING, 'Finalizing...');
-      scheduleContinuation(runId);
-    }
-  } else if (completedPhase === 'x') {
-    // Check if we need to do TikTok
-    if (plan.targetCounts.tiktok > 0) {
-      updateRunStatus(runId, RUN_STATUS.RUNNING_TIKTOK, 'Collecting TikTok data...');
-      scheduleContinuation(runId);
-    } else {
-      updateRunStatus(runId, RUN_STATUS.FINALIZING, 'Finalizing...');
-      scheduleContinuation(runId);
-    }
-  } else if (completedPhase === 'tiktok') {
-    updateRunStatus(runId, RUN_STATUS.FINALIZING, 'Finalizing...');
-    scheduleContinuation(runId);
-  }
+function scheduleContinuation(runId) {
+  enqueueRun(runId);
+  ensureContinuationTrigger(2000);
 }
 
 /**
- * Schedule a continuation trigger
- * @param {string} runId - The run ID
+ * Make sure a continueRun trigger fires within delayMs
+ * A pending trigger is kept if it fires at least as soon; otherwise it is
+ * replaced, so a short continuation is never stuck behind a lease-expiry wait.
+ * @param {number} delayMs - Delay before the trigger fires
  */
-function scheduleContinuation(runId) {
-  PropertiesService.getScriptProperties().setProperty('PENDING_RUN_ID', runId);
+function ensureContinuationTrigger(delayMs) {
+  const fireAt = Date.now() + delayMs;
+
+  withRunQueueLock(queue => {
+    const pending = ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === 'continueRun');
+
+    if (pending.length > 0 && queue.nextSliceAt && queue.nextSliceAt <= fireAt) {
+      return;
+    }
 
-  // Create trigger for continuation
-  ScriptApp.newTrigger('continueRun')
-    .timeBased()
-    .after(2000) // 2 second delay
-    .create();
+    pending.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    ScriptApp.newTrigger('continueRun')
+      .timeBased()
+      .after(delayMs)
+      .create();
+    queue.nextSliceAt = fireAt;
+  });
 }
 
 /**
@@ -482,9 +920,29 @@ function finalizeRun(runId) {
     // Finalize spreadsheet formatting
     finalizeSpreadsheet(state.spreadsheetId);
 
+    // A clone lists what changed since its source run
+    if (state.clonedFrom) {
+      writeCloneChanges(runId, state);
+    }
+
+    // A batch member adds its tabs to the batch's combined spreadsheet
+    if (state.batchId) {
+      copyRunToBatchSpreadsheet(runId, state);
+    }
+
     // Save manifest
     saveRunManifest(state);
 
+    // If every platform that was attempted failed, the run itself failed
+    const attempted = PLATFORMS.filter(platform =>
+      state[getPlatformProgressKey(platform)].status !== PLATFORM_STATUS.SKIPPED);
+    if (attempted.length > 0 && attempted.every(platform =>
+      state[getPlatformProgressKey(platform)].status === PLATFORM_STATUS.FAILED)) {
+      updateRunError(runId, `All platforms failed${buildPlatformFailureNote(state)}`);
+      dequeueRun(runId);
+      return;
+    }
+
     // Update status to completed
     const summary = getRunSummary(runId);
     const totalCollected = (summary.instagramCollected || 0) + (summary.xCollected || 0) + (summary.tiktokCollected || 0);
@@ -503,21 +961,39 @@ function finalizeRun(runId) {
       updateRunStatus(runId, RUN_STATUS.COMPLETED,
         `Completed: Instagram ${summary.instagramCollected}/${summary.instagramTarget}, ` +
         `X ${summary.xCollected}/${summary.xTarget}, ` +
-        `TikTok ${summary.tiktokCollected}/${summary.tiktokTarget}`);
+        `TikTok ${summary.tiktokCollected}/${summary.tiktokTarget}` +
+        buildPlatformFailureNote(state));
+
+      // Teach the planner what this plan's hashtags and queries yielded
+      // (a run with no data at all usually means a configuration issue instead)
+      recordPlannerMemory(runId);
     }
 
-    // Cleanup
-    PropertiesService.getScriptProperties().deleteProperty('PENDING_RUN_ID');
-    cleanupTriggers();
+    // Free the run's queue slot
+    dequeueRun(runId);
 
     console.log(`Run ${runId} completed successfully`);
 
   } catch (e) {
     console.error('Error finalizing run:', e);
     updateRunError(runId, `Finalization error: ${e.message}`);
+    dequeueRun(runId);
   }
 }
 
+/**
+ * Describe failed platforms for the completion message
+ * @param {Object} state - The run state
+ * @returns {string} Note such as " (failed: X - rate limited)" or an empty string
+ */
+function buildPlatformFailureNote(state) {
+  const failures = PLATFORMS
+    .filter(platform => state[getPlatformProgressKey(platform)].status === PLATFORM_STATUS.FAILED)
+    .map(platform => `${PLATFORM_LABELS[platform]} - ${state[getPlatformProgressKey(platform)].error}`);
+
+  return failures.length > 0 ? ` (failed: ${failures.join('; ')})` : '';
+}
+
 /**
  * Cleanup continuation triggers
  */
@@ -554,12 +1030,77 @@ function cancelRun(runId) {
   }
 
   updateRunStatus(runId, RUN_STATUS.FAILED, 'Cancelled by user');
-  PropertiesService.getScriptProperties().deleteProperty('PENDING_RUN_ID');
-  cleanupTriggers();
+  dequeueRun(runId);
+
+  // Other runs may still be queued; only clear triggers when nothing is left
+  if (getRunQueueLength() === 0) {
+    cleanupTriggers();
+  }
 
   return { success: true, message: 'Run cancelled' };
 }
 
+/**
+ * Check whether a run in the given status can be paused
+ * @param {string} status - A RUN_STATUS value
+ * @returns {boolean}
+ */
+function isPausableStatus(status) {
+  return [
+    RUN_STATUS.COLLECTING,
+    RUN_STATUS.RESUMING,
+    RUN_STATUS.RUNNING_INSTAGRAM,
+    RUN_STATUS.RUNNING_X,
+    RUN_STATUS.RUNNING_TIKTOK
+  ].includes(status);
+}
+
+/**
+ * Pause a collecting run
+ * The run leaves the queue and keeps every platform's cursor, hashtag index and
+ * search ID. A slice already in progress stops at its next checkpoint.
+ * @param {string} runId - The run ID
+ * @returns {Object} Result with the saved checkpoint
+ */
+function pauseRun(runId) {
+  const state = loadRunState(runId);
+  if (!state) {
+    throw new Error(`Run not found: ${runId}`);
+  }
+
+  if (!isPausableStatus(state.status)) {
+    throw new Error(`Cannot pause a run that is ${state.status}`);
+  }
+
+  updateRunStatus(runId, RUN_STATUS.PAUSED, 'Paused by user');
+  const checkpoint = saveRunCheckpoint(runId);
+  dequeueRun(runId);
+
+  return { success: true, message: 'Run paused', checkpoint: checkpoint };
+}
+
+/**
+ * Resume a paused run from its checkpoint
+ * @param {string} runId - The run ID
+ * @returns {Object} Result with the restored checkpoint
+ */
+function resumeRun(runId) {
+  const state = loadRunState(runId);
+  if (!state) {
+    throw new Error(`Run not found: ${runId}`);
+  }
+
+  if (state.status !== RUN_STATUS.PAUSED) {
+    throw new Error(`Cannot resume a run that is ${state.status}`);
+  }
+
+  const checkpoint = restoreRunCheckpoint(runId);
+  updateRunStatus(runId, RUN_STATUS.RESUMING, 'Resuming...');
+  scheduleContinuation(runId);
+
+  return { success: true, message: 'Run resuming', checkpoint: checkpoint };
+}
+
 /**
  * Retry a failed run from where it left off
  * @param {string} runId - The run ID
@@ -575,18 +1116,7 @@ function retryRun(runId) {
     throw new Error('Can only retry failed runs');
   }
 
-  // Determine which phase to resume from
-  let newStatus;
-  if (state.instagramProgress.collected < state.instagramProgress.target && isMetaAuthorized()) {
-    newStatus = RUN_STATUS.RUNNING_INSTAGRAM;
-  } else if (state.xProgress?.collected < state.xProgress?.target && isXConfigured()) {
-    newStatus = RUN_STATUS.RUNNING_X;
-  } else if (state.tiktokProgress.collected < state.tiktokProgress.target) {
-    newStatus = RUN_STATUS.RUNNING_TIKTOK;
-  } else {
-    newStatus = RUN_STATUS.FINALIZING;
-  }
-
+  const newStatus = reopenUnfinishedPlatforms(runId);
   updateRunStatus(runId, newStatus, 'Retrying...');
   scheduleContinuation(runId);
 
@@ -597,6 +1127,105 @@ function retryRun(runId) {
   };
 }
 
+/**
+ * Re-execute a past run's plan into a new spreadsheet
+ * Uses the plan the source run started with (before fallback expansions).
+ * When the clone finishes, a Changes tab compares its posts with the source run's.
+ * @param {string} runId - The source run ID
+ * @param {Object} [overrides] - Changes for the new run
+ * @param {Object} [overrides.timeWindow] - New { startDate, endDate, description }
+ * @param {string} [overrides.externalRunId] - Run ID for the clone
+ * @param {string} [overrides.targetFolderId] - Output folder (defaults to the source run's)
+ * @param {string} [overrides.source] - Source of the clone ('ui', 'api' or 'schedule')
+ * @param {string} [overrides.callbackUrl] - Webhook URL for the clone's lifecycle events
+ * @returns {Object} Run info as returned by startRun(), plus sourceRunId
+ */
+function cloneRun(runId, overrides = {}) {
+  const source = loadRunState(runId);
+  if (!source) {
+    throw new Error(`Run not found: ${runId}`);
+  }
+
+  const sourcePlan = source.initialPlan || source.plan;
+  if (!sourcePlan) {
+    throw new Error(`Run ${runId} has no stored plan to clone`);
+  }
+
+  const plan = JSON.parse(JSON.stringify(sourcePlan));
+  if (overrides.timeWindow) {
+    plan.timeWindow = {
+      startDate: overrides.timeWindow.startDate || null,
+      endDate: overrides.timeWindow.endDate || null,
+      description: overrides.timeWindow.description ||
+        `${overrides.timeWindow.startDate || 'any time'} to ${overrides.timeWindow.endDate || 'now'}`
+    };
+  }
+
+  const result = startRun(source.instruction, {
+    externalRunId: overrides.externalRunId,
+    targetFolderId: overrides.targetFolderId || source.targetFolderId,
+    source: overrides.source || 'ui',
+    plan: plan,
+    planSource: 'clone',
+    clonedFrom: { runId: runId, spreadsheetId: source.spreadsheetId },
+    callbackUrl: overrides.callbackUrl,
+    llmProvider: source.llmProvider
+  });
+
+  return { ...result, sourceRunId: runId };
+}
+
+/**
+ * Write the Changes tab of a cloned run
+ * A failure here is logged but does not fail the run.
+ * @param {string} runId - The cloned run ID
+ * @param {Object} state - The cloned run state
+ */
+function writeCloneChanges(runId, state) {
+  const sourceRunId = state.clonedFrom.runId;
+
+  if (!state.clonedFrom.spreadsheetId) {
+    logRunEvent(runId, RUN_EVENT_TYPE.INFO, `No Changes tab: ${sourceRunId} has no spreadsheet`);
+    return;
+  }
+
+  try {
+    const counts = writeChangesSheet(state.spreadsheetId, state.clonedFrom.spreadsheetId);
+    logRunEvent(runId, RUN_EVENT_TYPE.INFO,
+      `Changes since ${sourceRunId}: ${counts.new} new, ${counts.disappeared} disappeared, ${counts.both} in both`,
+      { sourceRunId: sourceRunId, ...counts });
+  } catch (e) {
+    console.error(`Failed to write Changes tab for ${runId}:`, e);
+    logRunEvent(runId, RUN_EVENT_TYPE.ERROR, `Could not write Changes tab: ${e.message}`);
+  }
+}
+
+/**
+ * Put failed or unfinished platforms back to PENDING so a run can resume
+ * @param {string} runId - The run ID
+ * @returns {string} RUN_STATUS to resume from (COLLECTING or FINALIZING)
+ */
+function reopenUnfinishedPlatforms(runId) {
+  // Runs from before parallel collection have no platform sub-states yet
+  initPlatformStates(runId);
+
+  const state = loadRunState(runId);
+  let hasWork = false;
+
+  PLATFORMS.forEach(platform => {
+    const progress = state[getPlatformProgressKey(platform)];
+    const unfinished = progress.status === PLATFORM_STATUS.FAILED ||
+      (progress.status !== PLATFORM_STATUS.SKIPPED && progress.collected < progress.target);
+
+    if (unfinished && isPlatformAvailable(platform)) {
+      updatePlatformState(runId, platform, { status: PLATFORM_STATUS.PENDING, error: null });
+      hasWork = true;
+    }
+  });
+
+  return hasWork ? RUN_STATUS.COLLECTING : RUN_STATUS.FINALIZING;
+}
+
 /**
  * Get all runs (for admin/debugging)
  * @param {number} limit - Maximum runs to return
@@ -609,3 +1238,93 @@ function listRuns(limit = 20) {
     .map(id => getRunSummary(id))
     .filter(s => s !== null);
 }
+
+/**
+ * Find runs matching filters, newest first
+ * With the drive backend, runs archived to Drive history are included.
+ * @param {Object} [filters] - Filters and paging
+ * @param {string} [filters.status] - API status ('running', ...) or RUN_STATUS value
+ * @param {string} [filters.source] - Source of the run ('ui', 'api' or 'schedule')
+ * @param {Date} [filters.createdAfter] - Only runs created at or after this time
+ * @param {Date} [filters.createdBefore] - Only runs created before this time
+ * @param {number} [filters.offset] - Matching runs to skip
+ * @param {number} [filters.limit] - Maximum runs to return
+ * @returns {Object} { runs (states), total, nextOffset (null on the last page) }
+ */
+function queryRuns(filters = {}) {
+  const runIds = listAllRunIds();
+  if (getStateBackend().name === 'drive') {
+    listArchivedRunIds().forEach(runId => {
+      if (!runIds.includes(runId)) {
+        runIds.push(runId);
+      }
+    });
+  }
+
+  const status = filters.status ? String(filters.status).toLowerCase() : null;
+  const after = filters.createdAfter ? filters.createdAfter.getTime() : null;
+  const before = filters.createdBefore ? filters.createdBefore.getTime() : null;
+
+  const matching = runIds
+    .map(runId => loadRunState(runId))
+    .filter(state => {
+      if (!state) {
+        return false;
+      }
+      if (status && mapToApiStatus(state.status) !== status && state.status.toLowerCase() !== status) {
+        return false;
+      }
+      if (filters.source && state.source !== filters.source) {
+        return false;
+      }
+      const createdAt = new Date(state.createdAt).getTime();
+      return (after === null || createdAt >= after) && (before === null || createdAt < before);
+    })
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+  const offset = Math.max(filters.offset || 0, 0);
+  const limit = Math.max(filters.limit || 20, 1);
+  const runs = matching.slice(offset, offset + limit);
+
+  return {
+    runs: runs,
+    total: matching.length,
+    nextOffset: offset + runs.length < matching.length ? offset + runs.length : null
+  };
+}
+
+/**
+ * Delete a finished, failed or paused run
+ * Removes the run from the queue, trashes its Drive output (run folder,
+ * spreadsheet, manifest, archived history) and deletes its state, event log
+ * and planner memory example. Deleting a batch's last run deletes the batch.
+ * @param {string} runId - The run ID
+ * @param {boolean} [deleteFiles] - Also trash the run's Drive files
+ * @returns {Object} Result with the number of Drive items trashed
+ */
+function deleteRun(runId, deleteFiles = true) {
+  const state = loadRunState(runId);
+  if (!state) {
+    throw new Error(`Run not found: ${runId}`);
+  }
+
+  const deletable = [RUN_STATUS.COMPLETED, RUN_STATUS.FAILED, RUN_STATUS.PAUSED];
+  if (!deletable.includes(state.status)) {
+    throw new Error(`Cannot delete a run in status ${state.status}; cancel or pause it first`);
+  }
+
+  dequeueRun(runId);
+  let trashed = deleteFiles ? trashRunFiles(state) : 0;
+
+  deleteRunState(runId);
+  deletePlannerMemory(runId);
+  if (getStateBackend().name === 'drive') {
+    trashed += removeArchivedRunState(runId);
+  }
+  if (state.batchId) {
+    deleteRunBatchIfEmpty(state.batchId, deleteFiles);
+  }
+
+  console.log(`Deleted run ${runId} (${trashed} Drive items trashed)`);
+  return { success: true, message: 'Run deleted', filesTrashed: trashed };
+}
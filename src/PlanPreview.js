@@ -0,0 +1,235 @@
+/**
+ * PlanPreview.js
+ * Dry run: plan a collection without collecting
+ *
+ * previewRun() parses the instruction exactly as startRun() does, resolves
+ * the concrete search inputs (Instagram hashtag IDs, the X query string) and
+ * estimates API calls and quota use per platform. No run state, folders,
+ * spreadsheets or triggers are created.
+ *
+ * Used by the API (`dry_run: true` on start) and the UI "Preview plan" button.
+ */
+
+/**
+ * Tweets returned per TwitterAPI.io advanced search page
+ */
+const X_TWEETS_PER_PAGE = 20;
+
+/**
+ * Unique hashtags an Instagram account may query per rolling 7 days
+ */
+const INSTAGRAM_HASHTAG_WEEKLY_LIMIT = 30;
+
+/**
+ * Graph API calls allowed per user per hour (platform rate limit)
+ */
+const INSTAGRAM_GRAPH_HOURLY_LIMIT = 200;
+
+/**
+ * TikTok Research API requests allowed per day
+ */
+const TIKTOK_RESEARCH_DAILY_LIMIT = 1000;
+
+/**
+ * Plan a run without collecting anything
+ * @param {string} instruction - The user's natural language instruction
+ * @param {Object} [reviewedPlan] - Edited plan to estimate instead of parsing the instruction
+ * @param {Object} [planOverrides] - { platforms, counts } merged over the parsed plan, as startRun() does
+ * @param {string} [llmProvider] - LLM provider to plan with (defaults to LLM_PROVIDER)
+ * @returns {Object} Preview with plan, planWarnings, per-platform resolution and estimates
+ */
+function previewRun(instruction, reviewedPlan = null, planOverrides = null, llmProvider = null) {
+  if (!instruction || !String(instruction).trim()) {
+    throw new Error('Instruction is required');
+  }
+
+  console.log('Previewing run plan (dry run)');
+  const planned = reviewedPlan
+    ? { plan: JSON.parse(JSON.stringify(reviewedPlan)), warnings: [] }
+    : planInstruction(instruction, llmProvider);
+  const plan = reviewedPlan ? planned.plan : applyPlanOverrides(planned.plan, planOverrides);
+
+  if (reviewedPlan || planOverrides) {
+    const validation = validatePlan(plan);
+    if (!validation.isValid) {
+      throw new Error(`Invalid plan: ${validation.errors.join('; ')}`);
+    }
+    applyPlanDefaults(plan);
+  }
+  const batchSize = getOperationalConfig().batchSize;
+
+  const platforms = {
+    instagram: previewInstagramPlan(plan, batchSize),
+    x: previewXPlan(plan),
+    tiktok: previewTikTokPlan(plan, batchSize)
+  };
+
+  const totalApiCalls = PLATFORMS.reduce((sum, platform) => sum + platforms[platform].estimate.apiCalls, 0);
+
+  return {
+    dryRun: true,
+    instruction: instruction,
+    plan: plan,
+    planWarnings: planned.warnings,
+    platforms: platforms,
+    totalApiCalls: totalApiCalls,
+    mockMode: isMockMode()
+  };
+}
+
+/**
+ * Resolve and estimate the Instagram part of a plan
+ * Resolving hashtag IDs calls ig_hashtag_search, which counts toward the
+ * account's weekly unique-hashtag limit just like a real run would.
+ * @param {Object} plan - The collection plan
+ * @param {number} batchSize - Posts requested per page
+ * @returns {Object} Instagram preview
+ */
+function previewInstagramPlan(plan, batchSize) {
+  const target = plan.targetCounts.instagram || 0;
+  const preview = {
+    target: target,
+    available: isPlatformAvailable('instagram'),
+    strategy: null,
+    hashtags: [],
+    estimate: { apiCalls: 0, quota: {} },
+    notes: []
+  };
+
+  if (target <= 0) {
+    preview.notes.push('No posts requested');
+    return preview;
+  }
+
+  if (!usesInstagramHashtagStrategy(plan)) {
+    // Own-account media: one page per batch, then insights + comments per post
+    const pages = Math.min(Math.ceil(target / batchSize), 10);
+    preview.strategy = 'account';
+    preview.estimate.apiCalls = pages + target * 2;
+    preview.estimate.quota = {
+      graphApiCalls: preview.estimate.apiCalls,
+      graphApiHourlyLimit: INSTAGRAM_GRAPH_HOURLY_LIMIT
+    };
+    return preview;
+  }
+
+  preview.strategy = 'hashtag';
+  const hashtags = getInstagramHashtagsToSearch(plan);
+  const canResolve = preview.available && !isMockMode();
+
+  preview.hashtags = hashtags.map(name => {
+    if (!canResolve) {
+      return { name: name, id: null };
+    }
+    try {
+      return { name: name, id: searchHashtagId(name) };
+    } catch (e) {
+      return { name: name, id: null, error: e.message };
+    }
+  });
+
+  if (!canResolve) {
+    preview.notes.push(isMockMode()
+      ? 'Mock mode: hashtag IDs not resolved'
+      : 'Instagram not authorized: hashtag IDs not resolved');
+  } else {
+    const missing = preview.hashtags.filter(h => !h.id).map(h => `#${h.name}`);
+    if (missing.length > 0) {
+      preview.notes.push(`Hashtags not found: ${missing.join(', ')}`);
+    }
+  }
+
+  // Per hashtag: search + top media, then up to 3 recent-media pages; one enrichment call per post
+  const searchable = canResolve ? preview.hashtags.filter(h => h.id).length : hashtags.length;
+  const recentPages = Math.min(Math.ceil(target / batchSize), searchable * 3);
+  const enrichmentCalls = target;
+  const usesRapidApi = isInstagramRapidAPIConfigured();
+
+  preview.estimate.apiCalls = hashtags.length + searchable + recentPages + enrichmentCalls;
+  preview.estimate.quota = {
+    uniqueHashtags: hashtags.length,
+    hashtagWeeklyLimit: INSTAGRAM_HASHTAG_WEEKLY_LIMIT,
+    graphApiCalls: hashtags.length + searchable + recentPages + (usesRapidApi ? 0 : enrichmentCalls),
+    graphApiHourlyLimit: INSTAGRAM_GRAPH_HOURLY_LIMIT,
+    rapidApiCalls: usesRapidApi ? enrichmentCalls : 0
+  };
+
+  if (hashtags.length > INSTAGRAM_HASHTAG_WEEKLY_LIMIT) {
+    preview.notes.push(`Plan searches ${hashtags.length} hashtags; Instagram allows ${INSTAGRAM_HASHTAG_WEEKLY_LIMIT} unique hashtags per 7 days`);
+  }
+
+  return preview;
+}
+
+/**
+ * Resolve and estimate the X part of a plan
+ * @param {Object} plan - The collection plan
+ * @returns {Object} X preview
+ */
+function previewXPlan(plan) {
+  const target = plan.targetCounts.x || 0;
+  const preview = {
+    target: target,
+    available: isPlatformAvailable('x'),
+    query: null,
+    queryType: null,
+    estimate: { apiCalls: 0, quota: {} },
+    notes: []
+  };
+
+  if (target <= 0) {
+    preview.notes.push('No posts requested');
+    return preview;
+  }
+
+  preview.query = buildXSearchQuery(plan);
+  preview.queryType = plan.queryStrategy?.x?.queryType || 'Latest';
+
+  // TwitterAPI.io bills per tweet returned, a full page at a time
+  const pages = Math.ceil(target / X_TWEETS_PER_PAGE);
+  preview.estimate.apiCalls = pages;
+  preview.estimate.quota = {
+    searchPages: pages,
+    tweetsBilled: pages * X_TWEETS_PER_PAGE
+  };
+
+  if (!preview.available) {
+    preview.notes.push('X API not configured; X would be skipped');
+  }
+
+  return preview;
+}
+
+/**
+ * Estimate the TikTok part of a plan
+ * @param {Object} plan - The collection plan
+ * @param {number} batchSize - Videos requested per page
+ * @returns {Object} TikTok preview
+ */
+function previewTikTokPlan(plan, batchSize) {
+  const target = plan.targetCounts.tiktok || 0;
+  const preview = {
+    target: target,
+    available: isPlatformAvailable('tiktok'),
+    estimate: { apiCalls: 0, quota: {} },
+    notes: []
+  };
+
+  if (target <= 0) {
+    preview.notes.push('No posts requested');
+    return preview;
+  }
+
+  const pages = Math.ceil(target / Math.min(batchSize, 100));
+  preview.estimate.apiCalls = pages;
+  preview.estimate.quota = {
+    researchRequests: pages,
+    researchDailyLimit: TIKTOK_RESEARCH_DAILY_LIMIT
+  };
+
+  if (!preview.available) {
+    preview.notes.push('TikTok API not configured; TikTok would be skipped');
+  }
+
+  return preview;
+}
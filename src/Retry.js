@@ -62,6 +62,8 @@ function withRetry(fn, options = {}) {
       );
 
       console.log(`Attempt ${attempt + 1} failed, retrying in ${delay}ms:`, e.message);
+      logRunEvent(getActiveEventRun(), RUN_EVENT_TYPE.RETRY, `Attempt ${attempt + 1} failed, retrying: ${e.message}`,
+        { attempt: attempt + 1, delayMs: Math.round(delay) });
       Utilities.sleep(delay);
     }
   }
@@ -109,20 +111,25 @@ function defaultShouldRetry(error, attempt) {
  * Make an HTTP request with automatic retry
  * @param {string} url - Request URL
  * @param {Object} options - UrlFetchApp options
+ * @param {Object} [retryOptions] - withRetry options (maxRetries, baseDelayMs, maxDelayMs)
  * @returns {GoogleAppsScript.URL_Fetch.HTTPResponse} The response
  */
-function fetchWithRetry(url, options = {}) {
+function fetchWithRetry(url, options = {}, retryOptions = {}) {
   return withRetry(() => {
+    const startedAt = Date.now();
     const response = UrlFetchApp.fetch(url, {
       ...options,
       muteHttpExceptions: true
     });
 
     const code = response.getResponseCode();
+    logApiCall('http', url, code, startedAt);
 
     // Throw error for retryable status codes
     if (RETRYABLE_STATUS_CODES.includes(code)) {
-      throw new Error(`HTTP ${code}: ${response.getContentText().substring(0, 200)}`);
+      const error = new Error(`HTTP ${code}: ${response.getContentText().substring(0, 200)}`);
+      error.statusCode = code;
+      throw error;
     }
 
     // For other error codes, don't retry but still throw
@@ -135,6 +142,7 @@ function fetchWithRetry(url, options = {}) {
 
     return response;
   }, {
+    ...retryOptions,
     shouldRetry: (error, attempt) => {
       // Don't retry non-retryable errors
       if (error.isRetryable === false) {
@@ -259,25 +267,18 @@ function recoverFailedRun(runId) {
   console.log(`Attempting to recover run ${runId}`);
   console.log(`Last status: ${state.status}`);
   console.log(`Instagram progress: ${state.instagramProgress.collected}/${state.instagramProgress.target}`);
+  console.log(`X progress: ${state.xProgress.collected}/${state.xProgress.target}`);
   console.log(`TikTok progress: ${state.tiktokProgress.collected}/${state.tiktokProgress.target}`);
 
   // Determine recovery point
-  let recoveryStatus;
-
-  if (state.instagramProgress.collected < state.instagramProgress.target && isMetaAuthorized()) {
-    recoveryStatus = RUN_STATUS.RUNNING_INSTAGRAM;
-  } else if (state.tiktokProgress.collected < state.tiktokProgress.target) {
-    recoveryStatus = RUN_STATUS.RUNNING_TIKTOK;
-  } else {
-    recoveryStatus = RUN_STATUS.FINALIZING;
-  }
+  const recoveryStatus = reopenUnfinishedPlatforms(runId);
 
   // Clear error state
-  const updatedState = loadRunState(runId);
-  updatedState.lastError = null;
-  updatedState.status = recoveryStatus;
-  updatedState.lastMessage = 'Recovering...';
-  saveRunState(updatedState);
+  updateRunState(runId, updatedState => {
+    updatedState.lastError = null;
+    updatedState.status = recoveryStatus;
+    updatedState.lastMessage = 'Recovering...';
+  });
 
   // Schedule continuation
   scheduleContinuation(runId);
@@ -355,12 +356,15 @@ function healthCheck() {
     results.services.instagram = { status: 'not_configured' };
   }
 
-  // Check OpenAI
-  const openaiKey = getConfig(CONFIG_KEYS.OPENAI_API_KEY);
-  results.services.openai = {
-    status: openaiKey ? 'configured' : 'not_configured',
-    hasKey: !!openaiKey
-  };
+  // Check the default LLM provider
+  const llmProvider = listLlmProviders().find(provider => provider.isDefault);
+  results.services.llm = llmProvider
+    ? {
+      status: llmProvider.configured ? 'configured' : 'not_configured',
+      provider: llmProvider.provider,
+      model: llmProvider.model
+    }
+    : { status: 'error', message: `Unknown LLM_PROVIDER: ${getConfig(CONFIG_KEYS.LLM_PROVIDER)}` };
 
   // Overall status
   const allOk = Object.values(results.services).every(
@@ -0,0 +1,562 @@
+/**
+ * RulePlanner.js
+ * Offline instruction parser: turns an instruction into a plan without an LLM
+ *
+ * Understands English and Japanese instructions (and Korean platform names and counters):
+ * - platforms: "Instagram", "IG", "reels", "Twitter", "tweets", "X", "インスタ", "ツイッター", "エックス"
+ * - counts: "30 reels", "50 tweets and 20 Instagram posts", "top 10", "５０件", "ツイート20件"
+ * - relative time windows: "last 2 weeks", "past month", "this year", "yesterday",
+ *   "since 2025-01-01", "先月", "今週", "過去3日", "7日以内"
+ * - #hashtags, @handles and quoted phrases ("...", '...', 「...」, 『...』)
+ * - languages ("in Japanese", "English tweets", "lang:ja", "日本語の") and
+ *   regions ("in Japan", "from the US", "韓国の"); Japanese names must not
+ *   continue a longer word, so ネクタイの is not タイ (Thailand)
+ * - X search type ("top", "popular", "人気" for Top; "latest", "最新" for Latest)
+ *
+ * Used as the 'rules' planner (LLM_PROVIDER or llm_provider = rules), in mock
+ * mode and when the LLM fails. parseInstructionWithRules() calls no Apps Script
+ * services, so its result depends only on the instruction, the default count,
+ * and the clock and time zone offset passed in.
+ */
+
+/**
+ * Words that name a platform
+ * A standalone capital X also names X, unless it follows a product name
+ * ("iPhone X", "Model X"); see mentionsRulePlatform().
+ */
+const RULE_PLATFORM_PATTERNS = {
+  instagram: [/instagram|\binsta\b|\big\b|\breels?\b|インスタ|リール|인스타/i],
+  x: [/twitter|\btweets?\b|\bretweets?\b|\bx\.com\b|ツイッター|ツイート|エックス|트위터|트윗/i],
+  tiktok: [/tiktok|ティックトック/i]
+};
+
+/**
+ * Units that follow a count, with the platform they imply (null = any)
+ */
+const RULE_COUNT_UNITS = [
+  { pattern: 'tweets?|ツイート|ポスト|트윗', platform: 'x' },
+  { pattern: 'reels?|リール|릴스', platform: 'instagram' },
+  { pattern: 'posts?|videos?|items?|results?|clips?|photos?|件|個|本|投稿|つ|개|건', platform: null }
+];
+
+/**
+ * Languages: code to English name and Japanese name
+ */
+const RULE_LANGUAGES = {
+  ja: ['japanese', '日本語'],
+  en: ['english', '英語'],
+  ko: ['korean', '韓国語'],
+  zh: ['chinese', '中国語'],
+  es: ['spanish', 'スペイン語'],
+  fr: ['french', 'フランス語'],
+  de: ['german', 'ドイツ語'],
+  pt: ['portuguese', 'ポルトガル語'],
+  it: ['italian', 'イタリア語'],
+  th: ['thai', 'タイ語'],
+  id: ['indonesian', 'インドネシア語'],
+  vi: ['vietnamese', 'ベトナム語']
+};
+
+/**
+ * Regions: code to English names and Japanese names
+ */
+const RULE_REGIONS = {
+  JP: ['japan', '日本'],
+  US: ['the us', 'the usa', 'usa', 'united states', 'america', 'アメリカ', '米国'],
+  GB: ['the uk', 'uk', 'united kingdom', 'britain', 'イギリス', '英国'],
+  KR: ['south korea', 'korea', '韓国'],
+  CN: ['china', '中国'],
+  TW: ['taiwan', '台湾'],
+  FR: ['france', 'フランス'],
+  DE: ['germany', 'ドイツ'],
+  TH: ['thailand', 'タイ'],
+  IN: ['india', 'インド'],
+  ID: ['indonesia', 'インドネシア'],
+  BR: ['brazil', 'ブラジル'],
+  CA: ['canada', 'カナダ'],
+  AU: ['australia', 'オーストラリア']
+};
+
+/**
+ * English words that never become keywords
+ */
+const RULE_STOPWORDS = [
+  'a', 'an', 'the', 'and', 'or', 'of', 'on', 'in', 'at', 'for', 'to', 'by', 'with', 'about', 'from', 'into',
+  'me', 'my', 'us', 'our', 'some', 'any', 'all', 'please', 'only', 'also', 'both', 'that', 'this', 'these',
+  'those', 'which', 'who', 'are', 'is', 'be', 'it', 'its', 'their', 'them', 'what', 'how', 'more', 'most',
+  'find', 'collect', 'get', 'fetch', 'grab', 'gather', 'show', 'search', 'pull', 'scrape', 'list', 'give',
+  'post', 'posts', 'videos', 'video', 'tweets', 'tweet', 'reels', 'reel', 'items', 'results', 'clips',
+  'photos', 'content', 'data', 'platform', 'platforms', 'twitter', 'instagram', 'insta', 'tiktok',
+  'top', 'popular', 'trending', 'latest', 'recent', 'recently', 'newest', 'viral', 'best',
+  'related', 'mentioning', 'containing', 'including', 'retweets', 'people', 'users', 'accounts'
+];
+
+/**
+ * Japanese words that never become keywords
+ */
+const RULE_JA_STOPWORDS = [
+  '集めて', '集める', '収集', '収集して', '取得', '取得して', '探して', '検索', '検索して', '調べて', '投稿',
+  'ください', '下さい', 'して', 'する', '欲しい', 'ほしい', 'たい', '関連', '最新', '人気', '話題', '最近',
+  '全部', '両方', 'もの', 'こと', '動画', 'データ', 'アカウント', 'ユーザー'
+];
+
+/**
+ * Japanese particles and phrases that separate keywords
+ */
+const RULE_JA_PARTICLES = 'について|に関する|に関して|関連の|などの|として|から|まで|より|を|の|に|で|が|は|と|や|も|へ';
+
+/**
+ * Where a particle separates keywords: after a kanji, katakana or Latin word
+ * (猫の, サウナを), or at the start of a segment or after two or more kana when
+ * no kana follows (の猫, おもちゃの人気). Inside a hiragana word (おもちゃ,
+ * きのこ料理, もも) it is not split.
+ */
+const RULE_JA_SEPARATORS = new RegExp(
+  `(?<=\\P{Script=Hiragana})(?:${RULE_JA_PARTICLES})|(?:^|(?<=\\p{Script=Hiragana}{2}))(?:${RULE_JA_PARTICLES})(?!\\p{Script=Hiragana})`,
+  'u'
+);
+
+/**
+ * Japanese request phrases ("を集めてください") removed before keywords are picked
+ */
+const RULE_JA_REQUESTS = /を?(?:集めて|収集して|取得して|探して|検索して|調べて|見せて|教えて|拾って)(?:ください|下さい|ほしい|欲しい)?|ください|下さい/g;
+
+/**
+ * Most keywords a rule-based plan keeps (quoted phrases are always kept)
+ */
+const RULE_MAX_KEYWORDS = 5;
+
+/**
+ * Parse an instruction into a plan with rules
+ * @param {string} instruction - The user's natural language instruction
+ * @param {Object} [options] - Parser options
+ * @param {number} [options.defaultCount] - Count for platforms the instruction gives no count (default 30)
+ * @param {Date} [options.now] - Reference time for relative time windows (default now)
+ * @param {number} [options.timeZoneOffsetMs] - UTC offset that calendar days, weeks, months
+ *   and years start in (default 0, UTC; see getTimeZoneOffsetMs)
+ * @returns {Object} A plan following PLAN_SCHEMA
+ */
+function parseInstructionWithRules(instruction, options = {}) {
+  const defaultCount = options.defaultCount || 30;
+  const now = options.now || new Date();
+
+  // NFKC turns full-width digits, letters and symbols (５０, ＃, ＠) into ASCII
+  const text = String(instruction || '').normalize('NFKC');
+  const parsed = { rest: text };
+
+  const phrases = takeRuleMatches(parsed, /"([^"]+)"|“([^”]+)”|「([^」]+)」|『([^』]+)』|(?:^|\s)'([^']+)'(?=\s|$|[,.!?])/g)
+    .map(match => match.slice(1).find(Boolean).trim())
+    .filter(Boolean);
+  const hashtags = uniqueRuleValues(takeRuleMatches(parsed, /#([\p{L}\p{N}_]+)/gu).map(match => match[1]));
+  const handles = uniqueRuleValues(takeRuleMatches(parsed, /(?<![\w.])@([A-Za-z0-9_.]+)/g)
+    .map(match => match[1].replace(/\.+$/, '')));
+
+  const language = parseRuleLanguage(parsed);
+  const regionCode = parseRuleRegion(parsed);
+  const timeWindow = parseRuleTimeWindow(parsed, now, options.timeZoneOffsetMs || 0);
+  const queryType = parseRuleQueryType(parsed);
+  const counts = parseRuleCounts(parsed);
+  const includeRetweets = /\b(?:including|include|with)\s+retweets\b|リツイートを?含/i.test(text);
+
+  // Platforms named in the instruction or by a count's unit
+  const mentioned = Object.keys(RULE_PLATFORM_PATTERNS)
+    .filter(platform => mentionsRulePlatform(platform, text) ||
+      counts.byPlatform[platform] !== undefined);
+  let platforms = ['instagram', 'x'].filter(platform => mentioned.includes(platform));
+  if (platforms.length === 0) {
+    // Handles alone mean X posts from those users; nothing at all means both platforms
+    platforms = handles.length > 0 ? ['x'] : ['instagram', 'x'];
+  }
+  if (mentioned.includes('tiktok')) {
+    console.log('Rule planner: TikTok is disabled, ignoring it');
+  }
+
+  const keywords = extractRuleKeywords(parsed.rest, phrases);
+  const searchTags = hashtags.length > 0
+    ? hashtags
+    : keywords.map(keyword => keyword.replace(/\s+/g, '')).filter(Boolean);
+
+  const countFor = platform => platforms.includes(platform)
+    ? (counts.byPlatform[platform] || counts.general || defaultCount)
+    : 0;
+
+  const xStrategy = {
+    queryType: queryType || 'Latest',
+    fromUsers: platforms.includes('x') ? handles : [],
+    includeRetweets: includeRetweets
+  };
+  if (language) {
+    xStrategy.language = language;
+  }
+
+  return {
+    targetPlatforms: platforms,
+    targetCounts: {
+      instagram: countFor('instagram'),
+      x: countFor('x'),
+      tiktok: 0 // TikTok disabled
+    },
+    keywords: keywords,
+    hashtags: hashtags,
+    creatorHandles: handles,
+    timeWindow: timeWindow,
+    regionCode: regionCode,
+    contentCategory: keywords[0] || hashtags[0] || 'general',
+    queryStrategy: {
+      tiktok: {
+        primaryQuery: '',
+        useHashtags: false,
+        useKeywords: false,
+        isRandom: false
+      },
+      instagram: {
+        primaryStrategy: hashtags.length > 0 ? 'hashtag' : 'mixed',
+        hashtagsToSearch: searchTags.slice(0, 3)
+      },
+      x: xStrategy
+    }
+  };
+}
+
+/**
+ * Find all matches of a pattern and blank them out of the unparsed text
+ * @param {Object} parsed - Parser state; parsed.rest is the unparsed text (modified)
+ * @param {RegExp} pattern - Global pattern
+ * @returns {Array[]} The matches
+ */
+function takeRuleMatches(parsed, pattern) {
+  const matches = Array.from(parsed.rest.matchAll(pattern));
+  parsed.rest = parsed.rest.replace(pattern, ' ');
+  return matches;
+}
+
+/**
+ * Drop repeated values, keeping the first spelling (case-insensitive)
+ * @param {string[]} values - The values
+ * @returns {string[]} Unique values
+ */
+function uniqueRuleValues(values) {
+  const seen = {};
+  return values.filter(value => {
+    const key = value.toLowerCase();
+    if (!value || seen[key]) {
+      return false;
+    }
+    seen[key] = true;
+    return true;
+  });
+}
+
+/**
+ * Check whether text names a platform
+ * @param {string} platform - 'instagram', 'x' or 'tiktok'
+ * @param {string} text - The text
+ * @returns {boolean} True if one of the platform's words (or, for X, a standalone X) is in the text
+ */
+function mentionsRulePlatform(platform, text) {
+  if (RULE_PLATFORM_PATTERNS[platform].some(pattern => pattern.test(text))) {
+    return true;
+  }
+  return platform === 'x' && Array.from(text.matchAll(/(?<![A-Za-z0-9])X(?![A-Za-z0-9])/g))
+    .some(match => isRulePlatformX(text, match.index));
+}
+
+/**
+ * Check whether a standalone X names the platform rather than a product
+ * An X right after a capitalized or mixed-case word ("iPhone X", "Tesla Model X")
+ * is part of a product name, unless that word is a stop word, a language or a
+ * platform ("Collect X posts", "Japanese X posts", "Instagram X").
+ * @param {string} text - The text
+ * @param {number} index - Position of the X
+ * @returns {boolean} True if the X names the platform
+ */
+function isRulePlatformX(text, index) {
+  const previous = text.substring(0, index).match(/([A-Za-z][A-Za-z0-9-]*)\s+$/);
+  if (!previous || !/[A-Z]/.test(previous[1])) {
+    return true;
+  }
+
+  const word = previous[1].toLowerCase();
+  return RULE_STOPWORDS.includes(word) ||
+    Object.keys(RULE_LANGUAGES).some(code => RULE_LANGUAGES[code][0] === word) ||
+    RULE_PLATFORM_PATTERNS.instagram.some(pattern => pattern.test(word));
+}
+
+/**
+ * Build a RegExp alternative for Japanese names that must not continue a longer word
+ * A katakana name may not follow katakana (ネクタイ is not タイ), and a kanji
+ * name may not follow kanji (西日本 is not 日本).
+ * @param {string[]} names - Japanese names
+ * @returns {string} Alternatives for a RegExp with the u flag
+ */
+function buildRuleJapaneseNamePattern(names) {
+  return names
+    .map(name => /^[\p{Script=Katakana}ー]/u.test(name)
+      ? `(?<![\\p{Script=Katakana}ー])${name}`
+      : `(?<!\\p{Script=Han})${name}`)
+    .join('|');
+}
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeRuleRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the language posts should be in
+ * Checked before regions, since 日本語 contains 日本.
+ * @param {Object} parsed - Parser state (the match is removed from parsed.rest)
+ * @returns {string|null} ISO 639-1 code, or null
+ */
+function parseRuleLanguage(parsed) {
+  const lang = takeRuleMatches(parsed, /\blang:([a-z]{2})\b/gi);
+  if (lang.length > 0) {
+    return lang[0][1].toLowerCase();
+  }
+
+  const codes = Object.keys(RULE_LANGUAGES);
+  const english = codes.map(code => RULE_LANGUAGES[code][0]).join('|');
+  const japanese = buildRuleJapaneseNamePattern(codes.map(code => RULE_LANGUAGES[code][1]));
+  const patterns = [
+    new RegExp(`\\b(?:in|written in)\\s+(${english})\\b`, 'gi'),
+    new RegExp(`\\b(${english})[\\s-]+(?:language\\s+)?(?=(?:tweets?|posts?|reels?|videos?|content)\\b)`, 'gi'),
+    new RegExp(`(${japanese})(?:の|で)?`, 'gu')
+  ];
+
+  for (const pattern of patterns) {
+    const matches = takeRuleMatches(parsed, pattern);
+    if (matches.length > 0) {
+      const name = matches[0][1].toLowerCase();
+      return codes.find(code => RULE_LANGUAGES[code].includes(name));
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the region posts should come from
+ * @param {Object} parsed - Parser state (the match is removed from parsed.rest)
+ * @returns {string} ISO 3166-1 alpha-2 code, or ''
+ */
+function parseRuleRegion(parsed) {
+  const codes = Object.keys(RULE_REGIONS);
+  const names = codes.flatMap(code => RULE_REGIONS[code].map(name => ({ code: code, name: name })))
+    .sort((a, b) => b.name.length - a.name.length);
+  const english = names.filter(entry => /^[a-z ]+$/.test(entry.name)).map(entry => escapeRuleRegExp(entry.name)).join('|');
+  const japanese = buildRuleJapaneseNamePattern(names.filter(entry => !/^[a-z ]+$/.test(entry.name)).map(entry => entry.name));
+  const patterns = [
+    new RegExp(`\\b(?:in|from)\\s+(${english})\\b`, 'gi'),
+    new RegExp(`(${japanese})(?:国内の|国内で|の|で|から)`, 'gu')
+  ];
+
+  for (const pattern of patterns) {
+    const matches = takeRuleMatches(parsed, pattern);
+    if (matches.length > 0) {
+      const name = matches[0][1].toLowerCase();
+      return names.find(entry => entry.name === name).code;
+    }
+  }
+  return '';
+}
+
+/**
+ * Find a relative or explicit time window
+ * Calendar boundaries (today, this week, 先月, explicit dates) start at
+ * midnight in the given offset; a window that runs until now has no endDate.
+ * @param {Object} parsed - Parser state (the match is removed from parsed.rest)
+ * @param {Date} now - Reference time
+ * @param {number} offsetMs - UTC offset of the calendar (e.g. +9h for Asia/Tokyo)
+ * @returns {Object} { startDate, endDate, description }
+ */
+function parseRuleTimeWindow(parsed, now, offsetMs) {
+  const day = 24 * 60 * 60 * 1000;
+  // Local wall-clock time, read with the getUTC* methods
+  const local = new Date(now.getTime() + offsetMs);
+  const fromLocal = (...fields) => new Date(Date.UTC(...fields) - offsetMs);
+  const localDate = date => fromLocal(Number(date.substring(0, 4)), Number(date.substring(5, 7)) - 1, Number(date.substring(8, 10)));
+  const today = fromLocal(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+  const weekStart = new Date(today.getTime() - ((local.getUTCDay() + 6) % 7) * day); // Monday
+  const monthStart = (offset) => fromLocal(local.getUTCFullYear(), local.getUTCMonth() + offset, 1);
+  const yearStart = (offset) => fromLocal(local.getUTCFullYear() + offset, 0, 1);
+  const before = date => new Date(date.getTime() - 1);
+  const window = (description, start, end = null) => ({
+    startDate: start ? start.toISOString() : null,
+    endDate: end ? end.toISOString() : null,
+    description: description.trim()
+  });
+
+  // Rolling windows: "last 2 weeks", "past 24 hours", "過去3日", "直近1ヶ月", "7日以内"
+  const ago = (amount, unit) => {
+    switch (unit) {
+      case 'hour': return new Date(now.getTime() - amount * 60 * 60 * 1000);
+      case 'day': return new Date(now.getTime() - amount * day);
+      case 'week': return new Date(now.getTime() - amount * 7 * day);
+      case 'month': return fromLocal(local.getUTCFullYear(), local.getUTCMonth() - amount, local.getUTCDate(),
+        local.getUTCHours(), local.getUTCMinutes());
+      default: return fromLocal(local.getUTCFullYear() - amount, local.getUTCMonth(), local.getUTCDate(),
+        local.getUTCHours(), local.getUTCMinutes());
+    }
+  };
+  const englishUnit = unit => unit.toLowerCase().replace(/s$/, '');
+  const japaneseUnit = unit => ({ 時間: 'hour', 日: 'day', 日間: 'day', 週: 'week', 週間: 'week', 年: 'year', 年間: 'year' })[unit] || 'month';
+
+  const rules = [
+    {
+      pattern: /\b(?:in\s+the\s+)?(?:last|past|previous)\s+(\d+)\s*(hours?|days?|weeks?|months?|years?)\b/i,
+      build: m => window(m[0], ago(parseInt(m[1], 10), englishUnit(m[2])))
+    },
+    {
+      pattern: /(?:過去|直近|ここ)\s*(\d+)\s*(時間|日間|日|週間|週|ヶ月|ケ月|か月|カ月|ヵ月|年間|年)/,
+      build: m => window(m[0], ago(parseInt(m[1], 10), japaneseUnit(m[2])))
+    },
+    {
+      pattern: /(\d+)\s*(時間|日|週間|ヶ月|ケ月|か月|カ月|ヵ月|年)以内/,
+      build: m => window(m[0], ago(parseInt(m[1], 10), japaneseUnit(m[2])))
+    },
+    {
+      pattern: /\b(?:in\s+the\s+)?past\s+(hour|day|week|month|year)\b/i,
+      build: m => window(m[0], ago(1, m[1].toLowerCase()))
+    },
+    {
+      pattern: /\b(?:between|from)\s+(\d{4}-\d{2}-\d{2})\s+(?:and|to|until)\s+(\d{4}-\d{2}-\d{2})\b/i,
+      build: m => window(m[0], localDate(m[1]), before(new Date(localDate(m[2]).getTime() + day)))
+    },
+    {
+      pattern: /(\d{4}-\d{2}-\d{2})\s*(?:から|〜|~)\s*(\d{4}-\d{2}-\d{2})(?:まで)?/,
+      build: m => window(m[0], localDate(m[1]), before(new Date(localDate(m[2]).getTime() + day)))
+    },
+    {
+      pattern: /\b(?:since|after)\s+(\d{4}-\d{2}-\d{2})\b|(\d{4}-\d{2}-\d{2})\s*(?:以降|から)/i,
+      build: m => window(m[0], localDate(m[1] || m[2]))
+    },
+    { pattern: /\btoday\b|今日|本日/i, build: m => window(m[0], today) },
+    { pattern: /\byesterday\b|昨日/i, build: m => window(m[0], new Date(today.getTime() - day), before(today)) },
+    { pattern: /\bthis\s+week\b|今週/i, build: m => window(m[0], weekStart) },
+    {
+      pattern: /\blast\s+week\b|先週/i,
+      build: m => window(m[0], new Date(weekStart.getTime() - 7 * day), before(weekStart))
+    },
+    { pattern: /\bthis\s+month\b|今月/i, build: m => window(m[0], monthStart(0)) },
+    { pattern: /\blast\s+month\b|先月/i, build: m => window(m[0], monthStart(-1), before(monthStart(0))) },
+    { pattern: /\bthis\s+year\b|今年/i, build: m => window(m[0], yearStart(0)) },
+    { pattern: /\blast\s+year\b|去年|昨年/i, build: m => window(m[0], yearStart(-1), before(yearStart(0))) }
+  ];
+
+  for (const rule of rules) {
+    const match = parsed.rest.match(rule.pattern);
+    if (match) {
+      parsed.rest = parsed.rest.replace(match[0], ' ');
+      return rule.build(match);
+    }
+  }
+
+  return { startDate: null, endDate: null, description: 'recent' };
+}
+
+/**
+ * Find post counts
+ * A count whose unit or nearby words name a platform ("20 tweets", "30 Instagram
+ * posts", "ツイート20件") counts for that platform; other counts ("50 posts",
+ * "top 10", "５０件") count for every platform without its own count.
+ * @param {Object} parsed - Parser state (the matches are removed from parsed.rest)
+ * @returns {Object} { byPlatform: { instagram, x }, general }
+ */
+function parseRuleCounts(parsed) {
+  const units = RULE_COUNT_UNITS.map(unit => unit.pattern).join('|');
+  const byPlatform = {};
+  let general = null;
+
+  const platformOf = words => ['instagram', 'x'].find(platform => mentionsRulePlatform(platform, words)) || null;
+  const unitPlatform = unit => {
+    const entry = RULE_COUNT_UNITS.find(candidate => new RegExp(`^(?:${candidate.pattern})$`, 'i').test(unit));
+    return entry ? entry.platform : null;
+  };
+  const record = (count, platform) => {
+    if (!(count > 0)) {
+      return;
+    }
+    if (platform) {
+      if (byPlatform[platform] === undefined) {
+        byPlatform[platform] = count;
+      }
+    } else if (general === null) {
+      general = count;
+    }
+  };
+
+  // "ツイート20件", "インスタの投稿を30件", "Xで10件": a platform just before the count
+  takeRuleMatches(parsed, /(インスタグラム|インスタ|リール|ツイッター|ツイート|エックス|Instagram|Twitter|(?<![A-Za-z])X)(?:の|で|から)?(?:投稿|動画)?を?\s*(\d{1,6})\s*(?:件|個|本|つ)/g)
+    .forEach(match => record(parseInt(match[2], 10),
+      match[1] === 'X' && !isRulePlatformX(match.input, match.index) ? null : platformOf(match[1])));
+
+  // "30 reels", "20 Instagram posts", "5 recent English tweets", "50件", "20本の動画"
+  takeRuleMatches(parsed, new RegExp(`(\\d{1,6})\\s*((?:[A-Za-z.]+\\s+){0,3})(${units})(?![A-Za-z])`, 'gi'))
+    .forEach(match => record(parseInt(match[1], 10), unitPlatform(match[3]) || platformOf(match[2])));
+
+  // "top 10", "fetch 20", "collect 100"
+  takeRuleMatches(parsed, /\b(?:top|fetch|get|collect|find|grab|gather|pull)\s+(\d{1,6})\b/gi)
+    .forEach(match => record(parseInt(match[1], 10), null));
+
+  return { byPlatform: byPlatform, general: general };
+}
+
+/**
+ * Find whether popular or recent posts are wanted
+ * "top" before a number ("top 10") is left in place for parseRuleCounts.
+ * @param {Object} parsed - Parser state (the matches are removed from parsed.rest)
+ * @returns {string|null} 'Top', 'Latest' or null
+ */
+function parseRuleQueryType(parsed) {
+  const topCount = /\btop\s+\d/i.test(parsed.rest);
+  if (takeRuleMatches(parsed, /\btop\b(?!\s+\d)|\b(?:popular|trending|viral|most\s+liked|best)\b|人気|話題|バズった|バズ/gi).length > 0 || topCount) {
+    return 'Top';
+  }
+  if (takeRuleMatches(parsed, /\b(?:latest|newest|most\s+recent)\b|最新/gi).length > 0) {
+    return 'Latest';
+  }
+  return null;
+}
+
+/**
+ * Pick keywords from what is left of the instruction
+ * Quoted phrases come first and are kept whole; other words are split on
+ * spaces, punctuation and Japanese particles, Korean particles are stripped,
+ * and stop words are dropped.
+ * @param {string} rest - Unparsed text
+ * @param {string[]} phrases - Quoted phrases
+ * @returns {string[]} Keywords
+ */
+function extractRuleKeywords(rest, phrases) {
+  const platforms = Object.keys(RULE_PLATFORM_PATTERNS);
+
+  const words = rest
+    .replace(RULE_JA_REQUESTS, ' ')
+    .split(/[\s、。,.!?！？・:;()（）\[\]【】/]+/)
+    .flatMap(segment => segment.split(RULE_JA_SEPARATORS))
+    .map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .map(word => /\p{Script=Hangul}/u.test(word) ? stripKoreanParticle(word) : word)
+    .filter(word => {
+      if (!word || /^\d+$/.test(word)) {
+        return false;
+      }
+      if (platforms.some(platform => mentionsRulePlatform(platform, word))) {
+        return false;
+      }
+      if (/^[\x00-\x7F]+$/.test(word)) {
+        // Two letters only as an acronym (AI, VR)
+        return (word.length > 2 || /^[A-Z]{2}$/.test(word)) && !RULE_STOPWORDS.includes(word.toLowerCase());
+      }
+      // A single kanji can be a word (猫, 犬); single kana are leftovers of particles
+      return (word.length > 1 || /\p{Script=Han}/u.test(word)) && !RULE_JA_STOPWORDS.includes(word);
+    })
+    .map(word => /^[\x00-\x7F]+$/.test(word) ? word.toLowerCase() : word);
+
+  const keywords = uniqueRuleValues(phrases);
+  return keywords.concat(uniqueRuleValues(words)
+    .filter(word => !keywords.some(keyword => keyword.toLowerCase() === word.toLowerCase()))
+    .slice(0, Math.max(RULE_MAX_KEYWORDS - keywords.length, 0)));
+}
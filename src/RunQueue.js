@@ -0,0 +1,227 @@
+/**
+ * RunQueue.js
+ * Queue of runs waiting for, or holding, an execution slot
+ *
+ * Replaces the single PENDING_RUN_ID slot so several runs can be in flight:
+ * - Runs are admitted in FIFO order, up to MAX_CONCURRENT_RUNS at a time
+ * - continueRun() serves admitted runs round-robin, one slice per execution
+ * - A lease stops overlapping trigger executions from picking the same run
+ *
+ * The queue is stored as a single JSON Script Property.
+ */
+
+/**
+ * Script Property key for the queue
+ */
+const RUN_QUEUE_KEY = 'RUN_QUEUE';
+
+/**
+ * Legacy single-slot key used before the queue existed
+ */
+const LEGACY_PENDING_RUN_KEY = 'PENDING_RUN_ID';
+
+/**
+ * How long a claimed run is reserved for one execution (Apps Script hard limit is 6 min)
+ */
+const RUN_QUEUE_LEASE_MS = 6 * 60 * 1000;
+
+/**
+ * How long to wait for the queue lock before giving up
+ */
+const RUN_QUEUE_LOCK_TIMEOUT_MS = 10000;
+
+/**
+ * Run a function while holding the script lock for the queue
+ * @param {function} fn - Receives the loaded queue; may mutate it
+ * @returns {*} The function result
+ */
+function withRunQueueLock(fn) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(RUN_QUEUE_LOCK_TIMEOUT_MS)) {
+    throw new Error('Could not acquire run queue lock');
+  }
+
+  try {
+    const queue = loadRunQueue();
+    const result = fn(queue);
+    saveRunQueue(queue);
+    return result;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Load the run queue from Script Properties
+ * Migrates a leftover PENDING_RUN_ID into the queue.
+ * @returns {Object} Queue with entries, lastServedRunId and nextSliceAt
+ */
+function loadRunQueue() {
+  const props = PropertiesService.getScriptProperties();
+  const data = props.getProperty(RUN_QUEUE_KEY);
+
+  let queue = { entries: [], lastServedRunId: null, nextSliceAt: null };
+  if (data) {
+    try {
+      queue = JSON.parse(data);
+    } catch (e) {
+      console.error('Failed to parse run queue, starting empty:', e);
+    }
+  }
+
+  const legacyRunId = props.getProperty(LEGACY_PENDING_RUN_KEY);
+  if (legacyRunId) {
+    if (!queue.entries.some(entry => entry.runId === legacyRunId)) {
+      queue.entries.push(createRunQueueEntry(legacyRunId));
+    }
+    props.deleteProperty(LEGACY_PENDING_RUN_KEY);
+  }
+
+  return queue;
+}
+
+/**
+ * Save the run queue to Script Properties
+ * @param {Object} queue - The queue to save
+ */
+function saveRunQueue(queue) {
+  PropertiesService.getScriptProperties().setProperty(RUN_QUEUE_KEY, JSON.stringify(queue));
+}
+
+/**
+ * Create a queue entry
+ * @param {string} runId - The run ID
+ * @returns {Object} Queue entry
+ */
+function createRunQueueEntry(runId) {
+  return {
+    runId: runId,
+    enqueuedAt: new Date().toISOString(),
+    leaseUntil: 0
+  };
+}
+
+/**
+ * Get the configured number of runs that may be active at once
+ * @returns {number}
+ */
+function getMaxConcurrentRuns() {
+  const limit = getOperationalConfig().maxConcurrentRuns;
+  return limit > 0 ? limit : CONFIG_DEFAULTS.MAX_CONCURRENT_RUNS;
+}
+
+/**
+ * Add a run to the queue (no-op if already queued)
+ * @param {string} runId - The run ID
+ */
+function enqueueRun(runId) {
+  withRunQueueLock(queue => {
+    if (!queue.entries.some(entry => entry.runId === runId)) {
+      queue.entries.push(createRunQueueEntry(runId));
+    }
+  });
+}
+
+/**
+ * Remove a run from the queue
+ * @param {string} runId - The run ID
+ */
+function dequeueRun(runId) {
+  withRunQueueLock(queue => {
+    queue.entries = queue.entries.filter(entry => entry.runId !== runId);
+  });
+}
+
+/**
+ * Claim the next runnable run, round-robin over the admitted runs
+ * Only the first MAX_CONCURRENT_RUNS entries are admitted; the rest wait.
+ * @returns {string|null} The claimed run ID, or null if nothing is runnable
+ */
+function claimNextRun() {
+  const now = Date.now();
+  const maxConcurrent = getMaxConcurrentRuns();
+
+  return withRunQueueLock(queue => {
+    const admitted = queue.entries.slice(0, maxConcurrent);
+    if (admitted.length === 0) {
+      return null;
+    }
+
+    // Start just after the run served last, wrapping around
+    const lastIndex = admitted.findIndex(entry => entry.runId === queue.lastServedRunId);
+    for (let i = 1; i <= admitted.length; i++) {
+      const entry = admitted[(lastIndex + i) % admitted.length];
+      if (entry.leaseUntil > now) {
+        continue;
+      }
+
+      entry.leaseUntil = now + RUN_QUEUE_LEASE_MS;
+      queue.lastServedRunId = entry.runId;
+      return entry.runId;
+    }
+
+    return null;
+  });
+}
+
+/**
+ * Release the lease on a run so the next execution can pick it again
+ * @param {string} runId - The run ID
+ */
+function releaseRun(runId) {
+  withRunQueueLock(queue => {
+    const entry = queue.entries.find(e => e.runId === runId);
+    if (entry) {
+      entry.leaseUntil = 0;
+    }
+  });
+}
+
+/**
+ * Get the number of queued runs (active and waiting)
+ * @returns {number}
+ */
+function getRunQueueLength() {
+  return loadRunQueue().entries.length;
+}
+
+/**
+ * Get a run's position in the queue
+ * @param {string} runId - The run ID
+ * @returns {Object|null} { position, active, queueLength } or null if not queued.
+ *   position is 0 for admitted runs and 1..n for runs waiting for a slot.
+ */
+function getRunQueuePosition(runId) {
+  const queue = loadRunQueue();
+  const index = queue.entries.findIndex(entry => entry.runId === runId);
+  if (index === -1) {
+    return null;
+  }
+
+  const maxConcurrent = getMaxConcurrentRuns();
+  const active = index < maxConcurrent;
+
+  return {
+    position: active ? 0 : index - maxConcurrent + 1,
+    active: active,
+    queueLength: queue.entries.length
+  };
+}
+
+/**
+ * Drop queue entries whose run state is missing, paused or already finished
+ * @returns {number} Number of entries removed
+ */
+function pruneRunQueue() {
+  return withRunQueueLock(queue => {
+    const before = queue.entries.length;
+    queue.entries = queue.entries.filter(entry => {
+      const state = loadRunState(entry.runId);
+      return state &&
+        state.status !== RUN_STATUS.COMPLETED &&
+        state.status !== RUN_STATUS.FAILED &&
+        state.status !== RUN_STATUS.PAUSED;
+    });
+    return before - queue.entries.length;
+  });
+}
@@ -0,0 +1,590 @@
+/**
+ * Scheduler.js
+ * Saved run templates that launch runs on a schedule
+ *
+ * A template stores an instruction, an optional target folder, a cadence and
+ * an optional end date. A single recurring trigger (runDueTemplates) checks
+ * for due templates and starts their runs through startRun(), keeping a short
+ * history of the runs each template spawned.
+ *
+ * Cadences:
+ * - { type: 'daily', time: '08:00' }
+ * - { type: 'weekly', time: '08:00', days: ['mon', 'thu'] }
+ * - { type: 'cron', expression: '0 8 * * 1-5' } (minute hour day-of-month month day-of-week)
+ *
+ * Times are interpreted in the script time zone (Asia/Tokyo).
+ * Each template is stored in its own Script Property.
+ */
+
+/**
+ * Script Property key prefix for templates
+ */
+const RUN_TEMPLATE_PREFIX = 'RUN_TEMPLATE_';
+
+/**
+ * Number of spawned runs kept in a template's history
+ */
+const RUN_TEMPLATE_HISTORY_LIMIT = 20;
+
+/**
+ * Trigger handler that launches due templates
+ */
+const SCHEDULER_HANDLER = 'runDueTemplates';
+
+/**
+ * How often the scheduler trigger checks for due templates
+ */
+const SCHEDULER_INTERVAL_MINUTES = 5;
+
+/**
+ * Day-of-week names accepted by weekly cadences (cron numbering, 0 = Sunday)
+ */
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * How far ahead to look for the next matching cron time
+ */
+const CRON_SEARCH_LIMIT_DAYS = 366;
+
+// ============================================================
+// Template storage
+// ============================================================
+
+/**
+ * Get the storage key for a template
+ * @param {string} templateId - The template ID
+ * @returns {string} The storage key
+ */
+function getRunTemplateKey(templateId) {
+  return `${RUN_TEMPLATE_PREFIX}${templateId}`;
+}
+
+/**
+ * Save a template to Script Properties
+ * @param {Object} template - The template to save
+ */
+function saveRunTemplate(template) {
+  template.updatedAt = new Date().toISOString();
+  PropertiesService.getScriptProperties()
+    .setProperty(getRunTemplateKey(template.templateId), JSON.stringify(template));
+}
+
+/**
+ * Load a template from Script Properties
+ * @param {string} templateId - The template ID
+ * @returns {Object|null} The template or null if not found
+ */
+function loadRunTemplate(templateId) {
+  const data = PropertiesService.getScriptProperties().getProperty(getRunTemplateKey(templateId));
+  if (!data) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    console.error(`Failed to parse run template ${templateId}:`, e);
+    return null;
+  }
+}
+
+/**
+ * List all templates, soonest next run first
+ * @returns {Object[]} Templates
+ */
+function listRunTemplates() {
+  const allProps = PropertiesService.getScriptProperties().getProperties();
+
+  return Object.keys(allProps)
+    .filter(key => key.startsWith(RUN_TEMPLATE_PREFIX))
+    .map(key => loadRunTemplate(key.substring(RUN_TEMPLATE_PREFIX.length)))
+    .filter(template => template !== null)
+    .sort((a, b) => (a.nextRunAt || '9999').localeCompare(b.nextRunAt || '9999'));
+}
+
+// ============================================================
+// Template management (UI and API)
+// ============================================================
+
+/**
+ * Create a scheduled run template
+ * @param {Object} input - Template fields
+ * @param {string} input.instruction - Instruction passed to startRun
+ * @param {Object} input.cadence - Cadence (daily, weekly or cron)
+ * @param {string} [input.name] - Display name
+ * @param {string} [input.targetFolderId] - Target folder ID for output
+ * @param {string} [input.endDate] - Last date to launch runs (YYYY-MM-DD or ISO 8601)
+ * @returns {Object} The created template
+ */
+function createRunTemplate(input) {
+  if (!input || !input.instruction) {
+    throw new Error('Template instruction is required');
+  }
+
+  const cadence = normalizeCadence(input.cadence);
+  const templateId = Utilities.getUuid().replace(/-/g, '').substring(0, 12);
+
+  const template = {
+    templateId: templateId,
+    name: input.name || input.instruction.substring(0, 50),
+    instruction: input.instruction,
+    targetFolderId: input.targetFolderId || null,
+    cadence: cadence,
+    endDate: normalizeEndDate(input.endDate),
+    enabled: true,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    lastRunAt: null,
+    nextRunAt: null,
+    history: []
+  };
+  template.nextRunAt = computeTemplateNextRunAt(template, new Date());
+
+  saveRunTemplate(template);
+  syncSchedulerTrigger();
+
+  console.log(`Created run template ${templateId}, next run at ${template.nextRunAt}`);
+  return template;
+}
+
+/**
+ * Update a template
+ * @param {string} templateId - The template ID
+ * @param {Object} updates - Fields to change (name, instruction, targetFolderId, cadence, endDate, enabled)
+ * @returns {Object} The updated template
+ */
+function updateRunTemplate(templateId, updates) {
+  const template = loadRunTemplate(templateId);
+  if (!template) {
+    throw new Error(`Run template not found: ${templateId}`);
+  }
+
+  if (updates.name !== undefined) {
+    template.name = updates.name;
+  }
+  if (updates.instruction !== undefined) {
+    if (!updates.instruction) {
+      throw new Error('Template instruction is required');
+    }
+    template.instruction = updates.instruction;
+  }
+  if (updates.targetFolderId !== undefined) {
+    template.targetFolderId = updates.targetFolderId || null;
+  }
+  if (updates.cadence !== undefined) {
+    template.cadence = normalizeCadence(updates.cadence);
+  }
+  if (updates.endDate !== undefined) {
+    template.endDate = normalizeEndDate(updates.endDate);
+  }
+  if (updates.enabled !== undefined) {
+    template.enabled = updates.enabled === true || updates.enabled === 'true';
+  }
+
+  template.nextRunAt = template.enabled ? computeTemplateNextRunAt(template, new Date()) : null;
+
+  saveRunTemplate(template);
+  syncSchedulerTrigger();
+  return template;
+}
+
+/**
+ * Delete a template (runs it already spawned are kept)
+ * @param {string} templateId - The template ID
+ * @returns {Object} Result
+ */
+function deleteRunTemplate(templateId) {
+  if (!loadRunTemplate(templateId)) {
+    throw new Error(`Run template not found: ${templateId}`);
+  }
+
+  PropertiesService.getScriptProperties().deleteProperty(getRunTemplateKey(templateId));
+  syncSchedulerTrigger();
+
+  return { success: true, message: `Deleted run template ${templateId}` };
+}
+
+/**
+ * Get the runs a template has spawned, newest first
+ * Each entry is refreshed with the run's current status.
+ * @param {string} templateId - The template ID
+ * @returns {Object[]} History entries
+ */
+function getRunTemplateHistory(templateId) {
+  const template = loadRunTemplate(templateId);
+  if (!template) {
+    throw new Error(`Run template not found: ${templateId}`);
+  }
+
+  return template.history.map(entry => {
+    const state = entry.runId ? loadRunState(entry.runId) : null;
+    return {
+      ...entry,
+      status: state ? state.status : entry.status,
+      spreadsheetUrl: state ? state.spreadsheetUrl : entry.spreadsheetUrl || null
+    };
+  });
+}
+
+// ============================================================
+// Trigger manager
+// ============================================================
+
+/**
+ * Launch every enabled template that is due (called by trigger)
+ * Templates past their end date are disabled.
+ */
+function runDueTemplates() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    console.log('Scheduler already running; skipping this check');
+    return;
+  }
+
+  const due = [];
+  try {
+    const now = new Date();
+
+    listRunTemplates().forEach(template => {
+      if (!template.enabled || !template.nextRunAt || new Date(template.nextRunAt) > now) {
+        return;
+      }
+
+      // Advance the schedule before launching so a failed launch is not retried every check
+      template.lastRunAt = now.toISOString();
+      template.nextRunAt = computeTemplateNextRunAt(template, now);
+      if (!template.nextRunAt) {
+        template.enabled = false;
+        console.log(`Run template ${template.templateId} reached its end date; disabled`);
+      }
+      saveRunTemplate(template);
+      due.push(template.templateId);
+    });
+  } finally {
+    lock.releaseLock();
+  }
+
+  // startRun takes its own locks, so launch outside the scheduler lock
+  due.forEach(templateId => launchTemplateRun(templateId));
+
+  syncSchedulerTrigger();
+}
+
+/**
+ * Start a run from a template and record it in the template's history
+ * @param {string} templateId - The template ID
+ * @returns {Object} History entry for the spawned run
+ */
+function launchTemplateRun(templateId) {
+  const template = loadRunTemplate(templateId);
+  if (!template) {
+    throw new Error(`Run template not found: ${templateId}`);
+  }
+
+  const entry = {
+    runId: null,
+    startedAt: new Date().toISOString(),
+    status: null,
+    spreadsheetUrl: null,
+    error: null
+  };
+
+  try {
+    const result = startRun(template.instruction, {
+      targetFolderId: template.targetFolderId,
+      source: 'schedule',
+      templateId: templateId
+    });
+    entry.runId = result.runId;
+    entry.status = result.status;
+    entry.spreadsheetUrl = result.spreadsheetUrl;
+    console.log(`Run template ${templateId} started run ${result.runId}`);
+  } catch (e) {
+    console.error(`Run template ${templateId} failed to start a run:`, e);
+    entry.error = e.message;
+  }
+
+  // Reload: the template may have been edited while the run was starting
+  const latest = loadRunTemplate(templateId) || template;
+  latest.history = [entry, ...(latest.history || [])].slice(0, RUN_TEMPLATE_HISTORY_LIMIT);
+  saveRunTemplate(latest);
+
+  return entry;
+}
+
+/**
+ * Install the scheduler trigger while an enabled template exists, remove it otherwise
+ */
+function syncSchedulerTrigger() {
+  const hasEnabled = listRunTemplates().some(template => template.enabled);
+  const existing = ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === SCHEDULER_HANDLER);
+
+  if (hasEnabled && existing.length === 0) {
+    ScriptApp.newTrigger(SCHEDULER_HANDLER)
+      .timeBased()
+      .everyMinutes(SCHEDULER_INTERVAL_MINUTES)
+      .create();
+    console.log('Scheduler trigger installed');
+  } else if (!hasEnabled && existing.length > 0) {
+    existing.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    console.log('Scheduler trigger removed');
+  }
+}
+
+// ============================================================
+// Cadence handling
+// ============================================================
+
+/**
+ * Validate a cadence and convert it to its stored form
+ * @param {Object} cadence - Cadence from the UI or API
+ * @returns {Object} Cadence with a cron expression
+ */
+function normalizeCadence(cadence) {
+  if (!cadence || !cadence.type) {
+    throw new Error('Cadence is required (daily, weekly or cron)');
+  }
+
+  let expression;
+  switch (cadence.type) {
+    case 'daily': {
+      const time = parseCadenceTime(cadence.time);
+      expression = `${time.minute} ${time.hour} * * *`;
+      break;
+    }
+    case 'weekly': {
+      const time = parseCadenceTime(cadence.time);
+      const days = (cadence.days || []).map(parseWeekday);
+      if (days.length === 0) {
+        throw new Error('Weekly cadence needs at least one day');
+      }
+      expression = `${time.minute} ${time.hour} * * ${days.join(',')}`;
+      break;
+    }
+    case 'cron':
+      expression = String(cadence.expression || '').trim();
+      break;
+    default:
+      throw new Error(`Unknown cadence type: ${cadence.type}`);
+  }
+
+  // Throws on an invalid expression
+  parseCronExpression(expression);
+
+  return {
+    ...cadence,
+    expression: expression
+  };
+}
+
+/**
+ * Parse an HH:MM time
+ * @param {string} time - Time such as '08:00'
+ * @returns {Object} { hour, minute }
+ */
+function parseCadenceTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || ''));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${time}" (expected HH:MM)`);
+  }
+  return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+/**
+ * Parse a weekday name or number
+ * @param {string|number} day - 'mon', 'Monday' or 0-6 (0 = Sunday)
+ * @returns {number} Cron day-of-week number
+ */
+function parseWeekday(day) {
+  if (typeof day === 'number' || /^\d$/.test(day)) {
+    const num = Number(day);
+    if (num >= 0 && num <= 6) {
+      return num;
+    }
+  } else {
+    const index = WEEKDAY_NAMES.indexOf(String(day).substring(0, 3).toLowerCase());
+    if (index !== -1) {
+      return index;
+    }
+  }
+  throw new Error(`Invalid weekday: ${day}`);
+}
+
+/**
+ * Normalize an optional end date to an ISO 8601 timestamp
+ * A bare date means the end of that day in the script time zone.
+ * @param {string} [endDate] - YYYY-MM-DD or ISO 8601
+ * @returns {string|null} ISO timestamp or null
+ */
+function normalizeEndDate(endDate) {
+  if (!endDate) {
+    return null;
+  }
+
+  let date;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+    const noon = new Date(`${endDate}T12:00:00Z`);
+    date = new Date(Date.parse(`${endDate}T23:59:59Z`) - getTimeZoneOffsetMs(noon));
+  } else {
+    date = new Date(endDate);
+  }
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid end date: ${endDate}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Compute when a template should next launch
+ * @param {Object} template - The template
+ * @param {Date} after - Only times strictly after this count
+ * @returns {string|null} ISO timestamp, or null if past the end date
+ */
+function computeTemplateNextRunAt(template, after) {
+  const next = getNextCronTime(template.cadence.expression, after);
+  if (!next) {
+    return null;
+  }
+  if (template.endDate && next > new Date(template.endDate)) {
+    return null;
+  }
+  return next.toISOString();
+}
+
+/**
+ * Get the script time zone's UTC offset at a given time
+ * @param {Date} date - The time
+ * @returns {number} Offset in milliseconds (e.g. +9h for Asia/Tokyo)
+ */
+function getTimeZoneOffsetMs(date) {
+  const offset = Utilities.formatDate(date, Session.getScriptTimeZone(), 'Z'); // e.g. +0900
+  const sign = offset.charAt(0) === '-' ? -1 : 1;
+  const hours = Number(offset.substring(1, 3));
+  const minutes = Number(offset.substring(3, 5));
+  return sign * (hours * 60 + minutes) * 60 * 1000;
+}
+
+/**
+ * Parse a five-field cron expression
+ * Supports '*', lists (1,3), ranges (1-5) and steps (*\/15, 0-30/10).
+ * @param {string} expression - Cron expression
+ * @returns {Object} Sets of allowed values per field
+ */
+function parseCronExpression(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}" (expected 5 fields)`);
+  }
+
+  const dayOfWeek = parseCronField(fields[4], 0, 7);
+  // Both 0 and 7 mean Sunday
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.add(0);
+  }
+
+  return {
+    minute: parseCronField(fields[0], 0, 59),
+    hour: parseCronField(fields[1], 0, 23),
+    dayOfMonth: parseCronField(fields[2], 1, 31),
+    month: parseCronField(fields[3], 1, 12),
+    dayOfWeek: dayOfWeek,
+    dayOfMonthAny: fields[2] === '*',
+    dayOfWeekAny: fields[4] === '*'
+  };
+}
+
+/**
+ * Parse one cron field into the set of values it allows
+ * @param {string} field - The field text
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {Set<number>} Allowed values
+ */
+function parseCronField(field, min, max) {
+  const values = new Set();
+
+  field.split(',').forEach(part => {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+
+    let start = min;
+    let end = max;
+    if (rangePart !== '*') {
+      const bounds = rangePart.split('-');
+      start = Number(bounds[0]);
+      end = bounds.length > 1 ? Number(bounds[1]) : (stepPart === undefined ? start : max);
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || !Number.isInteger(step) ||
+        step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron field "${field}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Check whether a local calendar day matches a parsed cron expression
+ * Like cron, when both day fields are restricted either one may match.
+ * @param {Object} cron - Parsed cron expression
+ * @param {Date} local - Time shifted into the script time zone (read with getUTC*)
+ * @returns {boolean}
+ */
+function cronDayMatches(cron, local) {
+  if (!cron.month.has(local.getUTCMonth() + 1)) {
+    return false;
+  }
+
+  const domMatch = cron.dayOfMonth.has(local.getUTCDate());
+  const dowMatch = cron.dayOfWeek.has(local.getUTCDay());
+
+  if (cron.dayOfMonthAny) {
+    return dowMatch;
+  }
+  if (cron.dayOfWeekAny) {
+    return domMatch;
+  }
+  return domMatch || dowMatch;
+}
+
+/**
+ * Find the next time after a given moment that matches a cron expression
+ * @param {string} expression - Cron expression in the script time zone
+ * @param {Date} after - Start searching after this moment
+ * @returns {Date|null} The next matching time, or null if none within a year
+ */
+function getNextCronTime(expression, after) {
+  const cron = parseCronExpression(expression);
+  const offsetMs = getTimeZoneOffsetMs(after);
+  const minuteMs = 60 * 1000;
+
+  // Work in "local time stored as UTC" so getUTC* returns script time zone fields
+  let local = new Date(Math.floor((after.getTime() + offsetMs) / minuteMs) * minuteMs + minuteMs);
+  const limit = local.getTime() + CRON_SEARCH_LIMIT_DAYS * 24 * 60 * minuteMs;
+
+  while (local.getTime() <= limit) {
+    if (!cronDayMatches(cron, local)) {
+      local = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + 1));
+      continue;
+    }
+    if (!cron.hour.has(local.getUTCHours())) {
+      local = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(),
+        local.getUTCHours() + 1));
+      continue;
+    }
+    if (!cron.minute.has(local.getUTCMinutes())) {
+      local = new Date(local.getTime() + minuteMs);
+      continue;
+    }
+    return new Date(local.getTime() - offsetMs);
+  }
+
+  return null;
+}
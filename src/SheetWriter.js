@@ -6,6 +6,7 @@
  * - One spreadsheet per run with tabs: Instagram and X (TikTok disabled)
  * - Fixed column schemas for each tab
  * - Batch row appending (never per-cell loops)
+ * - Changes tab for cloned runs (diff against the source run)
  */
 
 /**
@@ -105,6 +106,36 @@ const INSTAGRAM_COLUMNS = [
   'memo'
 ];
 
+/**
+ * Changes tab columns (cloned runs compared with their source run)
+ */
+const CHANGES_COLUMNS = [
+  'platform',
+  'change',
+  'platform_post_id',
+  'create_username',
+  'post_url',
+  'likes_before',
+  'likes_after',
+  'likes_delta',
+  'views_before',
+  'views_after',
+  'views_delta',
+  'comments_before',
+  'comments_after',
+  'comments_delta'
+];
+
+/**
+ * Columns holding each compared metric, per platform
+ * Instagram has no view count column.
+ */
+const CHANGES_METRIC_COLUMNS = {
+  instagram: { likes: 'like_count', views: null, comments: 'comments_count' },
+  x: { likes: 'like_count', views: 'view_count', comments: 'reply_count' },
+  tiktok: { likes: 'like', views: 'view', comments: 'comments' }
+};
+
 /**
  * Create a new spreadsheet for a run with Instagram and X tabs
  * @param {string} runId - The run ID for naming the spreadsheet
@@ -253,6 +284,8 @@ function appendRowsBatch(spreadsheetId, platform, postsData) {
   // Write all rows in a single batch operation
   const range = sheet.getRange(startRow, 1, rows.length, columns.length);
   range.setValues(rows);
+  countApiUsage('posts', rows.length);
+  logPostsWritten(platform, spreadsheetId, startRow, rows.length);
 
   return rows.length;
 }
@@ -279,6 +312,122 @@ function getRowCount(spreadsheetId, platform) {
   return Math.max(0, lastRow - 1); // Subtract header row
 }
 
+/**
+ * Read a platform tab into post objects keyed by platform_post_id
+ * @param {string} spreadsheetId - The spreadsheet ID
+ * @param {string} platform - 'instagram', 'x', or 'tiktok'
+ * @returns {Map<string, Object>} Posts keyed by ID (empty if the tab is missing)
+ */
+function readSheetPosts(spreadsheetId, platform) {
+  const posts = new Map();
+  const sheet = getSheetForPlatform(spreadsheetId, platform);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return posts;
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const header = values[0];
+  values.slice(1).forEach(row => {
+    const post = {};
+    header.forEach((column, i) => {
+      post[column] = row[i];
+    });
+    if (post.platform_post_id !== '') {
+      posts.set(String(post.platform_post_id), post);
+    }
+  });
+
+  return posts;
+}
+
+/**
+ * Compare a platform's posts between a source run and its clone
+ * @param {string} platform - 'instagram', 'x', or 'tiktok'
+ * @param {Map<string, Object>} before - Posts of the source run
+ * @param {Map<string, Object>} after - Posts of the cloned run
+ * @returns {Object[]} Change rows matching CHANGES_COLUMNS
+ */
+function diffPlatformPosts(platform, before, after) {
+  const metrics = CHANGES_METRIC_COLUMNS[platform];
+  const toNumber = value => (value === '' || value === null || value === undefined || isNaN(Number(value)))
+    ? null
+    : Number(value);
+
+  const buildRow = (change, id, oldPost, newPost) => {
+    const post = newPost || oldPost;
+    const row = {
+      platform: platform,
+      change: change,
+      platform_post_id: id,
+      create_username: post.create_username,
+      post_url: post.post_url || post.ref_url
+    };
+
+    Object.keys(metrics).forEach(metric => {
+      const column = metrics[metric];
+      const oldValue = column && oldPost ? toNumber(oldPost[column]) : null;
+      const newValue = column && newPost ? toNumber(newPost[column]) : null;
+      row[`${metric}_before`] = oldValue;
+      row[`${metric}_after`] = newValue;
+      row[`${metric}_delta`] = oldValue !== null && newValue !== null ? newValue - oldValue : null;
+    });
+
+    return row;
+  };
+
+  const rows = [];
+  after.forEach((post, id) => {
+    if (!before.has(id)) {
+      rows.push(buildRow('new', id, null, post));
+    }
+  });
+  before.forEach((post, id) => {
+    if (!after.has(id)) {
+      rows.push(buildRow('disappeared', id, post, null));
+    }
+  });
+  after.forEach((post, id) => {
+    if (before.has(id)) {
+      rows.push(buildRow('both', id, before.get(id), post));
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Add a Changes tab comparing a spreadsheet with an earlier run's spreadsheet
+ * Lists posts that are new, posts that disappeared, and metric deltas for posts in both.
+ * @param {string} spreadsheetId - The cloned run's spreadsheet
+ * @param {string} sourceSpreadsheetId - The source run's spreadsheet
+ * @returns {Object} Counts { new, disappeared, both }
+ */
+function writeChangesSheet(spreadsheetId, sourceSpreadsheetId) {
+  const rows = [];
+  PLATFORMS.forEach(platform => {
+    rows.push(...diffPlatformPosts(platform,
+      readSheetPosts(sourceSpreadsheetId, platform),
+      readSheetPosts(spreadsheetId, platform)));
+  });
+
+  const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+  const sheet = spreadsheet.getSheetByName('Changes') || spreadsheet.insertSheet('Changes');
+  sheet.clear();
+  writeHeaders(sheet, CHANGES_COLUMNS);
+  formatHeaderRow(sheet, CHANGES_COLUMNS.length);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, CHANGES_COLUMNS.length)
+      .setValues(rows.map(row => postDataToRow(row, CHANGES_COLUMNS)));
+  }
+
+  return {
+    new: rows.filter(row => row.change === 'new').length,
+    disappeared: rows.filter(row => row.change === 'disappeared').length,
+    both: rows.filter(row => row.change === 'both').length
+  };
+}
+
 /**
  * Normalize TikTok API response to match column schema
  * Handles field name differences as noted in spec section 9.3
@@ -0,0 +1,518 @@
+/**
+ * StateBackend.js
+ * Pluggable storage for run state behind loadRunState/saveRunState
+ *
+ * Script Properties cap each value at 9KB and the whole store at 500KB, so a
+ * single JSON property per run breaks for large runs. Two backends are
+ * available, selected with the STATE_BACKEND Script Property:
+ *
+ * - properties (default): the state JSON is split into chunks across several
+ *   Script Properties (RUN_STATE_<runId> holds a header, RUN_CHUNK_<runId>_<n> the data)
+ * - drive: as above, but the processedIds arrays live in a Drive file per run
+ *   and finished runs can be archived to Drive as history
+ *
+ * Both backends read the legacy single-property format, and
+ * migrateRunStates() rewrites existing RUN_STATE_* keys with the active backend.
+ */
+
+/**
+ * Storage key prefix for run state (header or legacy full JSON)
+ */
+const RUN_STATE_PREFIX = 'RUN_STATE_';
+
+/**
+ * Storage key prefix for run state chunks
+ */
+const RUN_STATE_CHUNK_PREFIX = 'RUN_CHUNK_';
+
+/**
+ * Maximum UTF-8 bytes per chunk (Script Properties limit is 9KB per value)
+ */
+const RUN_STATE_CHUNK_MAX_BYTES = 8000;
+
+/**
+ * Drive folder (under the ClipPulse root) holding processed IDs and archived runs
+ */
+const STATE_FOLDER_NAME = 'state';
+
+/**
+ * Subfolder of the state folder holding archived run states
+ */
+const STATE_HISTORY_FOLDER_NAME = 'history';
+
+/**
+ * Processed IDs already read from or written to Drive in this execution
+ * Keyed by run ID; avoids a Drive round-trip on every load/save. An entry is
+ * only used while its revision matches processedIdsRevision in the stored
+ * state, so writes from other executions are never masked.
+ */
+const processedIdsCache = {};
+
+/**
+ * Get the active state backend
+ * @returns {Object} Backend with name, read, write and remove functions
+ */
+function getStateBackend() {
+  const name = getConfig(CONFIG_KEYS.STATE_BACKEND, CONFIG_DEFAULTS.STATE_BACKEND);
+
+  switch (name) {
+    case 'properties':
+      return {
+        name: name,
+        read: readChunkedRunState,
+        write: writeChunkedRunState,
+        remove: removeChunkedRunState
+      };
+    case 'drive':
+      return {
+        name: name,
+        read: readDriveBackedRunState,
+        write: writeDriveBackedRunState,
+        remove: removeDriveBackedRunState
+      };
+    default:
+      throw new Error(`Unknown STATE_BACKEND: ${name} (expected "properties" or "drive")`);
+  }
+}
+
+// ============================================================
+// Chunked Script Properties
+// ============================================================
+
+/**
+ * Get the storage key for one chunk of a chunked value
+ * @param {string} chunkPrefix - Prefix shared by the value's chunks
+ * @param {number} index - Chunk index
+ * @returns {string} The storage key
+ */
+function getChunkKey(chunkPrefix, index) {
+  return `${chunkPrefix}_${index}`;
+}
+
+/**
+ * Split text into pieces of at most maxBytes UTF-8 bytes
+ * Surrogate pairs are never split.
+ * @param {string} text - Text to split
+ * @param {number} maxBytes - Maximum bytes per piece
+ * @returns {string[]} Pieces
+ */
+function splitUtf8Chunks(text, maxBytes) {
+  const chunks = [];
+  let start = 0;
+  let bytes = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    let size;
+    if (code < 0x80) {
+      size = 1;
+    } else if (code < 0x800) {
+      size = 2;
+    } else if (code >= 0xD800 && code <= 0xDBFF) {
+      size = 4; // High surrogate: counts for the whole pair
+    } else if (code >= 0xDC00 && code <= 0xDFFF) {
+      size = 0; // Low surrogate: already counted
+    } else {
+      size = 3;
+    }
+
+    if (bytes + size > maxBytes) {
+      chunks.push(text.substring(start, i));
+      start = i;
+      bytes = 0;
+    }
+    bytes += size;
+  }
+
+  chunks.push(text.substring(start));
+  return chunks;
+}
+
+/**
+ * Read the number of chunks recorded in a header
+ * @param {string|null} header - Raw header property value
+ * @returns {number} Chunk count, or 0 for a value stored in a single property
+ */
+function getChunkCount(header) {
+  if (!header || header.indexOf('{"__chunks":') !== 0) {
+    return 0;
+  }
+  return JSON.parse(header).__chunks;
+}
+
+/**
+ * Read a value stored with writeChunkedProperty (or as a single legacy property)
+ * @param {string} key - Header property key
+ * @param {string} chunkPrefix - Prefix shared by the value's chunks
+ * @returns {string|null} The value or null if not found
+ */
+function readChunkedProperty(key, chunkPrefix) {
+  const props = PropertiesService.getScriptProperties();
+  const header = props.getProperty(key);
+
+  if (!header) {
+    return null;
+  }
+
+  const chunkCount = getChunkCount(header);
+  if (chunkCount === 0) {
+    return header;
+  }
+
+  const pieces = [];
+  for (let i = 0; i < chunkCount; i++) {
+    const piece = props.getProperty(getChunkKey(chunkPrefix, i));
+    if (piece === null) {
+      throw new Error(`Chunk ${i} missing for ${key}`);
+    }
+    pieces.push(piece);
+  }
+  return pieces.join('');
+}
+
+/**
+ * Write a value split into chunks across Script Properties
+ * The key holds a small header; the chunks are written in one call.
+ * @param {string} key - Header property key
+ * @param {string} chunkPrefix - Prefix shared by the value's chunks
+ * @param {string} text - The value
+ */
+function writeChunkedProperty(key, chunkPrefix, text) {
+  const props = PropertiesService.getScriptProperties();
+  const previousCount = getChunkCount(props.getProperty(key));
+
+  const chunks = splitUtf8Chunks(text, RUN_STATE_CHUNK_MAX_BYTES);
+  const values = {};
+  chunks.forEach((chunk, index) => {
+    values[getChunkKey(chunkPrefix, index)] = chunk;
+  });
+  values[key] = JSON.stringify({ __chunks: chunks.length });
+
+  props.setProperties(values);
+
+  // Drop chunks left over from a larger previous version
+  for (let i = chunks.length; i < previousCount; i++) {
+    props.deleteProperty(getChunkKey(chunkPrefix, i));
+  }
+}
+
+/**
+ * Remove a chunked value and its chunks
+ * @param {string} key - Header property key
+ * @param {string} chunkPrefix - Prefix shared by the value's chunks
+ */
+function removeChunkedProperty(key, chunkPrefix) {
+  const props = PropertiesService.getScriptProperties();
+  const chunkCount = getChunkCount(props.getProperty(key));
+
+  for (let i = 0; i < chunkCount; i++) {
+    props.deleteProperty(getChunkKey(chunkPrefix, i));
+  }
+  props.deleteProperty(key);
+}
+
+/**
+ * Read a run state from chunked Script Properties
+ * @param {string} runId - The run ID
+ * @returns {Object|null} The run state or null if not found
+ */
+function readChunkedRunState(runId) {
+  const json = readChunkedProperty(getRunStateKey(runId), `${RUN_STATE_CHUNK_PREFIX}${runId}`);
+  return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Write a run state to chunked Script Properties
+ * @param {Object} state - The run state
+ */
+function writeChunkedRunState(state) {
+  writeChunkedProperty(getRunStateKey(state.runId), `${RUN_STATE_CHUNK_PREFIX}${state.runId}`, JSON.stringify(state));
+}
+
+/**
+ * Remove a run state and its chunks from Script Properties
+ * @param {string} runId - The run ID
+ */
+function removeChunkedRunState(runId) {
+  removeChunkedProperty(getRunStateKey(runId), `${RUN_STATE_CHUNK_PREFIX}${runId}`);
+}
+
+// ============================================================
+// Drive-backed processed IDs and history
+// ============================================================
+
+/**
+ * Get (or create) the Drive folder for state files
+ * @returns {GoogleAppsScript.Drive.Folder}
+ */
+function getStateFolder() {
+  return getOrCreateSubfolder(getRootFolder(), STATE_FOLDER_NAME);
+}
+
+/**
+ * Get (or create) the Drive folder for archived run states
+ * @returns {GoogleAppsScript.Drive.Folder}
+ */
+function getStateHistoryFolder() {
+  return getOrCreateSubfolder(getStateFolder(), STATE_HISTORY_FOLDER_NAME);
+}
+
+/**
+ * Take the processedIds arrays out of a state
+ * @param {Object} state - The run state (not modified)
+ * @returns {Object} { core, processedIds } where core has empty processedIds arrays
+ */
+function splitProcessedIds(state) {
+  const core = { ...state };
+  const processedIds = {};
+
+  PLATFORMS.forEach(platform => {
+    const key = getPlatformProgressKey(platform);
+    if (state[key]) {
+      processedIds[platform] = state[key].processedIds || [];
+      core[key] = { ...state[key], processedIds: [] };
+    }
+  });
+
+  return { core: core, processedIds: processedIds };
+}
+
+/**
+ * Read a run state whose processed IDs are kept in Drive
+ * Falls back to the Drive history archive for runs no longer in Script Properties.
+ * @param {string} runId - The run ID
+ * @returns {Object|null} The run state or null if not found
+ */
+function readDriveBackedRunState(runId) {
+  const state = readChunkedRunState(runId);
+  if (!state) {
+    return readArchivedRunState(runId);
+  }
+
+  if (!state.processedIdsFileId) {
+    return state;
+  }
+
+  const cached = processedIdsCache[runId];
+  let processedIds;
+  if (cached && cached.revision === state.processedIdsRevision) {
+    processedIds = cached.ids;
+  } else {
+    const content = DriveApp.getFileById(state.processedIdsFileId).getBlob().getDataAsString();
+    processedIds = JSON.parse(content);
+    processedIdsCache[runId] = { ids: processedIds, json: content, revision: state.processedIdsRevision };
+  }
+
+  PLATFORMS.forEach(platform => {
+    const key = getPlatformProgressKey(platform);
+    if (state[key]) {
+      state[key].processedIds = (processedIds[platform] || []).slice();
+    }
+  });
+
+  return state;
+}
+
+/**
+ * Write a run state, keeping its processed IDs in a Drive file
+ * The Drive file is only rewritten when the IDs changed.
+ * @param {Object} state - The run state
+ */
+function writeDriveBackedRunState(state) {
+  const split = splitProcessedIds(state);
+  const json = JSON.stringify(split.processedIds);
+  const cached = processedIdsCache[state.runId];
+
+  if (!state.processedIdsFileId) {
+    const file = getStateFolder().createFile(`${state.runId}_processed_ids.json`, json, MimeType.PLAIN_TEXT);
+    state.processedIdsFileId = file.getId();
+    state.processedIdsRevision = 1;
+  } else if (!cached || cached.revision !== state.processedIdsRevision || cached.json !== json) {
+    DriveApp.getFileById(state.processedIdsFileId).setContent(json);
+    state.processedIdsRevision = (state.processedIdsRevision || 0) + 1;
+  }
+
+  processedIdsCache[state.runId] = { ids: split.processedIds, json: json, revision: state.processedIdsRevision };
+  split.core.processedIdsFileId = state.processedIdsFileId;
+  split.core.processedIdsRevision = state.processedIdsRevision;
+  writeChunkedRunState(split.core);
+}
+
+/**
+ * Remove a run state and its Drive processed-IDs file
+ * @param {string} runId - The run ID
+ */
+function removeDriveBackedRunState(runId) {
+  const state = readChunkedRunState(runId);
+  if (state && state.processedIdsFileId) {
+    try {
+      DriveApp.getFileById(state.processedIdsFileId).setTrashed(true);
+    } catch (e) {
+      console.error(`Could not trash processed IDs file for ${runId}:`, e);
+    }
+  }
+
+  delete processedIdsCache[runId];
+  removeChunkedRunState(runId);
+}
+
+/**
+ * Move a finished run's full state to the Drive history archive
+ * Frees its Script Properties; loadRunState still finds it with the drive backend.
+ * @param {string} runId - The run ID
+ * @returns {boolean} True if archived
+ */
+function archiveRunState(runId) {
+  const state = readDriveBackedRunState(runId);
+  if (!state) {
+    return false;
+  }
+
+  const folder = getStateHistoryFolder();
+  const filename = `${runId}.json`;
+  const existing = folder.getFilesByName(filename);
+  if (existing.hasNext()) {
+    existing.next().setContent(JSON.stringify(state));
+  } else {
+    folder.createFile(filename, JSON.stringify(state), MimeType.PLAIN_TEXT);
+  }
+
+  const events = readRunEventLog(runId);
+  if (events.events.length > 0) {
+    saveArchivedRunEvents(runId, events);
+  }
+
+  removeDriveBackedRunState(runId);
+  removeRunEventProperties(runId);
+  return true;
+}
+
+/**
+ * Read an archived run state from Drive history
+ * @param {string} runId - The run ID
+ * @returns {Object|null} The run state or null if not archived
+ */
+function readArchivedRunState(runId) {
+  const files = getStateHistoryFolder().getFilesByName(`${runId}.json`);
+  if (!files.hasNext()) {
+    return null;
+  }
+  return JSON.parse(files.next().getBlob().getDataAsString());
+}
+
+/**
+ * Read an archived run's event log from Drive history
+ * @param {string} runId - The run ID
+ * @returns {Object|null} The event log or null if none was archived
+ */
+function readArchivedRunEvents(runId) {
+  const files = getStateHistoryFolder().getFilesByName(`${runId}_events.json`);
+  if (!files.hasNext()) {
+    return null;
+  }
+  return JSON.parse(files.next().getBlob().getDataAsString());
+}
+
+/**
+ * Write a run's event log to Drive history (finished or archived runs)
+ * @param {string} runId - The run ID
+ * @param {Object} log - Log with events, nextSeq and dropped
+ */
+function saveArchivedRunEvents(runId, log) {
+  const folder = getStateHistoryFolder();
+  const filename = `${runId}_events.json`;
+  const existing = folder.getFilesByName(filename);
+  if (existing.hasNext()) {
+    existing.next().setContent(JSON.stringify(log));
+  } else {
+    folder.createFile(filename, JSON.stringify(log), MimeType.PLAIN_TEXT);
+  }
+}
+
+/**
+ * Trash a run's event log in Drive history
+ * @param {string} runId - The run ID
+ * @returns {number} Number of files trashed
+ */
+function removeArchivedRunEvents(runId) {
+  const files = getStateHistoryFolder().getFilesByName(`${runId}_events.json`);
+  let trashed = 0;
+  while (files.hasNext()) {
+    files.next().setTrashed(true);
+    trashed++;
+  }
+  return trashed;
+}
+
+/**
+ * Trash a run's archived state and event log in Drive history
+ * @param {string} runId - The run ID
+ * @returns {number} Number of files trashed
+ */
+function removeArchivedRunState(runId) {
+  const files = getStateHistoryFolder().getFilesByName(`${runId}.json`);
+  let trashed = removeArchivedRunEvents(runId);
+  while (files.hasNext()) {
+    files.next().setTrashed(true);
+    trashed++;
+  }
+  return trashed;
+}
+
+/**
+ * List the run IDs archived in Drive history
+ * @returns {string[]} Run IDs
+ */
+function listArchivedRunIds() {
+  const runIds = [];
+  const files = getStateHistoryFolder().getFiles();
+  while (files.hasNext()) {
+    const name = files.next().getName();
+    if (name.endsWith('.json') && !name.endsWith('_events.json')) {
+      runIds.push(name.substring(0, name.length - '.json'.length));
+    }
+  }
+  return runIds;
+}
+
+// ============================================================
+// Migration
+// ============================================================
+
+/**
+ * Rewrite every stored run state with the active backend
+ * Handles legacy single-property states, chunked states and Drive-backed IDs,
+ * so it can also be run after switching STATE_BACKEND.
+ * @returns {Object} { backend, migrated, failed }
+ */
+function migrateRunStates() {
+  const backend = getStateBackend();
+  const result = { backend: backend.name, migrated: 0, failed: [] };
+
+  listAllRunIds().forEach(runId => {
+    try {
+      // The drive reader understands every format
+      const state = readDriveBackedRunState(runId);
+      if (!state) {
+        return;
+      }
+
+      if (backend.name === 'properties' && state.processedIdsFileId) {
+        const fileId = state.processedIdsFileId;
+        delete state.processedIdsFileId;
+        delete state.processedIdsRevision;
+        backend.write(state);
+        DriveApp.getFileById(fileId).setTrashed(true);
+      } else {
+        backend.write(state);
+      }
+      result.migrated++;
+    } catch (e) {
+      console.error(`Failed to migrate run state ${runId}:`, e);
+      result.failed.push(runId);
+    }
+  });
+
+  console.log(`Migrated ${result.migrated} run states to the ${backend.name} backend`);
+  return result;
+}
@@ -12,14 +12,34 @@
 const RUN_STATUS = {
   CREATED: 'CREATED',
   PLANNING: 'PLANNING',
+  COLLECTING: 'COLLECTING',
+  // Sequential phases used by runs started before platforms were collected in parallel
   RUNNING_INSTAGRAM: 'RUNNING_INSTAGRAM',
   RUNNING_X: 'RUNNING_X',
   RUNNING_TIKTOK: 'RUNNING_TIKTOK',
+  PAUSED: 'PAUSED',
+  RESUMING: 'RESUMING',
   FINALIZING: 'FINALIZING',
   COMPLETED: 'COMPLETED',
   FAILED: 'FAILED'
 };
 
+/**
+ * Per-platform collection states, kept on each platform's progress object
+ */
+const PLATFORM_STATUS = {
+  PENDING: 'PENDING',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  SKIPPED: 'SKIPPED'
+};
+
+/**
+ * Platforms in the order they are served within an execution slice
+ */
+const PLATFORMS = ['instagram', 'x', 'tiktok'];
+
 /**
  * Generate a unique run ID
  * Format: YYYYMMDD_HHMMSS_<8charHash>
@@ -38,7 +58,7 @@ function generateRunId() {
  * @returns {string} The storage key
  */
 function getRunStateKey(runId) {
-  return `RUN_STATE_${runId}`;
+  return `${RUN_STATE_PREFIX}${runId}`;
 }
 
 /**
@@ -47,6 +67,7 @@ function getRunStateKey(runId) {
 const API_STATUS = {
   QUEUED: 'queued',
   RUNNING: 'running',
+  PAUSED: 'paused',
   COMPLETED: 'completed',
   FAILED: 'failed'
 };
@@ -61,11 +82,15 @@ function mapToApiStatus(runStatus) {
     case RUN_STATUS.CREATED:
     case RUN_STATUS.PLANNING:
       return API_STATUS.QUEUED;
+    case RUN_STATUS.COLLECTING:
+    case RUN_STATUS.RESUMING:
     case RUN_STATUS.RUNNING_INSTAGRAM:
     case RUN_STATUS.RUNNING_X:
     case RUN_STATUS.RUNNING_TIKTOK:
     case RUN_STATUS.FINALIZING:
       return API_STATUS.RUNNING;
+    case RUN_STATUS.PAUSED:
+      return API_STATUS.PAUSED;
     case RUN_STATUS.COMPLETED:
       return API_STATUS.COMPLETED;
     case RUN_STATUS.FAILED:
@@ -82,7 +107,13 @@ function mapToApiStatus(runStatus) {
  * @param {Object} [options] - Optional parameters
  * @param {string} [options.externalRunId] - External run ID from n8n
  * @param {string} [options.targetFolderId] - Target folder ID for output
- * @param {string} [options.source] - Source of the run ('ui' or 'api')
+ * @param {string} [options.source] - Source of the run ('ui', 'api' or 'schedule')
+ * @param {string} [options.templateId] - Run template that spawned the run
+ * @param {Object} [options.clonedFrom] - Source run ({ runId, spreadsheetId }) when cloned
+ * @param {string} [options.callbackUrl] - Webhook URL for this run's lifecycle events
+ * @param {string} [options.apiKeyId] - API key that started the run ('legacy' for CLIPPULSE_API_SECRET)
+ * @param {string} [options.batchId] - Batch the run belongs to
+ * @param {string} [options.llmProvider] - LLM provider chosen for the run (null = LLM_PROVIDER)
  * @returns {Object} The initial run state
  */
 function createRunState(runId, instruction, options = {}) {
@@ -91,30 +122,68 @@ function createRunState(runId, instruction, options = {}) {
     externalRunId: options.externalRunId || null,
     targetFolderId: options.targetFolderId || null,
     source: options.source || 'ui',
+    templateId: options.templateId || null,
+    clonedFrom: options.clonedFrom || null,
+    callbackUrl: options.callbackUrl || null,
+    apiKeyId: options.apiKeyId || null,
+    batchId: options.batchId || null,
+    llmProvider: options.llmProvider || null,
     instruction: instruction,
     status: RUN_STATUS.CREATED,
+    statusChangedAt: new Date().toISOString(),
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
 
-    // Plan from LLM
+    // Plan from LLM (updated by fallback expansions)
     plan: null,
 
+    // Plan the run started with, and where it came from ('llm', 'rules', 'user' or 'clone')
+    initialPlan: null,
+    planSource: null,
+
+    // What normalizing or repairing the LLM plan changed (see planInstruction)
+    planWarnings: [],
+
     // Progress tracking
     instagramProgress: {
+      status: null, // Set when collection starts
+      error: null,
+      message: null,
       collected: 0,
       target: 0,
+      startedAt: null, // First time the platform started running (reset by a retry)
+      startCollected: 0, // Posts already collected at startedAt
+      finishedAt: null,
+      artifacts: { videos: 0, watchPages: 0 },
       cursor: null,
+      hashtagIndex: 0,
+      searchYield: {}, // Posts collected per hashtag (see PlannerMemory.js)
       processedIds: []
     },
     xProgress: {
+      status: null, // Set when collection starts
+      error: null,
+      message: null,
       collected: 0,
       target: 0,
+      startedAt: null,
+      startCollected: 0,
+      finishedAt: null,
+      artifacts: { videos: 0, watchPages: 0 },
       cursor: null,
+      searchYield: {}, // Posts collected per search query
       processedIds: []
     },
     tiktokProgress: {
+      status: null, // Set when collection starts
+      error: null,
+      message: null,
       collected: 0,
       target: 0,
+      startedAt: null,
+      startCollected: 0,
+      finishedAt: null,
+      artifacts: { videos: 0, watchPages: 0 },
       cursor: null,
       searchId: null,
       processedIds: []
@@ -128,10 +197,22 @@ function createRunState(runId, instruction, options = {}) {
     xFolderId: null,
     tiktokFolderId: null,
 
+    // Collection position saved when the run was paused
+    checkpoint: null,
+
+    // Search expansions applied when a platform fell short (latest MAX_FALLBACK_EXPANSIONS)
+    fallbackExpansions: [],
+
     // Error tracking
     lastError: null,
     lastMessage: null,
 
+    // Outbound webhook delivery log (latest MAX_WEBHOOK_DELIVERIES)
+    webhookDeliveries: [],
+
+    // Start requests seen for this run ID: created, replayed or conflict (latest MAX_REQUEST_FINGERPRINTS)
+    requestFingerprints: [],
+
     // Batch processing
     currentBatch: 0,
     totalBatches: null
@@ -139,46 +220,98 @@ function createRunState(runId, instruction, options = {}) {
 }
 
 /**
- * Save run state to Script Properties
+ * Save run state through the configured state backend
  * @param {Object} state - The run state to save
  */
 function saveRunState(state) {
   state.updatedAt = new Date().toISOString();
-  const props = PropertiesService.getScriptProperties();
-  const key = getRunStateKey(state.runId);
-  props.setProperty(key, JSON.stringify(state));
+  getStateBackend().write(state);
 }
 
 /**
- * Load run state from Script Properties
+ * Load run state through the configured state backend
  * @param {string} runId - The run ID
  * @returns {Object|null} The run state or null if not found
  */
 function loadRunState(runId) {
-  const props = PropertiesService.getScriptProperties();
-  const key = getRunStateKey(runId);
-  const data = props.getProperty(key);
-
-  if (!data) {
-    return null;
-  }
-
   try {
-    return JSON.parse(data);
+    return getStateBackend().read(runId);
   } catch (e) {
-    console.error(`Failed to parse run state for ${runId}:`, e);
+    console.error(`Failed to load run state for ${runId}:`, e);
     return null;
   }
 }
 
 /**
- * Delete run state from Script Properties
+ * Delete run state (and any chunks, Drive files and event log) through the configured state backend
  * @param {string} runId - The run ID
  */
 function deleteRunState(runId) {
-  const props = PropertiesService.getScriptProperties();
-  const key = getRunStateKey(runId);
-  props.deleteProperty(key);
+  getStateBackend().remove(runId);
+  deleteRunEvents(runId);
+}
+
+/**
+ * How long a state mutation waits for the lock before giving up
+ */
+const RUN_STATE_LOCK_TIMEOUT_MS = 10000;
+
+/**
+ * Nesting depth of withRunStateLock in this execution
+ * Nested transactions reuse the lock already held instead of re-acquiring it.
+ */
+let runStateLockDepth = 0;
+
+/**
+ * Run a function while holding the script lock for run state
+ * LockService has no per-key locks, so all runs share the script lock.
+ * @param {string} runId - The run ID (for the error message)
+ * @param {function} fn - Function to run under the lock
+ * @returns {*} The function result
+ */
+function withRunStateLock(runId, fn) {
+  if (runStateLockDepth > 0) {
+    runStateLockDepth++;
+    try {
+      return fn();
+    } finally {
+      runStateLockDepth--;
+    }
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(RUN_STATE_LOCK_TIMEOUT_MS)) {
+    throw new Error(`Could not acquire run state lock for ${runId} within ${RUN_STATE_LOCK_TIMEOUT_MS}ms; another execution is holding it`);
+  }
+
+  runStateLockDepth++;
+  try {
+    return fn();
+  } finally {
+    runStateLockDepth--;
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Load, mutate and save a run state as one transaction
+ * Every StateStore mutator goes through this so overlapping executions
+ * cannot overwrite each other's updates.
+ * @param {string} runId - The run ID
+ * @param {function} mutator - Receives the loaded state and changes it in place
+ * @returns {*} The mutator result
+ */
+function updateRunState(runId, mutator) {
+  return withRunStateLock(runId, () => {
+    const state = loadRunState(runId);
+    if (!state) {
+      throw new Error(`Run state not found for ${runId}`);
+    }
+
+    const result = mutator(state);
+    saveRunState(state);
+    return result;
+  });
 }
 
 /**
@@ -186,18 +319,46 @@ function deleteRunState(runId) {
  * @param {string} runId - The run ID
  * @param {string} status - The new status
  * @param {string} message - Optional status message
+ * @param {string} [expectedStatus] - Only change the status while the run is still in this
+ *   status (checked under the run state lock, so a concurrent pause or cancel wins)
+ * @returns {boolean} False if expectedStatus did not match and nothing changed
  */
-function updateRunStatus(runId, status, message = null) {
-  const state = loadRunState(runId);
-  if (!state) {
-    throw new Error(`Run state not found for ${runId}`);
+function updateRunStatus(runId, status, message = null, expectedStatus = null) {
+  let batchId = null;
+  const previous = updateRunState(runId, state => {
+    const from = state.status;
+    if (expectedStatus && from !== expectedStatus) {
+      return null;
+    }
+    batchId = state.batchId || null;
+    state.status = status;
+    if (from !== status) {
+      state.statusChangedAt = new Date().toISOString();
+    }
+    if (message) {
+      state.lastMessage = message;
+    }
+    return from;
+  });
+
+  if (previous === null) {
+    return false;
   }
 
-  state.status = status;
-  if (message) {
-    state.lastMessage = message;
+  if (previous !== status) {
+    logRunEvent(runId, RUN_EVENT_TYPE.PHASE, `${previous} → ${status}${message ? `: ${message}` : ''}`,
+      { from: previous, to: status });
+
+    // Leaving CREATED is part of starting; startRun() sends 'started' once resources exist
+    if (previous !== RUN_STATUS.CREATED) {
+      notifyRunWebhooks(runId, getWebhookEventForStatus(status));
+    }
+
+    if (batchId && status === RUN_STATUS.COMPLETED) {
+      archiveRunBatchIfFinished(batchId);
+    }
   }
-  saveRunState(state);
+  return true;
 }
 
 /**
@@ -206,14 +367,24 @@ function updateRunStatus(runId, status, message = null) {
  * @param {string} error - The error message
  */
 function updateRunError(runId, error) {
-  const state = loadRunState(runId);
-  if (!state) {
-    throw new Error(`Run state not found for ${runId}`);
+  let batchId = null;
+  const previous = updateRunState(runId, state => {
+    const from = state.status;
+    batchId = state.batchId || null;
+    state.status = RUN_STATUS.FAILED;
+    state.statusChangedAt = new Date().toISOString();
+    state.lastError = error;
+    return from;
+  });
+
+  logRunEvent(runId, RUN_EVENT_TYPE.ERROR, error, { from: previous });
+  logRunEvent(runId, RUN_EVENT_TYPE.PHASE, `${previous} → ${RUN_STATUS.FAILED}`,
+    { from: previous, to: RUN_STATUS.FAILED });
+  notifyRunWebhooks(runId, WEBHOOK_EVENT.FAILED);
+
+  if (batchId) {
+    archiveRunBatchIfFinished(batchId);
   }
-
-  state.status = RUN_STATUS.FAILED;
-  state.lastError = error;
-  saveRunState(state);
 }
 
 /**
@@ -222,16 +393,12 @@ function updateRunError(runId, error) {
  * @param {Object} progress - Progress update
  */
 function updateInstagramProgress(runId, progress) {
-  const state = loadRunState(runId);
-  if (!state) {
-    throw new Error(`Run state not found for ${runId}`);
-  }
-
-  state.instagramProgress = {
-    ...state.instagramProgress,
-    ...progress
-  };
-  saveRunState(state);
+  updateRunState(runId, state => {
+    state.instagramProgress = {
+      ...state.instagramProgress,
+      ...progress
+    };
+  });
 }
 
 /**
@@ -240,16 +407,12 @@ function updateInstagramProgress(runId, progress) {
  * @param {Object} progress - Progress update
  */
 function updateXProgress(runId, progress) {
-  const state = loadRunState(runId);
-  if (!state) {
-    throw new Error(`Run state not found for ${runId}`);
-  }
-
-  state.xProgress = {
-    ...state.xProgress,
-    ...progress
-  };
-  saveRunState(state);
+  updateRunState(runId, state => {
+    state.xProgress = {
+      ...state.xProgress,
+      ...progress
+    };
+  });
 }
 
 /**
@@ -258,16 +421,153 @@ function updateXProgress(runId, progress) {
  * @param {Object} progress - Progress update
  */
 function updateTikTokProgress(runId, progress) {
-  const state = loadRunState(runId);
-  if (!state) {
-    throw new Error(`Run state not found for ${runId}`);
+  updateRunState(runId, state => {
+    state.tiktokProgress = {
+      ...state.tiktokProgress,
+      ...progress
+    };
+  });
+}
+
+/**
+ * Get the state property holding a platform's progress
+ * @param {string} platform - 'instagram', 'x', or 'tiktok'
+ * @returns {string} Property name, e.g. 'instagramProgress'
+ */
+function getPlatformProgressKey(platform) {
+  return `${platform}Progress`;
+}
+
+/**
+ * Check whether a platform status is terminal
+ * @param {string} status - A PLATFORM_STATUS value
+ * @returns {boolean}
+ */
+function isPlatformTerminal(status) {
+  return status === PLATFORM_STATUS.COMPLETED ||
+    status === PLATFORM_STATUS.FAILED ||
+    status === PLATFORM_STATUS.SKIPPED;
+}
+
+/**
+ * Update a platform's sub-state (status, error, message)
+ * @param {string} runId - The run ID
+ * @param {string} platform - 'instagram', 'x', or 'tiktok'
+ * @param {Object} updates - Fields to merge into the platform's progress
+ */
+function updatePlatformState(runId, platform, updates) {
+  const previous = updateRunState(runId, state => {
+    const key = getPlatformProgressKey(platform);
+    const from = state[key].status;
+    state[key] = {
+      ...state[key],
+      ...updates
+    };
+
+    // Timing for throughput and ETA; a platform that finished before (retry) starts a new measurement
+    const progress = state[key];
+    if (updates.status === PLATFORM_STATUS.RUNNING && from !== PLATFORM_STATUS.RUNNING &&
+        (!progress.startedAt || progress.finishedAt)) {
+      progress.startedAt = new Date().toISOString();
+      progress.startCollected = progress.collected || 0;
+      progress.finishedAt = null;
+    } else if (isPlatformTerminal(updates.status) && !isPlatformTerminal(from)) {
+      progress.finishedAt = new Date().toISOString();
+    }
+    return from;
+  });
+
+  if (updates.status && updates.status !== previous) {
+    const detail = updates.error || updates.message;
+    logRunEvent(runId, RUN_EVENT_TYPE.PLATFORM,
+      `${PLATFORM_LABELS[platform]} ${previous || 'new'} → ${updates.status}${detail ? `: ${detail}` : ''}`,
+      { platform: platform, from: previous || null, to: updates.status, error: updates.error || null });
   }
+}
 
-  state.tiktokProgress = {
-    ...state.tiktokProgress,
-    ...progress
-  };
-  saveRunState(state);
+/**
+ * Get each platform's status and error from a run state
+ * @param {Object} state - The run state
+ * @returns {Object} Map of platform to { status, error, message }
+ */
+function getPlatformStates(state) {
+  const platforms = {};
+  PLATFORMS.forEach(platform => {
+    const progress = state[getPlatformProgressKey(platform)] || {};
+    platforms[platform] = {
+      status: progress.status || null,
+      error: progress.error || null,
+      message: progress.message || null
+    };
+  });
+  return platforms;
+}
+
+/**
+ * Extract each platform's resume position from a run state
+ * @param {Object} state - The run state
+ * @returns {Object} Checkpoint with cursor, hashtag index and search ID per platform
+ */
+function getRunCheckpoint(state) {
+  const checkpoint = { savedAt: new Date().toISOString() };
+
+  PLATFORMS.forEach(platform => {
+    const progress = state[getPlatformProgressKey(platform)] || {};
+    checkpoint[platform] = {
+      status: progress.status || null,
+      collected: progress.collected || 0,
+      target: progress.target || 0,
+      cursor: progress.cursor || null,
+      hashtagIndex: progress.hashtagIndex || 0,
+      searchId: progress.searchId || null
+    };
+  });
+
+  return checkpoint;
+}
+
+/**
+ * Save the run's current collection position as its checkpoint
+ * @param {string} runId - The run ID
+ * @returns {Object} The saved checkpoint
+ */
+function saveRunCheckpoint(runId) {
+  return updateRunState(runId, state => {
+    state.checkpoint = getRunCheckpoint(state);
+    return state.checkpoint;
+  });
+}
+
+/**
+ * Put every platform's cursor, hashtag index and search ID back to the saved checkpoint
+ * @param {string} runId - The run ID
+ * @returns {Object|null} The restored checkpoint, or null if none was saved
+ */
+function restoreRunCheckpoint(runId) {
+  return updateRunState(runId, state => {
+    const checkpoint = state.checkpoint;
+    if (!checkpoint) {
+      return null;
+    }
+
+    PLATFORMS.forEach(platform => {
+      const saved = checkpoint[platform];
+      const key = getPlatformProgressKey(platform);
+      if (!saved || !state[key]) {
+        return;
+      }
+
+      state[key].cursor = saved.cursor;
+      if (platform === 'instagram') {
+        state[key].hashtagIndex = saved.hashtagIndex;
+      }
+      if (platform === 'tiktok') {
+        state[key].searchId = saved.searchId;
+      }
+    });
+
+    return checkpoint;
+  });
 }
 
 /**
@@ -277,29 +577,24 @@ function updateTikTokProgress(runId, progress) {
  * @param {string} postId - The post ID
  */
 function addProcessedPostId(runId, platform, postId) {
-  const state = loadRunState(runId);
-  if (!state) {
-    throw new Error(`Run state not found for ${runId}`);
-  }
-
-  if (platform === 'instagram') {
-    if (!state.instagramProgress.processedIds.includes(postId)) {
-      state.instagramProgress.processedIds.push(postId);
-    }
-  } else if (platform === 'x') {
-    if (!state.xProgress) {
-      state.xProgress = { collected: 0, target: 0, cursor: null, processedIds: [] };
+  updateRunState(runId, state => {
+    if (platform === 'instagram') {
+      if (!state.instagramProgress.processedIds.includes(postId)) {
+        state.instagramProgress.processedIds.push(postId);
+      }
+    } else if (platform === 'x') {
+      if (!state.xProgress) {
+        state.xProgress = { collected: 0, target: 0, cursor: null, processedIds: [] };
+      }
+      if (!state.xProgress.processedIds.includes(postId)) {
+        state.xProgress.processedIds.push(postId);
+      }
+    } else if (platform === 'tiktok') {
+      if (!state.tiktokProgress.processedIds.includes(postId)) {
+        state.tiktokProgress.processedIds.push(postId);
+      }
     }
-    if (!state.xProgress.processedIds.includes(postId)) {
-      state.xProgress.processedIds.push(postId);
-    }
-  } else if (platform === 'tiktok') {
-    if (!state.tiktokProgress.processedIds.includes(postId)) {
-      state.tiktokProgress.processedIds.push(postId);
-    }
-  }
-
-  saveRunState(state);
+  });
 }
 
 /**
@@ -330,29 +625,33 @@ function isPostProcessed(runId, platform, postId) {
  * Set the plan for a run
  * @param {string} runId - The run ID
  * @param {Object} plan - The plan object from LLM
+ * @param {string} [planSource] - 'llm', 'rules', 'user' or 'clone' when this is the plan the run starts with;
+ *   omitted for fallback expansions so the starting plan stays reproducible
+ * @param {string[]} [planWarnings] - What normalizing or repairing the starting plan changed
  */
-function setRunPlan(runId, plan) {
-  const state = loadRunState(runId);
-  if (!state) {
-    throw new Error(`Run state not found for ${runId}`);
-  }
-
-  state.plan = plan;
-
-  // Set targets from plan
-  if (plan.targetCounts) {
-    if (plan.targetCounts.instagram !== undefined) {
-      state.instagramProgress.target = plan.targetCounts.instagram;
-    }
-    if (plan.targetCounts.x !== undefined) {
-      state.xProgress.target = plan.targetCounts.x;
+function setRunPlan(runId, plan, planSource = null, planWarnings = null) {
+  updateRunState(runId, state => {
+    state.plan = plan;
+
+    if (planSource) {
+      state.initialPlan = JSON.parse(JSON.stringify(plan));
+      state.planSource = planSource;
+      state.planWarnings = planWarnings || [];
     }
-    if (plan.targetCounts.tiktok !== undefined) {
-      state.tiktokProgress.target = plan.targetCounts.tiktok;
-    }
-  }
 
-  saveRunState(state);
+    // Set targets from plan
+    if (plan.targetCounts) {
+      if (plan.targetCounts.instagram !== undefined) {
+        state.instagramProgress.target = plan.targetCounts.instagram;
+      }
+      if (plan.targetCounts.x !== undefined) {
+        state.xProgress.target = plan.targetCounts.x;
+      }
+      if (plan.targetCounts.tiktok !== undefined) {
+        state.tiktokProgress.target = plan.targetCounts.tiktok;
+      }
+    }
+  });
 }
 
 /**
@@ -361,31 +660,26 @@ function setRunPlan(runId, plan) {
  * @param {Object} resources - Resource IDs to set
  */
 function setRunResources(runId, resources) {
-  const state = loadRunState(runId);
-  if (!state) {
-    throw new Error(`Run state not found for ${runId}`);
-  }
-
-  if (resources.spreadsheetId) {
-    state.spreadsheetId = resources.spreadsheetId;
-  }
-  if (resources.spreadsheetUrl) {
-    state.spreadsheetUrl = resources.spreadsheetUrl;
-  }
-  if (resources.runFolderId) {
-    state.runFolderId = resources.runFolderId;
-  }
-  if (resources.instagramFolderId) {
-    state.instagramFolderId = resources.instagramFolderId;
-  }
-  if (resources.xFolderId) {
-    state.xFolderId = resources.xFolderId;
-  }
-  if (resources.tiktokFolderId) {
-    state.tiktokFolderId = resources.tiktokFolderId;
-  }
-
-  saveRunState(state);
+  updateRunState(runId, state => {
+    if (resources.spreadsheetId) {
+      state.spreadsheetId = resources.spreadsheetId;
+    }
+    if (resources.spreadsheetUrl) {
+      state.spreadsheetUrl = resources.spreadsheetUrl;
+    }
+    if (resources.runFolderId) {
+      state.runFolderId = resources.runFolderId;
+    }
+    if (resources.instagramFolderId) {
+      state.instagramFolderId = resources.instagramFolderId;
+    }
+    if (resources.xFolderId) {
+      state.xFolderId = resources.xFolderId;
+    }
+    if (resources.tiktokFolderId) {
+      state.tiktokFolderId = resources.tiktokFolderId;
+    }
+  });
 }
 
 /**
@@ -411,6 +705,7 @@ function getRunSummary(runId) {
     tiktokTarget: state.tiktokProgress.target,
     lastMessage: state.lastMessage,
     lastError: state.lastError,
+    platforms: getPlatformStates(state),
     createdAt: state.createdAt,
     updatedAt: state.updatedAt
   };
@@ -427,6 +722,9 @@ function getApiStatusSummary(runId) {
     return null;
   }
 
+  const now = Date.now();
+  const eta = estimateRunEta(state, now);
+
   return {
     run_id: state.externalRunId || state.runId,
     internal_run_id: state.runId,
@@ -437,12 +735,36 @@ function getApiStatusSummary(runId) {
     created_folder_id: state.runFolderId || null,
     updated_at: state.updatedAt,
     created_at: state.createdAt,
+    api_key_id: state.apiKeyId || null,
+    batch_id: state.batchId || null,
+    llm_provider: state.llmProvider || null,
+    queue_position: formatQueuePosition(getRunQueuePosition(state.runId)),
     metrics: {
       instagram_rows: state.instagramProgress?.collected || 0,
       instagram_target: state.instagramProgress?.target || 0,
       x_rows: state.xProgress?.collected || 0,
-      x_target: state.xProgress?.target || 0
+      x_target: state.xProgress?.target || 0,
+      tiktok_rows: state.tiktokProgress?.collected || 0,
+      tiktok_target: state.tiktokProgress?.target || 0
+    },
+    phase: formatRunPhase(state),
+    platforms: formatPlatformDetails(state, now),
+    artifacts: {
+      videos_saved: sumPlatformArtifacts(state, 'videos'),
+      watch_html_only: sumPlatformArtifacts(state, 'watchPages')
     },
+    fallback_expansions: (state.fallbackExpansions || []).map(expansion => ({
+      platform: expansion.platform,
+      at: expansion.at,
+      collected: expansion.collected,
+      target: expansion.target,
+      changes: expansion.changes
+    })),
+    eta_seconds: eta,
+    eta_at: eta === null ? null : new Date(now + eta * 1000).toISOString(),
+    plan: state.plan || null,
+    plan_warnings: state.planWarnings || [],
+    checkpoint: state.status === RUN_STATUS.PAUSED ? formatCheckpoint(state.checkpoint) : null,
     message: state.lastMessage || null,
     error: state.lastError ? {
       code: 'RUN_ERROR',
@@ -451,6 +773,202 @@ function getApiStatusSummary(runId) {
   };
 }
 
+/**
+ * Format the run's phase and how many platforms are in each state
+ * @param {Object} state - The run state
+ * @returns {Object} { current, since, platforms: { pending, running, completed, failed, skipped } }
+ */
+function formatRunPhase(state) {
+  const counts = {};
+  Object.values(PLATFORM_STATUS).forEach(status => {
+    counts[status.toLowerCase()] = 0;
+  });
+  PLATFORMS.forEach(platform => {
+    const status = state[getPlatformProgressKey(platform)]?.status;
+    if (status) {
+      counts[status.toLowerCase()]++;
+    }
+  });
+
+  return {
+    current: state.status,
+    since: state.statusChangedAt || null,
+    platforms: counts
+  };
+}
+
+/**
+ * Format every platform's progress for the API
+ * @param {Object} state - The run state
+ * @param {number} now - Current time in ms
+ * @returns {Object} Map of platform to status, counts, timing, current search, artifacts and ETA
+ */
+function formatPlatformDetails(state, now) {
+  const formatted = {};
+  PLATFORMS.forEach(platform => {
+    const progress = state[getPlatformProgressKey(platform)] || {};
+    const throughput = getPlatformThroughput(progress, now);
+    const artifacts = progress.artifacts || {};
+
+    formatted[platform] = {
+      status: progress.status ? progress.status.toLowerCase() : null,
+      error: progress.error || null,
+      message: progress.message || null,
+      collected: progress.collected || 0,
+      target: progress.target || 0,
+      started_at: progress.startedAt || null,
+      finished_at: progress.finishedAt || null,
+      current_search: isPlatformTerminal(progress.status) ? null : getPlatformCurrentSearch(state, platform),
+      artifacts: {
+        videos_saved: artifacts.videos || 0,
+        watch_html_only: artifacts.watchPages || 0
+      },
+      posts_per_minute: throughput === null ? null : Math.round(throughput * 60000 * 10) / 10,
+      eta_seconds: estimatePlatformEta(progress, now)
+    };
+  });
+  return formatted;
+}
+
+/**
+ * Describe the hashtag or query a platform is working through
+ * @param {Object} state - The run state
+ * @param {string} platform - 'instagram', 'x', or 'tiktok'
+ * @returns {Object|null} { type: 'hashtag' | 'account' | 'query', value, index, total } or null without a plan
+ */
+function getPlatformCurrentSearch(state, platform) {
+  const plan = state.plan;
+  if (!plan || !(plan.targetCounts?.[platform] > 0)) {
+    return null;
+  }
+
+  switch (platform) {
+    case 'instagram': {
+      if (!usesInstagramHashtagStrategy(plan)) {
+        return { type: 'account', value: null, index: null, total: null };
+      }
+      const hashtags = getInstagramHashtagsToSearch(plan);
+      const index = Math.min(state.instagramProgress?.hashtagIndex || 0, Math.max(hashtags.length - 1, 0));
+      return { type: 'hashtag', value: hashtags[index] || null, index: index, total: hashtags.length };
+    }
+    case 'x':
+      return { type: 'query', value: buildXSearchQuery(plan), index: null, total: null };
+    case 'tiktok': {
+      const terms = (plan.keywords || []).concat((plan.hashtags || []).map(tag => `#${tag}`));
+      return { type: 'query', value: plan.queryStrategy?.tiktok?.primaryQuery || terms.join(' ') || null, index: null, total: null };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Observed collection rate of a platform since it started running
+ * @param {Object} progress - The platform's progress
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Posts per ms, or null before anything was collected
+ */
+function getPlatformThroughput(progress, now) {
+  if (!progress.startedAt) {
+    return null;
+  }
+
+  const end = progress.finishedAt ? new Date(progress.finishedAt).getTime() : now;
+  const elapsed = end - new Date(progress.startedAt).getTime();
+  const collected = (progress.collected || 0) - (progress.startCollected || 0);
+  return elapsed > 0 && collected > 0 ? collected / elapsed : null;
+}
+
+/**
+ * Estimate the seconds a platform needs to reach its target at the observed rate
+ * @param {Object} progress - The platform's progress
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Seconds (0 when finished), or null while the rate is unknown
+ */
+function estimatePlatformEta(progress, now) {
+  if (isPlatformTerminal(progress.status) || (progress.target || 0) <= (progress.collected || 0)) {
+    return 0;
+  }
+
+  const throughput = getPlatformThroughput(progress, now);
+  if (throughput === null) {
+    return null;
+  }
+  return Math.ceil((progress.target - progress.collected) / throughput / 1000);
+}
+
+/**
+ * Estimate the seconds until a run finishes collecting
+ * Platforms collect in parallel, so the slowest one decides; time spent
+ * waiting in the run queue is only included as far as it slowed the observed rate.
+ * @param {Object} state - The run state
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Seconds (0 when done), or null when paused, failed or not yet measurable
+ */
+function estimateRunEta(state, now) {
+  if (state.status === RUN_STATUS.COMPLETED || state.status === RUN_STATUS.FINALIZING) {
+    return 0;
+  }
+  if (state.status === RUN_STATUS.FAILED || state.status === RUN_STATUS.PAUSED) {
+    return null;
+  }
+
+  const etas = PLATFORMS.map(platform => estimatePlatformEta(state[getPlatformProgressKey(platform)] || {}, now));
+  return etas.includes(null) ? null : Math.max(...etas);
+}
+
+/**
+ * Sum an artifact count over every platform
+ * @param {Object} state - The run state
+ * @param {string} kind - 'videos' or 'watchPages'
+ * @returns {number} Total
+ */
+function sumPlatformArtifacts(state, kind) {
+  return PLATFORMS.reduce((sum, platform) =>
+    sum + ((state[getPlatformProgressKey(platform)] || {}).artifacts?.[kind] || 0), 0);
+}
+
+/**
+ * Format a pause checkpoint for the API
+ * @param {Object|null} checkpoint - Result of getRunCheckpoint
+ * @returns {Object|null} Snake-case checkpoint
+ */
+function formatCheckpoint(checkpoint) {
+  if (!checkpoint) {
+    return null;
+  }
+
+  const formatted = { saved_at: checkpoint.savedAt };
+  PLATFORMS.forEach(platform => {
+    const saved = checkpoint[platform] || {};
+    formatted[platform] = {
+      collected: saved.collected || 0,
+      target: saved.target || 0,
+      cursor: saved.cursor || null,
+      hashtag_index: saved.hashtagIndex || 0,
+      search_id: saved.searchId || null
+    };
+  });
+  return formatted;
+}
+
+/**
+ * Format a run queue position for the API
+ * @param {Object|null} queuePosition - Result of getRunQueuePosition
+ * @returns {Object|null} Snake-case queue position or null if not queued
+ */
+function formatQueuePosition(queuePosition) {
+  if (!queuePosition) {
+    return null;
+  }
+
+  return {
+    position: queuePosition.position,
+    active: queuePosition.active,
+    queue_length: queuePosition.queueLength
+  };
+}
+
 /**
  * List all run IDs (for debugging/admin)
  * @returns {string[]} Array of run IDs
@@ -458,26 +976,37 @@ function getApiStatusSummary(runId) {
 function listAllRunIds() {
   const props = PropertiesService.getScriptProperties();
   const allProps = props.getProperties();
-  const prefix = 'RUN_STATE_';
 
   return Object.keys(allProps)
-    .filter(key => key.startsWith(prefix))
-    .map(key => key.substring(prefix.length));
+    .filter(key => key.startsWith(RUN_STATE_PREFIX))
+    .map(key => key.substring(RUN_STATE_PREFIX.length));
 }
 
 /**
  * Clean up old run states (keep last N runs)
+ * With the drive backend, older runs are archived to Drive history instead of deleted.
  * @param {number} keepCount - Number of recent runs to keep
  */
 function cleanupOldRunStates(keepCount = 50) {
   const runIds = listAllRunIds();
+  const archive = getStateBackend().name === 'drive';
 
   // Sort by run ID (which includes timestamp) descending
   runIds.sort().reverse();
 
-  // Delete runs beyond keepCount
+  // Delete (or archive) runs beyond keepCount
   const toDelete = runIds.slice(keepCount);
-  toDelete.forEach(runId => deleteRunState(runId));
+  toDelete.forEach(runId => {
+    if (archive) {
+      archiveRunState(runId);
+    } else {
+      const batchId = (loadRunState(runId) || {}).batchId;
+      deleteRunState(runId);
+      if (batchId) {
+        deleteRunBatchIfEmpty(batchId);
+      }
+    }
+  });
 
   return toDelete.length;
 }
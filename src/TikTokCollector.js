@@ -157,6 +157,7 @@ function queryTikTokResearchAPI(params) {
     requestBody.is_random = true;
   }
 
+  const startedAt = Date.now();
   const response = UrlFetchApp.fetch(`${TIKTOK_RESEARCH_API_BASE}/video/query/`, {
     method: 'post',
     headers: {
@@ -168,6 +169,7 @@ function queryTikTokResearchAPI(params) {
   });
 
   const responseCode = response.getResponseCode();
+  logApiCall('tiktok', `${TIKTOK_RESEARCH_API_BASE}/video/query/`, responseCode, startedAt);
   const responseBody = JSON.parse(response.getContentText());
 
   if (responseCode !== 200) {
@@ -266,6 +268,7 @@ function collectTikTokViaResearchAPI(runId, plan, targetCount, onProgress) {
 
         // Check for duplicates (spec section 10.4)
         if (isPostProcessed(runId, 'tiktok', videoId)) {
+          logDuplicateSkipped(runId, 'tiktok', videoId);
           skipped++;
           continue;
         }
@@ -364,6 +367,7 @@ function collectTikTokViaDisplayAPI(runId, plan, targetCount, onProgress) {
   const memoPrefix = 'TikTok Research API unavailable; used Display API fallback; many fields missing';
 
   try {
+    const startedAt = Date.now();
     const response = UrlFetchApp.fetch(
       `${TIKTOK_DISPLAY_API_BASE}/video/list/?fields=id,create_time,cover_image_url,share_url,video_description,duration,title` +
       (cursor ? `&cursor=${cursor}` : '') +
@@ -376,6 +380,7 @@ function collectTikTokViaDisplayAPI(runId, plan, targetCount, onProgress) {
       }
     );
 
+    logApiCall('tiktok', `${TIKTOK_DISPLAY_API_BASE}/video/list/`, response.getResponseCode(), startedAt);
     const data = JSON.parse(response.getContentText());
 
     if (data.data?.videos) {
@@ -383,6 +388,7 @@ function collectTikTokViaDisplayAPI(runId, plan, targetCount, onProgress) {
         const videoId = String(video.id);
 
         if (isPostProcessed(runId, 'tiktok', videoId)) {
+          logDuplicateSkipped(runId, 'tiktok', videoId);
           continue;
         }
 
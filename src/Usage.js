@@ -0,0 +1,346 @@
+/**
+ * Usage.js
+ * Per-API-key usage ledger and limits
+ *
+ * Each API key gets one ledger per UTC day with:
+ * - requests: API requests made with the key
+ * - runs: runs the key started
+ * - posts: posts written to the spreadsheets of those runs
+ * - calls: outbound API calls per provider (openai or another LLM provider, instagram, rapidapi, x, tiktok, http)
+ *
+ * Work done while handling an API request (planning, dry runs, starting a run)
+ * is counted against the request's key. Work done later by trigger slices is
+ * counted against the key that started the run. Counts are buffered in memory
+ * and written once per execution by flushApiUsage(), under the user lock
+ * rather than the script lock, so status polls never wait for run slices.
+ *
+ * Limits come from Script Properties (API_LIMIT_*; unset or 0 = unlimited) and
+ * can be overridden per key with setApiKeyLimits(). routeApiRequest rejects
+ * requests over a limit with RATE_LIMITED and retry_after (seconds).
+ */
+
+/**
+ * Script Property prefix for usage ledgers (API_USAGE_<keyId>_<yyyyMMdd>)
+ */
+const API_USAGE_PREFIX = 'API_USAGE_';
+
+/**
+ * Days of ledgers kept per key
+ */
+const API_USAGE_RETENTION_DAYS = 31;
+
+/**
+ * Actions that consume provider credit and are refused once a daily limit is used up
+ */
+const API_METERED_ACTIONS = ['start', 'start_with_plan', 'start_batch', 'plan', 'retry', 'resume'];
+
+/**
+ * How long flushApiUsage() waits for the usage lock (ms)
+ */
+const API_USAGE_LOCK_TIMEOUT_MS = 5000;
+
+/**
+ * API key that work in this execution is counted against (set per API request)
+ */
+let activeUsageKeyId = null;
+
+/**
+ * Usage buffered in this execution, keyed by 'key:<keyId>' or 'run:<runId>'
+ */
+const pendingApiUsage = {};
+
+/**
+ * Set the API key that usage in this execution is counted against
+ * @param {string|null} keyId - The key ID, or null to count against the active run's key
+ */
+function setActiveUsageKey(keyId) {
+  activeUsageKeyId = keyId;
+}
+
+/**
+ * Count usage against the active API key, or the key that started the active run
+ * Nothing is recorded for work outside an API request or keyed run (UI, schedules).
+ * @param {string} field - 'requests', 'runs', 'posts' or 'calls'
+ * @param {number} [amount] - Amount to add
+ * @param {string} [provider] - Provider name, for 'calls'
+ */
+function countApiUsage(field, amount = 1, provider = null) {
+  const runId = getActiveEventRun();
+  const target = activeUsageKeyId ? `key:${activeUsageKeyId}` : (runId ? `run:${runId}` : null);
+  if (!target || amount <= 0) {
+    return;
+  }
+
+  const pending = pendingApiUsage[target] || (pendingApiUsage[target] = createUsageLedger());
+  if (field === 'calls') {
+    pending.calls[provider] = (pending.calls[provider] || 0) + amount;
+  } else {
+    pending[field] += amount;
+  }
+}
+
+/**
+ * Create an empty ledger
+ * @returns {Object} { requests, runs, posts, calls }
+ */
+function createUsageLedger() {
+  return { requests: 0, runs: 0, posts: 0, calls: {} };
+}
+
+/**
+ * Get the ledger day for a time
+ * @param {Date} [date] - The time (defaults to now)
+ * @returns {string} yyyyMMdd in UTC
+ */
+function getUsageDay(date = new Date()) {
+  return Utilities.formatDate(date, 'UTC', 'yyyyMMdd');
+}
+
+/**
+ * Load a key's ledger for a day
+ * @param {string} keyId - The key ID
+ * @param {string} [day] - yyyyMMdd (defaults to today)
+ * @returns {Object} The ledger (empty if nothing was recorded)
+ */
+function loadUsageLedger(keyId, day = getUsageDay()) {
+  const data = PropertiesService.getScriptProperties().getProperty(`${API_USAGE_PREFIX}${keyId}_${day}`);
+  return data ? JSON.parse(data) : createUsageLedger();
+}
+
+/**
+ * Write buffered usage to the ledgers
+ * Usage buffered for a run goes to the key that started it.
+ */
+function flushApiUsage() {
+  const targets = Object.keys(pendingApiUsage);
+  if (targets.length === 0) {
+    return;
+  }
+
+  const byKey = {};
+  targets.forEach(target => {
+    const usage = pendingApiUsage[target];
+    delete pendingApiUsage[target];
+
+    const keyId = target.startsWith('key:')
+      ? target.substring(4)
+      : (loadRunState(target.substring(4)) || {}).apiKeyId;
+    if (keyId) {
+      byKey[keyId] = mergeUsageLedgers(byKey[keyId] || createUsageLedger(), usage);
+    }
+  });
+
+  const day = getUsageDay();
+  const props = PropertiesService.getScriptProperties();
+  try {
+    withApiUsageLock(() => {
+      Object.keys(byKey).forEach(keyId => {
+        const property = `${API_USAGE_PREFIX}${keyId}_${day}`;
+        const existing = props.getProperty(property);
+        if (!existing) {
+          pruneApiUsage(keyId);
+        }
+        const ledger = mergeUsageLedgers(existing ? JSON.parse(existing) : createUsageLedger(), byKey[keyId]);
+        props.setProperty(property, JSON.stringify(ledger));
+      });
+    });
+  } catch (e) {
+    // Accounting must never break a request or a run
+    console.error('Failed to record API usage:', e);
+  }
+}
+
+/**
+ * Run a function holding the usage lock
+ * Ledgers are guarded by the user lock, not the script lock that guards run
+ * state (withRunStateLock), so flushing usage after a status poll never queues
+ * behind a run slice. The web app runs as the deploying user, like the
+ * triggers, so every ledger write and per-minute count takes the same lock.
+ * @param {function} fn - Function to run
+ * @returns {*} The function's result
+ */
+function withApiUsageLock(fn) {
+  const lock = LockService.getUserLock();
+  if (!lock.tryLock(API_USAGE_LOCK_TIMEOUT_MS)) {
+    throw new Error(`Could not acquire the usage lock within ${API_USAGE_LOCK_TIMEOUT_MS}ms`);
+  }
+  try {
+    return fn();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Add one ledger's counts to another
+ * @param {Object} target - Ledger to add to (modified)
+ * @param {Object} usage - Ledger to add
+ * @returns {Object} The target ledger
+ */
+function mergeUsageLedgers(target, usage) {
+  target.requests += usage.requests;
+  target.runs += usage.runs;
+  target.posts += usage.posts;
+  Object.keys(usage.calls).forEach(provider => {
+    target.calls[provider] = (target.calls[provider] || 0) + usage.calls[provider];
+  });
+  return target;
+}
+
+/**
+ * Delete a key's ledgers older than API_USAGE_RETENTION_DAYS
+ * @param {string} keyId - The key ID
+ */
+function pruneApiUsage(keyId) {
+  const props = PropertiesService.getScriptProperties();
+  const prefix = `${API_USAGE_PREFIX}${keyId}_`;
+  const oldest = getUsageDay(new Date(Date.now() - API_USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+
+  Object.keys(props.getProperties())
+    .filter(property => property.startsWith(prefix) && property.substring(prefix.length) < oldest)
+    .forEach(property => props.deleteProperty(property));
+}
+
+/**
+ * Get the limits that apply to a key
+ * Per-key limits (setApiKeyLimits) override the API_LIMIT_* Script Properties.
+ * @param {string} keyId - The key ID
+ * @returns {Object} { requestsPerMinute, runsPerDay, postsPerDay, callsPerDay } (0 = unlimited)
+ */
+function getApiUsageLimits(keyId) {
+  const key = keyId === LEGACY_API_KEY_ID ? null : loadApiKey(keyId);
+  const own = (key && key.limits) || {};
+  const limit = (name, configKey) => own[name] !== undefined && own[name] !== null
+    ? Number(own[name])
+    : parseInt(getConfig(configKey, '0'), 10) || 0;
+
+  return {
+    requestsPerMinute: limit('requestsPerMinute', CONFIG_KEYS.API_LIMIT_REQUESTS_PER_MINUTE),
+    runsPerDay: limit('runsPerDay', CONFIG_KEYS.API_LIMIT_RUNS_PER_DAY),
+    postsPerDay: limit('postsPerDay', CONFIG_KEYS.API_LIMIT_POSTS_PER_DAY),
+    callsPerDay: limit('callsPerDay', CONFIG_KEYS.API_LIMIT_CALLS_PER_DAY)
+  };
+}
+
+/**
+ * Count a ledger's outbound calls across providers
+ * @param {Object} ledger - The ledger
+ * @returns {number} Total calls
+ */
+function getTotalUsageCalls(ledger) {
+  return Object.keys(ledger.calls).reduce((sum, provider) => sum + ledger.calls[provider], 0);
+}
+
+/**
+ * Check a request against the key's limits and count it
+ * The per-minute window is kept in CacheService and counted under the usage
+ * lock (a request that cannot get the lock is refused); daily limits only refuse
+ * metered actions, so callers can still poll status after a quota is used up.
+ * @param {string} keyId - The key ID
+ * @param {string} action - The requested action (lowercase)
+ * @returns {Object} { ok } or { ok: false, error } with an API error object
+ */
+function checkApiUsageLimits(keyId, action) {
+  const limits = getApiUsageLimits(keyId);
+  const now = Date.now();
+  const limited = (message, retryAfter) => ({
+    ok: false,
+    error: { code: 'RATE_LIMITED', message: message, retry_after: retryAfter }
+  });
+
+  if (limits.requestsPerMinute > 0) {
+    const minute = Math.floor(now / 60000);
+    const cache = CacheService.getScriptCache();
+    const cacheKey = `API_RATE_${keyId}_${minute}`;
+    let allowed;
+    try {
+      // Read and increment under the lock, so a burst cannot all see the same count
+      allowed = withApiUsageLock(() => {
+        const count = parseInt(cache.get(cacheKey), 10) || 0;
+        if (count >= limits.requestsPerMinute) {
+          return false;
+        }
+        cache.put(cacheKey, String(count + 1), 120);
+        return true;
+      });
+    } catch (e) {
+      return limited(`Could not check the request rate of API key ${keyId}; retry shortly`, 1);
+    }
+    if (!allowed) {
+      return limited(`API key ${keyId} exceeded ${limits.requestsPerMinute} requests per minute`,
+        Math.ceil(((minute + 1) * 60000 - now) / 1000));
+    }
+  }
+
+  if (API_METERED_ACTIONS.includes(action)) {
+    const ledger = loadUsageLedger(keyId);
+    const exceeded = [
+      { used: ledger.runs, max: limits.runsPerDay, label: 'runs' },
+      { used: ledger.posts, max: limits.postsPerDay, label: 'posts' },
+      { used: getTotalUsageCalls(ledger), max: limits.callsPerDay, label: 'outbound API calls' }
+    ].find(check => check.max > 0 && check.used >= check.max);
+
+    if (exceeded) {
+      return limited(`API key ${keyId} used its daily limit of ${exceeded.max} ${exceeded.label}`,
+        getSecondsUntilNextUsageDay());
+    }
+  }
+
+  countApiUsage('requests');
+  return { ok: true };
+}
+
+/**
+ * Check that a key may start several runs today (start_batch)
+ * Runs already started today and batch members still waiting to start both
+ * count against the key's runs-per-day limit.
+ * @param {string|null} keyId - The key ID (no limit without a key)
+ * @param {number} runCount - Runs the request would start
+ * @returns {Object} { ok: true } or { ok: false, error } with a RATE_LIMITED API error
+ */
+function checkApiRunAllowance(keyId, runCount) {
+  const runsPerDay = keyId ? getApiUsageLimits(keyId).runsPerDay : 0;
+  if (!(runsPerDay > 0)) {
+    return { ok: true };
+  }
+
+  const remaining = runsPerDay - loadUsageLedger(keyId).runs - countPendingBatchRuns(keyId);
+  if (remaining >= runCount) {
+    return { ok: true };
+  }
+
+  return {
+    ok: false,
+    error: {
+      code: 'RATE_LIMITED',
+      message: `API key ${keyId} can start ${Math.max(remaining, 0)} more run(s) today (limit ${runsPerDay}); the batch has ${runCount}`,
+      retry_after: getSecondsUntilNextUsageDay()
+    }
+  };
+}
+
+/**
+ * Seconds until the next ledger day starts (UTC midnight)
+ * @returns {number} Seconds
+ */
+function getSecondsUntilNextUsageDay() {
+  const now = Date.now();
+  return Math.ceil((Math.ceil((now + 1) / 86400000) * 86400000 - now) / 1000);
+}
+
+/**
+ * Get a key's usage for recent days, newest first
+ * @param {string} keyId - The key ID
+ * @param {number} [days] - Number of days (including today)
+ * @returns {Object} { keyId, limits, days: [{ day, requests, runs, posts, calls }] }
+ */
+function getApiUsage(keyId, days = 7) {
+  const count = Math.min(Math.max(days, 1), API_USAGE_RETENTION_DAYS);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const day = getUsageDay(new Date(Date.now() - i * 24 * 60 * 60 * 1000));
+    entries.push({ day: day, ...loadUsageLedger(keyId, day) });
+  }
+
+  return { keyId: keyId, limits: getApiUsageLimits(keyId), days: entries };
+}
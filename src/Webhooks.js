@@ -0,0 +1,390 @@
+/**
+ * Webhooks.js
+ * Outbound webhooks on run lifecycle events
+ *
+ * Instead of polling action=status, callers can receive a signed JSON POST
+ * when a run starts, changes phase, completes or fails. The body has the same
+ * shape as the status response (getApiStatusSummary) plus the event name.
+ *
+ * Recipients:
+ * - The run's own callback URL (`callback_url` on start)
+ * - The global CLIPPULSE_WEBHOOK_URL Script Property (comma-separated)
+ *
+ * Signature: HMAC-SHA256 over "<timestamp>.<body>" with CLIPPULSE_WEBHOOK_SECRET
+ * (or CLIPPULSE_API_SECRET), sent as X-ClipPulse-Signature: sha256=<hex>.
+ *
+ * Deliveries are queued (WEBHOOK_QUEUE, chunked Script Properties) and sent
+ * by the sendPendingWebhooks trigger, so a slow or failing recipient never
+ * holds up a status update or a run slice. The body is built when the event
+ * happens and kept in CacheService until it is sent (rebuilt from the run if
+ * the cache lost it). Each attempt is a single POST; a 408/429/5xx response
+ * or network error is retried by a later trigger (WEBHOOK_RETRY_DELAYS_MS).
+ * Every attempt's outcome is kept on the run (webhookDeliveries) and in the
+ * event log. A failed delivery never fails the run.
+ */
+
+/**
+ * Webhook event names
+ */
+const WEBHOOK_EVENT = {
+  STARTED: 'started',
+  PHASE_CHANGED: 'phase_changed',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * Maximum deliveries kept in a run's delivery log (oldest are dropped first)
+ */
+const MAX_WEBHOOK_DELIVERIES = 50;
+
+/**
+ * Delay before each retry of a failed delivery (ms): two retries, after 1 and 5 minutes
+ */
+const WEBHOOK_RETRY_DELAYS_MS = [60000, 300000];
+
+/**
+ * Script Property holding the queued deliveries, and the prefix of its chunks
+ */
+const WEBHOOK_QUEUE_KEY = 'WEBHOOK_QUEUE';
+const WEBHOOK_QUEUE_CHUNK_PREFIX = 'WEBHOOK_QUEUECHUNK_';
+
+/**
+ * Most deliveries kept in the queue (oldest are dropped first)
+ */
+const MAX_PENDING_WEBHOOKS = 100;
+
+/**
+ * CacheService prefix for queued webhook bodies, and how long they are kept (seconds)
+ */
+const WEBHOOK_BODY_CACHE_PREFIX = 'WEBHOOK_BODY_';
+const WEBHOOK_BODY_CACHE_SECONDS = 21600;
+
+/**
+ * Trigger handler that sends queued deliveries
+ */
+const WEBHOOK_HANDLER = 'sendPendingWebhooks';
+
+/**
+ * Time one sendPendingWebhooks execution spends sending before handing over to a new trigger
+ */
+const WEBHOOK_SEND_BUDGET_MS = 60000;
+
+/**
+ * Check whether a callback URL is acceptable
+ * @param {string} url - The URL
+ * @returns {boolean} True for absolute http(s) URLs
+ */
+function isValidCallbackUrl(url) {
+  return typeof url === 'string' && /^https?:\/\/[^\s/]+/i.test(url);
+}
+
+/**
+ * Get the webhook URLs for a run: its own callback and the global ones
+ * @param {Object} state - The run state
+ * @returns {string[]} Unique URLs
+ */
+function getWebhookUrls(state) {
+  const urls = [];
+  if (state.callbackUrl) {
+    urls.push(state.callbackUrl);
+  }
+
+  const global = getConfig(CONFIG_KEYS.CLIPPULSE_WEBHOOK_URL);
+  if (global) {
+    global.split(',').map(url => url.trim()).filter(isValidCallbackUrl).forEach(url => urls.push(url));
+  }
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Map a run status to the webhook event it fires
+ * @param {string} status - A RUN_STATUS value
+ * @returns {string} A WEBHOOK_EVENT value
+ */
+function getWebhookEventForStatus(status) {
+  if (status === RUN_STATUS.COMPLETED) {
+    return WEBHOOK_EVENT.COMPLETED;
+  }
+  if (status === RUN_STATUS.FAILED) {
+    return WEBHOOK_EVENT.FAILED;
+  }
+  return WEBHOOK_EVENT.PHASE_CHANGED;
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} timestamp - Unix time in seconds, as sent in X-ClipPulse-Timestamp
+ * @param {string} body - The JSON body
+ * @param {string} secret - The signing secret
+ * @returns {string} Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+function signWebhookPayload(timestamp, body, secret) {
+  const bytes = Utilities.computeHmacSha256Signature(`${timestamp}.${body}`, secret);
+  return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Queue a lifecycle event for every webhook URL of a run
+ * The deliveries are sent by the sendPendingWebhooks trigger.
+ * @param {string} runId - The run ID
+ * @param {string} event - A WEBHOOK_EVENT value
+ */
+function notifyRunWebhooks(runId, event) {
+  try {
+    const state = loadRunState(runId);
+    if (!state) {
+      return;
+    }
+
+    const urls = getWebhookUrls(state);
+    if (urls.length === 0) {
+      return;
+    }
+
+    const deliveryId = Utilities.getUuid();
+    try {
+      CacheService.getScriptCache().put(`${WEBHOOK_BODY_CACHE_PREFIX}${deliveryId}`,
+        buildWebhookBody(runId, event, deliveryId), WEBHOOK_BODY_CACHE_SECONDS);
+    } catch (e) {
+      // Too large for the cache: the body is rebuilt when it is sent
+      console.error(`Could not cache the ${event} webhook body for ${runId}:`, e);
+    }
+
+    const now = Date.now();
+    updateWebhookQueue(queue => queue.concat(urls.map(url => ({
+      runId: runId,
+      event: event,
+      deliveryId: deliveryId,
+      url: url,
+      attempt: 0,
+      dueAt: now
+    }))));
+    ensureWebhookTrigger(1000);
+
+  } catch (e) {
+    // Webhooks must never break a run
+    console.error(`Failed to queue ${event} webhook for ${runId}:`, e);
+  }
+}
+
+/**
+ * Build a webhook body
+ * @param {string} runId - The run ID
+ * @param {string} event - A WEBHOOK_EVENT value
+ * @param {string} deliveryId - ID shared by every recipient of this event
+ * @returns {string} The JSON body
+ */
+function buildWebhookBody(runId, event, deliveryId) {
+  // Webhook bodies keep the v1 shape whatever version the triggering request used
+  return JSON.stringify(buildApiResponse(true, {
+    event: event,
+    delivery_id: deliveryId,
+    ...getApiStatusSummary(runId)
+  }, null, API_VERSION));
+}
+
+/**
+ * Change the delivery queue under a lock and save it
+ * @param {Function} mutator - Receives the queued deliveries (oldest first) and returns the new queue
+ * @returns {Array} The saved queue
+ */
+function updateWebhookQueue(mutator) {
+  return withRunStateLock(WEBHOOK_QUEUE_KEY, () => {
+    const json = readChunkedProperty(WEBHOOK_QUEUE_KEY, WEBHOOK_QUEUE_CHUNK_PREFIX);
+    let queue = mutator(json ? JSON.parse(json) : []);
+    if (queue.length > MAX_PENDING_WEBHOOKS) {
+      console.error(`Webhook queue full; dropping ${queue.length - MAX_PENDING_WEBHOOKS} oldest deliveries`);
+      queue = queue.slice(-MAX_PENDING_WEBHOOKS);
+    }
+
+    if (queue.length > 0) {
+      writeChunkedProperty(WEBHOOK_QUEUE_KEY, WEBHOOK_QUEUE_CHUNK_PREFIX, JSON.stringify(queue));
+    } else {
+      removeChunkedProperty(WEBHOOK_QUEUE_KEY, WEBHOOK_QUEUE_CHUNK_PREFIX);
+    }
+    return queue;
+  });
+}
+
+/**
+ * Make sure a sendPendingWebhooks trigger is pending
+ * @param {number} delayMs - Delay before it runs, if a new one is created
+ */
+function ensureWebhookTrigger(delayMs) {
+  const pending = ScriptApp.getProjectTriggers()
+    .some(trigger => trigger.getHandlerFunction() === WEBHOOK_HANDLER);
+  if (!pending) {
+    ScriptApp.newTrigger(WEBHOOK_HANDLER)
+      .timeBased()
+      .after(delayMs)
+      .create();
+  }
+}
+
+/**
+ * Send queued webhook deliveries that are due (called by trigger)
+ * Each delivery is taken off the queue before it is sent, so two executions
+ * never send the same one. A retryable failure goes back on the queue with
+ * the next WEBHOOK_RETRY_DELAYS_MS delay. While deliveries are left, another
+ * trigger is scheduled.
+ */
+function sendPendingWebhooks() {
+  const startTime = Date.now();
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === WEBHOOK_HANDLER)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+  let remaining = 0;
+  try {
+    while (Date.now() - startTime < WEBHOOK_SEND_BUDGET_MS) {
+      let next = null;
+      remaining = updateWebhookQueue(queue => {
+        const index = queue.findIndex(entry => entry.dueAt <= Date.now());
+        if (index >= 0) {
+          next = queue[index];
+        }
+        return queue.filter((entry, i) => i !== index);
+      }).length;
+      if (!next) {
+        break;
+      }
+      sendQueuedWebhook(next);
+    }
+  } finally {
+    flushApiUsage();
+  }
+
+  if (remaining > 0) {
+    ensureWebhookTrigger(WEBHOOK_RETRY_DELAYS_MS[0]);
+  }
+}
+
+/**
+ * Send one queued delivery and record the outcome on its run
+ * @param {Object} entry - Queued delivery { runId, event, deliveryId, url, attempt }
+ */
+function sendQueuedWebhook(entry) {
+  const cache = CacheService.getScriptCache();
+  const cacheKey = `${WEBHOOK_BODY_CACHE_PREFIX}${entry.deliveryId}`;
+  if (!loadRunState(entry.runId)) {
+    // The run was deleted after the event
+    return;
+  }
+
+  setActiveEventRun(entry.runId);
+  try {
+    const body = cache.get(cacheKey) || buildWebhookBody(entry.runId, entry.event, entry.deliveryId);
+    const delivery = deliverWebhook(entry.url, entry.event, entry.deliveryId, body);
+
+    const retryable = !delivery.ok &&
+      (delivery.statusCode === null || RETRYABLE_STATUS_CODES.includes(delivery.statusCode));
+    if (retryable && entry.attempt < WEBHOOK_RETRY_DELAYS_MS.length) {
+      delivery.retryAt = new Date(Date.now() + WEBHOOK_RETRY_DELAYS_MS[entry.attempt]).toISOString();
+      updateWebhookQueue(queue => queue.concat({
+        ...entry,
+        attempt: entry.attempt + 1,
+        dueAt: Date.now() + WEBHOOK_RETRY_DELAYS_MS[entry.attempt]
+      }));
+    }
+    recordWebhookDeliveries(entry.runId, [delivery]);
+  } catch (e) {
+    console.error(`Failed to send ${entry.event} webhook for ${entry.runId}:`, e);
+  } finally {
+    flushRunEvents(entry.runId);
+    setActiveEventRun(null);
+  }
+}
+
+/**
+ * POST one webhook (a single attempt)
+ * @param {string} url - Recipient URL
+ * @param {string} event - A WEBHOOK_EVENT value
+ * @param {string} deliveryId - ID shared by every recipient of this event
+ * @param {string} body - The JSON body
+ * @returns {Object} Delivery log entry
+ */
+function deliverWebhook(url, event, deliveryId, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    'X-ClipPulse-Event': event,
+    'X-ClipPulse-Delivery': deliveryId,
+    'X-ClipPulse-Timestamp': timestamp
+  };
+
+  const secret = getConfig(CONFIG_KEYS.CLIPPULSE_WEBHOOK_SECRET) || getConfig(CONFIG_KEYS.CLIPPULSE_API_SECRET);
+  if (secret) {
+    headers['X-ClipPulse-Signature'] = `sha256=${signWebhookPayload(timestamp, body, secret)}`;
+  }
+
+  const entry = {
+    deliveryId: deliveryId,
+    event: event,
+    url: url.split('?')[0],
+    at: new Date().toISOString(),
+    ok: false,
+    statusCode: null,
+    error: null
+  };
+
+  const startedAt = Date.now();
+  try {
+    const response = UrlFetchApp.fetch(url, {
+      method: 'post',
+      contentType: 'application/json',
+      headers: headers,
+      payload: body,
+      muteHttpExceptions: true
+    });
+
+    entry.statusCode = response.getResponseCode();
+    logApiCall('http', url, entry.statusCode, startedAt);
+    entry.ok = entry.statusCode < 400;
+    if (!entry.ok) {
+      entry.error = `HTTP ${entry.statusCode}: ${response.getContentText().substring(0, 200)}`;
+    }
+  } catch (e) {
+    entry.error = e.message;
+  }
+
+  return entry;
+}
+
+/**
+ * Append deliveries to a run's delivery log and event log
+ * @param {string} runId - The run ID
+ * @param {Object[]} deliveries - Delivery log entries
+ */
+function recordWebhookDeliveries(runId, deliveries) {
+  updateRunState(runId, state => {
+    state.webhookDeliveries = (state.webhookDeliveries || []).concat(deliveries).slice(-MAX_WEBHOOK_DELIVERIES);
+  });
+
+  deliveries.forEach(delivery => {
+    logRunEvent(runId, delivery.ok ? RUN_EVENT_TYPE.INFO : RUN_EVENT_TYPE.ERROR,
+      delivery.ok
+        ? `Webhook ${delivery.event} delivered to ${delivery.url}`
+        : `Webhook ${delivery.event} to ${delivery.url} failed: ${delivery.error}` +
+          (delivery.retryAt ? `; retrying at ${delivery.retryAt}` : ''),
+      { deliveryId: delivery.deliveryId, statusCode: delivery.statusCode });
+  });
+}
+
+/**
+ * Format a run's delivery log for API responses
+ * @param {Object[]} deliveries - state.webhookDeliveries
+ * @returns {Object[]} Snake-case entries
+ */
+function formatWebhookDeliveries(deliveries) {
+  return (deliveries || []).map(delivery => ({
+    delivery_id: delivery.deliveryId,
+    event: delivery.event,
+    url: delivery.url,
+    at: delivery.at,
+    ok: delivery.ok,
+    status_code: delivery.statusCode,
+    error: delivery.error,
+    retry_at: delivery.retryAt || null
+  }));
+}
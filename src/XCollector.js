@@ -42,6 +42,7 @@ function callXAPI(endpoint, params = {}) {
 
   const url = buildXApiUrl(endpoint, params);
 
+  const startedAt = Date.now();
   const response = UrlFetchApp.fetch(url, {
     method: 'GET',
     headers: {
@@ -51,6 +52,7 @@ function callXAPI(endpoint, params = {}) {
   });
 
   const responseCode = response.getResponseCode();
+  logApiCall('x', url, responseCode, startedAt);
   const responseBody = JSON.parse(response.getContentText());
 
   if (responseCode !== 200) {
@@ -158,6 +160,18 @@ function buildXSearchQuery(plan) {
   return queryParts.join(' ');
 }
 
+/**
+ * Key an X search by its query and query type, for the per-query yield
+ * Dates are left out: they only make sense for the run that searched them.
+ * @param {string} query - X search query (see buildXSearchQuery)
+ * @param {string} queryType - 'Latest' or 'Top'
+ * @returns {string} e.g. '("skincare") -is:retweet [Latest]'
+ */
+function getXSearchYieldKey(query, queryType) {
+  const terms = String(query).split(/\s+/).filter(term => term && !/^(since|until):/.test(term));
+  return `${terms.join(' ')} [${queryType || 'Latest'}]`;
+}
+
 /**
  * Format date for X API query
  * @param {Date} date
@@ -216,6 +230,11 @@ function collectXViaTweetsSearch(runId, plan, targetCount, onProgress) {
   const searchQuery = buildXSearchQuery(plan);
   const queryType = plan.queryStrategy?.x?.queryType || 'Latest';
 
+  // Posts per query, remembered by the planner when the run completes
+  const searchYield = { ...(state.xProgress?.searchYield || {}) };
+  const yieldKey = getXSearchYieldKey(searchQuery, queryType);
+  searchYield[yieldKey] = searchYield[yieldKey] || 0;
+
   console.log(`Starting X collection. Target: ${targetCount}, Query: ${searchQuery}`);
 
   let attempts = 0;
@@ -241,6 +260,7 @@ function collectXViaTweetsSearch(runId, plan, targetCount, onProgress) {
 
         // Skip duplicates
         if (processedIds.has(tweetId) || isPostProcessed(runId, 'x', tweetId)) {
+          logDuplicateSkipped(runId, 'x', tweetId);
           skipped++;
           continue;
         }
@@ -252,6 +272,7 @@ function collectXViaTweetsSearch(runId, plan, targetCount, onProgress) {
           processedIds.add(tweetId);
           addProcessedPostId(runId, 'x', tweetId);
           collected++;
+          searchYield[yieldKey]++;
         }
       }
 
@@ -264,7 +285,7 @@ function collectXViaTweetsSearch(runId, plan, targetCount, onProgress) {
           appendRowsBatch(state.spreadsheetId, 'x', postsToWrite);
           postsToWrite.length = 0;
 
-          updateXProgress(runId, { collected, cursor });
+          updateXProgress(runId, { collected, cursor, searchYield });
 
           if (onProgress) {
             onProgress({ platform: 'x', collected, target: targetCount });
@@ -288,12 +309,12 @@ function collectXViaTweetsSearch(runId, plan, targetCount, onProgress) {
     }
   }
 
-  // Write remaining posts
+  // Write remaining posts (the yield is saved even when the query found nothing)
   if (postsToWrite.length > 0) {
     console.log(`Writing final ${postsToWrite.length} tweets to spreadsheet`);
     appendRowsBatch(state.spreadsheetId, 'x', postsToWrite);
-    updateXProgress(runId, { collected, cursor });
   }
+  updateXProgress(runId, { collected, cursor, searchYield });
 
   return { collected, skipped };
 }
@@ -327,6 +348,7 @@ function processXTweet(runId, state, tweet) {
       username: tweet.author?.userName || '',
       platform: 'X'
     });
+    countPostArtifact('x', false);
 
   } catch (e) {
     console.error(`Error creating Drive artifact for tweet ${tweetId}:`, e.message);